@@ -8,6 +8,8 @@
 // Load environment variables
 require('dotenv').config();
 
+const crypto = require('crypto');
+
 // Import core modules
 const configModule = require('./modules/configuration');
 const triggerModule = require('./modules/trigger_detection');
@@ -17,33 +19,78 @@ const codeGenModule = require('./modules/code_generation');
 const commitPrModule = require('./modules/commit_pr');
 const feedbackModule = require('./modules/feedback');
 const batchModule = require('./modules/batch_processing');
+const repoSelectionModule = require('./modules/repo_selection');
+const jobStoreModule = require('./modules/job_store');
+const jobRunnerModule = require('./modules/job_runner');
+const credentialsModule = require('./modules/credentials');
+const policyModule = require('./modules/policy');
+const cassetteModule = require('./modules/cassette');
+const reviewModule = require('./modules/review_followup');
+const triageModule = require('./modules/triage');
+const usageModule = require('./modules/usage');
+const { unifiedDiff } = require('./utils/diff');
 const logger = require('./utils/logger');
 
 // Track initialization state
 let isInitialized = false;
 
+// Initialization in flight, shared by callers arriving before it settles
+let initializing = null;
+
 /**
  * Initialize the OpenHands Resolver
+ *
+ * Concurrent calls share one initialization; a failed one is retried by the
+ * next call.
  * @param {string} configPath - Optional path to configuration file
  * @returns {Promise<boolean>} - Success status
  */
-async function initialize(configPath) {
-  try {
-    if (isInitialized) {
-      logger.debug('OpenHands Resolver already initialized');
-      return true;
-    }
+function initialize(configPath) {
+  if (isInitialized) {
+    logger.debug('OpenHands Resolver already initialized');
+    return Promise.resolve(true);
+  }
+  if (!initializing) {
+    initializing = runInitialization(configPath).finally(() => {
+      initializing = null;
+    });
+  }
+  return initializing;
+}
 
+/**
+ * Load the configuration and initialize the modules depending on it
+ * @private
+ * @param {string} configPath - Optional path to configuration file
+ * @returns {Promise<boolean>} - Success status
+ */
+async function runInitialization(configPath) {
+  try {
     logger.info('Initializing OpenHands Resolver MCP');
     
     // Initialize configuration
-    await configModule.initialize(configPath);
+    if (!await configModule.initialize(configPath)) {
+      throw new Error('Configuration could not be loaded');
+    }
     logger.debug('Configuration module initialized');
     
+    // Route logs to the configured sinks
+    logger.configureSinks(configModule.getConfigSection('logging'), {
+      verbose: configModule.getConfigSection('debug').verboseLogging
+    });
+    
     // Initialize GitHub API integration
     await githubModule.initialize();
     logger.debug('GitHub API module initialized');
     
+    // Load the job history
+    await jobStoreModule.initialize();
+    logger.debug('Job store initialized');
+    
+    // Load the model usage of the last day
+    await usageModule.initialize();
+    logger.debug('Usage ledger initialized');
+    
     isInitialized = true;
     logger.info('OpenHands Resolver MCP initialized successfully');
     return true;
@@ -53,39 +100,365 @@ async function initialize(configPath) {
   }
 }
 
+/**
+ * Check whether a resolution should stop before writing to GitHub
+ * @private
+ * @param {Object} [options] - Options from the trigger or MCP arguments
+ * @returns {boolean} - Whether this is a dry run
+ */
+function isDryRun(options = {}) {
+  if (options.dryRun !== undefined) return Boolean(options.dryRun);
+  const settings = configModule.getConfigSection('resolution') || {};
+  return Boolean(settings.dryRun);
+}
+
+/**
+ * Build the result of a dry run from the generated changes
+ * @private
+ * @param {Object} triggerData - Data from the trigger detection module
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @param {Object} codeChanges - Result of `generateAndValidateCode`
+ * @returns {Object} - Proposed patch and pull request plan
+ */
+function buildDryRunResult(triggerData, issueData, codeChanges) {
+  const plan = commitPrModule.planPullRequest(codeChanges, issueData, triggerData.options);
+  const patch = codeChanges.codeChanges
+    .map(change => unifiedDiff(change.path, change.originalContent, change.newContent))
+    .join('');
+
+  return {
+    success: true,
+    dryRun: true,
+    issueUrl: triggerData.issueUrl,
+    issueNumber: issueData.number,
+    plan: {
+      branch: plan.branch,
+      baseBranch: plan.baseBranch,
+      title: plan.title,
+      body: plan.body,
+      draft: plan.draft,
+      labels: plan.labels,
+      commitMessage: plan.commitMessage
+    },
+    patch,
+    changedFiles: codeChanges.codeChanges.length,
+    validation: codeChanges.validation,
+    visualization: feedbackModule.createVisualization(null, issueData, codeChanges)
+  };
+}
+
+/**
+ * Open the job for an issue unless the job store is off for this run
+ * @private
+ * @param {Object} triggerData - Data from the trigger detection module
+ * @param {boolean} dryRun - Whether this is a dry run, which is never recorded
+ * @returns {Promise<Object|null>} - `key` and the stored job, null when not recorded
+ */
+async function openJob(triggerData, dryRun) {
+  const settings = configModule.getConfigSection('jobs') || {};
+  if (dryRun || cassetteModule.isReplaying() || !settings.enabled || !triggerData.owner || !triggerData.repo || !triggerData.issueNumber) {
+    return null;
+  }
+
+  const key = jobStoreModule.jobKey(triggerData.owner, triggerData.repo, triggerData.issueNumber);
+  return { key, job: await jobStoreModule.getJob(key) };
+}
+
+/**
+ * Load the resolver configuration committed in the issue's repository
+ * @private
+ * @param {Object} triggerData - Data from the trigger detection module
+ * @returns {Promise<Object|null>} - Repository layer with `source` and `values`, null when there is none
+ */
+async function loadRepositoryConfig(triggerData) {
+  if (!triggerData.owner || !triggerData.repo) return null;
+
+  const source = `${triggerData.owner}/${triggerData.repo}:${configModule.REPO_CONFIG_PATH}`;
+  let content;
+  try {
+    content = await githubModule.fetchFileContent(triggerData.owner, triggerData.repo, configModule.REPO_CONFIG_PATH);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+
+  try {
+    return { source, values: configModule.parseConfigContent(content, configModule.REPO_CONFIG_PATH) };
+  } catch (error) {
+    throw new Error(`Invalid ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the debug settings of a resolution, including its own overrides
+ * @private
+ * @param {Object} options - Options from the trigger or MCP arguments
+ * @returns {Object} - `debug` section with `saveResponses` and `cassetteDir`
+ */
+function getDebugSettings(options) {
+  return {
+    ...configModule.getConfigSection('debug'),
+    ...(options.config && options.config.debug)
+  };
+}
+
 /**
  * Main function to process a GitHub issue resolution request
+ *
+ * The resolution runs with the repository's `.openhands/resolver.yml` and
+ * the `config` option layered over the global configuration. Every line it
+ * logs carries a correlation ID of the issue and a run ID, which is also
+ * returned in the result.
+ *
+ * A pull request reference addresses the review comments on the pull
+ * request instead, see `runReviewFollowUp`.
+ *
+ * With `debug.saveResponses` set, every model call and GitHub exchange is
+ * recorded to a cassette whose path is returned as `cassettePath`.
+ *
+ * Model usage is accounted to the issue and returned as `usage`. The issue
+ * is skipped when a usage budget is already used up, and fails once one runs
+ * out during the resolution.
+ * @param {Object} triggerData - Data from the trigger detection module
+ * @param {Object} [context] - Background job context, see `runResolution`
+ * @param {Object} [context.cassette] - Replay session answering every exchange, see `replayCassette`
+ * @returns {Promise<Object>} - Result of the resolution process
+ */
+async function resolveIssue(triggerData, context = {}) {
+  const options = triggerData.options || {};
+  const issue = triggerData.owner && triggerData.repo && triggerData.issueNumber
+    ? `${triggerData.owner}/${triggerData.repo}#${triggerData.issueNumber}`
+    : triggerData.issueUrl;
+  const correlationId = `${issue}@${crypto.randomBytes(4).toString('hex')}`;
+  const debug = getDebugSettings(options);
+  const session = context.cassette ||
+    (debug.saveResponses ? cassetteModule.createRecorder(triggerData) : null);
+  const account = usageModule.createAccount('issue', issue);
+
+  return logger.withContext({ correlationId }, () => cassetteModule.run(session, () => usageModule.run(account, async () => {
+    let result;
+    try {
+      const repository = await loadRepositoryConfig(triggerData);
+      result = await configModule.withConfigLayers(
+        { repository, overrides: options.config },
+        async () => {
+          cassetteModule.captureConfig(configModule.getConfig());
+          const exceeded = await usageModule.findExceededBudget();
+          if (exceeded) {
+            logger.warn(`Skipping ${issue}: ${exceeded.message}`);
+            return {
+              success: false,
+              skipped: true,
+              issueUrl: triggerData.issueUrl,
+              reason: exceeded.message,
+              budgetExceeded: exceeded.budgetExceeded
+            };
+          }
+          const outcome = await (triggerData.isPullRequest
+            ? runReviewFollowUp(triggerData, context)
+            : runResolution(triggerData, context));
+          return { ...outcome, usage: usageModule.summarize(account) };
+        }
+      );
+      result = { ...result, correlationId };
+    } catch (error) {
+      logger.error(`Failed to configure resolution of ${triggerData.issueUrl}:`, error);
+      result = {
+        success: false,
+        issueUrl: triggerData.issueUrl,
+        correlationId,
+        error: error.message
+      };
+    }
+
+    if (session && session.mode === 'record') {
+      try {
+        result.cassettePath = await cassetteModule.saveCassette(session, result, { dir: debug.cassetteDir });
+      } catch (error) {
+        logger.warn(`Failed to save cassette for ${issue}: ${error.message}`);
+      }
+    }
+    return result;
+  })));
+}
+
+/**
+ * Run a recorded resolution again from its cassette
+ *
+ * The run uses the configuration captured in the cassette, and every GitHub
+ * exchange and model call is answered from it without network access or
+ * job store entries, so the same failure can be reproduced in a test.
+ * @param {string} cassettePath - Cassette written by a run with `debug.saveResponses`
+ * @param {Object} [context] - Background job context, see `runResolution`
+ * @returns {Promise<Object>} - Result of the replayed resolution with `replay` describing cassette use
+ */
+async function replayCassette(cassettePath, context = {}) {
+  if (!await initialize()) {
+    throw new Error('Failed to initialize OpenHands Resolver MCP');
+  }
+  const cassette = await cassetteModule.loadCassette(cassettePath);
+  const repoSource = cassette.config && cassette.config.task && cassette.config.task.repoSource;
+  if (repoSource && repoSource !== 'api') {
+    throw new Error(`${cassettePath} was recorded with task.repoSource "${repoSource}"; only runs reading the repository through the API can be replayed`);
+  }
+
+  const player = cassetteModule.createPlayer(cassette);
+  const { options = {} } = cassette.trigger;
+  const triggerData = {
+    ...cassette.trigger,
+    options: { ...options, config: cassette.config || options.config }
+  };
+  logger.info(`Replaying ${cassette.interactions.length} interaction(s) recorded ${cassette.recordedAt} for ${triggerData.issueUrl}`);
+
+  const result = await resolveIssue(triggerData, { ...context, cassette: player });
+  return { ...result, replay: { cassette: cassettePath, ...cassetteModule.describeReplay(player) } };
+}
+
+/**
+ * Resolve an issue with the configuration already in effect
+ *
+ * Each completed stage is recorded in the job store: issues whose job
+ * already succeeded are skipped, and an interrupted or failed job resumes
+ * after its last completed stage unless the `force` option is set.
+ *
+ * Once fetched, the issue is triaged. Issues skipped by triage are not
+ * checkpointed, so that a later run fetches them again, and the status
+ * comment asks for what they are missing.
+ *
+ * In dry-run mode the issue is fetched, the task set up and the changes
+ * generated and validated, but nothing is written to GitHub; the proposed
+ * patch and pull request are returned instead.
+ *
+ * When run as a background job, progress is reported at every stage and the
+ * resolution stops at the next stage once the signal is aborted.
+ * @private
  * @param {Object} triggerData - Data from the trigger detection module
+ * @param {Object} [context] - Background job context
+ * @param {AbortSignal} [context.signal] - Aborted when the job is cancelled
+ * @param {Function} [context.onProgress] - Called with `{ stage, issueUrl, message }`
  * @returns {Promise<Object>} - Result of the resolution process
  */
-async function resolveIssue(triggerData) {
+async function runResolution(triggerData, context = {}) {
+  const issueRef = {
+    owner: triggerData.owner,
+    repo: triggerData.repo,
+    number: triggerData.issueNumber
+  };
+  const options = triggerData.options || {};
+  const dryRun = isDryRun(options);
+  const onProgress = context.onProgress || (() => {});
+  const updateStatus = async (ref, stage, details = {}) => {
+    jobRunnerModule.throwIfCancelled(context.signal);
+    onProgress({
+      stage,
+      issueUrl: triggerData.issueUrl,
+      message: `${feedbackModule.STAGES[stage]}${details.note ? ` (${details.note})` : ''}`
+    });
+    return dryRun ? null : feedbackModule.updateStatus(ref, stage, details);
+  };
+  let jobKey = null;
+
   try {
-    logger.info(`Starting resolution process for issue: ${triggerData.issueUrl}`);
+    const opened = await openJob(triggerData, dryRun);
+    let outputs = {};
+
+    if (opened) {
+      jobKey = opened.key;
+      if (opened.job && opened.job.status === 'succeeded' && !options.force) {
+        logger.info(`Issue ${jobKey} was already resolved, skipping`);
+        return { ...opened.job.result, alreadyResolved: true };
+      }
+      const job = await jobStoreModule.beginRun(jobKey, { issueUrl: triggerData.issueUrl, options }, { fresh: Boolean(options.force) });
+      outputs = job.outputs;
+      if (job.stage) {
+        logger.info(`Resuming ${jobKey} after stage ${job.stage}`);
+      }
+    }
+    const checkpoint = (stage, output) => (jobKey ? jobStoreModule.recordStage(jobKey, stage, output) : null);
+
+    logger.info(`Starting ${dryRun ? 'dry run' : 'resolution process'} for issue: ${triggerData.issueUrl}`);
+    await updateStatus(issueRef, 'queued');
     
     // Fetch GitHub issue data
-    const issueData = await githubModule.fetchIssueData(triggerData.issueUrl);
-    logger.debug(`Fetched data for issue #${issueData.number}`);
+    let issueData = outputs.fetched;
+    if (!issueData) {
+      issueData = await githubModule.fetchIssueData(triggerData.issueUrl);
+      logger.debug(`Fetched data for issue #${issueData.number}`);
+    }
+
+    // Triage before spending model tokens on the issue
+    const triage = triageModule.triageIssue(issueData);
+    logger.info(`Triaged issue #${issueData.number} as ${triage.category} with feasibility ${triage.score}`);
+    if (triage.skip) {
+      logger.info(`Skipping issue #${issueData.number}: ${triage.reason}`);
+      const feedbackResult = dryRun ? null : await feedbackModule.requestInformation(issueData, triage);
+      if (jobKey) {
+        await jobStoreModule.failJob(jobKey, `Skipped after triage: ${triage.reason}`);
+      }
+      onProgress({ stage: 'needs_info', issueUrl: triggerData.issueUrl, message: triage.reason });
+      return {
+        success: false,
+        skipped: true,
+        ...(dryRun ? { dryRun: true } : {}),
+        issueUrl: triggerData.issueUrl,
+        issueNumber: issueData.number,
+        reason: triage.reason,
+        triage,
+        statusCommentUrl: feedbackResult ? feedbackResult.commentUrl : null
+      };
+    }
+    if (!outputs.fetched) {
+      await checkpoint('fetched', issueData);
+    }
+    await updateStatus(issueData, 'analysing');
     
-    // Setup task for AI resolution
-    const taskConfig = await taskSetupModule.setupTask(issueData);
-    logger.debug('Task setup completed');
+    let codeChanges = outputs.generated;
+    if (!codeChanges) {
+      // Setup task for AI resolution, reading the branch the fix is committed on
+      const taskConfig = await taskSetupModule.setupTask(issueData, {
+        ref: commitPrModule.getBaseBranch(issueData, options)
+      });
+      logger.debug('Task setup completed');
+      
+      // Generate code fix
+      try {
+        codeChanges = await codeGenModule.generateAndValidateCode(taskConfig, {
+          onStage: (stage, details) => updateStatus(issueData, stage, details)
+        });
+      } finally {
+        await taskSetupModule.releaseTask(taskConfig);
+      }
+      logger.info(`Generated ${codeChanges.codeChanges.length} code changes`);
+      await checkpoint('generated', codeChanges);
+    }
     
-    // Generate code fix
-    const codeChanges = await codeGenModule.generateAndValidateCode(taskConfig);
-    logger.info(`Generated ${codeChanges.codeChanges.length} code changes`);
+    // Check the changes again, as they may come from an earlier run under another policy
+    policyModule.enforce(codeChanges.codeChanges);
+    
+    // Stop here in dry-run mode, before anything is written
+    if (dryRun) {
+      logger.info(`Dry run for issue #${issueData.number} finished without writing to GitHub`);
+      return { ...buildDryRunResult(triggerData, issueData, codeChanges), triage };
+    }
     
     // Create commit and PR
-    const prResult = await commitPrModule.createPullRequest(codeChanges, issueData);
-    logger.info(`Created pull request: ${prResult.pullRequestUrl}`);
+    jobRunnerModule.throwIfCancelled(context.signal);
+    let prResult = outputs.pr_opened;
+    if (!prResult) {
+      prResult = await commitPrModule.createPullRequest(codeChanges, issueData, options);
+      logger.info(`Created pull request: ${prResult.pullRequestUrl}`);
+      await checkpoint('pr_opened', prResult);
+    }
     
     // Provide feedback
+    onProgress({ stage: 'pr_opened', issueUrl: triggerData.issueUrl, message: `${feedbackModule.STAGES.pr_opened} (#${prResult.pullRequestNumber})` });
     const feedbackResult = await feedbackModule.provideFeedback(prResult, issueData);
     logger.debug('Feedback provided to issue');
     
     // Create visualization
     const visualization = feedbackModule.createVisualization(prResult, issueData, codeChanges);
     
-    return {
+    const result = {
       success: true,
       issueUrl: triggerData.issueUrl,
       issueNumber: issueData.number,
@@ -93,33 +466,229 @@ async function resolveIssue(triggerData) {
       pullRequestNumber: prResult.pullRequestNumber,
       branch: prResult.branch,
       changedFiles: codeChanges.codeChanges.length,
+      triage: { category: triage.category, score: triage.score },
+      statusCommentUrl: feedbackResult ? feedbackResult.commentUrl : null,
       visualization
     };
+    if (jobKey) {
+      await jobStoreModule.completeJob(jobKey, result);
+    }
+    onProgress({ stage: 'completed', issueUrl: triggerData.issueUrl, message: prResult.pullRequestUrl });
+    return result;
   } catch (error) {
     logger.error(`Failed to resolve issue ${triggerData.issueUrl}:`, error);
+    if (jobKey) {
+      await jobStoreModule.failJob(jobKey, error);
+    }
+    if (!dryRun && issueRef.owner && issueRef.repo && issueRef.number) {
+      await feedbackModule.reportFailure(issueRef, error);
+    }
+    onProgress({ stage: error.cancelled ? 'cancelled' : 'failed', issueUrl: triggerData.issueUrl, message: error.message });
     return {
       success: false,
       issueUrl: triggerData.issueUrl,
+      ...(dryRun ? { dryRun: true } : {}),
+      ...(error.cancelled ? { cancelled: true } : {}),
+      ...(error.policyViolations ? { policyViolations: error.policyViolations } : {}),
+      ...(error.budgetExceeded ? { budgetExceeded: error.budgetExceeded } : {}),
       error: error.message
     };
   }
 }
 
 /**
- * Process a batch of GitHub issues
- * @param {Array} issueList - List of issue URLs or identifiers
- * @returns {Promise<Array>} - Results for each issue
+ * Address the unresolved review threads on one of the resolver's pull requests
+ *
+ * The issue the pull request fixes is fetched again and the changes are
+ * regenerated against the head of the pull request's branch with the
+ * threads in the prompt, validated, pushed as a new commit and announced
+ * with a reply on each thread. Pull requests without the `review.label`
+ * label that are not on a resolver branch are refused.
+ *
+ * Follow-ups are not recorded in the job store. In dry-run mode the patch
+ * and the replies are returned instead of being pushed and posted.
+ * @private
+ * @param {Object} triggerData - Pull request reference from the trigger detection module
+ * @param {Object} [context] - Background job context, see `runResolution`
+ * @returns {Promise<Object>} - Result of the follow-up
  */
-async function resolveBatch(issueList) {
-  return batchModule.processBatch(issueList, resolveIssue);
+async function runReviewFollowUp(triggerData, context = {}) {
+  const options = triggerData.options || {};
+  const dryRun = isDryRun(options);
+  const onProgress = context.onProgress || (() => {});
+  const progress = (stage, message) => {
+    jobRunnerModule.throwIfCancelled(context.signal);
+    onProgress({ stage, issueUrl: triggerData.issueUrl, message });
+  };
+
+  try {
+    progress('queued', 'Fetching review threads');
+    const pull = await githubModule.fetchPullRequest(triggerData.owner, triggerData.repo, triggerData.issueNumber);
+    const refused = reviewModule.checkEligibility(pull);
+    if (refused.length > 0) {
+      throw new Error(`Not addressing review comments: ${refused.join('; ')}`);
+    }
+
+    const threads = await reviewModule.fetchOpenThreads(pull);
+    if (threads.length === 0) {
+      logger.info(`No unresolved review threads on ${pull.url}`);
+      return {
+        success: true,
+        issueUrl: triggerData.issueUrl,
+        pullRequestUrl: pull.url,
+        pullRequestNumber: pull.number,
+        addressedThreads: 0,
+        message: 'No unresolved review threads to address'
+      };
+    }
+
+    const issueNumber = reviewModule.findIssueNumber(pull);
+    if (!issueNumber) {
+      throw new Error(`Cannot tell which issue ${pull.url} fixes: its body has no "Fixes #N" and ${pull.headRef} is not a resolver branch`);
+    }
+    progress('analysing', `Addressing ${threads.length} review thread(s)`);
+    const issueData = await githubModule.fetchIssueData(pull.url.replace(/\/pull\/\d+$/, `/issues/${issueNumber}`));
+
+    const taskConfig = await taskSetupModule.setupTask(issueData, {
+      ref: pull.headRef,
+      review: { pullRequest: { number: pull.number, headRef: pull.headRef }, threads }
+    });
+    let codeChanges;
+    try {
+      codeChanges = await codeGenModule.generateAndValidateCode(taskConfig, {
+        onStage: async (stage, details) => progress(stage, `${feedbackModule.STAGES[stage]}${details.note ? ` (${details.note})` : ''}`)
+      });
+    } finally {
+      await taskSetupModule.releaseTask(taskConfig);
+    }
+    policyModule.enforce(codeChanges.codeChanges);
+
+    if (dryRun) {
+      logger.info(`Dry run for review of #${pull.number} finished without writing to GitHub`);
+      return {
+        success: true,
+        dryRun: true,
+        issueUrl: triggerData.issueUrl,
+        pullRequestUrl: pull.url,
+        pullRequestNumber: pull.number,
+        branch: pull.headRef,
+        patch: codeChanges.codeChanges
+          .map(change => unifiedDiff(change.path, change.originalContent, change.newContent))
+          .join(''),
+        changedFiles: codeChanges.codeChanges.length,
+        validation: codeChanges.validation,
+        threads: threads.map(thread => ({ threadId: thread.id, path: thread.path, line: thread.line }))
+      };
+    }
+
+    jobRunnerModule.throwIfCancelled(context.signal);
+    const commitSha = await commitPrModule.pushChanges(
+      pull.owner,
+      pull.repo,
+      pull.headRef,
+      codeChanges.codeChanges,
+      `Address review comments on #${pull.number}\n\nFixes #${issueNumber}`,
+      pull.headSha
+    );
+    const replies = await reviewModule.replyToThreads(pull, threads, codeChanges, commitSha);
+    onProgress({ stage: 'completed', issueUrl: triggerData.issueUrl, message: `Pushed ${commitSha.slice(0, 7)} to ${pull.headRef}` });
+
+    return {
+      success: true,
+      issueUrl: triggerData.issueUrl,
+      issueNumber,
+      pullRequestUrl: pull.url,
+      pullRequestNumber: pull.number,
+      branch: pull.headRef,
+      commitSha,
+      changedFiles: codeChanges.codeChanges.length,
+      addressedThreads: threads.length,
+      replies,
+      visualization: feedbackModule.createVisualization(
+        { pullRequestUrl: pull.url, pullRequestNumber: pull.number, branch: pull.headRef },
+        issueData,
+        codeChanges
+      )
+    };
+  } catch (error) {
+    logger.error(`Failed to address review comments on ${triggerData.issueUrl}:`, error);
+    onProgress({ stage: error.cancelled ? 'cancelled' : 'failed', issueUrl: triggerData.issueUrl, message: error.message });
+    return {
+      success: false,
+      issueUrl: triggerData.issueUrl,
+      ...(dryRun ? { dryRun: true } : {}),
+      ...(error.cancelled ? { cancelled: true } : {}),
+      ...(error.policyViolations ? { policyViolations: error.policyViolations } : {}),
+      ...(error.budgetExceeded ? { budgetExceeded: error.budgetExceeded } : {}),
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Process a batch of GitHub issues, the most feasible first
+ *
+ * Model usage of the whole batch is accounted against the batch budget and
+ * returned as `usage`; once it is used up, the remaining issues are skipped.
+ * @param {Array} issueList - List of issue references from trigger detection
+ * @param {Object} [context] - Background job context, see `resolveIssue`
+ * @returns {Promise<Object>} - Aggregate report with per-issue results in processing order
+ */
+async function resolveBatch(issueList, context = {}) {
+  const ordered = await triageModule.orderIssues(issueList);
+  const account = usageModule.createAccount('batch', `of ${ordered.length} issue(s)`);
+  const report = await usageModule.run(account, () =>
+    batchModule.processBatch(ordered, issue => resolveIssue(issue, context), { signal: context.signal })
+  );
+  return { ...report, usage: usageModule.summarize(account) };
+}
+
+/**
+ * Resolve open issues across a repository
+ * @param {Object} triggerData - Repository-wide trigger with `owner`, `repo` and optional `filters` and `options`
+ * @param {Object} [context] - Background job context, see `resolveIssue`
+ * @returns {Promise<Object>} - Aggregate batch report with selection details
+ */
+async function resolveRepo(triggerData, context = {}) {
+  const { selected, skipped, candidates } = await repoSelectionModule.selectRepoIssues(triggerData);
+  if (context.onProgress) {
+    context.onProgress({ stage: 'selected', message: `Selected ${selected.length} issue(s) in ${triggerData.owner}/${triggerData.repo}` });
+  }
+  const report = await resolveBatch(selected.map(issue => ({ ...issue, options: triggerData.options })), context);
+
+  return {
+    ...report,
+    repository: `${triggerData.owner}/${triggerData.repo}`,
+    filters: triggerData.filters || {},
+    candidates,
+    selected: selected.map(issue => issue.issueUrl),
+    notSelected: skipped
+  };
+}
+
+/**
+ * Merge options into a trigger and every issue it references
+ * @private
+ * @param {Object} triggerData - Data from the trigger detection module
+ * @param {Object} options - Options overriding those parsed from the input
+ * @returns {Object} - Trigger data with merged options
+ */
+function applyOptions(triggerData, options) {
+  const merged = { ...triggerData, options: { ...triggerData.options, ...options } };
+  if (Array.isArray(triggerData.issueList)) {
+    merged.issueList = triggerData.issueList.map(issue => ({ ...issue, options: { ...issue.options, ...options } }));
+  }
+  return merged;
 }
 
 /**
  * Main handler for MCP invocation
  * @param {Object} input - User input from Claude Desktop
+ * @param {Object} [options] - Options overriding those parsed from the input, e.g. `dryRun`
+ * @param {Object} [context] - Background job context, see `resolveIssue`
  * @returns {Promise<Object>} - Result of the operation
  */
-async function handleMcpInvocation(input) {
+async function handleMcpInvocation(input, options = {}, context = {}) {
   try {
     // Initialize if not already initialized
     if (!isInitialized) {
@@ -133,20 +702,23 @@ async function handleMcpInvocation(input) {
     }
     
     // Detect trigger from user input
-    const triggerData = triggerModule.detectTrigger(input);
+    const detected = triggerModule.detectTrigger(input);
     
-    if (!triggerData) {
+    if (!detected) {
       return {
         success: false,
         message: 'No valid GitHub issue detected in the input'
       };
     }
+    const triggerData = applyOptions(detected, options);
     
     // Check if trigger is valid
-    if (!triggerModule.validateTrigger(triggerData)) {
+    const validation = triggerModule.validateTrigger(triggerData);
+    if (!validation.valid) {
       return {
         success: false,
-        message: 'Invalid trigger data, missing required information'
+        message: `Invalid trigger: ${validation.reasons.join('; ')}`,
+        errors: validation.reasons
       };
     }
     
@@ -156,13 +728,23 @@ async function handleMcpInvocation(input) {
       return {
         success: true,
         isBatch: true,
-        results: await resolveBatch(triggerData.issueList)
+        ...await resolveBatch(triggerData.issueList, context)
+      };
+    }
+    
+    // Check if this is a repository-wide request
+    if (triggerData.isRepoWide) {
+      logger.info(`Processing repository-wide request for ${triggerData.owner}/${triggerData.repo}`);
+      return {
+        success: true,
+        isRepoWide: true,
+        ...await resolveRepo(triggerData, context)
       };
     }
     
     // Process single issue
     logger.info('Processing single issue resolution request');
-    return await resolveIssue(triggerData);
+    return await resolveIssue(triggerData, context);
   } catch (error) {
     logger.error('Error handling MCP invocation:', error);
     return {
@@ -172,6 +754,33 @@ async function handleMcpInvocation(input) {
   }
 }
 
+/**
+ * Get the configuration a resolution would use and where each value comes from
+ * @param {Object} [target] - What to resolve
+ * @param {string} [target.owner] - Repository owner, with `repo` to include its configuration file
+ * @param {string} [target.repo] - Repository name
+ * @param {Object} [target.config] - Per-invocation overrides
+ * @returns {Promise<Object>} - `config`, `sources` keyed by dotted path and the applied `layers`
+ */
+async function getEffectiveConfig(target = {}) {
+  if (!await initialize()) {
+    throw new Error('Failed to initialize OpenHands Resolver MCP');
+  }
+  const repository = await loadRepositoryConfig(target);
+  return configModule.getEffectiveConfig({ repository, overrides: target.config });
+}
+
+/**
+ * Get the model usage of the last 24 hours and the configured budgets
+ * @returns {Promise<Object>} - Usage report, see the usage module's `getUsage`
+ */
+async function getUsage() {
+  if (!await initialize()) {
+    throw new Error('Failed to initialize OpenHands Resolver MCP');
+  }
+  return usageModule.getUsage();
+}
+
 /**
  * Get information about the OpenHands Resolver MCP
  * @returns {Object} - MCP information
@@ -182,11 +791,21 @@ function getMcpInfo() {
     version: '0.1.0',
     description: 'AI-driven GitHub issue resolution system',
     initialized: isInitialized,
+    credentials: credentialsModule.describeCredentials(),
     capabilities: [
       'GitHub issue resolution',
       'Code generation and validation',
       'Pull request creation',
-      'Batch processing'
+      'Batch processing',
+      'Repository-wide resolution',
+      'Dry-run planning',
+      'Resumable job history',
+      'Per-repository configuration',
+      'Review comment follow-up',
+      'Issue triage',
+      'Usage accounting and budgets',
+      'Multi-candidate generation',
+      'Record and replay of resolutions'
     ]
   };
 }
@@ -195,6 +814,10 @@ module.exports = {
   initialize,
   handleMcpInvocation,
   resolveIssue,
+  replayCassette,
   resolveBatch,
+  resolveRepo,
+  getEffectiveConfig,
+  getUsage,
   getMcpInfo
 };
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Batch Processing Module
+ *
+ * Resolves lists of issues through a concurrency-limited worker pool,
+ * isolating failures per issue and reporting aggregate results
+ */
+
+const configModule = require('../configuration');
+const logger = require('../../utils/logger');
+
+/**
+ * Run a worker over items with at most `limit` running at once
+ *
+ * @private
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with each item and its index
+ * @returns {Promise<Array>} - Worker results in item order
+ */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function drain() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, drain));
+  return results;
+}
+
+/**
+ * Split a list into chunks
+ *
+ * @private
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} - Chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Key an issue for duplicate detection
+ *
+ * @private
+ * @param {Object} issue - Issue reference
+ * @returns {string} - owner/repo#number
+ */
+function issueKey(issue) {
+  return `${issue.owner}/${issue.repo}#${issue.issueNumber}`.toLowerCase();
+}
+
+/**
+ * Resolve a single issue, turning thrown errors into a failed result
+ *
+ * @private
+ * @param {Object} issue - Issue reference
+ * @param {Function} resolveIssue - Resolver for a single issue
+ * @returns {Promise<Object>} - Per-issue result
+ */
+async function resolveIsolated(issue, resolveIssue) {
+  const started = Date.now();
+  try {
+    const result = await resolveIssue(issue);
+    if (result && result.alreadyResolved) {
+      return { issueUrl: issue.issueUrl, status: 'skipped', reason: 'Already resolved in an earlier run', result };
+    }
+    if (result && result.skipped) {
+      return { issueUrl: issue.issueUrl, status: 'skipped', reason: result.reason, durationMs: Date.now() - started, result };
+    }
+    if (result && result.cancelled) {
+      return { issueUrl: issue.issueUrl, status: 'skipped', reason: 'Cancelled while running', durationMs: Date.now() - started, result };
+    }
+    return {
+      issueUrl: issue.issueUrl,
+      status: result && result.success ? 'succeeded' : 'failed',
+      durationMs: Date.now() - started,
+      result
+    };
+  } catch (error) {
+    logger.error(`Unexpected error resolving ${issue.issueUrl}:`, error);
+    return {
+      issueUrl: issue.issueUrl,
+      status: 'failed',
+      durationMs: Date.now() - started,
+      result: { success: false, issueUrl: issue.issueUrl, error: error.message }
+    };
+  }
+}
+
+/**
+ * Process a batch of issues
+ *
+ * Lists longer than `batch.maxIssuesPerBatch` are split into chunks that run
+ * one after another; within a chunk at most `batch.maxConcurrent` issues are
+ * resolved at once. Duplicate and incomplete entries are skipped, as are
+ * entries not yet started when the signal is aborted.
+ *
+ * @param {Array} issueList - Issue references with `issueUrl`, `owner`, `repo` and `issueNumber`
+ * @param {Function} resolveIssue - Resolver for a single issue
+ * @param {Object} [options] - Batch options
+ * @param {AbortSignal} [options.signal] - Aborted when the batch is cancelled
+ * @returns {Promise<Object>} - Aggregate report with counts, duration and per-issue results
+ */
+async function processBatch(issueList, resolveIssue, options = {}) {
+  const settings = configModule.getConfigSection('batch');
+  const started = Date.now();
+  const results = new Array(issueList.length);
+  const queue = [];
+  const seen = new Set();
+
+  issueList.forEach((issue, position) => {
+    if (!issue || !issue.issueUrl || !issue.owner || !issue.repo || !issue.issueNumber) {
+      results[position] = { issueUrl: issue && issue.issueUrl, status: 'skipped', reason: 'Incomplete issue reference' };
+    } else if (seen.has(issueKey(issue))) {
+      results[position] = { issueUrl: issue.issueUrl, status: 'skipped', reason: 'Duplicate of an earlier entry' };
+    } else {
+      seen.add(issueKey(issue));
+      queue.push({ issue, position });
+    }
+  });
+
+  const chunks = chunk(queue, settings.maxIssuesPerBatch);
+  logger.info(`Processing ${queue.length} issues in ${chunks.length} chunk(s), ${settings.maxConcurrent} at a time`);
+
+  for (const [index, entries] of chunks.entries()) {
+    logger.debug(`Starting batch chunk ${index + 1}/${chunks.length}`);
+    await runPool(entries, settings.maxConcurrent, async ({ issue, position }) => {
+      results[position] = options.signal && options.signal.aborted
+        ? { issueUrl: issue.issueUrl, status: 'skipped', reason: 'Batch was cancelled' }
+        : await resolveIsolated(issue, resolveIssue);
+    });
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  const report = {
+    total: issueList.length,
+    succeeded: count('succeeded'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    chunks: chunks.length,
+    durationMs: Date.now() - started,
+    results
+  };
+
+  logger.info(`Batch finished: ${report.succeeded} succeeded, ${report.failed} failed, ${report.skipped} skipped`);
+  return report;
+}
+
+module.exports = {
+  processBatch
+};
@@ -0,0 +1,280 @@
+/**
+ * Cassette Module
+ *
+ * Records every model call and GitHub API exchange of a resolution into a
+ * cassette, a redacted JSON file, and plays a cassette back so the same run
+ * can be repeated without network access
+ *
+ * A session is scoped to one resolution with AsyncLocalStorage. While
+ * recording, the GitHub API module and the model providers report each
+ * exchange; while replaying, they are answered from the cassette instead:
+ * GitHub exchanges by method, URL and query, model calls in recorded order.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('../../utils/redact');
+const logger = require('../../utils/logger');
+
+// Format of the cassette files written here
+const CASSETTE_VERSION = 1;
+
+// Configuration left out of cassettes, since it describes the machine the
+// run happened on rather than the run itself
+const MACHINE_SETTINGS = ['github', 'credentials', 'jobs', 'usage', 'logging', 'debug'];
+
+// Session of the resolution running in the current async context
+const sessions = new AsyncLocalStorage();
+
+/**
+ * Create a session recording a new cassette
+ *
+ * @param {Object} trigger - Trigger data of the run, with `issueUrl`, `owner`, `repo`, `issueNumber` and `options`
+ * @returns {Object} - Recording session
+ */
+function createRecorder(trigger) {
+  return {
+    mode: 'record',
+    cassette: {
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      trigger: {
+        issueUrl: trigger.issueUrl,
+        owner: trigger.owner,
+        repo: trigger.repo,
+        issueNumber: trigger.issueNumber,
+        options: trigger.options || {}
+      },
+      config: null,
+      result: null,
+      interactions: []
+    }
+  };
+}
+
+/**
+ * Create a session playing a cassette back
+ *
+ * @param {Object} cassette - Cassette from `loadCassette`
+ * @returns {Object} - Replay session
+ */
+function createPlayer(cassette) {
+  return {
+    mode: 'replay',
+    cassette,
+    used: new Set(),
+    mismatches: []
+  };
+}
+
+/**
+ * Read and check a cassette file
+ *
+ * @param {string} cassettePath - Path of the cassette
+ * @returns {Promise<Object>} - Cassette
+ */
+async function loadCassette(cassettePath) {
+  const cassette = JSON.parse(await fs.readFile(cassettePath, 'utf-8'));
+  if (cassette.version !== CASSETTE_VERSION) {
+    throw new Error(`Unsupported cassette version ${cassette.version} in ${cassettePath}, expected ${CASSETTE_VERSION}`);
+  }
+  if (!cassette.trigger || !Array.isArray(cassette.interactions)) {
+    throw new Error(`${cassettePath} is not a resolution cassette`);
+  }
+  return cassette;
+}
+
+/**
+ * Run a function with a session active for everything it calls, across awaits
+ *
+ * @param {Object|null} session - Session from `createRecorder` or `createPlayer`, null to run without one
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function run(session, fn) {
+  return session ? sessions.run(session, fn) : fn();
+}
+
+/**
+ * Check whether the current resolution is played back from a cassette
+ *
+ * @returns {boolean} - Whether a replay session is active
+ */
+function isReplaying() {
+  const session = sessions.getStore();
+  return Boolean(session && session.mode === 'replay');
+}
+
+/**
+ * Remember the configuration a recorded run used
+ *
+ * @param {Object} config - Effective configuration
+ */
+function captureConfig(config) {
+  const session = sessions.getStore();
+  if (!session || session.mode !== 'record') return;
+
+  const captured = { ...config };
+  MACHINE_SETTINGS.forEach(name => delete captured[name]);
+  if (captured.task) {
+    const { workspaceDir, localRepoPath, ...task } = captured.task;
+    captured.task = task;
+    if (task.repoSource !== 'api') {
+      logger.warn(`task.repoSource is "${task.repoSource}": repository files are not read through the API and will be missing from the cassette`);
+    }
+  }
+  session.cassette.config = captured;
+}
+
+/**
+ * Build the key GitHub exchanges are matched by
+ *
+ * @private
+ * @param {Object} request - Exchange request with `method`, `url` and `params`
+ * @returns {string} - Method, URL and sorted query
+ */
+function githubKey(request) {
+  const params = request.params || {};
+  const query = Object.keys(params).sort().map(name => `${name}=${params[name]}`).join('&');
+  return `${request.method.toUpperCase()} ${request.url}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Add an exchange to the cassette being recorded
+ *
+ * @param {string} kind - 'github' or 'model'
+ * @param {Object} request - What was sent
+ * @param {Object} response - What came back, or `{ error }` when nothing did
+ */
+function record(kind, request, response) {
+  const session = sessions.getStore();
+  if (!session || session.mode !== 'record') return;
+  session.cassette.interactions.push({ kind, request, response });
+}
+
+/**
+ * Find the recorded response to an exchange while replaying
+ *
+ * @param {string} kind - 'github' or 'model'
+ * @param {Object} request - What would be sent
+ * @returns {Object|undefined} - Recorded response, undefined when not replaying
+ * @throws {Error} - When the cassette holds no unused exchange for the request
+ */
+function playback(kind, request) {
+  const session = sessions.getStore();
+  if (!session || session.mode !== 'replay') return undefined;
+
+  const { interactions } = session.cassette;
+  const key = kind === 'github' ? githubKey(request) : null;
+  const index = interactions.findIndex((interaction, position) =>
+    !session.used.has(position) &&
+    interaction.kind === kind &&
+    (key === null || githubKey(interaction.request) === key)
+  );
+
+  if (index === -1) {
+    const error = new Error(`Cassette has no recorded ${kind === 'github' ? `response for ${key}` : 'model call left'}`);
+    error.cassetteMiss = true;
+    throw error;
+  }
+  session.used.add(index);
+
+  // Model prompts are compared, a changed prompt means the replay diverged
+  if (kind === 'model' && JSON.stringify(redact(request)) !== JSON.stringify(interactions[index].request)) {
+    logger.warn(`Model call ${index} differs from the recorded prompt, replaying the recorded response anyway`);
+    session.mismatches.push(index);
+  }
+  return interactions[index].response;
+}
+
+/**
+ * Wrap a model provider so its calls are recorded or played back
+ *
+ * @param {string} name - Provider name
+ * @param {Function} create - Creates the real provider, not called while replaying
+ * @returns {Object} - Provider with `complete`
+ */
+function wrapProvider(name, create) {
+  if (isReplaying()) {
+    return {
+      name,
+      async complete(request) {
+        const response = playback('model', request);
+        if (response.error) throw new Error(response.error);
+        return response;
+      }
+    };
+  }
+
+  const provider = create();
+  return {
+    ...provider,
+    async complete(request) {
+      try {
+        const response = await provider.complete(request);
+        record('model', request, { text: response.text, model: response.model, usage: response.usage });
+        return response;
+      } catch (error) {
+        record('model', request, { error: error.message });
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Write a recorded cassette, redacted
+ *
+ * @param {Object} session - Recording session
+ * @param {Object} result - Result of the run
+ * @param {Object} [options] - Save options
+ * @param {string} [options.dir] - Directory, `~/.openhands-resolver/cassettes` when empty
+ * @returns {Promise<string>} - Path of the cassette
+ */
+async function saveCassette(session, result, options = {}) {
+  const dir = options.dir || path.join(os.homedir(), '.openhands-resolver', 'cassettes');
+  const { trigger } = session.cassette;
+  const name = [trigger.owner, trigger.repo, trigger.issueNumber]
+    .filter(part => part !== undefined && part !== null)
+    .join('-')
+    .replace(/[^\w.-]+/g, '_') || 'issue';
+  const stamp = session.cassette.recordedAt.replace(/[:.]/g, '-');
+  const cassettePath = path.join(dir, `${name}-${stamp}.json`);
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(cassettePath, JSON.stringify(redact({ ...session.cassette, result }), null, 2));
+  logger.info(`Saved ${session.cassette.interactions.length} interaction(s) to cassette ${cassettePath}`);
+  return cassettePath;
+}
+
+/**
+ * Summarise how a replay used its cassette
+ *
+ * @param {Object} session - Replay session
+ * @returns {Object} - Interactions recorded, `unused` and `mismatches` as interaction indexes
+ */
+function describeReplay(session) {
+  const { interactions } = session.cassette;
+  return {
+    interactions: interactions.length,
+    unused: interactions.map((_, index) => index).filter(index => !session.used.has(index)),
+    mismatches: session.mismatches
+  };
+}
+
+module.exports = {
+  CASSETTE_VERSION,
+  createRecorder,
+  createPlayer,
+  loadCassette,
+  run,
+  isReplaying,
+  captureConfig,
+  record,
+  playback,
+  wrapProvider,
+  saveCassette,
+  describeReplay
+};
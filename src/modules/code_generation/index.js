@@ -0,0 +1,367 @@
+/**
+ * Code Generation Module
+ *
+ * Prompts the configured model provider with the task context and turns its
+ * output into concrete file changes
+ *
+ * With `ai.candidates` above 1, several candidate patches are generated with
+ * different models, temperatures and prompt approaches, each validated on its
+ * own, and the best one is kept with the others as alternatives.
+ */
+
+const configModule = require('../configuration');
+const validationModule = require('../validation');
+const policyModule = require('../policy');
+const { openRepository } = require('../task_setup/repository');
+const { createProvider } = require('./providers');
+const { buildPrompt } = require('./prompt');
+const { parseEdits, applyEdit } = require('./parser');
+const { diffStat, unifiedDiff } = require('../../utils/diff');
+const logger = require('../../utils/logger');
+
+// Provider responses no repair attempt can get past
+const AUTH_FAILURE_STATUS = [401, 403];
+
+/**
+ * Check whether a provider rejected the credentials it was given
+ *
+ * @private
+ * @param {Error} error - Error from a provider call
+ * @returns {boolean} - Whether retrying is pointless until the credentials change
+ */
+function isAuthFailure(error) {
+  return Boolean(error.response && AUTH_FAILURE_STATUS.includes(error.response.status));
+}
+
+/**
+ * Apply parsed edits to the repository files they target
+ *
+ * Edits and the resulting changes are checked against the safety policy.
+ *
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @param {Array} edits - Edits from `parseEdits`
+ * @returns {Promise<Array>} - Code changes with original and new content per file
+ * @throws {Error} - With `policyViolations` when the policy rejects the changes
+ */
+async function resolveChanges(taskConfig, edits) {
+  const reader = openRepository(taskConfig.source);
+  const files = await reader.listFiles();
+  const entries = new Map(files.map(file => [file.path, file]));
+  const byPath = new Map();
+
+  for (const edit of edits) {
+    const violations = policyModule.checkPath(edit.path, entries.get(edit.path));
+    if (violations.length > 0) {
+      const error = new Error(`Edits to ${edit.path} are not allowed: ${policyModule.formatViolations(violations)}`);
+      error.policyViolations = violations;
+      throw error;
+    }
+    if (!byPath.has(edit.path)) byPath.set(edit.path, []);
+    byPath.get(edit.path).push(edit);
+  }
+
+  const codeChanges = [];
+  for (const [filePath, fileEdits] of byPath) {
+    const originalContent = entries.has(filePath) ? await reader.readFile(filePath) : null;
+    const newContent = fileEdits.reduce((content, edit) => applyEdit(content, edit), originalContent);
+
+    if (newContent === originalContent) {
+      logger.debug(`Edits to ${filePath} leave it unchanged, skipping`);
+      continue;
+    }
+
+    codeChanges.push({
+      path: filePath,
+      action: originalContent === null ? 'create' : newContent === null ? 'delete' : 'modify',
+      originalContent,
+      newContent
+    });
+  }
+
+  policyModule.enforce(codeChanges, { files });
+  return codeChanges;
+}
+
+/**
+ * Generate code changes for a task with a single model call
+ *
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.provider] - Provider to use instead of the configured one
+ * @param {Array<string>} [options.feedback] - Problems with a previous attempt to address
+ * @param {Object} [options.candidate] - `model`, `temperature` and prompt `strategy` overriding the `ai` settings
+ * @returns {Promise<Object>} - Code changes, explanation, raw output and usage
+ */
+async function generateCode(taskConfig, options = {}) {
+  const aiConfig = configModule.getClaudeConfig();
+  const candidate = options.candidate || {};
+  const model = candidate.model || aiConfig.model;
+  const temperature = candidate.temperature === undefined ? aiConfig.temperature : candidate.temperature;
+  const provider = options.provider || createProvider(aiConfig);
+  const prompt = buildPrompt(taskConfig, aiConfig, { feedback: options.feedback, strategy: candidate.strategy });
+
+  logger.info(`Requesting code changes from ${provider.name} (${model})`);
+  const response = await provider.complete({
+    ...prompt,
+    model,
+    temperature,
+    maxTokens: aiConfig.maxTokens
+  });
+
+  const { explanation, edits } = parseEdits(response.text);
+  if (edits.length === 0) {
+    throw new Error('Model output did not contain any edits');
+  }
+
+  const codeChanges = await resolveChanges(taskConfig, edits);
+  if (codeChanges.length === 0) {
+    throw new Error('Model edits did not change any files');
+  }
+
+  return {
+    codeChanges,
+    explanation,
+    rawOutput: response.text,
+    provider: provider.name,
+    model: response.model,
+    usage: response.usage
+  };
+}
+
+/**
+ * Generate and validate code changes, feeding problems back to the model
+ *
+ * @private
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @param {Object} options - Generation options, see `generateAndValidateCode`
+ * @param {string} [label] - Candidate the attempts are for, added to stage notes
+ * @returns {Promise<Object>} - Result with `codeChanges`, `validation` and `attempts`
+ * @throws {Error} - With `attempts`, and `policyViolations` when the last attempt broke the policy
+ */
+async function runRepairLoop(taskConfig, options, label) {
+  const { maxRepairIterations } = configModule.getConfigSection('validation');
+  const attempts = [];
+  const onStage = options.onStage || (async () => {});
+  let feedback = options.feedback || [];
+
+  for (let iteration = 0; iteration <= maxRepairIterations; iteration++) {
+    const note = [label, iteration > 0 ? `repair attempt ${iteration}` : null].filter(Boolean).join(', ') || undefined;
+    let result;
+
+    await onStage('generating', { note });
+    try {
+      result = await generateCode(taskConfig, { ...options, feedback });
+    } catch (error) {
+      // Retrying cannot help once a budget is used up or the credentials are rejected
+      if (error.budgetExceeded || isAuthFailure(error)) throw error;
+      logger.warn(`Code generation attempt ${iteration + 1} failed: ${error.message}`);
+      attempts.push({ iteration, error: error.message, ...(error.policyViolations ? { policyViolations: error.policyViolations } : {}) });
+      feedback = [`Your edits could not be applied: ${error.message}`];
+      continue;
+    }
+
+    await onStage('validating', { note });
+    const validation = await validationModule.validateChanges(taskConfig, result.codeChanges);
+    attempts.push({ iteration, validation, usage: result.usage });
+
+    if (validation.passed) {
+      return { ...result, validation, attempts };
+    }
+
+    logger.warn(`Generated changes failed validation on attempt ${iteration + 1}`);
+    feedback = [
+      `Your previous response was:\n${result.rawOutput}`,
+      ...validationModule.formatFeedback(validation)
+    ];
+  }
+
+  // Explain why the last attempt failed rather than reporting a generic failure
+  const last = attempts[attempts.length - 1];
+  let error;
+  if (last && last.policyViolations) {
+    error = new Error(`Generated changes were rejected by the safety policy after ${attempts.length} attempt(s): ${policyModule.formatViolations(last.policyViolations)}`);
+  } else if (last && last.error) {
+    error = new Error(`No applicable edits were generated after ${attempts.length} attempt(s): ${last.error}`);
+  } else {
+    error = new Error(`Generated changes did not pass validation after ${attempts.length} attempt(s)`);
+  }
+  error.attempts = attempts;
+  if (last && last.policyViolations) error.policyViolations = last.policyViolations;
+  throw error;
+}
+
+/**
+ * Work out the model, temperature and prompt approach of each candidate
+ *
+ * Models and approaches are cycled through; the temperature rises by
+ * `ai.candidateTemperatureStep` per candidate, up to 1.
+ *
+ * @private
+ * @returns {Array<Object>} - `index`, `model`, `temperature` and `strategy` per candidate
+ */
+function planCandidates() {
+  const aiConfig = configModule.getClaudeConfig();
+  const {
+    candidates = 1,
+    candidateModels = [],
+    candidateStrategies = ['default'],
+    candidateTemperatureStep = 0
+  } = configModule.getConfigSection('ai');
+  const models = candidateModels.length > 0 ? candidateModels : [aiConfig.model];
+  const strategies = candidateStrategies.length > 0 ? candidateStrategies : ['default'];
+
+  return Array.from({ length: candidates }, (_, index) => ({
+    index,
+    model: models[index % models.length],
+    temperature: Math.round(Math.min(1, aiConfig.temperature + index * candidateTemperatureStep) * 100) / 100,
+    strategy: strategies[index % strategies.length]
+  }));
+}
+
+/**
+ * Summarize a candidate for ranking and for the pull request body
+ *
+ * @private
+ * @param {Object} plan - Candidate plan from `planCandidates`
+ * @param {Object} [result] - Validated result of the candidate
+ * @param {Error} [error] - Why the candidate was rejected
+ * @returns {Object} - Candidate summary
+ */
+function summarizeCandidate(plan, result, error) {
+  const attempts = result ? result.attempts : (error.attempts || []);
+  // Earlier attempts were repaired, only what the candidate ended with counts
+  const last = attempts[attempts.length - 1];
+  const summary = {
+    ...plan,
+    passed: Boolean(result),
+    attempts: attempts.length,
+    policyViolations: last && last.policyViolations ? last.policyViolations.length : 0
+  };
+  if (!result) {
+    return { ...summary, error: error.message };
+  }
+
+  return {
+    ...summary,
+    testsPassed: result.validation.checks.filter(check => check.type === 'test' && check.status === 'passed').length,
+    linesChanged: result.codeChanges.reduce((count, change) => {
+      const stat = diffStat(change.originalContent, change.newContent);
+      return count + stat.additions + stat.deletions;
+    }, 0),
+    explanation: result.explanation,
+    patch: result.codeChanges
+      .map(change => unifiedDiff(change.path, change.originalContent, change.newContent))
+      .join('')
+  };
+}
+
+/**
+ * Order candidate summaries from best to worst
+ *
+ * Validated candidates come first, then those whose final attempt has fewer
+ * policy violations, more passing tests, smaller diffs and fewer attempts, in that order.
+ *
+ * @private
+ * @param {Object} a - Candidate summary
+ * @param {Object} b - Candidate summary
+ * @returns {number} - Negative when `a` ranks higher
+ */
+function compareCandidates(a, b) {
+  return (Number(b.passed) - Number(a.passed)) ||
+    (a.policyViolations - b.policyViolations) ||
+    ((b.testsPassed || 0) - (a.testsPassed || 0)) ||
+    ((a.linesChanged || 0) - (b.linesChanged || 0)) ||
+    (a.attempts - b.attempts) ||
+    (a.index - b.index);
+}
+
+/**
+ * Generate and validate code changes for a task
+ *
+ * Changes are validated in a scratch worktree. When generation or validation
+ * fails, the problems are fed back to the model for up to
+ * `validation.maxRepairIterations` further attempts; changes that never pass
+ * are rejected. Attempts stop as soon as a usage budget is used up or the
+ * provider rejects its credentials.
+ *
+ * With `ai.candidates` above 1, each candidate goes through the same loop in
+ * turn and the best ranked validated one is returned, with the others as
+ * `alternatives`. Candidates already generated still compete when a budget
+ * runs out before the last one.
+ *
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @param {Object} [options] - Generation options, see `generateCode`
+ * @param {Function} [options.onStage] - Called with 'generating' or 'validating' and stage details
+ * @returns {Promise<Object>} - Result with `codeChanges`, `validation` and `attempts`, plus the chosen `candidate` and its `alternatives` when several were generated
+ */
+async function generateAndValidateCode(taskConfig, options = {}) {
+  try {
+    return await generateCandidates(taskConfig, options);
+  } finally {
+    // Every attempt and candidate validates against the same repository snapshot
+    await validationModule.release(taskConfig);
+  }
+}
+
+/**
+ * Generate and validate each candidate and pick the best
+ *
+ * @private
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @param {Object} options - Generation options, see `generateAndValidateCode`
+ * @returns {Promise<Object>} - Result of `generateAndValidateCode`
+ */
+async function generateCandidates(taskConfig, options) {
+  const plans = planCandidates();
+  // One provider for every attempt, so that stateful providers such as the scripted one advance
+  const runOptions = { ...options, provider: options.provider || createProvider(configModule.getClaudeConfig()) };
+  if (plans.length <= 1) {
+    return runRepairLoop(taskConfig, runOptions);
+  }
+
+  const outcomes = [];
+  for (const plan of plans) {
+    const label = `candidate ${plan.index + 1}/${plans.length}`;
+    try {
+      const result = await runRepairLoop(taskConfig, { ...runOptions, candidate: plan }, label);
+      outcomes.push({ plan, result });
+    } catch (error) {
+      // Other candidates would be cancelled or rejected the same way
+      if (error.cancelled || isAuthFailure(error)) throw error;
+      if (error.budgetExceeded) {
+        if (outcomes.length === 0) throw error;
+        logger.warn(`Stopping after ${outcomes.length} candidate(s): ${error.message}`);
+        break;
+      }
+      logger.warn(`Candidate ${plan.index + 1} (${plan.strategy}, ${plan.model}) was rejected: ${error.message}`);
+      outcomes.push({ plan, error });
+    }
+  }
+
+  const ranked = outcomes
+    .map(outcome => ({ ...outcome, summary: summarizeCandidate(outcome.plan, outcome.result, outcome.error) }))
+    .sort((a, b) => compareCandidates(a.summary, b.summary));
+  const [winner, ...others] = ranked;
+
+  if (!winner.result) {
+    const error = new Error(`None of ${outcomes.length} candidate(s) passed validation: ${outcomes.map(outcome => outcome.error.message).join('; ')}`);
+    error.attempts = outcomes.flatMap(outcome => outcome.error.attempts || []);
+    const rejected = outcomes.find(outcome => outcome.error.policyViolations);
+    if (rejected) error.policyViolations = rejected.error.policyViolations;
+    throw error;
+  }
+
+  logger.info(`Chose candidate ${winner.plan.index + 1} of ${outcomes.length} (${winner.plan.strategy}, ${winner.plan.model})`);
+  const { patch, explanation, ...candidate } = winner.summary;
+  return {
+    ...winner.result,
+    candidate,
+    alternatives: others.map(other => other.summary)
+  };
+}
+
+module.exports = {
+  generateCode,
+  generateAndValidateCode,
+  resolveChanges
+};
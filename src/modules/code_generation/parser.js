@@ -0,0 +1,254 @@
+/**
+ * Edit Parsing
+ *
+ * Parses model output into structured file edits and applies them to file
+ * contents. Supports search/replace blocks and unified diffs.
+ */
+
+const SEARCH_MARKER = /^<{5,9} SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} REPLACE\s*$/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Clean up a line that names the file a block applies to
+ *
+ * @private
+ * @param {string} line - Raw line
+ * @returns {string|null} - File path or null when the line is not a path
+ */
+function toPath(line) {
+  const cleaned = line.trim().replace(/^[#*`\s]+|[*`:\s]+$/g, '').replace(/^(?:a|b)\//, '');
+  return /^[\w@./-]+\.[\w]+$|^[\w@./-]*[A-Za-z]+file$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Strip the a/ or b/ prefix from a diff header path
+ *
+ * @private
+ * @param {string} header - Path from a --- or +++ line
+ * @returns {string|null} - Repository path, null for /dev/null
+ */
+function diffPath(header) {
+  const value = header.split('\t')[0].trim();
+  if (value === '/dev/null') return null;
+  return value.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse search/replace blocks
+ *
+ * @private
+ * @param {Array<string>} lines - Output lines
+ * @returns {Array} - Edits of type 'replace'
+ */
+function parseSearchReplace(lines) {
+  const edits = [];
+  let lastPath = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (!SEARCH_MARKER.test(line)) {
+      if (line.trim() && !line.trim().startsWith('```')) {
+        lastPath = toPath(line) || lastPath;
+      }
+      continue;
+    }
+
+    if (!lastPath) {
+      throw new Error(`Search/replace block at line ${i + 1} is not preceded by a file path`);
+    }
+
+    const search = [];
+    const replace = [];
+    let target = search;
+    let closed = false;
+
+    for (i++; i < lines.length; i++) {
+      if (target === search && DIVIDER_MARKER.test(lines[i])) {
+        target = replace;
+      } else if (target === replace && REPLACE_MARKER.test(lines[i])) {
+        closed = true;
+        break;
+      } else {
+        target.push(lines[i]);
+      }
+    }
+
+    if (!closed) {
+      throw new Error(`Unterminated search/replace block for ${lastPath}`);
+    }
+
+    edits.push({
+      type: 'replace',
+      path: lastPath,
+      search: search.join('\n'),
+      replace: replace.join('\n')
+    });
+  }
+
+  return edits;
+}
+
+/**
+ * Parse unified diffs
+ *
+ * @private
+ * @param {Array<string>} lines - Output lines
+ * @returns {Array} - Edits of type 'diff'
+ */
+function parseUnifiedDiffs(lines) {
+  const edits = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith('--- ') || !lines[i + 1] || !lines[i + 1].startsWith('+++ ')) {
+      continue;
+    }
+
+    const oldPath = diffPath(lines[i].slice(4));
+    const newPath = diffPath(lines[i + 1].slice(4));
+    const hunks = [];
+    i += 2;
+
+    while (i < lines.length && HUNK_HEADER.test(lines[i])) {
+      const [, oldStart] = HUNK_HEADER.exec(lines[i]);
+      const hunk = { oldStart: parseInt(oldStart, 10), lines: [] };
+      // Blank lines only count as context when more hunk lines follow them
+      let blankLines = 0;
+
+      for (i++; i < lines.length; i++) {
+        const line = lines[i];
+        if (HUNK_HEADER.test(line) || line.startsWith('--- ') || line.startsWith('```')) break;
+        if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+        if (line === '') {
+          blankLines++;
+        } else if ([' ', '+', '-'].includes(line[0])) {
+          hunk.lines.push(...Array(blankLines).fill(' '), line);
+          blankLines = 0;
+        } else {
+          break;
+        }
+      }
+
+      hunks.push(hunk);
+    }
+    i--;
+
+    edits.push({
+      type: 'diff',
+      path: newPath || oldPath,
+      action: !oldPath ? 'create' : !newPath ? 'delete' : 'modify',
+      hunks
+    });
+  }
+
+  return edits;
+}
+
+/**
+ * Parse model output into structured edits
+ *
+ * @param {string} output - Raw model output
+ * @returns {Object} - `edits` and the `explanation` text preceding them
+ */
+function parseEdits(output) {
+  const lines = (output || '').replace(/\r\n/g, '\n').split('\n');
+  const edits = [...parseSearchReplace(lines), ...parseUnifiedDiffs(lines)];
+
+  // Everything before the first edit is treated as the explanation
+  const firstEdit = lines.findIndex(line =>
+    SEARCH_MARKER.test(line) || line.startsWith('--- ') || line.startsWith('```')
+  );
+  const explanationLines = firstEdit === -1 ? lines : lines.slice(0, firstEdit);
+  while (explanationLines.length > 0 && toPath(explanationLines[explanationLines.length - 1])) {
+    explanationLines.pop();
+  }
+
+  return {
+    explanation: explanationLines.join('\n').trim(),
+    edits
+  };
+}
+
+/**
+ * Find where a block of lines occurs, preferring the position nearest a hint
+ *
+ * @private
+ * @param {Array<string>} haystack - File lines
+ * @param {Array<string>} needle - Lines to find
+ * @param {number} hint - Expected zero-based position
+ * @returns {number} - Zero-based position or -1
+ */
+function findBlock(haystack, needle, hint) {
+  const matchesAt = (position) => needle.every((line, offset) => haystack[position + offset] === line);
+  const last = haystack.length - needle.length;
+
+  for (let distance = 0; distance <= Math.max(hint, last - hint); distance++) {
+    if (hint - distance >= 0 && hint - distance <= last && matchesAt(hint - distance)) return hint - distance;
+    if (distance > 0 && hint + distance <= last && matchesAt(hint + distance)) return hint + distance;
+  }
+
+  return -1;
+}
+
+/**
+ * Apply a single edit to file content
+ *
+ * @param {string|null} content - Current content, null when the file does not exist
+ * @param {Object} edit - Edit from `parseEdits`
+ * @returns {string|null} - New content, null when the file is deleted
+ */
+function applyEdit(content, edit) {
+  if (edit.type === 'replace') {
+    if (edit.search === '') {
+      if (content !== null && content.trim() !== '') {
+        throw new Error(`Empty SEARCH section for ${edit.path}, which already exists`);
+      }
+      return edit.replace.endsWith('\n') ? edit.replace : `${edit.replace}\n`;
+    }
+
+    if (content === null) {
+      throw new Error(`Cannot edit ${edit.path}: file does not exist`);
+    }
+
+    const index = content.indexOf(edit.search);
+    if (index === -1) {
+      throw new Error(`SEARCH section not found in ${edit.path}:\n${edit.search}`);
+    }
+    return content.slice(0, index) + edit.replace + content.slice(index + edit.search.length);
+  }
+
+  if (edit.action === 'delete') {
+    if (content === null) {
+      throw new Error(`Cannot delete ${edit.path}: file does not exist`);
+    }
+    return null;
+  }
+
+  const lines = content === null ? [] : content.split('\n');
+  let offset = 0;
+
+  for (const hunk of edit.hunks) {
+    const before = hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1));
+    const after = hunk.lines.filter(line => line[0] !== '-').map(line => line.slice(1));
+    const position = before.length === 0
+      ? Math.min(lines.length, Math.max(0, hunk.oldStart - 1 + offset))
+      : findBlock(lines, before, Math.max(0, hunk.oldStart - 1 + offset));
+
+    if (position === -1) {
+      throw new Error(`Hunk @@ -${hunk.oldStart} @@ does not apply to ${edit.path}:\n${before.join('\n')}`);
+    }
+
+    lines.splice(position, before.length, ...after);
+    offset = position - (hunk.oldStart - 1) + after.length - before.length;
+  }
+
+  const result = lines.join('\n');
+  return content === null && !result.endsWith('\n') ? `${result}\n` : result;
+}
+
+module.exports = {
+  parseEdits,
+  applyEdit
+};
@@ -0,0 +1,129 @@
+/**
+ * Prompt Construction
+ *
+ * Turns a task configuration into the messages sent to the model
+ */
+
+// Instructions describing the edit formats the parser understands
+const FORMAT_INSTRUCTIONS = `Reply with a short explanation of the fix, followed by the edits.
+
+Describe each edit as a search/replace block preceded by the file path:
+
+path/to/file.js
+<<<<<<< SEARCH
+exact lines copied from the current file
+=======
+replacement lines
+>>>>>>> REPLACE
+
+The SEARCH section must match the current file exactly, including whitespace.
+Use an empty SEARCH section to create a new file.
+You may instead give a unified diff inside a \`\`\`diff fence with --- a/ and +++ b/ headers.
+Only edit files that need to change and keep each edit as small as possible.`;
+
+// Approaches asked of candidate patches, keyed by `ai.candidateStrategies` name
+const STRATEGIES = {
+  default: '',
+  minimal: 'Make the smallest change that fixes the issue, even if it only addresses the reported symptom.',
+  'root-cause': 'Find and fix the root cause of the issue, even if that takes a larger change than patching the reported symptom.',
+  'with-test': 'Fix the issue and add or update a test that fails without the fix and passes with it.'
+};
+
+/**
+ * Render the issue and its discussion
+ *
+ * @private
+ * @param {Object} issue - Issue section of the task configuration
+ * @returns {string} - Markdown description of the issue
+ */
+function renderIssue(issue) {
+  const parts = [
+    `# Issue ${issue.owner}/${issue.repo}#${issue.number}: ${issue.title}`,
+    issue.labels && issue.labels.length > 0 ? `Labels: ${issue.labels.join(', ')}` : '',
+    issue.body || '(no description)'
+  ];
+
+  for (const comment of issue.comments || []) {
+    parts.push(`## Comment by ${comment.author || 'unknown'}\n${comment.body}`);
+  }
+
+  return parts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render the unresolved review threads of the pull request being revised
+ *
+ * @private
+ * @param {Object} review - Review section of the task configuration
+ * @returns {string} - Markdown listing of the threads
+ */
+function renderReview(review) {
+  const threads = review.threads.map((thread) => {
+    const location = thread.path ? `${thread.path}${thread.line ? `:${thread.line}` : ''}` : 'General';
+    const comments = thread.comments
+      .map(comment => `**${comment.author || 'unknown'}:** ${comment.body}`)
+      .join('\n\n');
+    return `## ${location}\n${comments}`;
+  });
+
+  return [
+    `# Review of pull request #${review.pullRequest.number} (${review.pullRequest.headRef})`,
+    'The files below already contain your earlier changes. Revise them so that every unresolved review thread is addressed.',
+    ...threads
+  ].join('\n\n');
+}
+
+/**
+ * Render the context snippets gathered by task setup
+ *
+ * @private
+ * @param {Object} context - Context section of the task configuration
+ * @returns {string} - Markdown listing of the snippets
+ */
+function renderContext(context) {
+  return context.snippets.map((snippet) => {
+    const range = snippet.truncated ? ` (lines ${snippet.startLine}-${snippet.endLine})` : '';
+    return `### ${snippet.path}${range}\n\`\`\`\n${snippet.content}\n\`\`\``;
+  }).join('\n\n');
+}
+
+/**
+ * Build the prompt for a task
+ *
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @param {Object} aiConfig - AI configuration from `getClaudeConfig()`
+ * @param {Object} [options] - Extra prompt content
+ * @param {Array<string>} [options.feedback] - Problems with a previous attempt to address
+ * @param {string} [options.strategy] - Approach to ask for, a key of `STRATEGIES`
+ * @returns {Object} - `system` prompt and `messages`
+ */
+function buildPrompt(taskConfig, aiConfig, options = {}) {
+  const sections = [
+    renderIssue(taskConfig.issue),
+    `# Repository ${taskConfig.repository.fullName} (${taskConfig.source.ref})`,
+    taskConfig.fileTree && taskConfig.fileTree.length > 0
+      ? `## Files\n${taskConfig.fileTree.join('\n')}`
+      : '',
+    taskConfig.context.snippets.length > 0
+      ? `## Relevant code\n\n${renderContext(taskConfig.context)}`
+      : '',
+    taskConfig.review ? renderReview(taskConfig.review) : '',
+    options.feedback && options.feedback.length > 0
+      ? `# Problems with your previous attempt\n\n${options.feedback.join('\n\n')}`
+      : '',
+    STRATEGIES[options.strategy] ? `# Approach\n\n${STRATEGIES[options.strategy]}` : '',
+    `# Instructions\n\n${FORMAT_INSTRUCTIONS}`
+  ];
+
+  return {
+    system: aiConfig.systemMessage,
+    messages: [
+      { role: 'user', content: sections.filter(Boolean).join('\n\n') }
+    ]
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  buildPrompt
+};
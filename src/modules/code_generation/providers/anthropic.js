@@ -0,0 +1,65 @@
+/**
+ * Anthropic Provider
+ *
+ * Calls the Anthropic Messages API
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+
+/**
+ * Create an Anthropic provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiUrl] - API base URL
+ * @param {string} options.apiKey - API key
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @returns {Object} - Provider with `complete`
+ */
+function createAnthropicProvider(options) {
+  if (!options.apiKey) {
+    throw new Error('Anthropic provider requires an API key');
+  }
+
+  const client = axios.create({
+    baseURL: (options.apiUrl || DEFAULT_API_URL).replace(/\/+$/, ''),
+    timeout: options.timeout,
+    headers: {
+      'x-api-key': options.apiKey,
+      'anthropic-version': API_VERSION,
+      'content-type': 'application/json'
+    }
+  });
+
+  return {
+    name: 'anthropic',
+
+    async complete(request) {
+      const { data } = await client.post('/v1/messages', {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        system: request.system,
+        messages: request.messages
+      });
+
+      return {
+        text: (data.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        model: data.model || request.model,
+        usage: {
+          inputTokens: data.usage ? data.usage.input_tokens : 0,
+          outputTokens: data.usage ? data.usage.output_tokens : 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createAnthropicProvider
+};
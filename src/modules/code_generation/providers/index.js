@@ -0,0 +1,72 @@
+/**
+ * Model Providers
+ *
+ * Registry of model providers. Every provider exposes
+ * `complete({ system, messages, model, temperature, maxTokens })` and resolves
+ * to `{ text, model, usage: { inputTokens, outputTokens } }`.
+ */
+
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAiProvider } = require('./openai');
+const { createScriptedProvider } = require('./scripted');
+const cassetteModule = require('../../cassette');
+const usageModule = require('../../usage');
+
+// Default endpoint for local OpenAI-compatible servers (e.g. Ollama)
+const DEFAULT_LOCAL_API_URL = 'http://localhost:11434/v1';
+
+// Provider factories keyed by name
+const factories = {
+  anthropic: (aiConfig, apiKey) => createAnthropicProvider({
+    apiUrl: aiConfig.apiUrl,
+    apiKey,
+    timeout: aiConfig.timeout
+  }),
+  openai: (aiConfig, apiKey) => createOpenAiProvider({
+    apiUrl: aiConfig.apiUrl,
+    apiKey,
+    timeout: aiConfig.timeout
+  }),
+  local: (aiConfig, apiKey) => createOpenAiProvider({
+    name: 'local',
+    apiUrl: aiConfig.apiUrl || DEFAULT_LOCAL_API_URL,
+    apiKey,
+    timeout: aiConfig.timeout
+  }),
+  scripted: (aiConfig) => createScriptedProvider({ scriptPath: aiConfig.scriptPath })
+};
+
+/**
+ * Register a provider factory
+ *
+ * @param {string} name - Provider name used in `ai.provider`
+ * @param {Function} factory - Receives the AI configuration and API key, returns a provider
+ */
+function registerProvider(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Create the provider named in the AI configuration
+ *
+ * Calls are recorded to the active cassette; while one is replayed the
+ * provider is never created and its recorded responses are returned instead.
+ * Every call is accounted and refused once a usage budget is used up.
+ *
+ * @param {Object} aiConfig - AI configuration from `getClaudeConfig()`
+ * @returns {Object} - Provider
+ */
+function createProvider(aiConfig) {
+  const factory = factories[aiConfig.provider];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${aiConfig.provider}`);
+  }
+
+  const apiKey = aiConfig.apiKeyEnvName ? process.env[aiConfig.apiKeyEnvName] : undefined;
+  return usageModule.meter(cassetteModule.wrapProvider(aiConfig.provider, () => factory(aiConfig, apiKey)));
+}
+
+module.exports = {
+  registerProvider,
+  createProvider
+};
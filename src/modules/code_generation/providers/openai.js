@@ -0,0 +1,63 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Calls any endpoint implementing the OpenAI chat completions API, including
+ * local model servers
+ */
+
+const axios = require('axios');
+
+const DEFAULT_API_URL = 'https://api.openai.com/v1';
+
+/**
+ * Create an OpenAI-compatible provider
+ *
+ * @param {Object} options - Provider options
+ * @param {string} [options.name] - Provider name reported in results
+ * @param {string} [options.apiUrl] - API base URL including the version path
+ * @param {string} [options.apiKey] - API key, optional for local endpoints
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @returns {Object} - Provider with `complete`
+ */
+function createOpenAiProvider(options) {
+  const headers = { 'content-type': 'application/json' };
+  if (options.apiKey) {
+    headers.Authorization = `Bearer ${options.apiKey}`;
+  }
+
+  const client = axios.create({
+    baseURL: (options.apiUrl || DEFAULT_API_URL).replace(/\/+$/, ''),
+    timeout: options.timeout,
+    headers
+  });
+
+  return {
+    name: options.name || 'openai',
+
+    async complete(request) {
+      const { data } = await client.post('/chat/completions', {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        messages: [
+          ...(request.system ? [{ role: 'system', content: request.system }] : []),
+          ...request.messages
+        ]
+      });
+
+      const choice = data.choices && data.choices[0];
+      return {
+        text: choice && choice.message ? choice.message.content || '' : '',
+        model: data.model || request.model,
+        usage: {
+          inputTokens: data.usage ? data.usage.prompt_tokens : 0,
+          outputTokens: data.usage ? data.usage.completion_tokens : 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createOpenAiProvider
+};
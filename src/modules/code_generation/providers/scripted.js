@@ -0,0 +1,72 @@
+/**
+ * Scripted Provider
+ *
+ * Deterministic stand-in for a model. Replays responses from a script so the
+ * pipeline can run end to end without network access.
+ *
+ * A script is a JSON file holding `{ "responses": [...] }`. Each response is
+ * either a string or `{ "match": "<regex>", "text": "..." }`; a response with
+ * `match` is only used for prompts matching the pattern. Responses are
+ * consumed in order by the provider instance; the resolver creates one per
+ * resolution, so every resolution starts from the top of the script.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Script used when none is configured
+const DEFAULT_SCRIPT = path.join(__dirname, '..', 'fixtures', 'scripted.json');
+
+/**
+ * Estimate a token count from text length
+ *
+ * @private
+ * @param {string} text - Text to measure
+ * @returns {number} - Approximate token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Create a scripted provider
+ *
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.scriptPath] - Path to the script file
+ * @param {Array} [options.responses] - Responses given inline instead of a file
+ * @returns {Object} - Provider with `complete`
+ */
+function createScriptedProvider(options = {}) {
+  const responses = options.responses ||
+    JSON.parse(fs.readFileSync(path.resolve(options.scriptPath || DEFAULT_SCRIPT), 'utf-8')).responses;
+  const remaining = responses.map(response =>
+    typeof response === 'string' ? { text: response } : response
+  );
+
+  return {
+    name: 'scripted',
+
+    async complete(request) {
+      const prompt = [request.system, ...request.messages.map(message => message.content)].join('\n');
+      const index = remaining.findIndex(response => !response.match || new RegExp(response.match).test(prompt));
+
+      if (index === -1) {
+        throw new Error('Scripted provider has no response left for this prompt');
+      }
+
+      const [response] = remaining.splice(index, 1);
+      return {
+        text: response.text,
+        model: request.model,
+        usage: {
+          inputTokens: estimateTokens(prompt),
+          outputTokens: estimateTokens(response.text)
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createScriptedProvider
+};
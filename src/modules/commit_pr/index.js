@@ -0,0 +1,378 @@
+/**
+ * Commit & Pull Request Module
+ *
+ * Commits generated changes to a resolver branch through the GitHub git data
+ * API and opens, or updates, the pull request for the issue
+ */
+
+const configModule = require('../configuration');
+const githubModule = require('../github_api');
+const logger = require('../../utils/logger');
+
+// Prefix of every branch the resolver creates
+const BRANCH_PREFIX = 'openhands/';
+
+// Git mode of files the resolver creates
+const DEFAULT_FILE_MODE = '100644';
+
+// Items added to the PR body when `pullRequest.createCheckList` is set
+const CHECKLIST = [
+  'Generated changes reviewed by a maintainer',
+  'Tests cover the reported behaviour',
+  'No unrelated files were modified'
+];
+
+// Longest diff of an alternative candidate shown in the pull request body, in characters
+const MAX_ALTERNATIVE_DIFF = 6000;
+
+// Trailer marking the resolver's fix commits with the issue they fix
+const ISSUE_TRAILER = 'Resolver-Issue';
+
+/**
+ * Get the resolver branch name for an issue
+ *
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @returns {string} - Branch name, e.g. openhands/issue-42
+ */
+function getBranchName(issueData) {
+  return `${BRANCH_PREFIX}issue-${issueData.number}`;
+}
+
+/**
+ * Get the head commit of a branch
+ *
+ * @private
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @returns {Promise<string|null>} - Commit SHA or null when the branch does not exist
+ */
+async function getBranchHead(owner, repo, branch) {
+  try {
+    const { data } = await githubModule.request('get', `/repos/${owner}/${repo}/git/ref/heads/${branch}`);
+    return data.object.sha;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Build the pull request title
+ *
+ * @param {Object} issueData - Issue data
+ * @returns {string} - Title with the configured prefix
+ */
+function buildTitle(issueData) {
+  const { titlePrefix } = configModule.getConfigSection('pullRequest');
+  return `${titlePrefix || ''}${issueData.title}`;
+}
+
+/**
+ * Describe a runner-up candidate as a collapsed section
+ *
+ * @private
+ * @param {Object} alternative - Candidate summary from `generateAndValidateCode`
+ * @returns {string} - Markdown details block
+ */
+function describeAlternative(alternative) {
+  const outcome = alternative.passed
+    ? `passed, ${alternative.linesChanged} line(s) changed, ${alternative.testsPassed} test check(s) passed`
+    : 'rejected';
+  const lines = [
+    '<details>',
+    `<summary>Candidate ${alternative.index + 1}: ${alternative.strategy} approach, ${alternative.model} at temperature ${alternative.temperature} (${outcome})</summary>`,
+    ''
+  ];
+
+  if (!alternative.passed) {
+    lines.push(alternative.error);
+  } else {
+    if (alternative.explanation) lines.push(alternative.explanation, '');
+    const patch = alternative.patch.length > MAX_ALTERNATIVE_DIFF
+      ? `${alternative.patch.slice(0, MAX_ALTERNATIVE_DIFF)}\n... diff truncated ...\n`
+      : alternative.patch;
+    lines.push('```diff', patch.replace(/\n$/, ''), '```');
+  }
+
+  lines.push('', '</details>');
+  return lines.join('\n');
+}
+
+/**
+ * Build the pull request body
+ *
+ * @param {Object} generation - Result of `generateAndValidateCode`
+ * @param {Object} issueData - Issue data
+ * @returns {string} - Markdown body
+ */
+function buildBody(generation, issueData) {
+  const { createCheckList } = configModule.getConfigSection('pullRequest');
+  const sections = [`Fixes #${issueData.number}`];
+
+  if (generation.explanation) {
+    sections.push(generation.explanation);
+  }
+
+  sections.push([
+    '### Changes',
+    ...generation.codeChanges.map(change => `- \`${change.path}\` (${change.action})`)
+  ].join('\n'));
+
+  if (generation.validation && !generation.validation.skipped) {
+    sections.push([
+      '### Validation',
+      ...generation.validation.checks.map(check => `- ${check.type} \`${check.name}\`: ${check.status}`)
+    ].join('\n'));
+  }
+
+  if (generation.alternatives && generation.alternatives.length > 0) {
+    sections.push([
+      '### Alternatives considered',
+      `Candidate ${generation.candidate.index + 1} of ${generation.alternatives.length + 1} was chosen: ${generation.candidate.strategy} approach, ${generation.candidate.model} at temperature ${generation.candidate.temperature}.`,
+      ...generation.alternatives.map(describeAlternative)
+    ].join('\n\n'));
+  }
+
+  if (createCheckList) {
+    sections.push(['### Checklist', ...CHECKLIST.map(item => `- [ ] ${item}`)].join('\n'));
+  }
+
+  sections.push('_This pull request was generated by OpenHands Resolver._');
+  return sections.join('\n\n');
+}
+
+/**
+ * Commit changes on top of a parent commit
+ *
+ * `createPullRequest` builds the tree from the base branch so that a
+ * resolver branch always holds exactly the base plus the latest generated
+ * changes; `pushChanges` builds it from the branch head instead. Changed
+ * files keep their mode, so executable scripts stay executable.
+ *
+ * @private
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Array} codeChanges - Changes to commit
+ * @param {string} baseSha - Commit whose tree the changes apply to, the head of the base branch
+ * @param {string} parentSha - Commit the new commit follows
+ * @param {string} message - Commit message
+ * @returns {Promise<string>} - New commit SHA
+ */
+async function commitChanges(owner, repo, codeChanges, baseSha, parentSha, message) {
+  const { data: baseCommit } = await githubModule.request('get', `/repos/${owner}/${repo}/git/commits/${baseSha}`);
+  const modes = new Map((await githubModule.fetchTree(owner, repo, baseCommit.tree.sha)).map(entry => [entry.path, entry.mode]));
+
+  const { data: tree } = await githubModule.request('post', `/repos/${owner}/${repo}/git/trees`, {
+    data: {
+      base_tree: baseCommit.tree.sha,
+      tree: codeChanges.map((change) => {
+        const mode = modes.get(change.path) || DEFAULT_FILE_MODE;
+        return change.newContent === null
+          ? { path: change.path, mode, type: 'blob', sha: null }
+          : { path: change.path, mode, type: 'blob', content: change.newContent };
+      })
+    }
+  });
+
+  const { data: commit } = await githubModule.request('post', `/repos/${owner}/${repo}/git/commits`, {
+    data: { message, tree: tree.sha, parents: [parentSha] }
+  });
+
+  return commit.sha;
+}
+
+/**
+ * Get the branch a pull request for an issue merges into
+ *
+ * Changes are generated and validated against this branch too, since they
+ * are committed as whole files on top of it.
+ *
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @param {Object} [options] - Pull request options from the trigger
+ * @param {string} [options.baseBranch] - Branch to merge into
+ * @returns {string} - Branch name
+ */
+function getBaseBranch(issueData, options = {}) {
+  const settings = configModule.getConfigSection('pullRequest');
+  return options.baseBranch || settings.defaultBaseBranch || issueData.repository.defaultBranch;
+}
+
+/**
+ * Build the trailer that marks the resolver's fix commits for an issue
+ *
+ * @private
+ * @param {Object} issueData - Issue data
+ * @returns {string} - e.g. Resolver-Issue: acme/widgets#42
+ */
+function buildIssueTrailer(issueData) {
+  return `${ISSUE_TRAILER}: ${issueData.owner}/${issueData.repo}#${issueData.number}`;
+}
+
+/**
+ * Work out the branch, title, body and labels of the pull request
+ *
+ * Options given with the trigger take precedence over the `pullRequest`
+ * settings; labels are added to the configured ones.
+ *
+ * @param {Object} generation - Result of `generateAndValidateCode`
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @param {Object} [options] - Pull request options from the trigger
+ * @param {boolean} [options.draft] - Open the pull request as a draft
+ * @param {string} [options.baseBranch] - Branch to merge into
+ * @param {Array<string>} [options.labels] - Extra labels for the pull request
+ * @returns {Object} - `branch`, `baseBranch`, `title`, `body`, `draft`, `labels` and `commitMessage`
+ */
+function planPullRequest(generation, issueData, options = {}) {
+  const settings = configModule.getConfigSection('pullRequest');
+  const title = buildTitle(issueData);
+
+  return {
+    branch: getBranchName(issueData),
+    baseBranch: getBaseBranch(issueData, options),
+    title,
+    body: buildBody(generation, issueData),
+    draft: options.draft !== undefined ? options.draft : Boolean(settings.defaultAsDraft),
+    labels: [...new Set([...(settings.addLabels || []), ...(options.labels || [])])],
+    commitMessage: `${title}\n\nFixes #${issueData.number}\n\n${buildIssueTrailer(issueData)}`
+  };
+}
+
+/**
+ * Check that a resolver branch can be rebuilt from the base branch
+ *
+ * Rebuilding replaces what is on the branch, so it is only done while the
+ * head is the resolver's own fix commit for the issue, recognised by its
+ * trailer rather than by the title, which may have changed since. Anything
+ * pushed on top of it, review follow-ups included, would be lost.
+ *
+ * @private
+ * @param {Object} issueData - Issue data
+ * @param {string} branch - Resolver branch
+ * @param {string} head - Head commit of the branch
+ * @throws {Error} - When the branch head is a commit the resolver did not make as a fix
+ */
+async function assertRebuildable(issueData, branch, head) {
+  const { owner, repo } = issueData;
+  const { data: commit } = await githubModule.request('get', `/repos/${owner}/${repo}/git/commits/${head}`);
+  const trailer = buildIssueTrailer(issueData).toLowerCase();
+  const lines = (commit.message || '').split('\n').map(line => line.trim().toLowerCase());
+  if (!lines.includes(trailer)) {
+    const subject = (commit.message || '').split('\n')[0];
+    throw new Error(`Branch ${branch} has commits on top of the resolver's fix (head ${head.slice(0, 7)}: "${subject}"); delete the branch to start over or address its review instead`);
+  }
+}
+
+/**
+ * Create or update the pull request for generated changes
+ *
+ * An existing resolver branch is rebuilt from the base branch, unless it
+ * holds commits made after the resolver's fix.
+ *
+ * @param {Object} generation - Result of `generateAndValidateCode`
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @param {Object} [options] - Pull request options from the trigger, see `planPullRequest`
+ * @returns {Promise<Object>} - Pull request URL, number, branch and whether it was updated
+ */
+async function createPullRequest(generation, issueData, options = {}) {
+  const { owner, repo } = issueData;
+  const { branch, baseBranch, title, body, draft, labels, commitMessage } = planPullRequest(generation, issueData, options);
+
+  const baseSha = await getBranchHead(owner, repo, baseBranch);
+  if (!baseSha) {
+    throw new Error(`Base branch ${baseBranch} not found in ${owner}/${repo}`);
+  }
+
+  const existingHead = await getBranchHead(owner, repo, branch);
+  if (existingHead) {
+    await assertRebuildable(issueData, branch, existingHead);
+  }
+  const commitSha = await commitChanges(owner, repo, generation.codeChanges, baseSha, existingHead || baseSha, commitMessage);
+
+  if (existingHead) {
+    logger.info(`Updating existing branch ${branch}`);
+    await githubModule.request('patch', `/repos/${owner}/${repo}/git/refs/heads/${branch}`, {
+      data: { sha: commitSha, force: false }
+    });
+  } else {
+    logger.info(`Creating branch ${branch} from ${baseBranch}`);
+    await githubModule.request('post', `/repos/${owner}/${repo}/git/refs`, {
+      data: { ref: `refs/heads/${branch}`, sha: commitSha }
+    });
+  }
+
+  const { data: openPulls } = await githubModule.request('get', `/repos/${owner}/${repo}/pulls`, {
+    params: { head: `${owner}:${branch}`, state: 'open' }
+  });
+
+  let pull;
+  if (openPulls.length > 0) {
+    ({ data: pull } = await githubModule.request('patch', `/repos/${owner}/${repo}/pulls/${openPulls[0].number}`, {
+      data: { title, body, base: baseBranch }
+    }));
+    logger.info(`Updated pull request #${pull.number}`);
+  } else {
+    ({ data: pull } = await githubModule.request('post', `/repos/${owner}/${repo}/pulls`, {
+      data: { title, body, head: branch, base: baseBranch, draft }
+    }));
+    logger.info(`Opened pull request #${pull.number}`);
+  }
+
+  if (labels.length > 0) {
+    await githubModule.request('post', `/repos/${owner}/${repo}/issues/${pull.number}/labels`, {
+      data: { labels }
+    });
+  }
+
+  return {
+    pullRequestUrl: pull.html_url,
+    pullRequestNumber: pull.number,
+    branch,
+    baseBranch,
+    commitSha,
+    draft: Boolean(pull.draft),
+    updated: openPulls.length > 0
+  };
+}
+
+/**
+ * Push changes as a new commit on top of an existing branch
+ *
+ * Unlike `createPullRequest`, the commit keeps everything already on the
+ * branch, since the changes were generated against its head.
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch to push to
+ * @param {Array} codeChanges - Changes to commit
+ * @param {string} message - Commit message
+ * @param {string} [expectedHead] - Head the changes were generated against; the push fails when the branch moved since
+ * @returns {Promise<string>} - New commit SHA
+ */
+async function pushChanges(owner, repo, branch, codeChanges, message, expectedHead) {
+  const head = await getBranchHead(owner, repo, branch);
+  if (!head) {
+    throw new Error(`Branch ${branch} not found in ${owner}/${repo}`);
+  }
+  if (expectedHead && head !== expectedHead) {
+    throw new Error(`Branch ${branch} moved from ${expectedHead.slice(0, 7)} to ${head.slice(0, 7)} while the changes were generated`);
+  }
+
+  const commitSha = await commitChanges(owner, repo, codeChanges, head, head, message);
+  await githubModule.request('patch', `/repos/${owner}/${repo}/git/refs/heads/${branch}`, {
+    data: { sha: commitSha, force: false }
+  });
+  logger.info(`Pushed ${commitSha.slice(0, 7)} to ${branch}`);
+  return commitSha;
+}
+
+module.exports = {
+  BRANCH_PREFIX,
+  getBranchName,
+  getBaseBranch,
+  buildTitle,
+  buildBody,
+  planPullRequest,
+  createPullRequest,
+  pushChanges
+};
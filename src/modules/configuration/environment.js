@@ -0,0 +1,200 @@
+/**
+ * Configuration Environment Variables
+ *
+ * Maps every setting in the configuration schema to an
+ * OPENHANDS_<SECTION>_<KEY> environment variable, e.g. pullRequest.addLabels
+ * to OPENHANDS_PULL_REQUEST_ADD_LABELS, and coerces values to the type the
+ * schema expects. The older short names are still read as aliases.
+ */
+
+const { configSchema, validateAgainstSchema } = require('./schema');
+
+// Prefix of the systematic variable names
+const ENV_PREFIX = 'OPENHANDS_';
+
+// Earlier variable names and the settings they set; OPENHANDS_ names win
+const ENV_ALIASES = {
+  GITHUB_API_URL: ['github.apiUrl'],
+  AI_PROVIDER: ['ai.provider'],
+  AI_API_URL: ['ai.apiUrl'],
+  AI_SCRIPT_PATH: ['ai.scriptPath'],
+  AI_MODEL: ['ai.model'],
+  AI_TEMPERATURE: ['ai.temperature'],
+  AI_MAX_TOKENS: ['ai.maxTokens'],
+  PR_AS_DRAFT: ['pullRequest.defaultAsDraft'],
+  DRY_RUN: ['resolution.dryRun'],
+  JOB_STORE_PATH: ['jobs.storePath'],
+  MAX_CONCURRENT_ISSUES: ['batch.maxConcurrent'],
+  LOG_LEVEL: ['logging.level'],
+  DEBUG_MODE: ['debug.enabled', 'debug.verboseLogging']
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Convert a camelCase name to UPPER_SNAKE_CASE
+ *
+ * @private
+ * @param {string} name - e.g. maxRateLimitWait
+ * @returns {string} - e.g. MAX_RATE_LIMIT_WAIT
+ */
+function toSnakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Describe the type of a setting for the listing
+ *
+ * @private
+ * @param {Object} schema - Property schema
+ * @returns {string} - Type name
+ */
+function describeType(schema) {
+  if (schema.enum) return `one of ${schema.enum.join('|')}`;
+  if (schema.type === 'array') return 'comma-separated list';
+  if (schema.type === 'object') return 'comma-separated key=value pairs';
+  return schema.type;
+}
+
+/**
+ * Get every setting with its variable name and schema
+ *
+ * @private
+ * @returns {Array<Object>} - `name`, dotted `key` and property `schema`
+ */
+function settings() {
+  const result = [];
+  for (const [section, sectionSchema] of Object.entries(configSchema.properties)) {
+    for (const [key, schema] of Object.entries(sectionSchema.properties)) {
+      result.push({ name: `${ENV_PREFIX}${toSnakeCase(section)}_${toSnakeCase(key)}`, key: `${section}.${key}`, schema });
+    }
+  }
+  return result;
+}
+
+/**
+ * Coerce a variable's text to the type a setting expects
+ *
+ * @private
+ * @param {string} raw - Variable value
+ * @param {Object} schema - Property schema
+ * @returns {*} - Coerced value
+ * @throws {Error} - When the text is not a value of that type
+ */
+function coerce(raw, schema) {
+  const text = raw.trim();
+
+  if (schema.type === 'integer') {
+    if (!/^-?\d+$/.test(text)) throw new Error('must be an integer');
+    return parseInt(text, 10);
+  }
+  if (schema.type === 'number') {
+    const number = Number(text);
+    if (text === '' || !Number.isFinite(number)) throw new Error('must be a number');
+    return number;
+  }
+  if (schema.type === 'boolean') {
+    if (TRUE_VALUES.includes(text.toLowerCase())) return true;
+    if (FALSE_VALUES.includes(text.toLowerCase())) return false;
+    throw new Error(`must be one of ${[...TRUE_VALUES, ...FALSE_VALUES].join(', ')}`);
+  }
+  if (schema.type === 'array') {
+    return text.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (schema.type === 'object') {
+    const entries = text.split(',').map(item => item.trim()).filter(Boolean).map((pair) => {
+      const separator = pair.indexOf('=');
+      if (separator < 1) throw new Error(`must be key=value pairs, got ${JSON.stringify(pair)}`);
+      const value = pair.slice(separator + 1).trim();
+      return [pair.slice(0, separator).trim(), coerce(value, schema.additionalProperties || {})];
+    });
+    return Object.fromEntries(entries);
+  }
+  return raw;
+}
+
+/**
+ * Read settings from environment variables
+ *
+ * Each value is coerced and checked against the schema on its own so that
+ * problems name the variable that caused them.
+ *
+ * @param {Object} [env] - Variables to read, defaults to `process.env`
+ * @returns {Object} - `values` as a partial configuration, `sources` mapping
+ *   dotted keys to variable names, `errors` and `warnings`
+ */
+function readEnvironment(env = process.env) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  const warnings = [];
+  const byKey = new Map(settings().map(setting => [setting.key, setting]));
+
+  const apply = (name, key) => {
+    const { schema } = byKey.get(key);
+    const [section, field] = key.split('.');
+    try {
+      const value = coerce(env[name], schema);
+      const validation = validateAgainstSchema({ [section]: { [field]: value } });
+      if (!validation.valid) {
+        throw new Error(validation.errors.map(error => error.replace(`${key} `, '')).join(', '));
+      }
+      values[section] = { ...values[section], [field]: value };
+      sources[key] = name;
+    } catch (error) {
+      errors.push(`${name}=${JSON.stringify(env[name])} ${error.message}`);
+    }
+  };
+
+  // Aliases first so that the systematic names override them
+  for (const [name, keys] of Object.entries(ENV_ALIASES)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      keys.forEach(key => apply(name, key));
+    }
+  }
+  for (const { name, key } of byKey.values()) {
+    if (env[name] !== undefined) {
+      apply(name, key);
+    }
+  }
+
+  // Point out typos in prefixed names, which would otherwise be ignored
+  // silently; only a warning, since the prefix is also free for secrets
+  // named by settings such as credentials.ownerTokens
+  const known = new Set([...byKey.values()].map(setting => setting.name));
+  for (const name of Object.keys(env)) {
+    if (name.startsWith(ENV_PREFIX) && !known.has(name)) {
+      warnings.push(`${name} is not a known setting and was ignored`);
+    }
+  }
+
+  return { values, sources, errors, warnings };
+}
+
+/**
+ * List the environment variables for every setting
+ *
+ * @param {Object} [defaults] - Default configuration, to include default values
+ * @returns {Array<Object>} - `name`, `key`, `type`, `description`, `aliases`
+ *   and, with defaults, `default`
+ */
+function listEnvironmentVariables(defaults) {
+  return settings().map(({ name, key, schema }) => {
+    const [section, field] = key.split('.');
+    return {
+      name,
+      key,
+      type: describeType(schema),
+      description: schema.description || '',
+      aliases: Object.keys(ENV_ALIASES).filter(alias => ENV_ALIASES[alias].includes(key)),
+      ...(defaults && defaults[section] ? { default: defaults[section][field] } : {})
+    };
+  });
+}
+
+module.exports = {
+  ENV_PREFIX,
+  readEnvironment,
+  listEnvironmentVariables
+};
@@ -5,31 +5,56 @@
  */
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const yaml = require('js-yaml');
+const { validateAgainstSchema } = require('./schema');
+const environment = require('./environment');
+const { redact } = require('../../utils/redact');
 const logger = require('../../utils/logger');
 
 // Default configuration values
 const defaultConfig = {
   // GitHub API settings
   github: {
+    apiUrl: 'https://api.github.com',
+    hosts: ['github.com'], // Hosts accepted in issue URLs, the first is used for owner/repo#N references
     timeout: 10000, // 10 seconds
     maxRetries: 3,
-    maxConcurrent: 5
+    maxConcurrent: 5,
+    retryBaseDelay: 1000, // first backoff step, doubled per retry
+    retryMaxDelay: 30000,
+    maxRateLimitWait: 900000, // give up if the rate limit resets later than 15 minutes
+    maxRateLimitRetries: 3 // rate-limit pauses a single request waits out before failing
   },
   
   // AI model settings
   ai: {
+    provider: 'anthropic', // 'anthropic', 'openai', 'local' or 'scripted'
+    apiUrl: '', // Provider default when empty
+    apiKeyEnvName: 'ANTHROPIC_API_KEY',
+    timeout: 120000, // 2 minutes
+    scriptPath: '', // Responses replayed by the scripted provider
     model: 'claude-3-opus-20240229',
     temperature: 0.2,
     maxTokens: 4000,
-    systemMessage: 'You are OpenHands, an AI agent designed to resolve GitHub issues by generating code fixes.'
+    systemMessage: 'You are OpenHands, an AI agent designed to resolve GitHub issues by generating code fixes.',
+    candidates: 1, // Patches generated per issue; the best validated one is used
+    candidateModels: [], // Cycled through per candidate, the model above when empty
+    candidateStrategies: ['default', 'minimal', 'root-cause', 'with-test'], // Prompt approaches cycled through per candidate
+    candidateTemperatureStep: 0.2 // Added to the temperature for each further candidate, up to 1
   },
   
   // Task configuration
   task: {
     maxContextSnippets: 10,
     maxFileSize: 100000, // 100KB max per file
-    prioritizeErrorContext: true
+    maxContextSize: 400000, // 400KB max across all snippets
+    prioritizeErrorContext: true,
+    repoSource: 'api', // 'api', 'clone' or 'local'
+    localRepoPath: '',
+    workspaceDir: path.join(os.tmpdir(), 'openhands-resolver')
   },
   
   // PR creation settings
@@ -41,6 +66,83 @@ const defaultConfig = {
     createCheckList: true
   },
   
+  // Resolution settings
+  resolution: {
+    dryRun: false // Stop before anything is written to GitHub and return the plan instead
+  },
+  
+  // Follow-up on review comments left on the resolver's pull requests
+  review: {
+    label: 'ai-assisted', // Pull requests carrying it are handled even when not on a resolver branch
+    includeOutdated: false, // Also address threads on lines the pull request has since changed
+    replyToThreads: true
+  },
+  
+  // Classification and feasibility scoring before a fix is attempted
+  triage: {
+    enabled: true,
+    minScore: 0.5, // Issues scoring below it get a request for more information instead of a fix
+    minRepoScore: 0.8, // Repository-wide runs leave issues scoring below it alone
+    skipCategories: ['question', 'duplicate'],
+    orderBatches: true // Most feasible issues first in batch and repository-wide runs
+  },
+  
+  // HTTP listener turning GitHub webhook deliveries into resolutions
+  webhook: {
+    enabled: false, // Started next to the MCP server, or on its own with `npm run webhook`
+    host: '127.0.0.1',
+    port: 3200,
+    path: '/webhook',
+    secretEnvName: 'GITHUB_WEBHOOK_SECRET',
+    triggerLabel: 'fix-me',
+    resolveCommand: '@openhands resolve',
+    reviewStates: ['changes_requested'], // Submitted reviews that start a review follow-up
+    allowedAssociations: ['OWNER', 'MEMBER', 'COLLABORATOR'], // Who may trigger with a comment or review
+    maxBodyBytes: 5242880, // 5MB
+    rememberedDeliveries: 1000 // Delivery IDs kept to recognise redeliveries
+  },
+  
+  // Persistent job store
+  jobs: {
+    enabled: true,
+    storePath: '' // ~/.openhands-resolver/jobs.jsonl when empty
+  },
+  
+  // Model usage accounting; budgets of 0 are unlimited
+  usage: {
+    ledgerPath: '', // ~/.openhands-resolver/usage.jsonl when empty
+    maxIssueTokens: 0,
+    maxIssueCostUsd: 0,
+    maxBatchTokens: 0,
+    maxBatchCostUsd: 0,
+    maxDailyTokens: 0, // Over the last 24 hours, across every run on this machine
+    maxDailyCostUsd: 0,
+    // USD per million tokens, keyed by model name prefix; the longest matching prefix wins
+    inputPrices: {
+      'claude-3-opus': 15,
+      'claude-3-sonnet': 3,
+      'claude-3-5-sonnet': 3,
+      'claude-3-haiku': 0.25,
+      'claude-3-5-haiku': 0.8,
+      'gpt-4o': 2.5,
+      'gpt-4o-mini': 0.15
+    },
+    outputPrices: {
+      'claude-3-opus': 75,
+      'claude-3-sonnet': 15,
+      'claude-3-5-sonnet': 15,
+      'claude-3-haiku': 1.25,
+      'claude-3-5-haiku': 4,
+      'gpt-4o': 10,
+      'gpt-4o-mini': 0.6
+    }
+  },
+  
+  // Issue feedback settings
+  feedback: {
+    postComments: true
+  },
+  
   // Security settings
   security: {
     tokenEnvName: 'GITHUB_TOKEN',
@@ -48,53 +150,278 @@ const defaultConfig = {
     allowedFileTypes: ['.js', '.jsx', '.ts', '.tsx', '.py', '.rb', '.java', '.go', '.php', '.c', '.cpp', '.h', '.cs', '.md', '.txt', '.json', '.yml', '.yaml']
   },
   
+  // Safety policy for generated changes; globs match like .gitignore patterns
+  policy: {
+    allowPaths: [], // When set, only matching paths may change
+    denyPaths: ['.env', '.env.*', '*.pem', '*.key', '*.p12', 'id_rsa*', '.npmrc', '.pypirc'],
+    protectedPaths: [
+      '.github/workflows/', '.github/actions/', 'CODEOWNERS', '.gitattributes', '.gitmodules', '.openhands/',
+      'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'Gemfile.lock', 'poetry.lock', 'Pipfile.lock',
+      'Cargo.lock', 'go.sum', 'composer.lock'
+    ],
+    maxFilesChanged: 20,
+    maxLinesChanged: 1000,
+    blockBinary: true,
+    blockSymlinks: true,
+    scanSecrets: true
+  },
+  
+  // GitHub credentials beyond the default token in `security.tokenEnvName`
+  credentials: {
+    ownerTokens: {}, // owner -> environment variable holding a personal access token for that owner
+    appId: '', // GitHub App used for installation tokens, preferred over personal access tokens
+    appPrivateKeyPath: '',
+    appPrivateKeyEnvName: 'GITHUB_APP_PRIVATE_KEY',
+    appInstallations: {} // owner -> installation ID, looked up through the API when missing
+  },
+  
+  // Validation of generated changes
+  validation: {
+    maxRepairIterations: 2,
+    runProjectChecks: true,
+    lintCommand: '', // Detected from the repository when empty
+    testCommand: '', // Detected from the repository when empty
+    installCommand: '', // Run once per task in repositories read through the API, e.g. 'npm ci --ignore-scripts'
+    timeout: 300000, // 5 minutes per command
+    maxMemoryMb: 2048,
+    maxWorktreeFiles: 2000
+  },
+  
   // Batch processing limits
   batch: {
     maxConcurrent: 3,
-    maxIssuesPerBatch: 10
+    maxIssuesPerBatch: 10,
+    maxRepoIssues: 10
+  },
+  
+  // Log sinks; files are written as JSON lines
+  logging: {
+    level: 'info',
+    console: true, // stderr when serving MCP over stdio
+    consoleFormat: 'text', // 'text' or 'json'
+    file: '',
+    rotateFile: '',
+    rotateMaxBytes: 10485760, // 10MB
+    rotateMaxFiles: 5,
+    mcpNotifications: true, // Forward log lines to the MCP client as logging notifications
+    mcpLevel: 'warn'
   },
   
   // Debug settings
   debug: {
     enabled: false,
-    saveResponses: false,
+    saveResponses: false, // Record model and GitHub exchanges of each resolution to a cassette
+    cassetteDir: '', // ~/.openhands-resolver/cassettes when empty
     verboseLogging: false
   }
 };
 
-// Current configuration
-let currentConfig = { ...defaultConfig };
+// Configuration file committed in a target repository
+const REPO_CONFIG_PATH = '.openhands/resolver.yml';
+
+// Settings a repository file may not change, since they decide where
+// credentials are sent, which local paths and programs are used, which
+// commands run on this machine and with what limits, how strict the safety
+// policy is, which pull requests the resolver may push to, how much it may
+// spend or what the model is instructed to do
+const REPO_LAYER_FORBIDDEN = [
+  'github',
+  'security',
+  'credentials',
+  'policy.allowPaths',
+  'policy.denyPaths',
+  'policy.protectedPaths',
+  'policy.maxFilesChanged',
+  'policy.maxLinesChanged',
+  'policy.blockBinary',
+  'policy.blockSymlinks',
+  'policy.scanSecrets',
+  'validation',
+  'review.label',
+  'jobs',
+  'usage',
+  'webhook',
+  'logging',
+  'debug',
+  'ai.provider',
+  'ai.apiUrl',
+  'ai.apiKeyEnvName',
+  'ai.scriptPath',
+  'ai.model',
+  'ai.maxTokens',
+  'ai.systemMessage',
+  'ai.candidates',
+  'ai.candidateModels',
+  'task.repoSource',
+  'task.localRepoPath',
+  'task.workspaceDir'
+];
+
+// Global layers in precedence order, lowest first: defaults, user file,
+// environment and runtime updates. Repository and invocation layers are
+// added per resolution by `withConfigLayers`.
+let layers = createBaseLayers();
+
+// Merged global configuration
+let currentConfig = buildConfig(layers).config;
+
+// Configuration scoped to the resolution running in the current async context
+const scope = new AsyncLocalStorage();
+
+/**
+ * Create the layers of a freshly reset configuration
+ *
+ * @private
+ * @returns {Array<Object>} - Default and empty runtime layers
+ */
+function createBaseLayers() {
+  return [
+    { name: 'defaults', values: structuredClone(defaultConfig) },
+    { name: 'runtime', values: {} }
+  ];
+}
+
+/**
+ * Set a value at a dotted path, creating objects on the way
+ *
+ * @private
+ * @param {Object} target - Object to change
+ * @param {string} key - Dotted path, e.g. 'ai.temperature'
+ * @param {*} value - Value to set
+ */
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  let current = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!current[part] || typeof current[part] !== 'object') current[part] = {};
+    current = current[part];
+  }
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Remove the value at a dotted path
+ *
+ * @private
+ * @param {Object} target - Object to change
+ * @param {string} key - Dotted path
+ * @returns {boolean} - Whether a value was removed
+ */
+function deletePath(target, key) {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((current, part) => (current && typeof current === 'object' ? current[part] : undefined), target);
+  const last = parts[parts.length - 1];
+  if (!parent || typeof parent !== 'object' || !(last in parent)) return false;
+  delete parent[last];
+  return true;
+}
+
+/**
+ * Merge layers into a configuration, remembering which layer set each value
+ *
+ * Objects merge key by key; arrays and scalars replace the lower layer's value.
+ *
+ * @private
+ * @param {Array<Object>} layerList - Layers, lowest precedence first
+ * @returns {Object} - `config` and `sources` mapping dotted paths to layer names
+ */
+function buildConfig(layerList) {
+  const config = {};
+  const sources = {};
+
+  function merge(target, source, layerName, prefix) {
+    for (const [key, value] of Object.entries(source)) {
+      const dotted = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) target[key] = {};
+        merge(target[key], value, layerName, dotted);
+      } else {
+        target[key] = structuredClone(value);
+        sources[dotted] = layerName;
+      }
+    }
+  }
+
+  for (const layer of layerList) {
+    merge(config, layer.values || {}, layer.name, '');
+  }
+
+  return { config, sources };
+}
+
+/**
+ * Validate a single layer and throw with the layer named in the message
+ *
+ * @private
+ * @param {Object} layer - Layer with `name`, optional `source` and `values`
+ */
+function assertLayerValid(layer) {
+  const validation = validateConfig(layer.values);
+  if (!validation.valid) {
+    const origin = layer.source ? `${layer.name} (${layer.source})` : layer.name;
+    throw new Error(`Invalid ${origin} configuration: ${validation.errors.join('; ')}`);
+  }
+}
+
+/**
+ * Recompute the global configuration from its layers
+ *
+ * @private
+ */
+function rebuild() {
+  currentConfig = buildConfig(layers).config;
+}
+
+/**
+ * Get the configuration in effect for the current async context
+ *
+ * @private
+ * @returns {Object} - Scoped configuration of a running resolution or the global one
+ */
+function activeConfig() {
+  const scoped = scope.getStore();
+  return scoped ? scoped.config : currentConfig;
+}
 
 /**
  * Initialize the configuration module
  * 
- * @param {string} [configPath] - Path to configuration file
+ * Layers, lowest precedence first: defaults, the user file, environment
+ * variables and runtime updates. Each layer is validated on its own and the
+ * merged result again.
+ * 
+ * @param {string} [configPath] - Path to a JSON, YAML or CommonJS configuration file
  * @returns {Promise<boolean>} - Success status
  */
 async function initialize(configPath) {
   try {
     logger.info('Initializing configuration module');
     
-    // Start with default config
-    currentConfig = { ...defaultConfig };
+    const nextLayers = [{ name: 'defaults', values: structuredClone(defaultConfig) }];
     
-    // If configuration path is provided, load and merge it
+    // If configuration path is provided, load it as the user layer
     if (configPath) {
-      const loadedConfig = await loadConfigFromFile(configPath);
-      mergeConfig(loadedConfig);
+      const userLayer = { name: 'user', source: configPath, values: await loadConfigFromFile(configPath) };
+      assertLayerValid(userLayer);
+      nextLayers.push(userLayer);
       logger.debug('Loaded configuration from file');
     }
     
     // Load from environment
-    loadFromEnvironment();
+    const envLayer = { name: 'env', values: loadFromEnvironment() };
+    assertLayerValid(envLayer);
+    nextLayers.push(envLayer, { name: 'runtime', values: {} });
     logger.debug('Applied environment configuration');
     
-    // Validate the configuration
-    const validation = validateConfig(currentConfig);
+    // Validate the merged configuration
+    const merged = buildConfig(nextLayers).config;
+    const validation = validateConfig(merged);
     if (!validation.valid) {
-      throw new Error(`Configuration validation failed: ${validation.errors.join(', ')}`);
+      throw new Error(`Configuration validation failed: ${validation.errors.join('; ')}`);
     }
     
+    layers = nextLayers;
+    currentConfig = merged;
     logger.info('Configuration module initialized successfully');
     return true;
   } catch (error) {
@@ -103,6 +430,30 @@ async function initialize(configPath) {
   }
 }
 
+/**
+ * Parse configuration file content by its file name
+ * 
+ * @param {string} content - File content
+ * @param {string} fileName - File name deciding the format, .json, .yml or .yaml
+ * @returns {Object} - Parsed configuration, empty for an empty file
+ */
+function parseConfigContent(content, fileName) {
+  let parsed;
+  if (/\.ya?ml$/i.test(fileName)) {
+    parsed = yaml.load(content, { filename: fileName });
+  } else if (/\.json$/i.test(fileName)) {
+    parsed = JSON.parse(content);
+  } else {
+    throw new Error(`Unsupported configuration file type: ${fileName}`);
+  }
+  
+  if (parsed === undefined || parsed === null) return {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Configuration in ${fileName} must be a mapping of sections`);
+  }
+  return parsed;
+}
+
 /**
  * Load configuration from file
  * 
@@ -118,27 +469,26 @@ async function loadConfigFromFile(configPath) {
       throw new Error(`Configuration path is not a file: ${configPath}`);
     }
     
-    // Read the file content
-    const content = await fs.readFile(configPath, 'utf-8');
-    
-    // Determine file type and parse accordingly
-    if (configPath.endsWith('.json')) {
-      return JSON.parse(content);
-    } else if (configPath.endsWith('.js')) {
+    if (configPath.endsWith('.js')) {
       // For JS files, use require (note: this is not async-safe)
       return require(path.resolve(configPath));
-    } else {
-      throw new Error(`Unsupported configuration file type: ${configPath}`);
     }
+    
+    return parseConfigContent(await fs.readFile(configPath, 'utf-8'), configPath);
   } catch (error) {
     throw new Error(`Failed to load configuration from ${configPath}: ${error.message}`);
   }
 }
 
 /**
- * Load configuration from environment variables
+ * Read the environment layer
+ * 
+ * Every setting can be set with an OPENHANDS_<SECTION>_<KEY> variable, see
+ * `listEnvironmentVariables`.
  * 
  * @private
+ * @returns {Object} - Settings taken from environment variables
+ * @throws {Error} - When a variable has an invalid value
  */
 function loadFromEnvironment() {
   // GitHub token
@@ -148,119 +498,119 @@ function loadFromEnvironment() {
     logger.warn('No GitHub token found in environment, API calls may fail');
   }
   
-  // AI Model configuration
-  if (process.env.AI_MODEL) {
-    currentConfig.ai.model = process.env.AI_MODEL;
-  }
-  
-  if (process.env.AI_TEMPERATURE) {
-    const temp = parseFloat(process.env.AI_TEMPERATURE);
-    if (!isNaN(temp)) {
-      currentConfig.ai.temperature = temp;
-    }
-  }
-  
-  if (process.env.AI_MAX_TOKENS) {
-    const tokens = parseInt(process.env.AI_MAX_TOKENS, 10);
-    if (!isNaN(tokens)) {
-      currentConfig.ai.maxTokens = tokens;
-    }
-  }
-  
-  // Debug configuration
-  if (process.env.DEBUG_MODE === 'true') {
-    currentConfig.debug.enabled = true;
-    currentConfig.debug.verboseLogging = true;
-  }
-  
-  // PR configuration
-  if (process.env.PR_AS_DRAFT === 'false') {
-    currentConfig.pullRequest.defaultAsDraft = false;
+  const { values, sources, errors, warnings } = environment.readEnvironment(process.env);
+  if (errors.length > 0) {
+    throw new Error(`Invalid environment configuration: ${errors.join('; ')}`);
   }
+  warnings.forEach(warning => logger.warn(warning));
   
-  // Batch configuration
-  if (process.env.MAX_CONCURRENT_ISSUES) {
-    const max = parseInt(process.env.MAX_CONCURRENT_ISSUES, 10);
-    if (!isNaN(max)) {
-      currentConfig.batch.maxConcurrent = max;
-    }
+  for (const [key, name] of Object.entries(sources)) {
+    logger.debug(`Setting ${key} from ${name}`);
   }
+  return values;
 }
 
 /**
- * Merge new configuration with existing config
+ * Drop settings a repository file may not change
  * 
  * @private
- * @param {Object} newConfig - New configuration to merge
+ * @param {Object} values - Parsed repository configuration
+ * @param {string} source - Where the file came from, for the warning
+ * @returns {Object} - Copy of the values without forbidden settings
  */
-function mergeConfig(newConfig) {
-  if (!newConfig) return;
-  
-  // Deep merge objects
-  function deepMerge(target, source) {
-    for (const key in source) {
-      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-        if (!target[key]) target[key] = {};
-        deepMerge(target[key], source[key]);
-      } else {
-        target[key] = source[key];
-      }
+function filterRepositoryLayer(values, source) {
+  const filtered = structuredClone(values);
+  for (const key of REPO_LAYER_FORBIDDEN) {
+    if (deletePath(filtered, key)) {
+      logger.warn(`Ignoring ${key} in ${source}: it cannot be set by a repository`);
     }
   }
-  
-  deepMerge(currentConfig, newConfig);
+  return filtered;
 }
 
 /**
- * Validate the configuration
+ * Build the layers for one resolution
  * 
  * @private
- * @param {Object} config - Configuration to validate
- * @returns {Object} - Validation result with valid flag and errors
+ * @param {Object} [extra] - Extra layers
+ * @param {Object} [extra.repository] - `source` and `values` of the repository's configuration file
+ * @param {Object} [extra.overrides] - Per-invocation overrides
+ * @returns {Array<Object>} - Layers, lowest precedence first
  */
-function validateConfig(config) {
-  const errors = [];
-  
-  // Validate AI model settings
-  if (!config.ai || !config.ai.model) {
-    errors.push('AI model not defined');
-  }
-  
-  if (config.ai.temperature < 0 || config.ai.temperature > 1) {
-    errors.push('AI temperature must be between 0 and 1');
-  }
-  
-  if (config.ai.maxTokens < 100 || config.ai.maxTokens > 10000) {
-    errors.push('AI maxTokens must be between 100 and 10000');
-  }
-  
-  // Validate batch processing settings
-  if (config.batch.maxConcurrent < 1) {
-    errors.push('Batch maxConcurrent must be at least 1');
+function scopedLayers(extra = {}) {
+  const result = [];
+  for (const layer of layers) {
+    if (layer.name === 'env' && extra.repository) {
+      result.push({
+        name: 'repository',
+        source: extra.repository.source,
+        values: filterRepositoryLayer(extra.repository.values, extra.repository.source)
+      });
+    }
+    result.push(layer);
   }
-  
-  if (config.batch.maxIssuesPerBatch < 1) {
-    errors.push('Batch maxIssuesPerBatch must be at least 1');
+  if (extra.overrides && Object.keys(extra.overrides).length > 0) {
+    result.push({ name: 'invocation', values: extra.overrides });
   }
-  
-  // Validate security settings
-  if (!config.security.tokenEnvName) {
-    errors.push('Security tokenEnvName not defined');
+  result.forEach(assertLayerValid);
+  return result;
+}
+
+/**
+ * Run a function with repository and invocation layers applied
+ * 
+ * Everything the function calls, including across awaits, sees the scoped
+ * configuration through `getConfig` and `getConfigSection`, so concurrent
+ * resolutions of different repositories do not interfere.
+ * 
+ * @param {Object} extra - Extra layers, see `getEffectiveConfig`
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} - Result of the function
+ */
+async function withConfigLayers(extra, fn) {
+  const { config } = buildConfig(scopedLayers(extra));
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    throw new Error(`Configuration validation failed: ${validation.errors.join('; ')}`);
   }
-  
+  return scope.run({ config }, fn);
+}
+
+/**
+ * Get the effective configuration and the layer that set each value
+ * 
+ * @param {Object} [extra] - Extra layers
+ * @param {Object} [extra.repository] - `source` and `values` of the repository's configuration file
+ * @param {Object} [extra.overrides] - Per-invocation overrides
+ * @returns {Object} - `config`, `sources` keyed by dotted path and the applied `layers`
+ */
+function getEffectiveConfig(extra = {}) {
+  const layerList = scopedLayers(extra);
+  const { config, sources } = buildConfig(layerList);
   return {
-    valid: errors.length === 0,
-    errors
+    config,
+    sources,
+    layers: layerList.map(layer => ({ name: layer.name, ...(layer.source ? { source: layer.source } : {}) }))
   };
 }
 
+/**
+ * Validate the configuration
+ * 
+ * @param {Object} config - Configuration, or a partial layer, to validate
+ * @returns {Object} - Validation result with valid flag and errors
+ */
+function validateConfig(config) {
+  return validateAgainstSchema(config);
+}
+
 /**
  * Get the entire current configuration
  * 
- * @returns {Object} - Current configuration
+ * @returns {Object} - Copy of the configuration in effect
  */
 function getConfig() {
-  return { ...currentConfig };
+  return structuredClone(activeConfig());
 }
 
 /**
@@ -270,34 +620,33 @@ function getConfig() {
  * @returns {Object|null} - Configuration section or null if not found
  */
 function getConfigSection(section) {
-  return currentConfig[section] ? { ...currentConfig[section] } : null;
+  const config = activeConfig();
+  return config[section] ? structuredClone(config[section]) : null;
 }
 
 /**
  * Update a specific configuration value
  * 
+ * The value is kept in the runtime layer; updates that would make the
+ * configuration invalid are rejected.
+ * 
  * @param {string} key - Dot-notation key to update (e.g., 'ai.temperature')
  * @param {any} value - New value
  * @returns {boolean} - Success status
  */
 function updateConfig(key, value) {
   try {
-    // Split key by dots to traverse the object
-    const parts = key.split('.');
-    let current = currentConfig;
+    const runtime = layers.find(layer => layer.name === 'runtime');
+    const candidate = structuredClone(runtime.values);
+    setPath(candidate, key, value);
     
-    // Navigate to the right level
-    for (let i = 0; i < parts.length - 1; i++) {
-      const part = parts[i];
-      if (!current[part]) {
-        current[part] = {};
-      }
-      current = current[part];
+    const validation = validateConfig(buildConfig(layers.map(layer => (layer === runtime ? { ...layer, values: candidate } : layer))).config);
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
     }
     
-    // Set the value
-    current[parts[parts.length - 1]] = value;
-    
+    runtime.values = candidate;
+    rebuild();
     logger.debug(`Updated configuration: ${key} = ${JSON.stringify(value)}`);
     return true;
   } catch (error) {
@@ -309,13 +658,13 @@ function updateConfig(key, value) {
 /**
  * Save the current configuration to a file
  * 
- * @param {string} filePath - Path to save the configuration
+ * @param {string} filePath - Path to save the configuration, written as YAML for .yml or .yaml
  * @returns {Promise<boolean>} - Success status
  */
 async function saveConfigToFile(filePath) {
   try {
-    // Filter out sensitive information
-    const configToSave = { ...currentConfig };
+    // Work on a deep copy so the live configuration is never changed
+    const configToSave = redact(structuredClone(currentConfig));
     
     // Remove any sensitive security information
     if (configToSave.security) {
@@ -323,11 +672,13 @@ async function saveConfigToFile(filePath) {
       delete configToSave.security.credentials;
     }
     
-    // Create the JSON string with pretty formatting
-    const configJson = JSON.stringify(configToSave, null, 2);
+    // Serialize in the format the file name asks for
+    const content = /\.ya?ml$/i.test(filePath)
+      ? yaml.dump(configToSave)
+      : JSON.stringify(configToSave, null, 2);
     
     // Write to file
-    await fs.writeFile(filePath, configJson, 'utf-8');
+    await fs.writeFile(filePath, content, 'utf-8');
     
     logger.info(`Configuration saved to ${filePath}`);
     return true;
@@ -343,7 +694,7 @@ async function saveConfigToFile(filePath) {
  * @returns {string|null} - GitHub token or null if not available
  */
 function getGitHubToken() {
-  const tokenEnvName = currentConfig.security.tokenEnvName || 'GITHUB_TOKEN';
+  const tokenEnvName = activeConfig().security.tokenEnvName || 'GITHUB_TOKEN';
   const token = process.env[tokenEnvName];
   
   if (!token) {
@@ -360,11 +711,17 @@ function getGitHubToken() {
  * @returns {Object} - Claude Desktop configuration
  */
 function getClaudeConfig() {
+  const { ai } = activeConfig();
   return {
-    model: currentConfig.ai.model,
-    temperature: currentConfig.ai.temperature,
-    maxTokens: currentConfig.ai.maxTokens,
-    systemMessage: currentConfig.ai.systemMessage
+    provider: ai.provider,
+    apiUrl: ai.apiUrl,
+    apiKeyEnvName: ai.apiKeyEnvName,
+    timeout: ai.timeout,
+    scriptPath: ai.scriptPath,
+    model: ai.model,
+    temperature: ai.temperature,
+    maxTokens: ai.maxTokens,
+    systemMessage: ai.systemMessage
   };
 }
 
@@ -378,27 +735,64 @@ function isFileTypeAllowed(filename) {
   if (!filename) return false;
   
   const extension = path.extname(filename).toLowerCase();
-  const allowedTypes = currentConfig.security.allowedFileTypes || [];
+  const allowedTypes = activeConfig().security.allowedFileTypes || [];
   
   return allowedTypes.includes(extension);
 }
 
+/**
+ * List the environment variable of every setting
+ * 
+ * @returns {Array<Object>} - `name`, dotted `key`, `type`, `description`,
+ *   older `aliases` and `default` of each variable
+ */
+function listEnvironmentVariables() {
+  return environment.listEnvironmentVariables(defaultConfig);
+}
+
+/**
+ * Render the environment variable listing as text
+ * 
+ * @returns {string} - One block per variable
+ */
+function formatEnvironmentVariables() {
+  return listEnvironmentVariables().map(variable => [
+    `${variable.name} (${variable.type})`,
+    `  ${variable.description}`,
+    `  Sets ${variable.key}, default ${JSON.stringify(variable.default)}`,
+    ...(variable.aliases.length > 0 ? [`  Also read from ${variable.aliases.join(', ')}`] : [])
+  ].join('\n')).join('\n\n');
+}
+
 /**
  * Reset configuration to defaults
  */
 function resetToDefaults() {
-  currentConfig = { ...defaultConfig };
+  layers = createBaseLayers();
+  rebuild();
   logger.info('Configuration reset to defaults');
 }
 
 module.exports = {
+  REPO_CONFIG_PATH,
   initialize,
   getConfig,
   getConfigSection,
+  getEffectiveConfig,
+  withConfigLayers,
+  parseConfigContent,
+  validateConfig,
   updateConfig,
   saveConfigToFile,
   getGitHubToken,
   getClaudeConfig,
   isFileTypeAllowed,
+  listEnvironmentVariables,
+  formatEnvironmentVariables,
   resetToDefaults
-};
\ No newline at end of file
+};
+
+// Allow running standalone to list the environment variables: node src/modules/configuration
+if (require.main === module) {
+  process.stdout.write(`${formatEnvironmentVariables()}\n`);
+}
@@ -0,0 +1,244 @@
+/**
+ * Configuration Schema
+ *
+ * JSON schema for the resolver configuration, used to validate every layer
+ * and the merged result with precise error paths
+ */
+
+const Ajv = require('ajv');
+
+const positiveInteger = { type: 'integer', minimum: 1 };
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const stringList = { type: 'array', items: { type: 'string' } };
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+const logLevels = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+/**
+ * Build an object schema that rejects unknown keys
+ *
+ * @private
+ * @param {Object} properties - Property schemas
+ * @returns {Object} - Object schema
+ */
+function section(properties) {
+  return { type: 'object', properties, additionalProperties: false };
+}
+
+const configSchema = section({
+  github: section({
+    apiUrl: { type: 'string', pattern: '^https?://', description: 'GitHub REST API base URL, e.g. for GitHub Enterprise' },
+    hosts: { ...stringList, minItems: 1, description: 'Hosts accepted in issue URLs; the first is used for owner/repo#N references' },
+    timeout: { ...positiveInteger, description: 'Request timeout in milliseconds' },
+    maxRetries: { ...nonNegativeInteger, description: 'Retries of idempotent requests after a timeout or a server error' },
+    maxConcurrent: { ...positiveInteger, description: 'GitHub requests in flight at once' },
+    retryBaseDelay: { ...nonNegativeInteger, description: 'First retry delay in milliseconds, doubled per retry' },
+    retryMaxDelay: { ...nonNegativeInteger, description: 'Longest retry delay in milliseconds' },
+    maxRateLimitWait: { ...nonNegativeInteger, description: 'Longest wait for a rate limit reset in milliseconds' },
+    maxRateLimitRetries: { ...nonNegativeInteger, description: 'Rate limit pauses a single request waits out before failing' }
+  }),
+  ai: section({
+    provider: { type: 'string', minLength: 1, description: 'anthropic, openai, local or scripted' },
+    apiUrl: { type: 'string', description: 'Provider API URL, the provider default when empty' },
+    apiKeyEnvName: { type: 'string', description: 'Environment variable holding the provider API key' },
+    timeout: { ...positiveInteger, description: 'Generation timeout in milliseconds' },
+    scriptPath: { type: 'string', description: 'Responses replayed by the scripted provider' },
+    model: { type: 'string', minLength: 1, description: 'Model name' },
+    temperature: { type: 'number', minimum: 0, maximum: 1, description: 'Sampling temperature between 0 and 1' },
+    maxTokens: { type: 'integer', minimum: 100, maximum: 10000, description: 'Maximum tokens per response' },
+    systemMessage: { type: 'string', description: 'System prompt' },
+    candidates: { type: 'integer', minimum: 1, maximum: 5, description: 'Candidate patches generated per issue, the best validated one is used' },
+    candidateModels: { ...stringList, description: 'Models cycled through per candidate, ai.model when empty' },
+    candidateStrategies: {
+      type: 'array',
+      items: { type: 'string', enum: ['default', 'minimal', 'root-cause', 'with-test'] },
+      minItems: 1,
+      description: 'Prompt approaches cycled through per candidate'
+    },
+    candidateTemperatureStep: { type: 'number', minimum: 0, maximum: 1, description: 'Added to ai.temperature for each further candidate, capped at 1' }
+  }),
+  task: section({
+    maxContextSnippets: { ...positiveInteger, description: 'Repository snippets sent with the issue' },
+    maxFileSize: { ...positiveInteger, description: 'Largest file read for context, in bytes' },
+    maxContextSize: { ...positiveInteger, description: 'Total context size in bytes' },
+    prioritizeErrorContext: { type: 'boolean', description: 'Prefer files named in stack traces' },
+    repoSource: { enum: ['api', 'clone', 'local'], description: 'api, clone or local' },
+    localRepoPath: { type: 'string', description: 'Checkout used when repoSource is local' },
+    workspaceDir: { type: 'string', minLength: 1, description: 'Directory for clones and worktrees' }
+  }),
+  pullRequest: section({
+    defaultAsDraft: { type: 'boolean', description: 'Open pull requests as drafts' },
+    defaultBaseBranch: { type: 'string', description: "Base branch, the repository's default when empty" },
+    titlePrefix: { type: 'string', description: 'Prefix of pull request titles' },
+    addLabels: { ...stringList, description: 'Labels added to every pull request' },
+    createCheckList: { type: 'boolean', description: 'Add a review checklist to the pull request body' }
+  }),
+  resolution: section({
+    dryRun: { type: 'boolean', description: 'Return the proposed patch instead of writing to GitHub' }
+  }),
+  review: section({
+    label: { type: 'string', minLength: 1, description: 'Label marking pull requests whose review comments the resolver may address' },
+    includeOutdated: { type: 'boolean', description: 'Also address unresolved threads on outdated lines' },
+    replyToThreads: { type: 'boolean', description: 'Reply on each addressed review thread with what changed' }
+  }),
+  triage: section({
+    enabled: { type: 'boolean', description: 'Classify and score issues before attempting a fix' },
+    minScore: { type: 'number', minimum: 0, maximum: 1, description: 'Feasibility score below which an issue is skipped with a request for more information' },
+    minRepoScore: { type: 'number', minimum: 0, maximum: 1, description: 'Feasibility score below which repository-wide runs do not select an issue' },
+    skipCategories: {
+      type: 'array',
+      items: { type: 'string', enum: ['bug', 'feature', 'question', 'docs', 'duplicate'] },
+      description: 'Categories skipped whatever their score'
+    },
+    orderBatches: { type: 'boolean', description: 'Resolve the most feasible issues of a batch or repository first' }
+  }),
+  webhook: section({
+    enabled: { type: 'boolean', description: 'Listen for GitHub webhook deliveries' },
+    host: { type: 'string', minLength: 1, description: 'Address the webhook listener binds to' },
+    port: { type: 'integer', minimum: 0, maximum: 65535, description: 'Port of the webhook listener, 0 picks a free one' },
+    path: { type: 'string', pattern: '^/', description: 'Path deliveries are posted to' },
+    secretEnvName: { type: 'string', minLength: 1, description: 'Environment variable holding the webhook secret' },
+    triggerLabel: { type: 'string', minLength: 1, description: 'Label that starts a resolution when added to an issue' },
+    resolveCommand: { type: 'string', minLength: 1, description: 'Comment text that starts a resolution' },
+    reviewStates: {
+      type: 'array',
+      items: { type: 'string', enum: ['approved', 'changes_requested', 'commented'] },
+      description: 'States of submitted reviews that start a review follow-up'
+    },
+    allowedAssociations: {
+      type: 'array',
+      items: { type: 'string', enum: ['OWNER', 'MEMBER', 'COLLABORATOR', 'CONTRIBUTOR', 'FIRST_TIME_CONTRIBUTOR', 'FIRST_TIMER', 'MANNEQUIN', 'NONE'] },
+      description: 'Author associations allowed to trigger with a comment or review'
+    },
+    maxBodyBytes: { ...positiveInteger, description: 'Largest delivery accepted, in bytes' },
+    rememberedDeliveries: { ...positiveInteger, description: 'Delivery IDs remembered to ignore redeliveries' }
+  }),
+  jobs: section({
+    enabled: { type: 'boolean', description: 'Record resolutions in the job store' },
+    storePath: { type: 'string', description: 'Job store file, ~/.openhands-resolver/jobs.jsonl when empty' }
+  }),
+  usage: section({
+    ledgerPath: { type: 'string', description: 'Usage ledger file, ~/.openhands-resolver/usage.jsonl when empty' },
+    maxIssueTokens: { ...nonNegativeInteger, description: 'Model tokens one issue may use, 0 for no limit' },
+    maxIssueCostUsd: { ...nonNegativeNumber, description: 'Estimated model cost one issue may incur in USD, 0 for no limit' },
+    maxBatchTokens: { ...nonNegativeInteger, description: 'Model tokens one batch or repository-wide run may use, 0 for no limit' },
+    maxBatchCostUsd: { ...nonNegativeNumber, description: 'Estimated model cost one batch or repository-wide run may incur in USD, 0 for no limit' },
+    maxDailyTokens: { ...nonNegativeInteger, description: 'Model tokens used over the last 24 hours, 0 for no limit' },
+    maxDailyCostUsd: { ...nonNegativeNumber, description: 'Estimated model cost over the last 24 hours in USD, 0 for no limit' },
+    inputPrices: {
+      type: 'object',
+      additionalProperties: nonNegativeNumber,
+      description: 'Model name prefix to USD per million input tokens'
+    },
+    outputPrices: {
+      type: 'object',
+      additionalProperties: nonNegativeNumber,
+      description: 'Model name prefix to USD per million output tokens'
+    }
+  }),
+  feedback: section({
+    postComments: { type: 'boolean', description: 'Post status comments on issues' }
+  }),
+  security: section({
+    tokenEnvName: { type: 'string', minLength: 1, description: 'Environment variable holding the GitHub token' },
+    validateCodeBeforeCommit: { type: 'boolean', description: 'Validate generated code before committing' },
+    allowedFileTypes: { type: 'array', items: { type: 'string', pattern: '^\\.' }, description: 'File extensions that may be changed' }
+  }),
+  policy: section({
+    allowPaths: { ...stringList, description: 'Globs of the only paths generated changes may touch, any path when empty' },
+    denyPaths: { ...stringList, description: 'Globs of paths generated changes may never touch' },
+    protectedPaths: { ...stringList, description: 'Globs of paths only people may change, such as workflows and lockfiles' },
+    maxFilesChanged: { ...nonNegativeInteger, description: 'Most files one pull request may change, 0 for no limit' },
+    maxLinesChanged: { ...nonNegativeInteger, description: 'Most lines one pull request may add or remove, 0 for no limit' },
+    blockBinary: { type: 'boolean', description: 'Reject changes to binary files' },
+    blockSymlinks: { type: 'boolean', description: 'Reject changes to symbolic links' },
+    scanSecrets: { type: 'boolean', description: 'Reject added lines that look like credentials' }
+  }),
+  credentials: section({
+    ownerTokens: {
+      type: 'object',
+      additionalProperties: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+      description: 'Owner to environment variable holding a personal access token for it'
+    },
+    appId: { type: 'string', pattern: '^\\d*$', description: 'GitHub App ID, enables installation tokens' },
+    appPrivateKeyPath: { type: 'string', description: 'PEM file with the GitHub App private key' },
+    appPrivateKeyEnvName: { type: 'string', description: 'Environment variable holding the GitHub App private key' },
+    appInstallations: {
+      type: 'object',
+      additionalProperties: positiveInteger,
+      description: 'Owner to GitHub App installation ID, looked up when missing'
+    }
+  }),
+  validation: section({
+    maxRepairIterations: { ...nonNegativeInteger, maximum: 10, description: 'Attempts to repair changes that fail validation' },
+    runProjectChecks: { type: 'boolean', description: "Run the repository's lint and test commands" },
+    lintCommand: { type: 'string', description: 'Lint command, detected when empty' },
+    testCommand: { type: 'string', description: 'Test command, detected when empty' },
+    installCommand: { type: 'string', description: 'Dependency install command run once per task for repositories read through the API' },
+    timeout: { type: 'integer', minimum: 1000, description: 'Timeout per command in milliseconds' },
+    maxMemoryMb: { ...positiveInteger, description: 'Memory limit per command in megabytes' },
+    maxWorktreeFiles: { ...positiveInteger, description: 'Largest repository checked out for validation, in files' }
+  }),
+  batch: section({
+    maxConcurrent: { ...positiveInteger, description: 'Issues resolved at once' },
+    maxIssuesPerBatch: { ...positiveInteger, description: 'Largest batch accepted' },
+    maxRepoIssues: { ...positiveInteger, description: 'Most issues resolved by one repository-wide request' }
+  }),
+  logging: section({
+    level: { enum: logLevels, description: 'Minimum level logged' },
+    console: { type: 'boolean', description: 'Log to the console, stderr when serving MCP over stdio' },
+    consoleFormat: { enum: ['text', 'json'], description: 'Console line format' },
+    file: { type: 'string', description: 'File receiving every line as JSON, none when empty' },
+    rotateFile: { type: 'string', description: 'File receiving every line as JSON, rotated by size, none when empty' },
+    rotateMaxBytes: { ...positiveInteger, description: 'Size at which the rotated log file rolls over, in bytes' },
+    rotateMaxFiles: { ...positiveInteger, description: 'Rotated log files kept' },
+    mcpNotifications: { type: 'boolean', description: 'Forward log lines to the MCP client as logging notifications' },
+    mcpLevel: { enum: logLevels, description: 'Minimum level forwarded to the MCP client' }
+  }),
+  debug: section({
+    enabled: { type: 'boolean', description: 'Enable debug mode' },
+    saveResponses: { type: 'boolean', description: 'Record the model and GitHub exchanges of each resolution to a redacted cassette' },
+    cassetteDir: { type: 'string', description: 'Directory cassettes are written to, ~/.openhands-resolver/cassettes when empty' },
+    verboseLogging: { type: 'boolean', description: 'Log at debug level, whatever logging.level says' }
+  })
+});
+
+const ajv = new Ajv({ allErrors: true, strict: true });
+const validate = ajv.compile(configSchema);
+
+/**
+ * Format an Ajv error with the dotted path of the offending value
+ *
+ * @private
+ * @param {Object} error - Ajv error
+ * @returns {string} - e.g. "ai.temperature must be <= 1"
+ */
+function formatError(error) {
+  const segments = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+    return `${segments.join('.')} is not a known setting`;
+  }
+  if (error.keyword === 'enum') {
+    return `${segments.join('.')} must be one of ${error.params.allowedValues.join(', ')}`;
+  }
+  return `${segments.join('.') || 'configuration'} ${error.message}`;
+}
+
+/**
+ * Validate a configuration, or a partial layer of one, against the schema
+ *
+ * @param {Object} config - Configuration to validate
+ * @returns {Object} - `valid` and `errors` with the dotted path of each problem
+ */
+function validateAgainstSchema(config) {
+  const valid = validate(config);
+  return {
+    valid,
+    errors: valid ? [] : validate.errors.map(formatError)
+  };
+}
+
+module.exports = {
+  configSchema,
+  validateAgainstSchema
+};
@@ -0,0 +1,302 @@
+/**
+ * Credentials Module
+ *
+ * Chooses the GitHub token for each repository owner: an installation token
+ * of the configured GitHub App when the app is installed for the owner, else
+ * a personal access token mapped to the owner, else the default token from
+ * `security.tokenEnvName`
+ *
+ * Installation tokens are exchanged for a short-lived app JWT, cached and
+ * refreshed shortly before they expire. Every token handled here is
+ * registered for redaction.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const configModule = require('../configuration');
+const { registerSecret } = require('../../utils/redact');
+const logger = require('../../utils/logger');
+
+// Installation tokens are replaced once they have less than this left, in milliseconds
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Lifetime of an app JWT in seconds; GitHub accepts at most ten minutes
+const JWT_LIFETIME = 9 * 60;
+
+// Installation tokens keyed by installation ID, each `{ token, expiresAt }` or a pending exchange
+const installationTokens = new Map();
+
+// Lookups of installation IDs keyed by lower-cased owner, each `{ lookup, expiresAt }`
+// with a lookup resolving to null when the app is not installed
+const installationIds = new Map();
+
+// Owners without an installation are looked up again after this long, in
+// milliseconds, so that installing the app later takes effect
+const NOT_INSTALLED_TTL = 60 * 1000;
+
+// Private keys read from file or environment, keyed by their origin
+const privateKeys = new Map();
+
+// App JWT reused until shortly before it expires, `{ appId, jwt, expiresAt }`
+let appJwt = null;
+
+// Owners already warned about a missing personal access token variable
+const warnedOwners = new Set();
+
+/**
+ * Get the credentials settings in effect
+ *
+ * @private
+ * @returns {Object} - Credentials section with defaults for missing entries
+ */
+function getSettings() {
+  return {
+    ownerTokens: {},
+    appInstallations: {},
+    ...configModule.getConfigSection('credentials')
+  };
+}
+
+/**
+ * Look up an owner in a map whose keys are owner names in any case
+ *
+ * @private
+ * @param {Object} map - Map keyed by owner
+ * @param {string} owner - Owner to find
+ * @returns {*} - Value for the owner, undefined when missing
+ */
+function lookupOwner(map, owner) {
+  const key = Object.keys(map).find(name => name.toLowerCase() === owner.toLowerCase());
+  return key === undefined ? undefined : map[key];
+}
+
+/**
+ * Read the GitHub App private key
+ *
+ * @private
+ * @param {Object} settings - Credentials settings
+ * @returns {string|null} - PEM private key, null when none is configured
+ */
+function loadPrivateKey(settings) {
+  const origin = settings.appPrivateKeyPath
+    ? `file:${settings.appPrivateKeyPath}`
+    : `env:${settings.appPrivateKeyEnvName}`;
+  if (privateKeys.has(origin)) return privateKeys.get(origin);
+
+  let key = null;
+  if (settings.appPrivateKeyPath) {
+    key = fs.readFileSync(settings.appPrivateKeyPath, 'utf-8');
+  } else if (settings.appPrivateKeyEnvName && process.env[settings.appPrivateKeyEnvName]) {
+    // Keys in environment variables often carry escaped newlines
+    key = process.env[settings.appPrivateKeyEnvName].replace(/\\n/g, '\n');
+  }
+
+  if (key) registerSecret(key);
+  privateKeys.set(origin, key);
+  return key;
+}
+
+/**
+ * Create the JWT that authenticates as the GitHub App
+ *
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKey - PEM private key of the app
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} - RS256 signed JWT
+ */
+function createAppJwt(appId, privateKey, now = Date.now()) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  // Issued a minute early to allow for clock drift
+  const issuedAt = Math.floor(now / 1000) - 60;
+  const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({
+    iat: issuedAt,
+    exp: issuedAt + 60 + JWT_LIFETIME,
+    iss: /^\d+$/.test(appId) ? Number(appId) : appId
+  })}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey).toString('base64url');
+
+  const jwt = `${unsigned}.${signature}`;
+  registerSecret(jwt);
+  return jwt;
+}
+
+/**
+ * Get an app JWT, signing a new one when the cached one is about to expire
+ *
+ * @private
+ * @param {string} appId - GitHub App ID
+ * @param {string} privateKey - PEM private key of the app
+ * @returns {string} - App JWT
+ */
+function getAppJwt(appId, privateKey) {
+  const now = Date.now();
+  if (!appJwt || appJwt.appId !== appId || appJwt.expiresAt - now < 60 * 1000) {
+    appJwt = { appId, jwt: createAppJwt(appId, privateKey, now), expiresAt: now + JWT_LIFETIME * 1000 };
+  }
+  return appJwt.jwt;
+}
+
+/**
+ * Find the installation of the GitHub App for an owner
+ *
+ * @private
+ * @param {string} owner - Repository owner
+ * @param {Object} settings - Credentials settings
+ * @param {Function} request - Sends `(method, url, token)` to GitHub and resolves with the response body
+ * @param {Function} jwt - Returns the app JWT
+ * @returns {Promise<number|null>} - Installation ID, null when the app is not installed
+ */
+async function findInstallation(owner, settings, request, jwt) {
+  const configured = lookupOwner(settings.appInstallations, owner);
+  if (configured) return configured;
+
+  const key = owner.toLowerCase();
+  const cached = installationIds.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.lookup;
+
+  // Cache the pending lookup so concurrent requests share it
+  const entry = { expiresAt: Infinity };
+  entry.lookup = request('get', `/users/${owner}/installation`, jwt()).then(
+    installation => installation.id,
+    (error) => {
+      if (error.status === 404) {
+        logger.debug(`GitHub App is not installed for ${owner}`);
+        entry.expiresAt = Date.now() + NOT_INSTALLED_TTL;
+        return null;
+      }
+      installationIds.delete(key);
+      throw error;
+    }
+  );
+  installationIds.set(key, entry);
+  return entry.lookup;
+}
+
+/**
+ * Get a valid installation token, exchanging a new one when needed
+ *
+ * Concurrent callers share a single exchange.
+ *
+ * @private
+ * @param {number} installationId - Installation ID
+ * @param {Function} request - See `findInstallation`
+ * @param {Function} jwt - Returns the app JWT
+ * @returns {Promise<string>} - Installation token
+ */
+async function getInstallationToken(installationId, request, jwt) {
+  const cached = installationTokens.get(installationId);
+  if (cached && cached.pending) return cached.pending;
+  if (cached && cached.expiresAt - Date.now() > REFRESH_MARGIN) return cached.token;
+
+  const pending = request('post', `/app/installations/${installationId}/access_tokens`, jwt())
+    .then((data) => {
+      registerSecret(data.token);
+      installationTokens.set(installationId, { token: data.token, expiresAt: Date.parse(data.expires_at) });
+      logger.debug(`Obtained installation token for installation ${installationId}, expires ${data.expires_at}`);
+      return data.token;
+    }, (error) => {
+      installationTokens.delete(installationId);
+      throw error;
+    });
+  installationTokens.set(installationId, { pending });
+  return pending;
+}
+
+/**
+ * Get the token to use for an owner's repositories
+ *
+ * @param {string|null} owner - Repository owner, null for requests not tied to one
+ * @param {Object} options - Token options
+ * @param {Function} options.request - Sends `(method, url, token)` to GitHub and resolves with the response body
+ * @returns {Promise<Object>} - `token`, null when none is available, and its `type`: app, owner or default
+ */
+async function getToken(owner, options) {
+  const settings = getSettings();
+
+  if (owner && settings.appId) {
+    const privateKey = loadPrivateKey(settings);
+    if (privateKey) {
+      const jwt = () => getAppJwt(settings.appId, privateKey);
+      const installationId = await findInstallation(owner, settings, options.request, jwt);
+      if (installationId) {
+        return { token: await getInstallationToken(installationId, options.request, jwt), type: 'app' };
+      }
+    } else {
+      logger.warn(`GitHub App ${settings.appId} is configured without a private key`);
+    }
+  }
+
+  const envName = owner ? lookupOwner(settings.ownerTokens, owner) : undefined;
+  if (envName) {
+    if (process.env[envName]) {
+      registerSecret(process.env[envName]);
+      return { token: process.env[envName], type: 'owner' };
+    }
+    if (!warnedOwners.has(envName)) {
+      warnedOwners.add(envName);
+      logger.warn(`Token variable ${envName} for ${owner} is not set, falling back to the default token`);
+    }
+  }
+
+  const security = configModule.getConfigSection('security') || {};
+  const token = process.env[security.tokenEnvName || 'GITHUB_TOKEN'] || null;
+  registerSecret(token);
+  return { token, type: 'default' };
+}
+
+/**
+ * Forget a cached installation token, e.g. after GitHub rejected it
+ *
+ * @param {string} token - Token to forget
+ * @returns {boolean} - Whether the token was an installation token
+ */
+function invalidateToken(token) {
+  for (const [installationId, entry] of installationTokens) {
+    if (entry.token === token) {
+      installationTokens.delete(installationId);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Describe how each kind of credential is configured, without secrets
+ *
+ * @returns {Object} - Default token variable, owners with their own token and the app settings
+ */
+function describeCredentials() {
+  const settings = getSettings();
+  const security = configModule.getConfigSection('security') || {};
+  const tokenEnvName = security.tokenEnvName || 'GITHUB_TOKEN';
+  return {
+    defaultToken: { envName: tokenEnvName, present: Boolean(process.env[tokenEnvName]) },
+    ownerTokens: Object.entries(settings.ownerTokens).map(([owner, envName]) => ({
+      owner,
+      envName,
+      present: Boolean(process.env[envName])
+    })),
+    app: settings.appId
+      ? { appId: settings.appId, installations: settings.appInstallations, cachedTokens: installationTokens.size }
+      : null
+  };
+}
+
+/**
+ * Drop cached installations, tokens and keys
+ */
+function reset() {
+  installationTokens.clear();
+  installationIds.clear();
+  privateKeys.clear();
+  warnedOwners.clear();
+  appJwt = null;
+}
+
+module.exports = {
+  getToken,
+  createAppJwt,
+  invalidateToken,
+  describeCredentials,
+  reset
+};
@@ -0,0 +1,322 @@
+/**
+ * Feedback Module
+ *
+ * Keeps a single status comment on the issue up to date as the resolution
+ * progresses, and renders a Markdown summary of the changes for the caller
+ */
+
+const configModule = require('../configuration');
+const githubModule = require('../github_api');
+const { diffStat } = require('../../utils/diff');
+const { redact } = require('../../utils/redact');
+const logger = require('../../utils/logger');
+
+// Hidden marker identifying the resolver's status comment
+const STATUS_MARKER = '<!-- openhands-resolver:status -->';
+
+// Resolution stages in the order they happen
+const STAGES = {
+  queued: 'Queued',
+  analysing: 'Analysing issue',
+  generating: 'Generating changes',
+  validating: 'Validating changes',
+  pr_opened: 'Pull request opened',
+  needs_info: 'Waiting for more information',
+  failed: 'Failed'
+};
+
+// Progress stages shown as a checklist in the status comment
+const PROGRESS = ['queued', 'analysing', 'generating', 'validating', 'pr_opened'];
+
+// Widest diffstat bar in the visualization
+const MAX_BAR_WIDTH = 20;
+
+// Stages after which nothing is remembered about the issue
+const FINAL_STAGES = ['pr_opened', 'failed', 'needs_info'];
+
+// Issues tracked at once; the oldest are forgotten beyond it, their comment is then looked up again
+const MAX_TRACKED_ISSUES = 1000;
+
+// Longest error shown on an issue, in characters
+const MAX_ERROR_LENGTH = 1000;
+
+// Absolute directories in error messages, e.g. of worktrees, not preceded by a URL
+const ABSOLUTE_DIRECTORY = /(?<![\w:/.~-])\/(?:[\w.@+-]+\/)+/g;
+
+// Status comment IDs keyed by owner/repo#number
+const statusComments = new Map();
+
+// Last reached progress stage keyed by owner/repo#number
+const lastStages = new Map();
+
+/**
+ * Remember a value for an issue, forgetting the oldest issue beyond the limit
+ *
+ * @private
+ * @param {Map} map - Map keyed by owner/repo#number
+ * @param {string} key - Issue key
+ * @param {*} value - Value to remember
+ */
+function remember(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > MAX_TRACKED_ISSUES) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+/**
+ * Make an error message fit for a public issue
+ *
+ * Secrets are masked, directories of absolute paths on this machine are
+ * dropped and long messages are cut.
+ *
+ * @private
+ * @param {string} message - Error message
+ * @returns {string} - Message safe to post
+ */
+function sanitizeError(message) {
+  const cleaned = redact(String(message)).replace(ABSOLUTE_DIRECTORY, '');
+  return cleaned.length > MAX_ERROR_LENGTH ? `${cleaned.slice(0, MAX_ERROR_LENGTH)}…` : cleaned;
+}
+
+/**
+ * Key an issue reference
+ *
+ * @private
+ * @param {Object} issueRef - `owner`, `repo` and `number`
+ * @returns {string} - owner/repo#number
+ */
+function issueKey(issueRef) {
+  return `${issueRef.owner}/${issueRef.repo}#${issueRef.number}`;
+}
+
+/**
+ * Render the body of the status comment
+ *
+ * @private
+ * @param {string} stage - Current stage
+ * @param {Object} details - Stage details
+ * @param {string} lastStage - Furthest progress stage reached
+ * @returns {string} - Markdown comment body
+ */
+function renderStatus(stage, details, lastStage) {
+  const reached = PROGRESS.indexOf(lastStage);
+  const lines = [
+    STATUS_MARKER,
+    '### OpenHands Resolver',
+    '',
+    `**Status:** ${STAGES[stage]}${details.note ? ` (${details.note})` : ''}`,
+    ''
+  ];
+
+  PROGRESS.forEach((name, index) => {
+    const done = index < reached || (index === reached && stage !== 'failed');
+    lines.push(`- [${done ? 'x' : ' '}] ${STAGES[name]}`);
+  });
+
+  if (details.pullRequestUrl) {
+    lines.push('', `Pull request: ${details.pullRequestUrl}`);
+  }
+  if (stage === 'failed' && details.violations && details.violations.length > 0) {
+    lines.push('', '**Rejected by the safety policy:**', ...details.violations.map(item => `- ${item.reason}`));
+  } else if (stage === 'failed' && details.error) {
+    lines.push('', `**Error:** ${sanitizeError(details.error)}`);
+  }
+  if (stage === 'needs_info' && details.missing && details.missing.length > 0) {
+    lines.push(
+      '',
+      'Before a fix is attempted, please add to the issue:',
+      ...details.missing.map(item => `- ${item}`),
+      '',
+      'Then trigger the resolver again.'
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Find an existing status comment on the issue
+ *
+ * @private
+ * @param {Object} issueRef - `owner`, `repo` and `number`
+ * @returns {Promise<number|null>} - Comment ID
+ */
+async function findStatusComment(issueRef) {
+  const comments = await githubModule.paginate(
+    `/repos/${issueRef.owner}/${issueRef.repo}/issues/${issueRef.number}/comments`
+  );
+  const existing = comments.find(comment => (comment.body || '').includes(STATUS_MARKER));
+  return existing ? existing.id : null;
+}
+
+/**
+ * Create or edit the status comment for an issue
+ *
+ * Failures are logged and swallowed so that feedback never breaks a resolution.
+ *
+ * @param {Object} issueRef - `owner`, `repo` and `number` of the issue
+ * @param {string} stage - One of the keys of `STAGES`
+ * @param {Object} [details] - `note`, `pullRequestUrl`, `error`, policy `violations` or `missing` information
+ * @returns {Promise<Object|null>} - `commentId` and `commentUrl`, null when not posted
+ */
+async function updateStatus(issueRef, stage, details = {}) {
+  const settings = configModule.getConfigSection('feedback') || {};
+  if (!settings.postComments) return null;
+  if (!STAGES[stage]) throw new Error(`Unknown feedback stage: ${stage}`);
+
+  const key = issueKey(issueRef);
+  if (PROGRESS.includes(stage)) remember(lastStages, key, stage);
+  const body = renderStatus(stage, details, lastStages.get(key) || 'queued');
+  const base = `/repos/${issueRef.owner}/${issueRef.repo}/issues`;
+
+  try {
+    let commentId = statusComments.has(key) ? statusComments.get(key) : await findStatusComment(issueRef);
+    let comment;
+
+    if (commentId) {
+      ({ data: comment } = await githubModule.request('patch', `${base}/comments/${commentId}`, { data: { body } }));
+    } else {
+      ({ data: comment } = await githubModule.request('post', `${base}/${issueRef.number}/comments`, { data: { body } }));
+      commentId = comment.id;
+    }
+
+    if (FINAL_STAGES.includes(stage)) {
+      statusComments.delete(key);
+      lastStages.delete(key);
+    } else {
+      remember(statusComments, key, commentId);
+    }
+
+    logger.debug(`Status for ${key}: ${stage}`);
+    return { commentId, commentUrl: comment.html_url };
+  } catch (error) {
+    logger.warn(`Failed to update status comment for ${key}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Report the opened pull request on the issue
+ *
+ * @param {Object} prResult - Result of `createPullRequest`
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @returns {Promise<Object|null>} - `commentId` and `commentUrl`
+ */
+async function provideFeedback(prResult, issueData) {
+  return updateStatus(issueData, 'pr_opened', {
+    note: prResult.updated ? `updated #${prResult.pullRequestNumber}` : `#${prResult.pullRequestNumber}`,
+    pullRequestUrl: prResult.pullRequestUrl
+  });
+}
+
+/**
+ * Report a failed resolution on the issue
+ *
+ * The error is posted with secrets masked and local paths shortened.
+ *
+ * @param {Object} issueRef - `owner`, `repo` and `number` of the issue
+ * @param {Error|string} error - What went wrong
+ * @returns {Promise<Object|null>} - `commentId` and `commentUrl`
+ */
+async function reportFailure(issueRef, error) {
+  return updateStatus(issueRef, 'failed', {
+    error: error instanceof Error ? error.message : String(error),
+    violations: error && error.policyViolations
+  });
+}
+
+/**
+ * Ask for what an issue is missing after triage skipped it
+ *
+ * @param {Object} issueRef - `owner`, `repo` and `number` of the issue
+ * @param {Object} triage - Result of `triageIssue`
+ * @returns {Promise<Object|null>} - `commentId` and `commentUrl`
+ */
+async function requestInformation(issueRef, triage) {
+  return updateStatus(issueRef, 'needs_info', {
+    note: `${triage.category}, feasibility ${triage.score}`,
+    missing: triage.missing
+  });
+}
+
+/**
+ * Render a diffstat bar in the style of `git diff --stat`
+ *
+ * @private
+ * @param {number} additions - Added lines
+ * @param {number} deletions - Removed lines
+ * @param {number} widest - Largest change count across files
+ * @returns {string} - Bar of + and - characters
+ */
+function renderBar(additions, deletions, widest) {
+  const scale = widest > MAX_BAR_WIDTH ? MAX_BAR_WIDTH / widest : 1;
+  const plus = additions > 0 ? Math.max(1, Math.round(additions * scale)) : 0;
+  const minus = deletions > 0 ? Math.max(1, Math.round(deletions * scale)) : 0;
+  return `${'+'.repeat(plus)}${'-'.repeat(minus)}`;
+}
+
+/**
+ * Create a Markdown summary of a resolution for the MCP caller
+ *
+ * @param {Object} prResult - Result of `createPullRequest`
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @param {Object} generation - Result of `generateAndValidateCode`
+ * @returns {string} - Markdown summary
+ */
+function createVisualization(prResult, issueData, generation) {
+  const files = generation.codeChanges.map(change => ({
+    ...diffStat(change.originalContent, change.newContent),
+    path: change.path,
+    action: change.action
+  }));
+  const additions = files.reduce((sum, file) => sum + file.additions, 0);
+  const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+  const widest = Math.max(0, ...files.map(file => file.additions + file.deletions));
+
+  const lines = [
+    `## OpenHands Resolver: ${issueData.owner}/${issueData.repo}#${issueData.number}`,
+    '',
+    `**Issue:** [${issueData.title}](${issueData.url})`
+  ];
+
+  if (prResult && prResult.pullRequestUrl) {
+    lines.push(`**Pull request:** [#${prResult.pullRequestNumber}](${prResult.pullRequestUrl}) on \`${prResult.branch}\``);
+  }
+
+  lines.push(
+    '',
+    `### Files changed (${files.length} ${files.length === 1 ? 'file' : 'files'}, +${additions} -${deletions})`,
+    '',
+    '| File | Change | Lines | Diffstat |',
+    '| --- | --- | --- | --- |',
+    ...files.map(file =>
+      `| \`${file.path}\` | ${file.action} | +${file.additions} -${file.deletions} | \`${renderBar(file.additions, file.deletions, widest)}\` |`
+    )
+  );
+
+  const validation = generation.validation;
+  if (validation) {
+    lines.push('', '### Validation', '');
+    if (validation.skipped) {
+      lines.push('Validation was skipped (`security.validateCodeBeforeCommit` is off).');
+    } else {
+      lines.push(...validation.checks.map(check => `- **${check.status}** ${check.type} \`${check.name}\``));
+    }
+    if (generation.attempts && generation.attempts.length > 1) {
+      lines.push('', `Passed after ${generation.attempts.length} attempts.`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  STAGES,
+  updateStatus,
+  provideFeedback,
+  reportFailure,
+  requestInformation,
+  createVisualization
+};
@@ -0,0 +1,685 @@
+/**
+ * GitHub API Module
+ *
+ * Fetches issue, comment, label, pull request and repository data from GitHub
+ * for the OpenHands Resolver MCP
+ */
+
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const configModule = require('../configuration');
+const credentialsModule = require('../credentials');
+const cassetteModule = require('../cassette');
+const { createScheduler } = require('./scheduler');
+const logger = require('../../utils/logger');
+
+// HTTP client shared by all GitHub requests
+let client = null;
+
+// Scheduler every GitHub request goes through
+let scheduler = null;
+
+// Token passed to `initialize`, used for every request instead of the credentials module
+let fixedToken = null;
+
+// Methods safe to repeat after a timeout or a server error
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Review threads of a pull request with their comments
+const REVIEW_THREADS_QUERY = `query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $number) {
+      reviewThreads(first: 50, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id
+          isResolved
+          isOutdated
+          path
+          line
+          comments(first: 50) {
+            nodes { databaseId body url createdAt author { login } }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * Initialize the GitHub API module
+ *
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseUrl] - API base URL, overrides `github.apiUrl`
+ * @param {Function} [options.adapter] - Custom axios adapter used as HTTP backend
+ * @param {string} [options.token] - Token for every request, overrides the per-owner credentials
+ * @param {Function} [options.sleep] - Sleep used between retries, replaceable for tests
+ * @returns {Promise<boolean>} - Success status
+ */
+async function initialize(options = {}) {
+  const githubConfig = configModule.getConfigSection('github') || {};
+  const maxSockets = githubConfig.maxConcurrent || Infinity;
+
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28',
+    'User-Agent': 'openhands-resolver-mcp'
+  };
+
+  // Tokens are otherwise chosen per request from the repository owner
+  fixedToken = options.token || null;
+
+  client = axios.create({
+    baseURL: (options.baseUrl || githubConfig.apiUrl || 'https://api.github.com').replace(/\/+$/, ''),
+    timeout: githubConfig.timeout,
+    headers,
+    httpAgent: new http.Agent({ keepAlive: true, maxSockets }),
+    httpsAgent: new https.Agent({ keepAlive: true, maxSockets }),
+    ...(options.adapter ? { adapter: options.adapter } : {})
+  });
+
+  scheduler = createScheduler({
+    maxConcurrent: githubConfig.maxConcurrent,
+    maxRetries: githubConfig.maxRetries,
+    retryBaseDelay: githubConfig.retryBaseDelay,
+    retryMaxDelay: githubConfig.retryMaxDelay,
+    maxRateLimitWait: githubConfig.maxRateLimitWait,
+    maxRateLimitRetries: githubConfig.maxRateLimitRetries,
+    ...(options.sleep ? { sleep: options.sleep } : {})
+  });
+
+  logger.debug(`GitHub API client configured for ${client.defaults.baseURL}`);
+  return true;
+}
+
+/**
+ * Get the HTTP client, initializing it on first use
+ *
+ * @private
+ * @returns {Promise<Object>} - Axios instance
+ */
+async function getClient() {
+  if (!client) {
+    await initialize();
+  }
+  return client;
+}
+
+/**
+ * Send a request authenticated with a given token, e.g. the GitHub App JWT
+ *
+ * @private
+ * @param {string} method - HTTP method
+ * @param {string} url - Path relative to the API base URL
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - Response body
+ */
+async function requestWithToken(method, url, token) {
+  const httpClient = await getClient();
+
+  try {
+    const response = await scheduler.schedule(() =>
+      httpClient.request({ method, url, headers: { Authorization: `Bearer ${token}` } })
+    );
+    return response.data;
+  } catch (error) {
+    throw toGitHubError(error, method, url);
+  }
+}
+
+/**
+ * Get the token for requests to an owner's repositories
+ *
+ * @param {string|null} owner - Repository owner, null for requests not tied to one
+ * @returns {Promise<string|null>} - Token, null when none is available
+ */
+async function getToken(owner) {
+  if (fixedToken) return fixedToken;
+  const { token } = await credentialsModule.getToken(owner, { request: requestWithToken });
+  return token;
+}
+
+/**
+ * Send a request to the GitHub API
+ *
+ * The token is chosen for the owner named in the path. An installation
+ * token GitHub rejects is dropped and the request retried once with a new one.
+ * Exchanges are recorded to the active cassette, and answered from it
+ * without any network access while one is replayed. Only idempotent methods
+ * are retried after a timeout or a server error.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Path relative to the API base URL
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.params] - Query string parameters
+ * @param {Object} [options.data] - Request body
+ * @param {string} [options.owner] - Owner whose token to use, for paths that do not name one
+ * @param {boolean} [options.idempotent] - Safe to retry whatever the method, e.g. a GraphQL query
+ * @param {string} [options.responseType] - 'arraybuffer' for binary responses, returned as a Buffer
+ * @returns {Promise<Object>} - Axios response
+ */
+async function request(method, url, options = {}) {
+  const exchange = { method: method.toUpperCase(), url, params: options.params, data: options.data };
+  const recorded = cassetteModule.playback('github', exchange);
+  if (recorded) {
+    if (recorded.error || recorded.status >= 400) {
+      throw toGitHubError(recorded.error ? new Error(recorded.error) : { response: recorded }, method, url);
+    }
+    if (recorded.data && recorded.data.base64 !== undefined) {
+      return { ...recorded, data: Buffer.from(recorded.data.base64, 'base64') };
+    }
+    return recorded;
+  }
+
+  const httpClient = await getClient();
+  const owner = options.owner || (/\/(?:repos|users|orgs)\/([^/?]+)/.exec(url) || [])[1] || null;
+  const retry = options.idempotent || IDEMPOTENT_METHODS.includes(method.toUpperCase());
+
+  for (let attempt = 1; ; attempt++) {
+    const token = await getToken(owner);
+    try {
+      const response = await scheduler.schedule(() => httpClient.request({
+        method,
+        url,
+        params: options.params,
+        data: options.data,
+        ...(options.responseType ? { responseType: options.responseType } : {}),
+        headers: token ? { Authorization: `Bearer ${token}` } : {}
+      }), { retry });
+      cassetteModule.record('github', exchange, toRecordedResponse(response));
+      return response;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 401 && attempt === 1 && !fixedToken && credentialsModule.invalidateToken(token)) {
+        logger.warn(`GitHub rejected the installation token for ${owner}, requesting a new one`);
+        continue;
+      }
+      cassetteModule.record('github', exchange, error.response ? toRecordedResponse(error.response) : { error: error.message });
+      throw toGitHubError(error, method, url);
+    }
+  }
+}
+
+/**
+ * Keep the parts of a response the resolver reads, for cassettes
+ *
+ * @private
+ * @param {Object} response - Axios response
+ * @returns {Object} - `status`, the `link` header and `data`, binary data as `{ base64 }`
+ */
+function toRecordedResponse(response) {
+  const link = response.headers && response.headers.link;
+  return {
+    status: response.status,
+    headers: link ? { link } : {},
+    data: Buffer.isBuffer(response.data) ? { base64: response.data.toString('base64') } : response.data
+  };
+}
+
+/**
+ * Get the GraphQL endpoint, relative to the base URL where possible
+ *
+ * @private
+ * @returns {string} - /graphql, or the absolute /api/graphql URL of GitHub Enterprise
+ */
+function getGraphqlUrl() {
+  const baseUrl = client.defaults.baseURL;
+  return /\/api\/v3$/.test(baseUrl) ? baseUrl.replace(/\/v3$/, '/graphql') : '/graphql';
+}
+
+/**
+ * Send a GraphQL query
+ *
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {Object} [options] - Request options
+ * @param {string} [options.owner] - Owner whose token to use
+ * @returns {Promise<Object>} - The `data` of the response
+ */
+async function graphql(query, variables, options = {}) {
+  await getClient();
+  const { data } = await request('post', getGraphqlUrl(), { data: { query, variables }, owner: options.owner, idempotent: !/^\s*mutation\b/.test(query) });
+  if (data.errors && data.errors.length > 0) {
+    throw new Error(`GitHub GraphQL query failed: ${data.errors.map(error => error.message).join('; ')}`);
+  }
+  return data.data;
+}
+
+/**
+ * Get the state of the shared request scheduler
+ *
+ * @returns {Object|null} - Active and queued requests and any rate-limit pause
+ */
+function getSchedulerStatus() {
+  return scheduler ? scheduler.getStatus() : null;
+}
+
+/**
+ * Fetch every page of a list endpoint by following `Link` headers
+ *
+ * @param {string} url - Path relative to the API base URL
+ * @param {Object} [params] - Query string parameters
+ * @returns {Promise<Array>} - All items across pages
+ */
+async function paginate(url, params = {}) {
+  const items = [];
+  let nextUrl = url;
+  let nextParams = { per_page: 100, ...params };
+
+  while (nextUrl) {
+    const response = await request('get', nextUrl, { params: nextParams });
+    items.push(...(Array.isArray(response.data) ? response.data : []));
+
+    const next = /<([^>]+)>;\s*rel="next"/.exec(response.headers.link || '');
+    nextUrl = next ? next[1] : null;
+    nextParams = undefined;
+  }
+
+  return items;
+}
+
+/**
+ * Convert an axios error into an Error with a readable message
+ *
+ * @private
+ * @param {Error} error - Axios error
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path
+ * @returns {Error} - Error with `status` set when GitHub responded
+ */
+function toGitHubError(error, method, url) {
+  const status = error.response && error.response.status;
+  const detail = error.response && error.response.data && error.response.data.message;
+  const wrapped = new Error(
+    `GitHub API ${method.toUpperCase()} ${url} failed: ${status ? `${status} ${detail || ''}`.trim() : error.message}`
+  );
+  wrapped.status = status;
+  return wrapped;
+}
+
+/**
+ * Parse a GitHub issue or pull request URL
+ *
+ * @param {string} issueUrl - Issue URL, e.g. https://github.com/owner/repo/issues/1, or pull request URL
+ * @returns {Object} - Owner, repo and issue number
+ */
+function parseIssueUrl(issueUrl) {
+  const match = /https?:\/\/[^/]+\/([^/]+)\/([^/]+)\/(?:issues|pull)\/(\d+)/.exec(issueUrl || '');
+  if (!match) {
+    throw new Error(`Invalid GitHub issue URL: ${issueUrl}`);
+  }
+
+  return {
+    owner: match[1],
+    repo: match[2],
+    issueNumber: parseInt(match[3], 10)
+  };
+}
+
+/**
+ * Fetch repository metadata
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object>} - Repository metadata
+ */
+async function fetchRepository(owner, repo) {
+  const { data } = await request('get', `/repos/${owner}/${repo}`);
+  return {
+    owner: data.owner ? data.owner.login : owner,
+    name: data.name,
+    fullName: data.full_name,
+    defaultBranch: data.default_branch,
+    language: data.language,
+    private: Boolean(data.private),
+    htmlUrl: data.html_url,
+    cloneUrl: data.clone_url
+  };
+}
+
+/**
+ * List every file in a repository at a given ref
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {Promise<Array>} - Files with `path`, `size` and `sha`
+ */
+async function fetchTree(owner, repo, ref) {
+  const { data } = await request('get', `/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}`, {
+    params: { recursive: 1 }
+  });
+
+  if (data.truncated) {
+    logger.warn(`Tree listing for ${owner}/${repo}@${ref} was truncated by GitHub`);
+  }
+
+  return (data.tree || [])
+    .filter(entry => entry.type === 'blob')
+    .map(entry => ({ path: entry.path, size: entry.size || 0, sha: entry.sha, mode: entry.mode }));
+}
+
+/**
+ * Fetch the content of a file
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string} [ref] - Branch, tag or commit SHA
+ * @returns {Promise<string>} - File content
+ */
+async function fetchFileContent(owner, repo, filePath, ref) {
+  const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+  const { data } = await request('get', `/repos/${owner}/${repo}/contents/${encodedPath}`, {
+    params: ref ? { ref } : undefined
+  });
+
+  if (Array.isArray(data) || data.type !== 'file') {
+    throw new Error(`${filePath} is not a file in ${owner}/${repo}`);
+  }
+
+  return Buffer.from(data.content || '', data.encoding === 'base64' ? 'base64' : 'utf-8').toString('utf-8');
+}
+
+/**
+ * Download a repository snapshot as a gzipped tarball
+ *
+ * One request replaces a contents request per file. Entries sit below a
+ * single `owner-repo-sha/` directory.
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {Promise<Buffer>} - Gzipped tar archive
+ */
+async function fetchTarball(owner, repo, ref) {
+  const { data } = await request('get', `/repos/${owner}/${repo}/tarball/${encodeURIComponent(ref)}`, {
+    responseType: 'arraybuffer'
+  });
+  return Buffer.from(data);
+}
+
+/**
+ * Find pull requests that reference an issue through its timeline
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue number
+ * @returns {Promise<Array>} - Linked pull requests
+ */
+async function fetchLinkedPullRequests(owner, repo, issueNumber) {
+  const events = await paginate(`/repos/${owner}/${repo}/issues/${issueNumber}/timeline`);
+  const linked = new Map();
+
+  for (const event of events) {
+    const source = event.source && event.source.issue;
+    if (event.event === 'cross-referenced' && source && source.pull_request) {
+      linked.set(source.html_url, {
+        number: source.number,
+        title: source.title,
+        state: source.state,
+        url: source.html_url
+      });
+    }
+  }
+
+  return [...linked.values()];
+}
+
+/**
+ * Summarize an issue from the issues API
+ *
+ * @private
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} issue - Issue as returned by the API
+ * @returns {Object} - Issue summary, see `listOpenIssues`
+ */
+function toIssueSummary(owner, repo, issue) {
+  return {
+    owner,
+    repo,
+    number: issue.number,
+    url: issue.html_url || `https://github.com/${owner}/${repo}/issues/${issue.number}`,
+    title: issue.title,
+    body: issue.body || '',
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    assignees: (issue.assignees || []).map(assignee => assignee.login),
+    milestone: issue.milestone ? issue.milestone.title : null,
+    comments: issue.comments || 0,
+    createdAt: issue.created_at
+  };
+}
+
+/**
+ * List open issues of a repository, excluding pull requests
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} [filters] - Server-side filters
+ * @param {Array<string>} [filters.labels] - Labels every issue must carry
+ * @param {string} [filters.assignee] - Assignee login, '*' or 'none'
+ * @param {string|number} [filters.milestone] - Milestone number, title, '*' or 'none'
+ * @returns {Promise<Array>} - Issues with `number`, `url`, `title`, `body`, `labels`, `assignees`, `milestone`, `comments` count and `createdAt`
+ */
+async function listOpenIssues(owner, repo, filters = {}) {
+  const params = { state: 'open' };
+
+  if (filters.labels && filters.labels.length > 0) {
+    params.labels = filters.labels.join(',');
+  }
+  if (filters.assignee) {
+    params.assignee = filters.assignee;
+  }
+  if (filters.milestone !== undefined && filters.milestone !== null && filters.milestone !== '') {
+    params.milestone = await resolveMilestone(owner, repo, filters.milestone);
+  }
+
+  const issues = await paginate(`/repos/${owner}/${repo}/issues`, params);
+  return issues
+    .filter(issue => !issue.pull_request)
+    .map(issue => toIssueSummary(owner, repo, issue));
+}
+
+/**
+ * Fetch a single issue without its comments or linked pull requests
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Issue number
+ * @returns {Promise<Object>} - Issue summary, see `listOpenIssues`
+ */
+async function fetchIssue(owner, repo, number) {
+  const { data } = await request('get', `/repos/${owner}/${repo}/issues/${number}`);
+  return toIssueSummary(owner, repo, data);
+}
+
+/**
+ * Turn a milestone title into the number the issues API expects
+ *
+ * @private
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string|number} milestone - Milestone number, title, '*' or 'none'
+ * @returns {Promise<string|number>} - Value for the `milestone` query parameter
+ */
+async function resolveMilestone(owner, repo, milestone) {
+  if (typeof milestone === 'number' || /^(\d+|\*|none)$/.test(milestone)) {
+    return milestone;
+  }
+
+  const milestones = await paginate(`/repos/${owner}/${repo}/milestones`, { state: 'open' });
+  const match = milestones.find(item => item.title.toLowerCase() === String(milestone).toLowerCase());
+  if (!match) {
+    throw new Error(`Milestone "${milestone}" not found in ${owner}/${repo}`);
+  }
+  return match.number;
+}
+
+/**
+ * List branch names starting with a prefix
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} prefix - Branch name prefix, e.g. openhands/
+ * @returns {Promise<Array<string>>} - Matching branch names
+ */
+async function listBranches(owner, repo, prefix) {
+  const refs = await paginate(`/repos/${owner}/${repo}/git/matching-refs/heads/${prefix}`);
+  return refs.map(ref => ref.ref.replace(/^refs\/heads\//, ''));
+}
+
+/**
+ * Fetch a pull request
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Pull request number
+ * @returns {Promise<Object>} - Pull request with its head and base branches and labels
+ */
+async function fetchPullRequest(owner, repo, number) {
+  const { data } = await request('get', `/repos/${owner}/${repo}/pulls/${number}`);
+  return {
+    owner,
+    repo,
+    number: data.number,
+    url: data.html_url,
+    title: data.title,
+    body: data.body || '',
+    state: data.state,
+    draft: Boolean(data.draft),
+    author: data.user ? data.user.login : null,
+    labels: (data.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    headRef: data.head.ref,
+    headSha: data.head.sha,
+    headRepository: data.head.repo ? data.head.repo.full_name : null,
+    baseRef: data.base.ref
+  };
+}
+
+/**
+ * Fetch the review threads of a pull request
+ *
+ * Thread resolution is only exposed through GraphQL.
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Pull request number
+ * @returns {Promise<Array>} - Threads with `id`, `path`, `line`, `isResolved`, `isOutdated` and `comments`
+ */
+async function fetchReviewThreads(owner, repo, number) {
+  const threads = [];
+  let cursor = null;
+
+  do {
+    const data = await graphql(REVIEW_THREADS_QUERY, { owner, repo, number, cursor }, { owner });
+    const pullRequest = data.repository && data.repository.pullRequest;
+    if (!pullRequest) {
+      throw new Error(`Pull request ${owner}/${repo}#${number} not found`);
+    }
+
+    const { nodes, pageInfo } = pullRequest.reviewThreads;
+    threads.push(...nodes.map(thread => ({
+      id: thread.id,
+      path: thread.path,
+      line: thread.line,
+      isResolved: thread.isResolved,
+      isOutdated: thread.isOutdated,
+      comments: thread.comments.nodes.map(comment => ({
+        id: comment.databaseId,
+        author: comment.author ? comment.author.login : null,
+        body: comment.body || '',
+        url: comment.url,
+        createdAt: comment.createdAt
+      }))
+    })));
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  return threads;
+}
+
+/**
+ * Reply to a review thread
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Pull request number
+ * @param {number} commentId - ID of the thread's first comment
+ * @param {string} body - Markdown reply
+ * @returns {Promise<Object>} - Reply with `id` and `url`
+ */
+async function replyToReviewComment(owner, repo, number, commentId, body) {
+  const { data } = await request('post', `/repos/${owner}/${repo}/pulls/${number}/comments/${commentId}/replies`, {
+    data: { body }
+  });
+  return { id: data.id, url: data.html_url };
+}
+
+/**
+ * Fetch all data for an issue needed to resolve it
+ *
+ * @param {string} issueUrl - GitHub issue URL
+ * @returns {Promise<Object>} - Issue data with comments, labels, linked PRs and repository
+ */
+async function fetchIssueData(issueUrl) {
+  const { owner, repo, issueNumber } = parseIssueUrl(issueUrl);
+  logger.debug(`Fetching issue data for ${owner}/${repo}#${issueNumber}`);
+
+  const [{ data: issue }, comments, linkedPullRequests, repository] = await Promise.all([
+    request('get', `/repos/${owner}/${repo}/issues/${issueNumber}`),
+    paginate(`/repos/${owner}/${repo}/issues/${issueNumber}/comments`),
+    fetchLinkedPullRequests(owner, repo, issueNumber),
+    fetchRepository(owner, repo)
+  ]);
+
+  if (issue.pull_request) {
+    throw new Error(`${owner}/${repo}#${issueNumber} is a pull request, not an issue; use its pull request URL to address its review comments`);
+  }
+
+  return {
+    owner,
+    repo,
+    number: issue.number,
+    url: issue.html_url || issueUrl,
+    title: issue.title,
+    body: issue.body || '',
+    state: issue.state,
+    author: issue.user ? issue.user.login : null,
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+    assignees: (issue.assignees || []).map(assignee => assignee.login),
+    createdAt: issue.created_at,
+    updatedAt: issue.updated_at,
+    comments: comments.map(comment => ({
+      id: comment.id,
+      author: comment.user ? comment.user.login : null,
+      body: comment.body || '',
+      createdAt: comment.created_at
+    })),
+    linkedPullRequests,
+    repository
+  };
+}
+
+module.exports = {
+  initialize,
+  request,
+  graphql,
+  getToken,
+  paginate,
+  getSchedulerStatus,
+  parseIssueUrl,
+  fetchRepository,
+  fetchTree,
+  fetchFileContent,
+  fetchTarball,
+  fetchLinkedPullRequests,
+  listOpenIssues,
+  fetchIssue,
+  listBranches,
+  fetchPullRequest,
+  fetchReviewThreads,
+  replyToReviewComment,
+  fetchIssueData
+};
@@ -0,0 +1,715 @@
+/**
+ * GitHub Mock Server
+ *
+ * Local fixture-backed stand-in for the GitHub REST API so the resolver
+ * pipeline can run offline. Point `GITHUB_API_URL` (or `github.apiUrl`)
+ * at the address returned by `start()`.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { createTarball } = require('../../utils/tar');
+const logger = require('../../utils/logger');
+
+// Fixtures used when none are provided
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'default.json');
+
+/**
+ * Build a JSON error response
+ *
+ * @private
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Object} - Mock response
+ */
+function errorResponse(status, message) {
+  return { status, body: { message } };
+}
+
+/**
+ * Compute the git blob SHA of some content
+ *
+ * @private
+ * @param {string} content - File content
+ * @returns {string} - Blob SHA
+ */
+function blobSha(content) {
+  const buffer = Buffer.from(content);
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+/**
+ * Compute a stand-in object SHA for mock git objects
+ *
+ * @private
+ * @param {string} type - Object type
+ * @param {Object} value - Object content
+ * @returns {string} - SHA
+ */
+function objectSha(type, value) {
+  return crypto.createHash('sha1').update(`${type} ${JSON.stringify(value)}`).digest('hex');
+}
+
+/**
+ * Store a tree of files and return its SHA
+ *
+ * @private
+ * @param {Object} repo - Repository state
+ * @param {Object} files - File contents keyed by path
+ * @returns {string} - Tree SHA
+ */
+function storeTree(repo, files) {
+  const sha = objectSha('tree', files);
+  repo.git.trees[sha] = files;
+  return sha;
+}
+
+/**
+ * Store a commit and return its SHA
+ *
+ * @private
+ * @param {Object} repo - Repository state
+ * @param {Object} commit - Commit with `tree`, `parents` and `message`
+ * @returns {string} - Commit SHA
+ */
+function storeCommit(repo, commit) {
+  const sha = objectSha('commit', { ...commit, sequence: Object.keys(repo.git.commits).length });
+  repo.git.commits[sha] = { sha, ...commit };
+  return sha;
+}
+
+/**
+ * Resolve a branch name, commit SHA or tree SHA to the files it holds
+ *
+ * @private
+ * @param {Object} repo - Repository state
+ * @param {string} ref - Branch, commit SHA or tree SHA
+ * @returns {Object|null} - Files keyed by path
+ */
+function filesAt(repo, ref) {
+  const commitSha = repo.git.refs[`heads/${ref}`] || ref;
+  const commit = repo.git.commits[commitSha];
+  return repo.git.trees[commit ? commit.tree : ref] || null;
+}
+
+/**
+ * Find an issue or pull request by number
+ *
+ * @private
+ * @param {Object} repo - Repository state
+ * @param {number|string} number - Issue or pull request number
+ * @returns {Object|undefined} - Issue or pull request
+ */
+function findIssueOrPull(repo, number) {
+  return repo.issues.find(item => item.number === Number(number)) ||
+    repo.pulls.find(item => item.number === Number(number));
+}
+
+/**
+ * Check that a request authenticates as a GitHub App with a JWT
+ *
+ * The signature is not verified; the mock only checks the token's shape.
+ *
+ * @private
+ * @param {Object} req - Parsed request
+ * @returns {boolean} - Whether the request carries a bearer JWT
+ */
+function hasAppJwt(req) {
+  return /^Bearer [\w-]+\.[\w-]+\.[\w-]+$/.test(req.headers.authorization || '');
+}
+
+/**
+ * GitHub App routes, matched before the repository routes
+ *
+ * Each handler receives the app state, the regex match groups and the
+ * parsed request.
+ */
+const appRoutes = [
+  {
+    method: 'GET',
+    pattern: /^\/users\/([^/]+)\/installation$/,
+    handler: (app, [, login], req) => {
+      if (!hasAppJwt(req)) return errorResponse(401, 'A JSON web token could not be decoded');
+      const installation = app.installations.find(item => item.account.toLowerCase() === login.toLowerCase());
+      if (!installation) return errorResponse(404, 'Not Found');
+      return { status: 200, body: { id: installation.id, account: { login: installation.account } } };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/app\/installations\/(\d+)\/access_tokens$/,
+    handler: (app, [, id], req) => {
+      if (!hasAppJwt(req)) return errorResponse(401, 'A JSON web token could not be decoded');
+      if (!app.installations.some(item => item.id === Number(id))) return errorResponse(404, 'Not Found');
+      const token = `ghs_mock${id}x${String(app.tokens.length + 1).padStart(28, '0')}`;
+      const expiresAt = new Date(Date.now() + app.tokenLifetime).toISOString();
+      app.tokens.push({ installationId: Number(id), token, expiresAt });
+      return { status: 201, body: { token, expires_at: expiresAt } };
+    }
+  }
+];
+
+/**
+ * Route table, matched in order against `METHOD path`
+ *
+ * Each handler receives the repository state, the regex match groups and
+ * the parsed request, and returns `{ status, body, headers }`.
+ */
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)$/,
+    handler: (repo) => ({ status: 200, body: repo.repository })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/issues$/,
+    handler: (repo, match, req) => {
+      const { state = 'open', labels, assignee, milestone } = req.query;
+      const wanted = labels ? labels.split(',') : [];
+      const issues = [...repo.issues, ...repo.pulls.map(pull => ({ ...pull, pull_request: { url: pull.html_url } }))]
+        .filter(issue => state === 'all' || issue.state === state)
+        .filter(issue => wanted.every(name => (issue.labels || []).some(label => label.name === name)))
+        .filter(issue => {
+          const logins = (issue.assignees || []).map(user => user.login);
+          if (!assignee) return true;
+          if (assignee === 'none') return logins.length === 0;
+          if (assignee === '*') return logins.length > 0;
+          return logins.includes(assignee);
+        })
+        .filter(issue => {
+          if (!milestone) return true;
+          if (milestone === 'none') return !issue.milestone;
+          if (milestone === '*') return Boolean(issue.milestone);
+          return issue.milestone && issue.milestone.number === Number(milestone);
+        });
+      return { status: 200, body: issues };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/milestones$/,
+    handler: (repo) => ({ status: 200, body: repo.milestones })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/matching-refs\/(heads\/.*)$/,
+    handler: (repo, [, , , prefix]) => ({
+      status: 200,
+      body: Object.entries(repo.git.refs)
+        .filter(([ref]) => ref.startsWith(decodeURIComponent(prefix)))
+        .map(([ref, sha]) => ({ ref: `refs/${ref}`, object: { sha, type: 'commit' } }))
+    })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/,
+    handler: (repo, [, , , number]) => {
+      const issue = repo.issues.find(item => item.number === Number(number));
+      return issue ? { status: 200, body: issue } : errorResponse(404, 'Not Found');
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/,
+    handler: (repo, [, , , number]) => ({ status: 200, body: repo.comments[number] || [] })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/,
+    handler: (repo, [, , , number], req) => {
+      if (!findIssueOrPull(repo, number)) return errorResponse(404, 'Not Found');
+
+      const id = repo.nextCommentId++;
+      const comment = {
+        id,
+        body: req.body.body,
+        user: { login: 'openhands-resolver[bot]' },
+        html_url: `${repo.repository.html_url}/issues/${number}#issuecomment-${id}`,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      repo.comments[number] = [...(repo.comments[number] || []), comment];
+      return { status: 201, body: comment };
+    }
+  },
+  {
+    method: 'PATCH',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/issues\/comments\/(\d+)$/,
+    handler: (repo, [, , , id], req) => {
+      const comment = Object.values(repo.comments).flat().find(item => item.id === Number(id));
+      if (!comment) return errorResponse(404, 'Not Found');
+
+      comment.body = req.body.body;
+      comment.updated_at = new Date().toISOString();
+      return { status: 200, body: comment };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/timeline$/,
+    handler: (repo, [, , , number]) => ({ status: 200, body: repo.timeline[number] || [] })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/labels$/,
+    handler: (repo, [, , , number], req) => {
+      const item = findIssueOrPull(repo, number);
+      if (!item) return errorResponse(404, 'Not Found');
+
+      const names = new Set((item.labels || []).map(label => label.name));
+      for (const name of req.body.labels || []) names.add(name);
+      item.labels = [...names].map(name => ({ name }));
+      return { status: 200, body: item.labels };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/trees\/(.+)$/,
+    handler: (repo, [, , , ref]) => {
+      const files = filesAt(repo, decodeURIComponent(ref));
+      if (!files) return errorResponse(404, 'Not Found');
+      return {
+        status: 200,
+        body: {
+          truncated: false,
+          tree: Object.entries(files).map(([filePath, content]) => ({
+            path: filePath,
+            type: 'blob',
+            mode: '100644',
+            size: Buffer.byteLength(content),
+            sha: blobSha(content)
+          }))
+        }
+      };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/trees$/,
+    handler: (repo, match, req) => {
+      const files = { ...(req.body.base_tree ? repo.git.trees[req.body.base_tree] || {} : {}) };
+      for (const entry of req.body.tree || []) {
+        if (entry.sha === null) {
+          delete files[entry.path];
+        } else {
+          files[entry.path] = entry.content;
+        }
+      }
+      return { status: 201, body: { sha: storeTree(repo, files) } };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/commits\/([0-9a-f]+)$/,
+    handler: (repo, [, , , sha]) => {
+      const commit = repo.git.commits[sha];
+      if (!commit) return errorResponse(404, 'Not Found');
+      return {
+        status: 200,
+        body: {
+          sha,
+          message: commit.message,
+          tree: { sha: commit.tree },
+          parents: commit.parents.map(parent => ({ sha: parent }))
+        }
+      };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/commits$/,
+    handler: (repo, match, req) => {
+      if (!repo.git.trees[req.body.tree]) return errorResponse(422, 'Tree not found');
+      const sha = storeCommit(repo, { tree: req.body.tree, parents: req.body.parents || [], message: req.body.message });
+      return { status: 201, body: { sha, tree: { sha: req.body.tree } } };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/ref\/(heads\/.+)$/,
+    handler: (repo, [, , , ref]) => {
+      const sha = repo.git.refs[decodeURIComponent(ref)];
+      if (!sha) return errorResponse(404, 'Not Found');
+      return { status: 200, body: { ref: `refs/${decodeURIComponent(ref)}`, object: { sha, type: 'commit' } } };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/refs$/,
+    handler: (repo, match, req) => {
+      const ref = (req.body.ref || '').replace(/^refs\//, '');
+      if (repo.git.refs[ref]) return errorResponse(422, 'Reference already exists');
+      repo.git.refs[ref] = req.body.sha;
+      return { status: 201, body: { ref: `refs/${ref}`, object: { sha: req.body.sha, type: 'commit' } } };
+    }
+  },
+  {
+    method: 'PATCH',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/git\/refs\/(heads\/.+)$/,
+    handler: (repo, [, , , encodedRef], req) => {
+      const ref = decodeURIComponent(encodedRef);
+      const current = repo.git.refs[ref];
+      if (!current) return errorResponse(422, 'Reference does not exist');
+
+      // Without force, the new commit must descend from the current head
+      const commit = repo.git.commits[req.body.sha];
+      if (!req.body.force && (!commit || !commit.parents.includes(current))) {
+        return errorResponse(422, 'Update is not a fast forward');
+      }
+      repo.git.refs[ref] = req.body.sha;
+      // Pull requests follow their head branch, as on GitHub
+      repo.pulls
+        .filter(pull => `heads/${pull.head.ref}` === ref)
+        .forEach((pull) => { pull.head.sha = req.body.sha; });
+      return { status: 200, body: { ref: `refs/${ref}`, object: { sha: req.body.sha, type: 'commit' } } };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/pulls$/,
+    handler: (repo, match, req) => {
+      const { head, state = 'open' } = req.query;
+      const pulls = repo.pulls.filter(pull =>
+        (state === 'all' || pull.state === state) &&
+        (!head || `${repo.repository.owner.login}:${pull.head.ref}` === head)
+      );
+      return { status: 200, body: pulls };
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/pulls$/,
+    handler: (repo, match, req) => {
+      const { title, body, head, base, draft } = req.body;
+      if (!repo.git.refs[`heads/${head}`]) return errorResponse(422, `Head branch ${head} does not exist`);
+      if (repo.pulls.some(pull => pull.state === 'open' && pull.head.ref === head)) {
+        return errorResponse(422, `A pull request already exists for ${head}`);
+      }
+
+      const number = repo.nextNumber++;
+      const pull = {
+        number,
+        title,
+        body,
+        state: 'open',
+        draft: Boolean(draft),
+        labels: [],
+        head: { ref: head, sha: repo.git.refs[`heads/${head}`] },
+        base: { ref: base },
+        html_url: `${repo.repository.html_url}/pull/${number}`
+      };
+      repo.pulls.push(pull);
+      return { status: 201, body: pull };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/,
+    handler: (repo, [, , , number]) => {
+      const pull = repo.pulls.find(item => item.number === Number(number));
+      return pull ? { status: 200, body: pull } : errorResponse(404, 'Not Found');
+    }
+  },
+  {
+    method: 'POST',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/comments\/(\d+)\/replies$/,
+    handler: (repo, [, , , number, commentId], req) => {
+      const thread = (repo.reviewThreads[number] || [])
+        .find(item => item.comments.length > 0 && item.comments[0].id === Number(commentId));
+      if (!thread) return errorResponse(404, 'Not Found');
+
+      const id = repo.nextCommentId++;
+      const comment = {
+        id,
+        body: req.body.body,
+        user: { login: 'openhands-resolver[bot]' },
+        in_reply_to_id: Number(commentId),
+        html_url: `${repo.repository.html_url}/pull/${number}#discussion_r${id}`,
+        created_at: new Date().toISOString()
+      };
+      thread.comments.push(comment);
+      return { status: 201, body: comment };
+    }
+  },
+  {
+    method: 'PATCH',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/,
+    handler: (repo, [, , , number], req) => {
+      const pull = repo.pulls.find(item => item.number === Number(number));
+      if (!pull) return errorResponse(404, 'Not Found');
+      for (const key of ['title', 'body', 'state', 'base']) {
+        if (req.body[key] !== undefined) {
+          pull[key] = key === 'base' ? { ref: req.body.base } : req.body[key];
+        }
+      }
+      return { status: 200, body: pull };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/tarball\/(.+)$/,
+    handler: (repo, [, owner, name, ref]) => {
+      const files = filesAt(repo, decodeURIComponent(ref));
+      if (!files) return errorResponse(404, 'Not Found');
+      const entries = Object.entries(files).map(([filePath, content]) => ({ path: filePath, content }));
+      return {
+        status: 200,
+        headers: { 'Content-Type': 'application/x-gzip' },
+        body: createTarball(`${owner}-${name}-${objectSha('tree', files).slice(0, 7)}`, entries)
+      };
+    }
+  },
+  {
+    method: 'GET',
+    pattern: /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/,
+    handler: (repo, [, , , encodedPath], req) => {
+      const filePath = decodeURIComponent(encodedPath);
+      const files = filesAt(repo, req.query.ref || repo.repository.default_branch) || {};
+      const content = files[filePath];
+      if (content === undefined) {
+        return errorResponse(404, 'Not Found');
+      }
+      return {
+        status: 200,
+        body: {
+          type: 'file',
+          path: filePath,
+          sha: blobSha(content),
+          encoding: 'base64',
+          content: Buffer.from(content).toString('base64')
+        }
+      };
+    }
+  }
+];
+
+/**
+ * Answer a GraphQL request
+ *
+ * Only the review threads query is understood; threads come from the
+ * repository's `reviewThreads`, keyed by pull request number.
+ *
+ * @private
+ * @param {Object} state - Server state
+ * @param {Object} req - Parsed request
+ * @returns {Object} - Mock response
+ */
+function handleGraphql(state, req) {
+  const { query = '', variables = {} } = req.body || {};
+  if (!query.includes('reviewThreads')) {
+    return { status: 200, body: { errors: [{ message: 'The mock only supports the review threads query' }] } };
+  }
+
+  const repo = state.repositories[`${variables.owner}/${variables.repo}`];
+  const pull = repo && repo.pulls.find(item => item.number === Number(variables.number));
+  if (!pull) {
+    return { status: 200, body: { data: { repository: repo ? { pullRequest: null } : null } } };
+  }
+
+  const nodes = (repo.reviewThreads[pull.number] || []).map(thread => ({
+    id: thread.id,
+    isResolved: Boolean(thread.isResolved),
+    isOutdated: Boolean(thread.isOutdated),
+    path: thread.path,
+    line: thread.line || null,
+    comments: {
+      nodes: thread.comments.map(comment => ({
+        databaseId: comment.id,
+        body: comment.body,
+        url: comment.html_url || null,
+        createdAt: comment.created_at || null,
+        author: comment.user ? { login: comment.user.login } : null
+      }))
+    }
+  }));
+  return {
+    status: 200,
+    body: {
+      data: {
+        repository: {
+          pullRequest: { reviewThreads: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Normalize a fixture repository so handlers can rely on every collection
+ *
+ * The fixture's `files` become the initial commit of the default branch.
+ *
+ * @private
+ * @param {Object} fixture - Repository fixture
+ * @returns {Object} - Repository state
+ */
+function createRepositoryState(fixture) {
+  const repo = {
+    repository: fixture.repository,
+    issues: fixture.issues || [],
+    comments: fixture.comments || {},
+    timeline: fixture.timeline || {},
+    pulls: fixture.pulls || [],
+    milestones: fixture.milestones || [],
+    reviewThreads: fixture.reviewThreads || {},
+    git: { refs: {}, commits: {}, trees: {} }
+  };
+
+  const numbers = [...repo.issues, ...repo.pulls].map(item => item.number);
+  repo.nextNumber = Math.max(0, ...numbers) + 1;
+  const reviewComments = Object.values(repo.reviewThreads).flat().flatMap(thread => thread.comments);
+  repo.nextCommentId = Math.max(0, ...[...Object.values(repo.comments).flat(), ...reviewComments].map(comment => comment.id)) + 1;
+
+  const tree = storeTree(repo, fixture.files || {});
+  const commit = storeCommit(repo, { tree, parents: [], message: 'Initial commit' });
+  repo.git.refs[`heads/${fixture.repository.default_branch || 'main'}`] = commit;
+
+  return repo;
+}
+
+/**
+ * Create a mock GitHub server
+ *
+ * @param {Object} [options] - Server options
+ * @param {Object|string} [options.fixtures] - Fixture object or path to a fixture JSON file
+ * @returns {Object} - Server controller with `start`, `stop`, `state` and `requests`
+ */
+function createMockServer(options = {}) {
+  const fixtures = typeof options.fixtures === 'object' && options.fixtures !== null
+    ? options.fixtures
+    : require(path.resolve(options.fixtures || DEFAULT_FIXTURES));
+
+  // Deep copy so writes never leak back into the fixture object
+  const app = JSON.parse(JSON.stringify(fixtures.app || {}));
+  const state = {
+    repositories: {},
+    app: { installations: app.installations || [], tokenLifetime: app.tokenLifetime || 3600000, tokens: [] }
+  };
+  for (const [fullName, fixture] of Object.entries(JSON.parse(JSON.stringify(fixtures.repositories || {})))) {
+    state.repositories[fullName] = createRepositoryState(fixture);
+  }
+
+  const requests = [];
+  let server = null;
+
+  /**
+   * Dispatch a request to the matching route
+   * @param {Object} req - Parsed request
+   * @returns {Object} - Mock response
+   */
+  function dispatch(req) {
+    if (req.method === 'POST' && req.path === '/graphql') {
+      return handleGraphql(state, req);
+    }
+
+    for (const route of appRoutes) {
+      const match = route.method === req.method && route.pattern.exec(req.path);
+      if (match) return route.handler(state.app, match, req);
+    }
+
+    for (const route of routes) {
+      const match = route.method === req.method && route.pattern.exec(req.path);
+      if (!match) continue;
+
+      const repo = state.repositories[`${match[1]}/${match[2]}`];
+      if (!repo) {
+        return errorResponse(404, 'Not Found');
+      }
+      return route.handler(repo, match, req);
+    }
+
+    return errorResponse(404, `No mock route for ${req.method} ${req.path}`);
+  }
+
+  /**
+   * Handle an incoming HTTP request
+   * @param {http.IncomingMessage} incoming - Request
+   * @param {http.ServerResponse} outgoing - Response
+   */
+  function handle(incoming, outgoing) {
+    const chunks = [];
+    incoming.on('data', chunk => chunks.push(chunk));
+    incoming.on('end', () => {
+      const url = new URL(incoming.url, 'http://localhost');
+      const raw = Buffer.concat(chunks).toString('utf-8');
+      const req = {
+        method: incoming.method,
+        path: url.pathname.replace(/\/+$/, '') || '/',
+        query: Object.fromEntries(url.searchParams),
+        headers: incoming.headers,
+        body: null
+      };
+
+      let response;
+      try {
+        req.body = raw ? JSON.parse(raw) : null;
+        response = dispatch(req);
+      } catch (error) {
+        response = errorResponse(400, error.message);
+      }
+
+      requests.push({ ...req, status: response.status });
+      logger.debug(`Mock GitHub ${req.method} ${req.path} -> ${response.status}`);
+
+      outgoing.writeHead(response.status, {
+        'Content-Type': 'application/json',
+        ...(response.headers || {})
+      });
+      if (Buffer.isBuffer(response.body)) {
+        outgoing.end(response.body);
+      } else {
+        outgoing.end(response.body === undefined ? '' : JSON.stringify(response.body));
+      }
+    });
+  }
+
+  return {
+    state,
+    requests,
+
+    /**
+     * Start listening
+     * @param {number} [port] - Port, 0 picks a free one
+     * @returns {Promise<string>} - Base URL of the server
+     */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(handle);
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          const address = server.address();
+          resolve(`http://127.0.0.1:${address.port}`);
+        });
+      });
+    },
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server.closeAllConnections();
+        server = null;
+      });
+    }
+  };
+}
+
+// Allow running standalone: node src/modules/github_api/mock_server.js [port] [fixtures]
+if (require.main === module) {
+  const mock = createMockServer({ fixtures: process.argv[3] });
+  mock.start(Number(process.argv[2]) || 0).then((url) => {
+    logger.info(`Mock GitHub API listening on ${url}`);
+  });
+}
+
+module.exports = {
+  routes,
+  appRoutes,
+  createMockServer
+};
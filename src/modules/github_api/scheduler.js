@@ -0,0 +1,238 @@
+/**
+ * GitHub Request Scheduler
+ *
+ * Shared queue for all GitHub traffic. Caps the number of requests in flight,
+ * retries transient failures with exponential backoff and jitter, and pauses
+ * every queued request until the rate limit resets instead of failing.
+ *
+ * Only requests marked as safe to repeat are retried after a timeout or a
+ * server error, as a repeated POST may duplicate what the first one created.
+ * Rate-limited requests were not processed and are retried either way.
+ */
+
+const logger = require('../../utils/logger');
+
+// Status codes worth retrying with backoff
+const RETRYABLE_STATUS = [500, 502, 503, 504];
+
+// Wait used for secondary rate limits that carry no timing headers
+const SECONDARY_RATE_LIMIT_WAIT = 60000;
+
+/**
+ * Sleep for a number of milliseconds
+ *
+ * @private
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a header from an axios response regardless of case
+ *
+ * @private
+ * @param {Object} response - Axios response
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(response, name) {
+  if (!response || !response.headers) return undefined;
+  const headers = response.headers;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+/**
+ * Work out how long to wait before the rate limit allows more requests
+ *
+ * @param {Object} response - Axios response (successful or failed)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number} - Milliseconds to wait, 0 when not rate limited
+ */
+function getRateLimitDelay(response, now = Date.now()) {
+  if (!response) return 0;
+
+  const retryAfter = getHeader(response, 'retry-after');
+  if (retryAfter !== undefined && retryAfter !== null) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const remaining = getHeader(response, 'x-ratelimit-remaining');
+  const reset = getHeader(response, 'x-ratelimit-reset');
+  if (remaining !== undefined && Number(remaining) === 0 && reset) {
+    return Math.max(0, Number(reset) * 1000 - now);
+  }
+
+  return 0;
+}
+
+/**
+ * Check whether a failed response was caused by a rate limit
+ *
+ * @private
+ * @param {Object} response - Axios error response
+ * @returns {boolean} - Whether the request was rate limited
+ */
+function isRateLimited(response) {
+  if (!response || (response.status !== 403 && response.status !== 429)) return false;
+  if (response.status === 429) return true;
+
+  const message = (response.data && response.data.message) || '';
+  return getRateLimitDelay(response) > 0 ||
+    getHeader(response, 'retry-after') !== undefined ||
+    /rate limit/i.test(message);
+}
+
+/**
+ * Create a request scheduler
+ *
+ * @param {Object} [options] - Scheduler options
+ * @param {number} [options.maxConcurrent] - Maximum requests in flight
+ * @param {number} [options.maxRetries] - Retries for transient failures
+ * @param {number} [options.retryBaseDelay] - Base backoff delay in milliseconds
+ * @param {number} [options.retryMaxDelay] - Upper bound for a single backoff delay
+ * @param {number} [options.maxRateLimitWait] - Longest rate-limit pause accepted before failing
+ * @param {number} [options.maxRateLimitRetries] - Rate-limit pauses a single request may wait out before failing
+ * @param {Function} [options.sleep] - Sleep implementation, replaceable for tests
+ * @param {Function} [options.random] - Random source for jitter
+ * @returns {Object} - Scheduler with `schedule` and `getStatus`
+ */
+function createScheduler(options = {}) {
+  const maxConcurrent = Math.max(1, options.maxConcurrent || 1);
+  const maxRetries = Math.max(0, options.maxRetries || 0);
+  const retryBaseDelay = options.retryBaseDelay ?? 1000;
+  const retryMaxDelay = options.retryMaxDelay ?? 30000;
+  const maxRateLimitWait = options.maxRateLimitWait ?? 15 * 60 * 1000;
+  const maxRateLimitRetries = options.maxRateLimitRetries ?? 3;
+  const wait = options.sleep || sleep;
+  const random = options.random || Math.random;
+
+  const queue = [];
+  let active = 0;
+  let pausedUntil = 0;
+
+  /**
+   * Pause every request until the given time
+   * @param {number} delay - Milliseconds from now
+   */
+  function pause(delay) {
+    const until = Date.now() + delay;
+    if (until > pausedUntil) {
+      pausedUntil = until;
+      logger.warn(`GitHub rate limit reached, pausing requests for ${Math.ceil(delay / 1000)}s`);
+    }
+  }
+
+  /**
+   * Wait out any active rate-limit pause
+   */
+  async function waitForPause() {
+    while (pausedUntil > Date.now()) {
+      await wait(pausedUntil - Date.now());
+    }
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number} - Delay in milliseconds
+   */
+  function backoff(attempt) {
+    return Math.floor(random() * Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt));
+  }
+
+  /**
+   * Run a task, retrying transient failures and rate limits
+   * @param {Function} task - Function returning a promise for an axios response
+   * @param {boolean} retry - Whether the request is safe to repeat after a transient failure
+   * @returns {Promise<Object>} - Axios response
+   */
+  async function run(task, retry) {
+    for (let attempt = 0, rateLimited = 0; ; ) {
+      await waitForPause();
+
+      try {
+        const response = await task();
+        const delay = getRateLimitDelay(response);
+        if (delay > 0) pause(delay);
+        return response;
+      } catch (error) {
+        const response = error.response;
+
+        if (isRateLimited(response)) {
+          const delay = getRateLimitDelay(response) || SECONDARY_RATE_LIMIT_WAIT;
+          if (delay > maxRateLimitWait || rateLimited >= maxRateLimitRetries) {
+            throw error;
+          }
+          rateLimited++;
+          pause(delay);
+          continue;
+        }
+
+        const status = response && response.status;
+        const retryable = retry && (!status || RETRYABLE_STATUS.includes(status));
+        if (!retryable || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const delay = backoff(attempt++);
+        logger.warn(`GitHub request failed (${status || error.code}), retry ${attempt}/${maxRetries} in ${delay}ms`);
+        await wait(delay);
+      }
+    }
+  }
+
+  /**
+   * Start queued tasks while below the concurrency cap
+   */
+  function drain() {
+    while (active < maxConcurrent && queue.length > 0) {
+      const { task, retry, resolve, reject } = queue.shift();
+      active++;
+      run(task, retry)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Queue a GitHub request
+     * @param {Function} task - Function returning a promise for an axios response
+     * @param {Object} [taskOptions] - Request options
+     * @param {boolean} [taskOptions.retry] - Retry timeouts and server errors, only for requests safe to repeat
+     * @returns {Promise<Object>} - Axios response
+     */
+    schedule(task, taskOptions = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, retry: Boolean(taskOptions.retry), resolve, reject });
+        drain();
+      });
+    },
+
+    /**
+     * Get the scheduler's current load
+     * @returns {Object} - Active and queued counts and the pause deadline
+     */
+    getStatus() {
+      return {
+        active,
+        queued: queue.length,
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createScheduler,
+  getRateLimitDelay
+};
@@ -0,0 +1,206 @@
+/**
+ * Job Runner Module
+ *
+ * Runs resolutions in the background so MCP tool calls can return a job ID
+ * straight away, collects their progress and lets callers poll for status
+ * and results or cancel them
+ *
+ * Cancellation is cooperative: tasks receive an AbortSignal and stop at the
+ * next stage boundary once it is aborted.
+ */
+
+const logger = require('../../utils/logger');
+
+// Finished jobs kept for polling before the oldest are dropped
+const MAX_FINISHED_JOBS = 100;
+
+// Jobs keyed by ID, each holding its public state and abort controller
+const jobs = new Map();
+
+// Listeners called with every progress event
+const listeners = new Set();
+
+// Counter making job IDs unique within the process
+let nextId = 1;
+
+/**
+ * Error thrown when a job has been cancelled
+ *
+ * @returns {Error} - Error with `cancelled` set
+ */
+function cancelledError() {
+  const error = new Error('Job was cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Throw if the signal has been aborted
+ *
+ * @param {AbortSignal} [signal] - Signal of the running job
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+}
+
+/**
+ * Copy the public state of a job
+ *
+ * @private
+ * @param {Object} state - Job state
+ * @param {boolean} [withResult] - Include the result
+ * @returns {Object} - Job snapshot
+ */
+function snapshot(state, withResult = false) {
+  const { result, ...rest } = state;
+  return JSON.parse(JSON.stringify(withResult ? { ...rest, result } : rest));
+}
+
+/**
+ * Drop the oldest finished jobs beyond `MAX_FINISHED_JOBS`
+ *
+ * @private
+ */
+function prune() {
+  const finished = [...jobs.values()].filter(({ state }) => state.finishedAt);
+  for (const { state } of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(state.id);
+  }
+}
+
+/**
+ * Record a progress event and pass it to listeners
+ *
+ * @private
+ * @param {Object} state - Job state
+ * @param {Object} event - `stage`, optional `issueUrl` and `message`
+ */
+function report(state, event) {
+  const entry = { ...event, at: new Date().toISOString() };
+  state.progress.push(entry);
+  state.stage = entry.stage;
+
+  for (const listener of listeners) {
+    try {
+      listener({ jobId: state.id, kind: state.kind, ...entry });
+    } catch (error) {
+      logger.warn(`Progress listener failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Submit a task to run in the background
+ *
+ * @param {string} kind - What the job does, e.g. resolve_issue
+ * @param {string} description - Human readable summary
+ * @param {Function} task - Async function called with `{ signal, onProgress }`
+ * @returns {Object} - Snapshot of the submitted job including its `id`
+ */
+function submit(kind, description, task) {
+  const controller = new AbortController();
+  const state = {
+    id: `job-${Date.now().toString(36)}-${nextId++}`,
+    kind,
+    description,
+    status: 'running',
+    stage: 'submitted',
+    submittedAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: [],
+    error: null,
+    result: null
+  };
+  jobs.set(state.id, { state, controller });
+
+  const context = {
+    signal: controller.signal,
+    onProgress: event => report(state, event)
+  };
+
+  Promise.resolve()
+    .then(() => task(context))
+    .then((result) => {
+      state.result = result;
+      if (controller.signal.aborted) {
+        state.status = 'cancelled';
+      } else {
+        state.status = result && result.success === false ? 'failed' : 'succeeded';
+      }
+    }, (error) => {
+      logger.error(`Background job ${state.id} failed:`, error);
+      state.status = controller.signal.aborted ? 'cancelled' : 'failed';
+      state.error = error.message;
+    })
+    .then(() => {
+      state.finishedAt = new Date().toISOString();
+      report(state, { stage: state.status, message: `${description} ${state.status}` });
+      prune();
+    });
+
+  logger.info(`Submitted background job ${state.id}: ${description}`);
+  return snapshot(state);
+}
+
+/**
+ * Get the status and progress of a job
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Job snapshot without its result
+ */
+function getStatus(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job.state) : null;
+}
+
+/**
+ * Get a job including its result once finished
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Job snapshot with `result`
+ */
+function getResult(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job.state, true) : null;
+}
+
+/**
+ * Ask a running job to stop
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|null} - Job snapshot, null when the job is unknown
+ */
+function cancel(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (job.state.status === 'running') {
+    logger.info(`Cancelling background job ${id}`);
+    job.state.status = 'cancelling';
+    job.controller.abort();
+  }
+  return snapshot(job.state);
+}
+
+/**
+ * Listen to progress events of all jobs
+ *
+ * @param {Function} listener - Called with `{ jobId, kind, stage, issueUrl, message, at }`
+ * @returns {Function} - Removes the listener
+ */
+function onProgress(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = {
+  submit,
+  getStatus,
+  getResult,
+  cancel,
+  onProgress,
+  throwIfCancelled,
+  cancelledError
+};
@@ -0,0 +1,260 @@
+/**
+ * Job Store Module
+ *
+ * Records every resolution in an append-only JSONL file so that runs survive
+ * a restart: each line is an event for a job keyed by owner/repo#issue, and
+ * replaying the file rebuilds the stage reached, the outputs of completed
+ * stages and the final result
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const configModule = require('../configuration');
+const { redact } = require('../../utils/redact');
+const logger = require('../../utils/logger');
+
+// Jobs keyed by owner/repo#number, rebuilt from the store file
+let jobs = null;
+
+// Path of the store file
+let storePath = null;
+
+// Pending appends, chained so that events are written in order
+let writeQueue = Promise.resolve();
+
+/**
+ * Build the key of a job
+ *
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Issue number
+ * @returns {string} - owner/repo#number, lower-cased
+ */
+function jobKey(owner, repo, number) {
+  return `${owner}/${repo}#${number}`.toLowerCase();
+}
+
+/**
+ * Apply an event to the in-memory jobs
+ *
+ * @private
+ * @param {Object} event - Event read from or written to the store
+ */
+function applyEvent(event) {
+  const existing = jobs.get(event.key);
+
+  if (event.type === 'begin') {
+    const job = existing && !event.fresh
+      ? existing
+      : { key: event.key, createdAt: event.at, runs: 0, stages: [], outputs: {} };
+    job.runs += 1;
+    job.input = event.input;
+    job.status = 'running';
+    job.error = null;
+    job.result = null;
+    job.updatedAt = event.at;
+    job.stages.push({ stage: 'started', at: event.at, run: job.runs });
+    jobs.set(event.key, job);
+    return;
+  }
+
+  if (!existing) return;
+  existing.updatedAt = event.at;
+
+  if (event.type === 'stage') {
+    existing.stage = event.stage;
+    existing.outputs[event.stage] = event.output;
+    existing.stages.push({ stage: event.stage, at: event.at, run: existing.runs });
+  } else if (event.type === 'complete') {
+    existing.status = 'succeeded';
+    existing.result = event.result;
+    existing.stages.push({ stage: 'completed', at: event.at, run: existing.runs });
+  } else if (event.type === 'fail') {
+    existing.status = 'failed';
+    existing.error = event.error;
+    existing.stages.push({ stage: 'failed', at: event.at, run: existing.runs });
+  }
+}
+
+/**
+ * Initialize the job store, replaying the store file
+ *
+ * Jobs still running when the file was last written belonged to a process
+ * that stopped and are marked interrupted.
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} [options.path] - Store file, overrides `jobs.storePath`
+ * @returns {Promise<boolean>} - Success status
+ */
+async function initialize(options = {}) {
+  const settings = configModule.getConfigSection('jobs') || {};
+  storePath = options.path || settings.storePath || path.join(os.homedir(), '.openhands-resolver', 'jobs.jsonl');
+  jobs = new Map();
+
+  let content = '';
+  try {
+    content = await fs.readFile(storePath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      applyEvent(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable line ${index + 1} of job store ${storePath}`);
+    }
+  });
+
+  for (const job of jobs.values()) {
+    if (job.status === 'running') job.status = 'interrupted';
+  }
+
+  logger.debug(`Job store ${storePath} loaded with ${jobs.size} job(s)`);
+  return true;
+}
+
+/**
+ * Get the jobs, loading the store on first use
+ *
+ * @private
+ * @returns {Promise<Map>} - Jobs keyed by owner/repo#number
+ */
+async function getJobs() {
+  if (!jobs) {
+    await initialize();
+  }
+  return jobs;
+}
+
+/**
+ * Append an event to the store and apply it
+ *
+ * @private
+ * @param {Object} event - Event without its timestamp
+ * @returns {Promise<Object>} - Copy of the job after the event
+ */
+async function record(event) {
+  await getJobs();
+  // Error messages and results may quote tokens, keep them out of the file;
+  // stage outputs hold file content that resuming commits as it is
+  const entry = { ...event, at: new Date().toISOString() };
+  if (entry.error !== undefined) entry.error = redact(entry.error);
+  if (entry.result !== undefined) entry.result = redact(entry.result, { except: ['patch'] });
+  applyEvent(entry);
+
+  const line = `${JSON.stringify(entry)}\n`;
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.mkdir(path.dirname(storePath), { recursive: true });
+      await fs.appendFile(storePath, line, 'utf-8');
+    })
+    .catch((error) => {
+      logger.error(`Failed to write job store ${storePath}:`, error);
+    });
+  await writeQueue;
+
+  return getJob(event.key);
+}
+
+/**
+ * Start a run of a job
+ *
+ * @param {string} key - Job key from `jobKey`
+ * @param {Object} input - Inputs of the run, e.g. the issue URL and options
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.fresh] - Discard the outputs of earlier runs
+ * @returns {Promise<Object>} - The job, with outputs of earlier completed stages unless fresh
+ */
+async function beginRun(key, input, options = {}) {
+  return record({ type: 'begin', key, input, fresh: Boolean(options.fresh) });
+}
+
+/**
+ * Record that a stage completed with its output
+ *
+ * @param {string} key - Job key
+ * @param {string} stage - Completed stage
+ * @param {*} output - Output needed to resume after the stage
+ * @returns {Promise<Object>} - The job
+ */
+async function recordStage(key, stage, output) {
+  return record({ type: 'stage', key, stage, output });
+}
+
+/**
+ * Record that a job finished successfully
+ *
+ * @param {string} key - Job key
+ * @param {Object} result - Final result
+ * @returns {Promise<Object>} - The job
+ */
+async function completeJob(key, result) {
+  return record({ type: 'complete', key, result });
+}
+
+/**
+ * Record that a job failed
+ *
+ * @param {string} key - Job key
+ * @param {Error|string} error - What went wrong
+ * @returns {Promise<Object>} - The job
+ */
+async function failJob(key, error) {
+  return record({ type: 'fail', key, error: error instanceof Error ? error.message : String(error) });
+}
+
+/**
+ * Get a job
+ *
+ * @param {string} key - Job key
+ * @returns {Promise<Object|null>} - Copy of the job with its outputs and stage history
+ */
+async function getJob(key) {
+  const job = (await getJobs()).get(key.toLowerCase());
+  return job ? JSON.parse(JSON.stringify(job)) : null;
+}
+
+/**
+ * List jobs, most recently updated first
+ *
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.status] - running, interrupted, succeeded or failed
+ * @param {string} [filters.repo] - owner/repo
+ * @param {number} [filters.limit] - Maximum number of jobs
+ * @returns {Promise<Array>} - Job summaries without stage outputs
+ */
+async function listJobs(filters = {}) {
+  const repoPrefix = filters.repo ? `${filters.repo.toLowerCase()}#` : null;
+
+  const summaries = [...(await getJobs()).values()]
+    .filter(job => !filters.status || job.status === filters.status)
+    .filter(job => !repoPrefix || job.key.startsWith(repoPrefix))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(job => ({
+      key: job.key,
+      issueUrl: job.input && job.input.issueUrl,
+      status: job.status,
+      stage: job.stage || null,
+      runs: job.runs,
+      pullRequestUrl: job.result ? job.result.pullRequestUrl : null,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt
+    }));
+
+  return filters.limit ? summaries.slice(0, filters.limit) : summaries;
+}
+
+module.exports = {
+  initialize,
+  jobKey,
+  beginRun,
+  recordStage,
+  completeJob,
+  failJob,
+  getJob,
+  listJobs
+};
@@ -0,0 +1,208 @@
+/**
+ * Policy Module
+ *
+ * Decides which generated changes may be committed: paths must stay inside
+ * the repository and pass the allow, deny and protected lists, binary files
+ * and symbolic links are left alone, the change must fit the size limits and
+ * added lines must not contain anything that looks like a secret
+ *
+ * Every rejection is a violation with a reason meant for people, surfaced to
+ * the MCP caller, the issue comment and the model when it retries.
+ */
+
+const path = require('path');
+const configModule = require('../configuration');
+const { matchGlob } = require('../../utils/glob');
+const { diffLines } = require('../../utils/diff');
+const logger = require('../../utils/logger');
+
+// Git mode of symbolic links in trees
+const SYMLINK_MODE = '120000';
+
+// Added text that looks like a credential, with a name used in reasons
+const SECRET_PATTERNS = [
+  { name: 'a private key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----/ },
+  { name: 'a GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/ },
+  { name: 'an AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { name: 'a Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+  { name: 'a Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { name: 'a Stripe secret key', pattern: /\b[sr]k_live_[0-9A-Za-z]{16,}/ },
+  {
+    name: 'a hard-coded credential',
+    pattern: /\b(?:api[_-]?key|secret|password|passwd|access[_-]?token|auth[_-]?token)\b["']?\s*[:=]\s*["'][^"'\s]{8,}["']/i
+  }
+];
+
+/**
+ * Get the policy settings in effect
+ *
+ * @private
+ * @returns {Object} - The `policy` section with defaults for missing entries
+ */
+function getSettings() {
+  return {
+    allowPaths: [],
+    denyPaths: [],
+    protectedPaths: [],
+    ...configModule.getConfigSection('policy')
+  };
+}
+
+/**
+ * Build a violation
+ *
+ * @private
+ * @param {string} filePath - Path the violation is about, null for the change as a whole
+ * @param {string} rule - Rule that was broken
+ * @param {string} reason - Explanation for people
+ * @returns {Object} - Violation
+ */
+function violation(filePath, rule, reason) {
+  return { path: filePath, rule, reason };
+}
+
+/**
+ * Check whether a path may be changed
+ *
+ * @param {string} filePath - Path of the change
+ * @param {Object} [entry] - Existing tree entry of the path, with `mode`
+ * @returns {Array<Object>} - Violations with `path`, `rule` and `reason`, empty when allowed
+ */
+function checkPath(filePath, entry) {
+  const settings = getSettings();
+
+  const segments = String(filePath || '').split('/');
+  if (!filePath || path.posix.isAbsolute(filePath) || /^[A-Za-z]:/.test(filePath) || filePath.includes('\\')) {
+    return [violation(filePath, 'outside_repository', `${filePath || '(empty path)'} is not a relative repository path`)];
+  }
+  if (segments.some(segment => segment === '..' || segment === '.' || segment === '')) {
+    return [violation(filePath, 'outside_repository', `${filePath} contains '.', '..' or empty segments and could leave the repository`)];
+  }
+  if (segments.includes('.git')) {
+    return [violation(filePath, 'outside_repository', `${filePath} is inside Git's own .git directory`)];
+  }
+
+  const violations = [];
+  const denied = matchGlob(filePath, settings.denyPaths);
+  if (denied) {
+    violations.push(violation(filePath, 'denied_path', `${filePath} matches ${denied} in policy.denyPaths`));
+  }
+  const protectedBy = matchGlob(filePath, settings.protectedPaths);
+  if (protectedBy) {
+    violations.push(violation(filePath, 'protected_path', `${filePath} is protected by ${protectedBy} in policy.protectedPaths and must be changed by a person`));
+  }
+  if (settings.allowPaths.length > 0 && !matchGlob(filePath, settings.allowPaths)) {
+    violations.push(violation(filePath, 'not_allowed_path', `${filePath} does not match any pattern in policy.allowPaths`));
+  }
+  if (!configModule.isFileTypeAllowed(filePath)) {
+    const extension = path.posix.extname(filePath) || 'without an extension';
+    violations.push(violation(filePath, 'file_type', `${filePath} has file type ${extension}, which is not in security.allowedFileTypes`));
+  }
+  if (settings.blockSymlinks && entry && entry.mode === SYMLINK_MODE) {
+    violations.push(violation(filePath, 'symlink', `${filePath} is a symbolic link`));
+  }
+
+  return violations;
+}
+
+/**
+ * Find added lines that look like secrets
+ *
+ * @private
+ * @param {Object} change - Code change
+ * @returns {Array<Object>} - Violations naming the file, line and kind of secret, never the secret itself
+ */
+function scanSecrets(change) {
+  const violations = [];
+  let line = 0;
+
+  for (const op of diffLines(change.originalContent, change.newContent)) {
+    if (op.type === 'delete') continue;
+    line++;
+    if (op.type !== 'insert') continue;
+
+    const found = SECRET_PATTERNS.find(({ pattern }) => pattern.test(op.line));
+    if (found) {
+      violations.push(violation(change.path, 'secret', `${change.path}:${line} adds what looks like ${found.name}`));
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check a set of generated changes against the policy
+ *
+ * @param {Array} codeChanges - Changes with `path`, `originalContent` and `newContent`
+ * @param {Object} [options] - Check options
+ * @param {Array} [options.files] - Repository tree entries with `path` and `mode`, for symlink checks
+ * @returns {Object} - `allowed`, `violations` and `stats` with files and lines changed
+ */
+function evaluateChanges(codeChanges, options = {}) {
+  const settings = getSettings();
+  const entries = new Map((options.files || []).map(file => [file.path, file]));
+  const violations = [];
+  let linesChanged = 0;
+
+  for (const change of codeChanges) {
+    violations.push(...checkPath(change.path, entries.get(change.path)));
+
+    const contents = [change.originalContent, change.newContent].filter(content => typeof content === 'string');
+    if (settings.blockBinary && contents.some(content => content.includes('\u0000'))) {
+      violations.push(violation(change.path, 'binary', `${change.path} is a binary file`));
+      continue;
+    }
+
+    const ops = diffLines(change.originalContent, change.newContent);
+    linesChanged += ops.filter(op => op.type !== 'equal').length;
+    if (settings.scanSecrets) {
+      violations.push(...scanSecrets(change));
+    }
+  }
+
+  const stats = { filesChanged: codeChanges.length, linesChanged };
+  if (settings.maxFilesChanged && stats.filesChanged > settings.maxFilesChanged) {
+    violations.push(violation(null, 'max_files', `${stats.filesChanged} files changed, more than policy.maxFilesChanged (${settings.maxFilesChanged})`));
+  }
+  if (settings.maxLinesChanged && stats.linesChanged > settings.maxLinesChanged) {
+    violations.push(violation(null, 'max_lines', `${stats.linesChanged} lines changed, more than policy.maxLinesChanged (${settings.maxLinesChanged})`));
+  }
+
+  return { allowed: violations.length === 0, violations, stats };
+}
+
+/**
+ * Join violation reasons into one message
+ *
+ * @param {Array<Object>} violations - Violations from `checkPath` or `evaluateChanges`
+ * @returns {string} - Reasons separated by semicolons
+ */
+function formatViolations(violations) {
+  return violations.map(item => item.reason).join('; ');
+}
+
+/**
+ * Throw when changes break the policy
+ *
+ * @param {Array} codeChanges - Changes to check
+ * @param {Object} [options] - See `evaluateChanges`
+ * @returns {Object} - Result of `evaluateChanges` when the changes are allowed
+ * @throws {Error} - With `policyViolations` listing every violation
+ */
+function enforce(codeChanges, options = {}) {
+  const result = evaluateChanges(codeChanges, options);
+  if (!result.allowed) {
+    logger.warn(`Generated changes rejected by the safety policy: ${result.violations.length} violation(s)`);
+    const error = new Error(`Changes rejected by the safety policy: ${formatViolations(result.violations)}`);
+    error.policyViolations = result.violations;
+    throw error;
+  }
+  return result;
+}
+
+module.exports = {
+  checkPath,
+  evaluateChanges,
+  formatViolations,
+  enforce
+};
@@ -0,0 +1,125 @@
+/**
+ * Repository Selection Module
+ *
+ * Picks which open issues of a repository a repo-wide request should resolve,
+ * applying the request's filters and leaving alone issues that already have
+ * a fix in flight
+ */
+
+const configModule = require('../configuration');
+const githubModule = require('../github_api');
+const triageModule = require('../triage');
+const { BRANCH_PREFIX, getBranchName } = require('../commit_pr');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check an issue against the age filters
+ *
+ * @private
+ * @param {Object} issue - Issue from `listOpenIssues`
+ * @param {Object} filters - `minAgeDays` and `maxAgeDays`
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} - Reason the issue is filtered out, null when it matches
+ */
+function checkAge(issue, filters, now) {
+  const ageDays = (now - Date.parse(issue.createdAt)) / DAY_MS;
+  if (filters.minAgeDays !== undefined && ageDays < filters.minAgeDays) {
+    return `Younger than ${filters.minAgeDays} day(s)`;
+  }
+  if (filters.maxAgeDays !== undefined && ageDays > filters.maxAgeDays) {
+    return `Older than ${filters.maxAgeDays} day(s)`;
+  }
+  return null;
+}
+
+/**
+ * Select open issues of a repository for resolution
+ *
+ * Labels, assignee and milestone are filtered by the GitHub API, age locally.
+ * Issues with a linked pull request or an existing resolver branch are
+ * skipped, as are, with triage enabled, issues triage would skip or that
+ * score below `triage.minRepoScore`; nobody is asked for more information
+ * about those. At most `limit` issues are selected, capped by
+ * `batch.maxRepoIssues`; with `triage.orderBatches` the most feasible issues
+ * are picked first, otherwise and among equal scores the oldest.
+ *
+ * @param {Object} triggerData - `owner`, `repo` and optional `filters`
+ * @param {Object} [options] - Selection options
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {Promise<Object>} - `selected` issue references, `skipped` issues with reasons and `candidates` count
+ */
+async function selectRepoIssues(triggerData, options = {}) {
+  const { owner, repo } = triggerData;
+  const filters = triggerData.filters || {};
+  const { maxRepoIssues } = configModule.getConfigSection('batch');
+  const limit = Math.min(filters.limit || maxRepoIssues, maxRepoIssues);
+  const now = options.now || Date.now();
+
+  const issues = await githubModule.listOpenIssues(owner, repo, {
+    labels: filters.labels,
+    assignee: filters.assignee,
+    milestone: filters.milestone
+  });
+  const branches = new Set(await githubModule.listBranches(owner, repo, BRANCH_PREFIX));
+  logger.info(`Found ${issues.length} open issue(s) in ${owner}/${repo} matching the filters`);
+
+  const selected = [];
+  const skipped = [];
+  const { enabled, orderBatches } = configModule.getConfigSection('triage');
+  const scored = [...issues]
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+    .map(issue => ({ issue, triage: enabled ? triageModule.triageIssue(issue, { unattended: true }) : null }));
+  if (enabled && orderBatches) {
+    // Array#sort is stable, so equal scores keep the oldest first
+    scored.sort((a, b) => b.triage.score - a.triage.score);
+  }
+
+  for (const { issue, triage } of scored) {
+    const skip = reason => skipped.push({ issueUrl: issue.url, issueNumber: issue.number, reason });
+
+    const ageReason = checkAge(issue, filters, now);
+    if (ageReason) {
+      skip(ageReason);
+      continue;
+    }
+
+    if (triage && triage.skip) {
+      skip(`Not selected by triage: ${triage.reason}`);
+      continue;
+    }
+
+    if (selected.length >= limit) {
+      skip(`Over the limit of ${limit} issue(s)`);
+      continue;
+    }
+
+    if (branches.has(getBranchName(issue))) {
+      skip(`Resolver branch ${getBranchName(issue)} already exists`);
+      continue;
+    }
+
+    const linked = await githubModule.fetchLinkedPullRequests(owner, repo, issue.number);
+    const openPull = linked.find(pull => pull.state === 'open');
+    if (openPull) {
+      skip(`Already linked to pull request #${openPull.number}`);
+      continue;
+    }
+
+    selected.push({
+      issueUrl: issue.url,
+      owner,
+      repo,
+      issueNumber: issue.number,
+      ...(triage ? { triage: { category: triage.category, score: triage.score } } : {})
+    });
+  }
+
+  logger.info(`Selected ${selected.length} issue(s) in ${owner}/${repo}, skipped ${skipped.length}`);
+  return { selected, skipped, candidates: issues.length };
+}
+
+module.exports = {
+  selectRepoIssues
+};
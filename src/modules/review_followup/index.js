@@ -0,0 +1,159 @@
+/**
+ * Review Follow-up Module
+ *
+ * Addresses review comments left on the resolver's own pull requests: finds
+ * the unresolved review threads and the issue the pull request fixes, and
+ * replies on each thread once new changes are pushed to its branch
+ *
+ * Only pull requests carrying `review.label` or opened from a resolver
+ * branch are acted on.
+ */
+
+const configModule = require('../configuration');
+const githubModule = require('../github_api');
+const { BRANCH_PREFIX } = require('../commit_pr');
+const logger = require('../../utils/logger');
+
+// Issue a resolver pull request fixes, as written by `buildBody`
+const FIXES_PATTERN = /\b(?:fix(?:e[sd])?|close[sd]?|resolve[sd]?)\s+#(\d+)\b/i;
+
+/**
+ * Get the review settings in effect
+ *
+ * @private
+ * @returns {Object} - Review section with defaults for missing entries
+ */
+function getSettings() {
+  return {
+    label: 'ai-assisted',
+    includeOutdated: false,
+    replyToThreads: true,
+    ...configModule.getConfigSection('review')
+  };
+}
+
+/**
+ * Check whether the resolver may push to a pull request
+ *
+ * @param {Object} pull - Pull request from `fetchPullRequest`
+ * @returns {Array<string>} - Reasons the pull request is refused, empty when allowed
+ */
+function checkEligibility(pull) {
+  const { label } = getSettings();
+  const reasons = [];
+
+  if (pull.state !== 'open') {
+    reasons.push(`#${pull.number} is ${pull.state}`);
+  }
+  if (!pull.labels.includes(label) && !pull.headRef.startsWith(BRANCH_PREFIX)) {
+    reasons.push(`#${pull.number} has no ${label} label and its branch ${pull.headRef} is not a resolver branch`);
+  }
+  if (pull.headRepository && pull.headRepository.toLowerCase() !== `${pull.owner}/${pull.repo}`.toLowerCase()) {
+    reasons.push(`#${pull.number} comes from the fork ${pull.headRepository}`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Find the issue a pull request fixes
+ *
+ * @param {Object} pull - Pull request from `fetchPullRequest`
+ * @returns {number|null} - Issue number from the body or the resolver branch name, null when neither names one
+ */
+function findIssueNumber(pull) {
+  const fixes = FIXES_PATTERN.exec(pull.body || '');
+  if (fixes) return parseInt(fixes[1], 10);
+
+  const branch = pull.headRef.startsWith(BRANCH_PREFIX) && /^issue-(\d+)$/.exec(pull.headRef.slice(BRANCH_PREFIX.length));
+  return branch ? parseInt(branch[1], 10) : null;
+}
+
+/**
+ * Fetch the review threads still waiting for changes
+ *
+ * @param {Object} pull - Pull request from `fetchPullRequest`
+ * @returns {Promise<Array>} - Unresolved threads, without outdated ones unless `review.includeOutdated` is set
+ */
+async function fetchOpenThreads(pull) {
+  const { includeOutdated } = getSettings();
+  const threads = await githubModule.fetchReviewThreads(pull.owner, pull.repo, pull.number);
+  const open = threads.filter(thread =>
+    !thread.isResolved &&
+    (includeOutdated || !thread.isOutdated) &&
+    thread.comments.length > 0
+  );
+
+  logger.info(`${open.length} of ${threads.length} review thread(s) on ${pull.owner}/${pull.repo}#${pull.number} need changes`);
+  return open;
+}
+
+/**
+ * Write the reply for a review thread
+ *
+ * @param {Object} thread - Review thread
+ * @param {Object} generation - Result of `generateAndValidateCode`
+ * @param {string} commitSha - Commit holding the changes
+ * @returns {string} - Markdown reply
+ */
+function buildReply(thread, generation, commitSha) {
+  const changed = generation.codeChanges.map(change => change.path);
+  const lines = [];
+
+  if (thread.path && changed.includes(thread.path)) {
+    lines.push(`Addressed in ${commitSha.slice(0, 7)}, which changes \`${thread.path}\`${changed.length > 1 ? ` and ${changed.length - 1} other file(s)` : ''}.`);
+  } else {
+    lines.push(`Pushed ${commitSha.slice(0, 7)} changing ${changed.map(filePath => `\`${filePath}\``).join(', ')}.`);
+    if (thread.path) {
+      lines.push(`\`${thread.path}\` itself was not changed, please check whether this comment is addressed.`);
+    }
+  }
+
+  if (generation.explanation) {
+    lines.push('', generation.explanation);
+  }
+  lines.push('', '_Reply generated by OpenHands Resolver._');
+  return lines.join('\n');
+}
+
+/**
+ * Reply on every addressed thread with what changed
+ *
+ * A failed reply is logged and reported rather than failing the follow-up,
+ * since the changes are already pushed.
+ *
+ * @param {Object} pull - Pull request from `fetchPullRequest`
+ * @param {Array} threads - Threads that were addressed
+ * @param {Object} generation - Result of `generateAndValidateCode`
+ * @param {string} commitSha - Commit holding the changes
+ * @returns {Promise<Array>} - `threadId` with the reply `url` or the `error`
+ */
+async function replyToThreads(pull, threads, generation, commitSha) {
+  if (!getSettings().replyToThreads) return [];
+
+  const replies = [];
+  for (const thread of threads) {
+    try {
+      const reply = await githubModule.replyToReviewComment(
+        pull.owner,
+        pull.repo,
+        pull.number,
+        thread.comments[0].id,
+        buildReply(thread, generation, commitSha)
+      );
+      replies.push({ threadId: thread.id, url: reply.url });
+    } catch (error) {
+      logger.warn(`Failed to reply on review thread ${thread.id}: ${error.message}`);
+      replies.push({ threadId: thread.id, error: error.message });
+    }
+  }
+  return replies;
+}
+
+module.exports = {
+  checkEligibility,
+  findIssueNumber,
+  fetchOpenThreads,
+  buildReply,
+  replyToThreads
+};
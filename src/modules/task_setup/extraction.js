@@ -0,0 +1,125 @@
+/**
+ * Issue Text Extraction
+ *
+ * Pulls file paths, stack-trace frames and keywords out of issue text
+ */
+
+// Stack frame formats of the languages the resolver supports
+const FRAME_PATTERNS = [
+  // JavaScript / TypeScript: "at fn (src/file.js:12:5)" or "at src/file.js:12:5"
+  { pattern: /at\s+(?:(?:async\s+)?([\w$.<>\[\] ]+?)\s+\()?((?:[A-Za-z]:)?[^\s()]+?\.[cm]?[jt]sx?):(\d+)(?::\d+)?\)?/g, file: 2, line: 3, fn: 1 },
+  // Python: File "app/models.py", line 42, in save
+  { pattern: /File\s+"([^"]+\.py)",\s+line\s+(\d+)(?:,\s+in\s+([\w<>]+))?/g, file: 1, line: 2, fn: 3 },
+  // Java / Kotlin: at com.acme.Foo.bar(Foo.java:12)
+  { pattern: /at\s+([\w$.]+)\(([\w$]+\.(?:java|kt)):(\d+)\)/g, file: 2, line: 3, fn: 1 },
+  // Ruby: app/models/user.rb:10:in `save'
+  { pattern: /([\w./-]+\.rb):(\d+):in\s+[`']([^'`]+)'/g, file: 1, line: 2, fn: 3 },
+  // Go: /src/app/handler.go:42 +0x1d
+  { pattern: /([\w./-]+\.go):(\d+)/g, file: 1, line: 2, fn: null },
+  // PHP: in /var/www/src/Foo.php on line 12, or #0 /src/Foo.php(12): fn()
+  { pattern: /([\w./-]+\.php)(?:\s+on\s+line\s+|\()(\d+)\)?(?::\s+([\w\\:>-]+)\()?/g, file: 1, line: 2, fn: 3 }
+];
+
+// Paths with an extension, optionally wrapped in backticks or quotes
+const PATH_PATTERN = /(?:^|[\s`'"(\[])((?:\.{0,2}\/)?(?:[\w@.-]+\/)*[\w@.-]+\.[A-Za-z][\w]{0,7})(?=$|[\s`'"),:\]#]|\.(?:\s|$))/gm;
+
+// Words too common to help locate code
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'when', 'from', 'into', 'should', 'would', 'could',
+  'does', 'not', 'are', 'was', 'were', 'but', 'have', 'has', 'had', 'instead', 'returns', 'return',
+  'error', 'issue', 'bug', 'fix', 'fails', 'failing', 'work', 'works', 'working', 'after', 'before',
+  'then', 'than', 'there', 'their', 'which', 'what', 'where', 'while', 'expected', 'actual'
+]);
+
+/**
+ * Normalize a path reported in text to a repository-relative path
+ *
+ * @param {string} filePath - Path as written in the issue
+ * @returns {string} - Normalized path
+ */
+function normalizePath(filePath) {
+  return filePath
+    .replace(/\\/g, '/')
+    .replace(/^[A-Za-z]:/, '')
+    .replace(/^(?:\.\/)+/, '')
+    .replace(/^\/+/, '');
+}
+
+/**
+ * Extract stack-trace frames from text
+ *
+ * @param {string} text - Issue body or comment
+ * @returns {Array} - Frames with `file`, `line` and `function`, in order of appearance
+ */
+function extractStackFrames(text) {
+  if (!text) return [];
+
+  const frames = [];
+  for (const { pattern, file, line, fn } of FRAME_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      frames.push({
+        index: match.index,
+        file: normalizePath(match[file]),
+        line: parseInt(match[line], 10),
+        function: fn && match[fn] ? match[fn].trim() : null
+      });
+    }
+  }
+
+  // Keep the order the frames appear in, dropping frames inside dependencies
+  return frames
+    .sort((a, b) => a.index - b.index)
+    .filter(frame => !/(^|\/)(node_modules|site-packages|vendor)\//.test(frame.file) && !frame.file.startsWith('node:'))
+    .map(({ index, ...frame }) => frame);
+}
+
+/**
+ * Extract file paths mentioned in text
+ *
+ * @param {string} text - Issue body or comment
+ * @returns {Array<string>} - Unique normalized paths
+ */
+function extractFilePaths(text) {
+  if (!text) return [];
+
+  const paths = new Set();
+  for (const match of text.matchAll(PATH_PATTERN)) {
+    const candidate = match[1];
+
+    // Skip URLs, version numbers and plain sentences ending in a period
+    if (/^\d+(\.\d+)+$/.test(candidate) || /:\/\//.test(candidate) || /^\w+\.$/.test(candidate)) {
+      continue;
+    }
+
+    paths.add(normalizePath(candidate));
+  }
+
+  return [...paths];
+}
+
+/**
+ * Extract identifiers that are likely to appear in the relevant code
+ *
+ * @param {string} text - Issue title and body
+ * @returns {Array<string>} - Lower-case keywords
+ */
+function extractKeywords(text) {
+  if (!text) return [];
+
+  const keywords = new Set();
+  for (const match of text.matchAll(/[A-Za-z_$][\w$]{2,}/g)) {
+    const word = match[0].toLowerCase();
+    if (!STOP_WORDS.has(word)) {
+      keywords.add(word);
+    }
+  }
+
+  return [...keywords];
+}
+
+module.exports = {
+  normalizePath,
+  extractStackFrames,
+  extractFilePaths,
+  extractKeywords
+};
@@ -0,0 +1,306 @@
+/**
+ * Task Setup Module
+ *
+ * Gathers repository context for an issue: extracts file paths and stack
+ * frames from the issue, ranks candidate files by relevance and assembles a
+ * bounded context package for the model
+ */
+
+const path = require('path');
+const configModule = require('../configuration');
+const repositoryModule = require('./repository');
+const {
+  extractStackFrames,
+  extractFilePaths,
+  extractKeywords
+} = require('./extraction');
+const logger = require('../../utils/logger');
+
+// Lines kept around a stack frame when a file has to be excerpted
+const FRAME_WINDOW = 30;
+
+// Upper bound on paths listed in the repository overview
+const MAX_TREE_ENTRIES = 500;
+
+/**
+ * Check whether a repository path matches a path referenced in the issue
+ *
+ * Stack traces often carry absolute paths and issues often give partial
+ * ones, so either path may be a suffix of the other.
+ *
+ * @private
+ * @param {string} filePath - Repository-relative path
+ * @param {string} reference - Path from the issue
+ * @returns {boolean} - Whether they refer to the same file
+ */
+function pathMatches(filePath, reference) {
+  return filePath === reference ||
+    filePath.endsWith(`/${reference}`) ||
+    reference.endsWith(`/${filePath}`);
+}
+
+/**
+ * Score repository files against the references found in the issue
+ *
+ * @param {Array} files - Files from the repository reader
+ * @param {Object} references - Extracted stack frames, paths and keywords
+ * @param {Object} settings - The `task` configuration section
+ * @returns {Array} - Candidates sorted by descending score
+ */
+function rankFiles(files, references, settings) {
+  const frameWeight = settings.prioritizeErrorContext ? 10 : 4;
+  const frameFiles = [...new Set(references.stackFrames.map(frame => frame.file))];
+  const candidates = [];
+
+  for (const file of files) {
+    if (file.mode === '120000' || !configModule.isFileTypeAllowed(file.path)) continue;
+
+    const basename = path.posix.basename(file.path);
+    const stem = basename.replace(/(\.(test|spec))?\.[^.]+$/, '').toLowerCase();
+    const directories = path.posix.dirname(file.path).toLowerCase().split('/');
+    const isTest = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[^.]+$|(^|\/)test_[^/]+$/.test(file.path);
+    const reasons = [];
+    let score = 0;
+
+    frameFiles.forEach((frameFile, position) => {
+      if (pathMatches(file.path, frameFile)) {
+        score += frameWeight + (position === 0 ? 3 : 0);
+        reasons.push(position === 0 ? 'top stack frame' : 'stack frame');
+      }
+    });
+
+    for (const reference of references.mentionedPaths) {
+      if (pathMatches(file.path, reference)) {
+        score += 8;
+        reasons.push('mentioned in issue');
+      } else if (!reference.includes('/') && reference === basename) {
+        score += 5;
+        reasons.push('file name mentioned in issue');
+      }
+    }
+
+    for (const keyword of references.keywords) {
+      if (stem === keyword || stem.split(/[_.-]/).includes(keyword)) {
+        score += 3;
+        reasons.push(`name matches "${keyword}"`);
+      } else if (directories.includes(keyword)) {
+        score += 1;
+        reasons.push(`directory matches "${keyword}"`);
+      }
+    }
+
+    // Tests that cover a referenced file help the model verify its fix
+    if (isTest && score === 0) {
+      const referencedStems = [...frameFiles, ...references.mentionedPaths]
+        .map(reference => path.posix.basename(reference).replace(/\.[^.]+$/, '').toLowerCase());
+      if (referencedStems.includes(stem)) {
+        score += 2;
+        reasons.push('tests a referenced file');
+      }
+    }
+
+    if (score > 0) {
+      candidates.push({ path: file.path, size: file.size, score, reasons: [...new Set(reasons)] });
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+}
+
+/**
+ * Cut the part of a file worth showing the model
+ *
+ * Files within `maxFileSize` are kept whole. Larger files are reduced to the
+ * lines around their stack frames, or to their beginning when no frame
+ * points into them.
+ *
+ * @private
+ * @param {string} content - File content
+ * @param {Array<number>} frameLines - Lines referenced by stack frames
+ * @param {number} maxFileSize - Maximum bytes per file
+ * @returns {Array} - Excerpts with `content`, `startLine`, `endLine` and `truncated`
+ */
+function excerpt(content, frameLines, maxFileSize) {
+  const lines = content.split('\n');
+
+  if (Buffer.byteLength(content) <= maxFileSize) {
+    return [{ content, startLine: 1, endLine: lines.length, truncated: false }];
+  }
+
+  // Merge overlapping windows around each frame
+  const windows = [];
+  for (const line of [...new Set(frameLines)].sort((a, b) => a - b)) {
+    const start = Math.max(1, line - FRAME_WINDOW);
+    const end = Math.min(lines.length, line + FRAME_WINDOW);
+    const last = windows[windows.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      windows.push({ start, end });
+    }
+  }
+  if (windows.length === 0) {
+    windows.push({ start: 1, end: lines.length });
+  }
+
+  // Share the byte budget between windows, trimming each from the end
+  const budget = Math.floor(maxFileSize / windows.length);
+  return windows.map(({ start, end }) => {
+    let size = 0;
+    let last = start - 1;
+    while (last < end && size + Buffer.byteLength(lines[last]) + 1 <= budget) {
+      size += Buffer.byteLength(lines[last]) + 1;
+      last++;
+    }
+    return {
+      content: lines.slice(start - 1, last).join('\n'),
+      startLine: start,
+      endLine: last,
+      truncated: true
+    };
+  });
+}
+
+/**
+ * Read ranked candidates into context snippets within the configured limits
+ *
+ * @param {Object} reader - Repository reader
+ * @param {Array} candidates - Ranked candidates from `rankFiles`
+ * @param {Array} stackFrames - Extracted stack frames
+ * @param {Object} settings - The `task` configuration section
+ * @returns {Promise<Object>} - Snippets, total size and omitted paths
+ */
+async function buildContext(reader, candidates, stackFrames, settings) {
+  const snippets = [];
+  const omitted = [];
+  let totalSize = 0;
+
+  for (const candidate of candidates) {
+    if (snippets.length >= settings.maxContextSnippets) {
+      omitted.push(candidate.path);
+      continue;
+    }
+
+    let content;
+    try {
+      content = await reader.readFile(candidate.path);
+    } catch (error) {
+      logger.warn(`Could not read ${candidate.path} for context: ${error.message}`);
+      omitted.push(candidate.path);
+      continue;
+    }
+
+    const frameLines = stackFrames
+      .filter(frame => pathMatches(candidate.path, frame.file))
+      .map(frame => frame.line);
+
+    for (const part of excerpt(content, frameLines, settings.maxFileSize)) {
+      const size = Buffer.byteLength(part.content);
+      if (snippets.length >= settings.maxContextSnippets || totalSize + size > settings.maxContextSize) {
+        omitted.push(candidate.path);
+        break;
+      }
+
+      snippets.push({
+        path: candidate.path,
+        ...part,
+        score: candidate.score,
+        reasons: candidate.reasons
+      });
+      totalSize += size;
+    }
+  }
+
+  return { snippets, totalSize, omitted: [...new Set(omitted)] };
+}
+
+/**
+ * Set up the task for AI resolution of an issue
+ *
+ * When addressing review comments, the repository is read at the pull
+ * request's branch and the files the threads are on count as mentioned.
+ * Pass the task to `releaseTask` once its changes are generated.
+ *
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @param {Object} [options] - Task options
+ * @param {string} [options.ref] - Branch to read, the default branch when omitted
+ * @param {Object} [options.review] - Pull request under review with its unresolved `threads`
+ * @returns {Promise<Object>} - Task configuration with issue, repository source and context
+ */
+async function setupTask(issueData, options = {}) {
+  const settings = configModule.getConfigSection('task');
+  logger.info(`Setting up task for ${issueData.owner}/${issueData.repo}#${issueData.number}`);
+
+  const threads = options.review ? options.review.threads : [];
+
+  // Comments often carry the stack trace or the file that misbehaves
+  const discussion = [
+    issueData.body,
+    ...issueData.comments.map(comment => comment.body),
+    ...threads.flatMap(thread => thread.comments.map(comment => comment.body))
+  ].join('\n\n');
+  const codeSpans = [...discussion.matchAll(/`([^`\n]+)`/g)].map(match => match[1]).join(' ');
+  const references = {
+    stackFrames: extractStackFrames(discussion),
+    mentionedPaths: [...new Set([
+      ...threads.map(thread => thread.path).filter(Boolean),
+      ...extractFilePaths(`${issueData.title}\n${discussion}`)
+    ])],
+    keywords: extractKeywords(`${issueData.title} ${codeSpans}`)
+  };
+  logger.debug(`Found ${references.stackFrames.length} stack frames and ${references.mentionedPaths.length} file paths in issue`);
+
+  const reader = await repositoryModule.prepareRepository(issueData, { ref: options.ref });
+  let files;
+  let candidates;
+  let context;
+  try {
+    files = await reader.listFiles();
+    candidates = rankFiles(files, references, settings);
+    context = await buildContext(reader, candidates, references.stackFrames, settings);
+  } catch (error) {
+    // Without a task the caller has nothing to release the checkout with
+    await repositoryModule.releaseRepository(reader.source);
+    throw error;
+  }
+  logger.info(`Selected ${context.snippets.length} context snippets (${context.totalSize} bytes) from ${candidates.length} candidates`);
+
+  return {
+    issue: {
+      owner: issueData.owner,
+      repo: issueData.repo,
+      number: issueData.number,
+      url: issueData.url,
+      title: issueData.title,
+      body: issueData.body,
+      labels: issueData.labels,
+      comments: issueData.comments
+    },
+    repository: issueData.repository,
+    source: reader.source,
+    references,
+    fileTree: files
+      .map(file => file.path)
+      .filter(filePath => configModule.isFileTypeAllowed(filePath))
+      .slice(0, MAX_TREE_ENTRIES),
+    context,
+    ...(options.review ? { review: options.review } : {})
+  };
+}
+
+/**
+ * Release what a task holds on to, such as a scratch clone of the repository
+ *
+ * @param {Object} taskConfig - Task configuration from `setupTask`
+ * @returns {Promise<void>}
+ */
+async function releaseTask(taskConfig) {
+  await repositoryModule.releaseRepository(taskConfig.source);
+}
+
+module.exports = {
+  setupTask,
+  releaseTask,
+  rankFiles,
+  buildContext
+};
@@ -0,0 +1,222 @@
+/**
+ * Repository Access
+ *
+ * Readers that list and read files of the target repository, either through
+ * the GitHub API or from a local checkout (an existing path or a fresh clone)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const githubModule = require('../github_api');
+const configModule = require('../configuration');
+const { registerSecret } = require('../../utils/redact');
+const logger = require('../../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Directories never worth reading for context
+const IGNORED_DIRECTORIES = ['.git', 'node_modules', 'vendor', 'dist', 'build', 'coverage', '__pycache__'];
+
+/**
+ * Create a reader backed by the GitHub API
+ *
+ * @param {Object} source - Source descriptor
+ * @param {string} source.owner - Repository owner
+ * @param {string} source.repo - Repository name
+ * @param {string} source.ref - Branch, tag or commit SHA
+ * @returns {Object} - Repository reader
+ */
+function createApiReader({ owner, repo, ref }) {
+  let files = null;
+
+  return {
+    source: { type: 'api', owner, repo, ref },
+
+    async listFiles() {
+      if (!files) {
+        files = await githubModule.fetchTree(owner, repo, ref);
+      }
+      return files;
+    },
+
+    async readFile(filePath) {
+      return githubModule.fetchFileContent(owner, repo, filePath, ref);
+    }
+  };
+}
+
+/**
+ * Recursively list files below a directory
+ *
+ * @private
+ * @param {string} root - Repository root
+ * @param {string} [relative] - Directory relative to the root
+ * @returns {Promise<Array>} - Files with `path`, `size` and, for symbolic links, `mode`
+ */
+async function walk(root, relative = '') {
+  const entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+        files.push(...await walk(root, entryPath));
+      }
+    } else if (entry.isFile()) {
+      const stats = await fs.stat(path.join(root, entryPath));
+      files.push({ path: entryPath, size: stats.size });
+    } else if (entry.isSymbolicLink()) {
+      // Listed with Git's symlink mode so they are never read or changed
+      files.push({ path: entryPath, size: 0, mode: '120000' });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Create a reader backed by a local directory
+ *
+ * @param {Object} source - Source descriptor
+ * @param {string} source.dir - Path of the checkout
+ * @param {string} [source.ref] - Ref the checkout corresponds to
+ * @param {boolean} [source.scratch] - Checkout made for the task, deleted by `releaseRepository`
+ * @returns {Object} - Repository reader
+ */
+function createLocalReader({ dir, ref, owner, repo, scratch }) {
+  const root = path.resolve(dir);
+  let files = null;
+
+  return {
+    source: { type: 'local', dir: root, ref, owner, repo, ...(scratch ? { scratch: true } : {}) },
+
+    async listFiles() {
+      if (!files) {
+        files = await walk(root);
+      }
+      return files;
+    },
+
+    async readFile(filePath) {
+      const resolved = path.resolve(root, filePath);
+      if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+        throw new Error(`Refusing to read outside the repository: ${filePath}`);
+      }
+      return fs.readFile(resolved, 'utf-8');
+    }
+  };
+}
+
+/**
+ * Shallow-clone a repository into the workspace directory
+ *
+ * @param {Object} repository - Repository metadata from `fetchRepository`
+ * @param {string} ref - Branch or tag to check out
+ * @param {string} targetDir - Directory to clone into
+ * @returns {Promise<string>} - Path of the checkout
+ */
+async function cloneRepository(repository, ref, targetDir) {
+  await fs.rm(targetDir, { recursive: true, force: true });
+  await fs.mkdir(path.dirname(targetDir), { recursive: true });
+
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  const token = await githubModule.getToken(repository.owner);
+  if (token) {
+    // Pass the token as a header through the environment, so it never ends
+    // up in the remote URL or in the command line other users can list
+    const basic = Buffer.from(`x-access-token:${token}`).toString('base64');
+    registerSecret(basic);
+    Object.assign(env, {
+      GIT_CONFIG_COUNT: '1',
+      GIT_CONFIG_KEY_0: 'http.extraHeader',
+      GIT_CONFIG_VALUE_0: `Authorization: Basic ${basic}`
+    });
+  }
+  const args = ['clone', '--depth', '1', '--branch', ref, repository.cloneUrl, targetDir];
+
+  logger.info(`Cloning ${repository.fullName}@${ref}`);
+  await execFileAsync('git', args, { env, timeout: 5 * 60 * 1000 });
+  return targetDir;
+}
+
+/**
+ * Open a reader for a source descriptor, as stored in a task configuration
+ *
+ * @param {Object} source - Source descriptor with `type` of 'api' or 'local'
+ * @returns {Object} - Repository reader
+ */
+function openRepository(source) {
+  if (source.type === 'local') {
+    return createLocalReader(source);
+  }
+  if (source.type === 'api') {
+    return createApiReader(source);
+  }
+  throw new Error(`Unknown repository source type: ${source.type}`);
+}
+
+/**
+ * Prepare a reader for the repository an issue belongs to
+ *
+ * Uses `task.repoSource`: 'api' reads through the GitHub API, 'clone' makes a
+ * shallow clone below `task.workspaceDir`, and 'local' reads `task.localRepoPath`.
+ * Clones are scratch checkouts that `releaseRepository` deletes.
+ *
+ * @param {Object} issueData - Issue data from the GitHub API module
+ * @param {Object} [options] - Reader options
+ * @param {string} [options.ref] - Branch to read, the default branch when omitted
+ * @returns {Promise<Object>} - Repository reader
+ */
+async function prepareRepository(issueData, options = {}) {
+  const taskConfig = configModule.getConfigSection('task') || {};
+  const { owner, repo, repository } = issueData;
+  const ref = options.ref || repository.defaultBranch;
+
+  switch (taskConfig.repoSource) {
+    case 'local':
+      if (!taskConfig.localRepoPath) {
+        throw new Error('task.localRepoPath must be set when task.repoSource is "local"');
+      }
+      return createLocalReader({ dir: taskConfig.localRepoPath, ref, owner, repo });
+
+    case 'clone': {
+      const targetDir = path.join(taskConfig.workspaceDir, `${owner}-${repo}-${issueData.number}`);
+      try {
+        await cloneRepository(repository, ref, targetDir);
+      } catch (error) {
+        await fs.rm(targetDir, { recursive: true, force: true });
+        throw error;
+      }
+      return createLocalReader({ dir: targetDir, ref, owner, repo, scratch: true });
+    }
+
+    default:
+      return createApiReader({ owner, repo, ref });
+  }
+}
+
+/**
+ * Delete the checkout behind a source descriptor if it was made for the task
+ *
+ * @param {Object} source - Source descriptor of a reader from `prepareRepository`
+ * @returns {Promise<void>}
+ */
+async function releaseRepository(source) {
+  if (source && source.scratch) {
+    await fs.rm(source.dir, { recursive: true, force: true });
+    logger.debug(`Removed scratch checkout ${source.dir}`);
+  }
+}
+
+module.exports = {
+  createApiReader,
+  createLocalReader,
+  cloneRepository,
+  openRepository,
+  prepareRepository,
+  releaseRepository
+};
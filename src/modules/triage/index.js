@@ -0,0 +1,290 @@
+/**
+ * Triage Module
+ *
+ * Classifies an issue as a bug, feature, question, docs or duplicate and
+ * scores how feasible an automated fix is from its reproduction steps, the
+ * files it references and its size, so that vague reports are sent back for
+ * more information instead of burning model tokens
+ *
+ * Scores run from 0 to 1 and also set the order of batch and repository-wide
+ * runs.
+ */
+
+const configModule = require('../configuration');
+const githubModule = require('../github_api');
+const { extractFilePaths, extractStackFrames } = require('../task_setup/extraction');
+const logger = require('../../utils/logger');
+
+// Labels naming a category, checked from the most to the least specific
+const CATEGORY_LABELS = [
+  ['duplicate', /^(duplicate|dupe)$/i],
+  ['question', /^(question|support|discussion)$/i],
+  ['docs', /^(docs?|documentation)$/i],
+  ['bug', /^(bug|defect|regression|crash)$/i],
+  ['feature', /^(enhancement|feature|feature request)$/i]
+];
+
+// How likely a code change addresses an issue of each category
+const CATEGORY_WEIGHTS = {
+  bug: 1,
+  docs: 0.9,
+  feature: 0.7,
+  question: 0.3,
+  duplicate: 0
+};
+
+// Share of each factor in the score
+const FACTOR_WEIGHTS = {
+  category: 0.35,
+  reproduction: 0.25,
+  files: 0.25,
+  size: 0.15
+};
+
+// Issue text lengths, in characters, that are enough to act on
+const MIN_LENGTH = 80;
+const MAX_LENGTH = 4000;
+
+// Beyond this, an issue is a discussion rather than a task
+const MAX_COMMENTS = 20;
+
+// Wording of a wish rather than of a change the author has settled on
+const TENTATIVE_WORDING = /\b(it\s+would\s+be\s+(nice|great|cool|good)|it'd\s+be\s+(nice|great|cool)|would\s+love|maybe|perhaps|wish|consider(ing)?)\b/i;
+
+/**
+ * Get the triage settings in effect
+ *
+ * @private
+ * @returns {Object} - Triage section with defaults for missing entries
+ */
+function getSettings() {
+  return {
+    enabled: true,
+    minScore: 0.5,
+    minRepoScore: 0.8,
+    skipCategories: ['question', 'duplicate'],
+    orderBatches: true,
+    ...configModule.getConfigSection('triage')
+  };
+}
+
+/**
+ * Get the text an issue is judged on
+ *
+ * @private
+ * @param {Object} issue - Issue data or summary
+ * @returns {string} - Title, body and comments
+ */
+function issueText(issue) {
+  const comments = Array.isArray(issue.comments) ? issue.comments.map(comment => comment.body) : [];
+  return [issue.title, issue.body, ...comments].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Classify an issue
+ *
+ * Labels decide when they name a category, the wording otherwise.
+ *
+ * @param {Object} issue - Issue data from `fetchIssueData` or a summary from `listOpenIssues`
+ * @returns {Object} - `category` and the `duplicateOf` issue number when one is named
+ */
+function classifyIssue(issue) {
+  const text = issueText(issue);
+  const duplicate = /\bduplicate\s+of\s+#(\d+)/i.exec(text);
+  const duplicateOf = duplicate ? parseInt(duplicate[1], 10) : null;
+  const labels = issue.labels || [];
+
+  for (const [category, pattern] of CATEGORY_LABELS) {
+    if (labels.some(label => pattern.test(label))) {
+      return { category, duplicateOf };
+    }
+  }
+
+  const title = issue.title || '';
+  const body = issue.body || '';
+  let category = 'feature';
+  if (duplicateOf) {
+    category = 'duplicate';
+  } else if (/\?\s*$/.test(title) || /^(how|why|what|is there|is it possible|can i|does)\b/i.test(title)) {
+    category = 'question';
+  } else if (extractStackFrames(body).length > 0 || /\b(crash(es|ed)?|exception|error|fails?|broken|regression|instead of|wrong)\b/i.test(`${title}\n${body}`)) {
+    category = 'bug';
+  } else if (/\b(readme|docs?|documentation|typo|spelling)\b/i.test(title)) {
+    category = 'docs';
+  }
+  return { category, duplicateOf };
+}
+
+/**
+ * Rate how well an issue describes the behaviour to reproduce
+ *
+ * @private
+ * @param {string} body - Issue body
+ * @param {string} category - Issue category
+ * @returns {number} - 1 for steps, a stack trace or a code sample, 0.5 for expected and actual behaviour or a settled non-bug
+ */
+function rateReproduction(body, category) {
+  if (
+    extractStackFrames(body).length > 0 ||
+    /```/.test(body) ||
+    /\b(steps to reproduce|to reproduce|repro(duction)?)\b/i.test(body) ||
+    /^\s*1[.)]\s+\S/m.test(body)
+  ) {
+    return 1;
+  }
+  if (/\bexpected\b/i.test(body) && /\b(actual|instead|but)\b/i.test(body)) {
+    return 0.5;
+  }
+  return category === 'bug' || TENTATIVE_WORDING.test(body) ? 0 : 0.5;
+}
+
+/**
+ * Rate the size of an issue
+ *
+ * @private
+ * @param {Object} issue - Issue data or summary
+ * @returns {number} - 1 when it can be read as one task, lower when too short or too long
+ */
+function rateSize(issue) {
+  const length = `${issue.title || ''}\n${issue.body || ''}`.trim().length;
+  const comments = Array.isArray(issue.comments) ? issue.comments.length : (issue.comments || 0);
+
+  let rating = 1;
+  if (length < MIN_LENGTH / 4 || length > MAX_LENGTH * 3) {
+    rating = 0;
+  } else if (length < MIN_LENGTH || length > MAX_LENGTH) {
+    rating = 0.5;
+  }
+  return comments > MAX_COMMENTS ? rating / 2 : rating;
+}
+
+/**
+ * List what an issue is missing for a fix to be attempted
+ *
+ * @private
+ * @param {Object} factors - Factor ratings
+ * @param {Object} classification - Result of `classifyIssue`
+ * @param {Object} issue - Issue data or summary
+ * @returns {Array<string>} - Requests for the issue author
+ */
+function listMissing(factors, classification, issue) {
+  const missing = [];
+  if (classification.category === 'duplicate') {
+    missing.push(classification.duplicateOf
+      ? `Confirmation that this is not a duplicate of #${classification.duplicateOf}`
+      : 'Confirmation that this is not a duplicate of another issue');
+  }
+  if (classification.category === 'question') {
+    missing.push('The change you expect in the code, as this reads as a question');
+  }
+  if (factors.reproduction === 0) {
+    missing.push(classification.category === 'bug'
+      ? 'Steps to reproduce, or the error message and stack trace'
+      : 'The exact behaviour you expect after the change');
+  }
+  if (factors.files === 0) {
+    missing.push('The files or functions involved');
+  }
+  if (factors.size < 1) {
+    const length = `${issue.title || ''}\n${issue.body || ''}`.trim().length;
+    missing.push(length > MAX_LENGTH
+      ? 'A short summary of what should change'
+      : 'A fuller description of the expected and the actual behaviour');
+  }
+  return missing;
+}
+
+/**
+ * Triage an issue
+ *
+ * Unattended issues, picked by a repository-wide run rather than named by
+ * someone, must reach `triage.minRepoScore` as well as `triage.minScore`.
+ *
+ * @param {Object} issue - Issue data from `fetchIssueData` or a summary from `listOpenIssues`
+ * @param {Object} [options] - Triage options
+ * @param {boolean} [options.unattended] - Whether nobody asked for this issue to be resolved
+ * @returns {Object} - `category`, `score`, the rated `factors`, what is `missing`, and `skip` with its `reason`
+ */
+function triageIssue(issue, options = {}) {
+  const settings = getSettings();
+  const minScore = options.unattended ? Math.max(settings.minScore, settings.minRepoScore) : settings.minScore;
+  const classification = classifyIssue(issue);
+  const text = issueText(issue);
+  const files = new Set([
+    ...extractFilePaths(text),
+    ...extractStackFrames(text).map(frame => frame.file)
+  ]);
+
+  const factors = {
+    category: CATEGORY_WEIGHTS[classification.category],
+    reproduction: rateReproduction(issue.body || '', classification.category),
+    files: files.size > 0 ? 1 : 0,
+    size: rateSize(issue)
+  };
+  const score = Math.round(
+    Object.keys(FACTOR_WEIGHTS).reduce((sum, name) => sum + FACTOR_WEIGHTS[name] * factors[name], 0) * 100
+  ) / 100;
+
+  let reason = null;
+  if (settings.skipCategories.includes(classification.category)) {
+    reason = `Classified as ${classification.category}`;
+  } else if (score < minScore) {
+    reason = `Feasibility score ${score} is below ${minScore}`;
+  }
+
+  return {
+    category: classification.category,
+    score,
+    factors,
+    files: [...files],
+    missing: listMissing(factors, classification, issue),
+    skip: settings.enabled && reason !== null,
+    reason
+  };
+}
+
+/**
+ * Order batch entries by triage score, most feasible first
+ *
+ * Entries already carrying a `triage` score keep it; the others are fetched
+ * and triaged. Entries that cannot be fetched go last, keeping their order,
+ * and are left for the resolution to report. Per-repository configuration
+ * does not apply here, only the global `triage` settings.
+ *
+ * @param {Array} issueList - Issue references with `owner`, `repo` and `issueNumber`
+ * @returns {Promise<Array>} - The same references in processing order, each with `triage` `{ category, score }` when scored
+ */
+async function orderIssues(issueList) {
+  const { enabled, orderBatches } = getSettings();
+  if (!enabled || !orderBatches) return issueList;
+
+  const scored = [];
+  for (const issue of issueList) {
+    if (!issue || !issue.owner || !issue.repo || !issue.issueNumber || issue.triage) {
+      scored.push(issue);
+      continue;
+    }
+    try {
+      const { category, score } = triageIssue(await githubModule.fetchIssue(issue.owner, issue.repo, issue.issueNumber));
+      scored.push({ ...issue, triage: { category, score } });
+    } catch (error) {
+      logger.warn(`Could not triage ${issue.issueUrl}: ${error.message}`);
+      scored.push(issue);
+    }
+  }
+
+  const scoreOf = issue => (issue && issue.triage ? issue.triage.score : -1);
+  const ordered = scored
+    .map((issue, position) => ({ issue, position }))
+    .sort((a, b) => scoreOf(b.issue) - scoreOf(a.issue) || a.position - b.position)
+    .map(({ issue }) => issue);
+
+  logger.debug(`Batch order after triage: ${ordered.map(issue => issue && issue.issueUrl).join(', ')}`);
+  return ordered;
+}
+
+module.exports = {
+  classifyIssue,
+  triageIssue,
+  orderIssues
+};
@@ -1,76 +1,312 @@
 /**
  * Trigger Detection Module
  * Identifies when to start the resolution process
+ *
+ * Understands issue and pull request URLs on github.com or configured
+ * GitHub Enterprise hosts, `owner/repo#N` short references, bare `#N`
+ * references against a default repository, ranges such as `#14-#18`, and
+ * inline options: "as draft", "as ready-for-review", "on branch develop",
+ * "with labels a, b" and "dry run".
+ *
+ * Options are only read from the command clause, directly after the
+ * references, and only when nothing but options follows them up to the end
+ * of the sentence, so that prose about the issue never turns into options.
+ *
+ * Pull request references ask for the review comments on the pull request
+ * to be addressed; the "/openhands address review" command makes every
+ * reference in the text one.
  */
 
+const configModule = require('../configuration');
 const logger = require('../../utils/logger');
 
+// Largest range a single reference may expand to
+const MAX_RANGE_SIZE = 50;
+
+// Issue or pull request URL: host, owner, repo, kind, number
+const URL_PATTERN = /https?:\/\/([\w.-]+(?::\d+)?)\/([\w.-]+)\/([\w.-]+)\/(issues|pull)\/(\d+)/;
+
+// Short reference: optional owner/repo, number and optional range end
+const SHORT_PATTERN = /(?<![\w.\/#-])(?:([\w.-]+)\/([\w.-]+))?#(\d+)(?:\s*(?:-|\.\.)\s*#?(\d+))?(?![\w-])/;
+
+// Command asking for review comments to be addressed
+const REVIEW_COMMAND = /\/openhands\s+address[\s-]+reviews?\b/i;
+
+// Repository-wide request: owner, repo and the rest of the text
+const REPO_PATTERN = /resolve\s+(?:all\s+)?(?:open\s+)?issues?\s+in\s+([\w.-]+)\/([\w.-]+?)[.,;:]?(?=\s|$)(.*)/i;
+
+// Separator between references in one command, e.g. "#1, #2 and #3"
+const REFERENCE_SEPARATOR = /^[ \t]*(?:,[ \t]*)?(?:(?:and|&)[ \t]+)?$/i;
+
+// Separator between inline options
+const OPTION_SEPARATOR = /^[ \t]*(?:,[ \t]*)?(?:and[ \t]+)?/i;
+
+// End of the command clause: the end of a sentence, of the line or of the text
+const CLAUSE_END = /^(?:[.!;](?:\s|$)|\r?\n|$)/;
+
+// Inline options, each in an explicit form that ordinary prose rarely takes
+const OPTION_PATTERNS = {
+  draft: /as\s+(?:a\s+)?(draft|ready[\s-]for[\s-]review|ready)\b/i,
+  baseBranch: /(?:(?:on|onto|against|into)\s+(?:the\s+)?(?:base\s+)?branch|base\s+branch)\s+([\w./-]*[\w/-])/i,
+  labels: /(?:with|add)\s+labels?\s+([\w.:/-]*[\w:/-](?:\s*,\s*[\w.:/-]*[\w:/-])*)/i,
+  dryRun: /(?:as\s+a\s+)?(?:dry[\s-]?run|plan[\s-]only)\b/i
+};
+
+// Issue filters of repository-wide requests
+const FILTER_PATTERNS = {
+  labeled: /labell?ed\s+([\w.:/-]+(?:\s*,\s*[\w.:/-]+)*)/i,
+  assignedTo: /assigned\s+to\s+@?([\w-]+)/i,
+  unassigned: /unassigned\b/i,
+  milestone: /milestone\s+("[^"]+"|[\w.-]+)/i,
+  olderThan: /older\s+than\s+(\d+)\s+days?/i,
+  newerThan: /(?:newer|younger)\s+than\s+(\d+)\s+days?/i,
+  limit: /(?:limit|at\s+most|up\s+to)\s+(\d+)/i
+};
+
+/**
+ * Hostnames accepted in issue URLs
+ *
+ * `github.hosts` lists them, the first one being used to build URLs for
+ * short references. An enterprise `github.apiUrl` (ending in /api/v3) adds
+ * its own host.
+ * @private
+ * @returns {Array<string>} - Lower-cased hostnames
+ */
+function getKnownHosts() {
+  const github = configModule.getConfigSection('github') || {};
+  const hosts = (github.hosts && github.hosts.length > 0 ? github.hosts : ['github.com'])
+    .map(host => host.toLowerCase());
+
+  const enterprise = /^https?:\/\/([^/]+)\/api\/v3\/?$/i.exec(github.apiUrl || '');
+  if (enterprise && !hosts.includes(enterprise[1].toLowerCase())) {
+    hosts.push(enterprise[1].toLowerCase());
+  }
+
+  return hosts;
+}
+
+/**
+ * Build an issue reference
+ * @private
+ * @param {string} host - Web hostname
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Issue or pull request number
+ * @param {boolean} isPullRequest - Whether the reference points at a pull request
+ * @returns {Object} - Issue reference
+ */
+function buildReference(host, owner, repo, number, isPullRequest) {
+  return {
+    issueUrl: `https://${host}/${owner}/${repo}/${isPullRequest ? 'pull' : 'issues'}/${number}`,
+    host,
+    owner,
+    repo,
+    issueNumber: number,
+    isPullRequest
+  };
+}
+
+/**
+ * Parse a default repository given as owner/repo
+ * @private
+ * @param {string} value - Default repository
+ * @returns {Object|null} - `owner` and `repo`
+ */
+function parseRepo(value) {
+  const match = /^([\w.-]+)\/([\w.-]+)$/.exec((value || '').trim());
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
+
+/**
+ * Extract issue references from text
+ *
+ * A bare `#N` belongs to the repository mentioned last before it, falling
+ * back to the default repository.
+ * @private
+ * @param {string} text - Text to scan
+ * @param {Object} [defaultRepo] - `owner` and `repo` for bare references
+ * @returns {Object} - `references` in text order, `problems` found while parsing
+ *   and the `commandEnd`, where the run of references the text starts with ends
+ */
+function extractReferences(text, defaultRepo) {
+  const hosts = getKnownHosts();
+  const pattern = new RegExp(`${URL_PATTERN.source}|${SHORT_PATTERN.source}`, 'g');
+  const references = [];
+  const problems = [];
+  const seen = new Set();
+  let context = defaultRepo || null;
+  let commandEnd = null;
+
+  const add = (reference) => {
+    const key = `${reference.host}/${reference.owner}/${reference.repo}#${reference.issueNumber}`.toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      references.push(reference);
+    }
+  };
+
+  for (const match of text.matchAll(pattern)) {
+    const [raw, host, urlOwner, urlRepo, kind, urlNumber, shortOwner, shortRepo, from, to] = match;
+    if (commandEnd === null || REFERENCE_SEPARATOR.test(text.slice(commandEnd, match.index))) {
+      commandEnd = match.index + raw.length;
+    }
+
+    if (host) {
+      if (!hosts.includes(host.toLowerCase())) {
+        problems.push(`${raw} is not on a known GitHub host (${hosts.join(', ')})`);
+        continue;
+      }
+      context = { owner: urlOwner, repo: urlRepo };
+      add(buildReference(host.toLowerCase(), urlOwner, urlRepo, parseInt(urlNumber, 10), kind === 'pull'));
+      continue;
+    }
+
+    if (shortOwner) {
+      context = { owner: shortOwner, repo: shortRepo };
+    } else if (!context) {
+      problems.push(`${raw.trim()} has no repository; write owner/repo#N or set a default repository`);
+      continue;
+    }
+
+    const first = parseInt(from, 10);
+    const last = to ? parseInt(to, 10) : first;
+    if (last < first) {
+      problems.push(`${raw.trim()} is an empty range`);
+      continue;
+    }
+    if (last - first + 1 > MAX_RANGE_SIZE) {
+      problems.push(`${raw.trim()} spans more than ${MAX_RANGE_SIZE} issues`);
+      continue;
+    }
+
+    for (let number = first; number <= last; number++) {
+      add(buildReference(hosts[0], context.owner, context.repo, number, false));
+    }
+  }
+
+  return { references, problems, commandEnd: commandEnd === null ? text.length : commandEnd };
+}
+
+/**
+ * Read a clause made up of known phrases only
+ *
+ * @private
+ * @param {string} text - Text starting where the clause starts
+ * @param {Object} patterns - Phrase patterns by name
+ * @returns {Object|null} - Matches by name, null when anything else comes before the end of the clause
+ */
+function readClause(text, patterns) {
+  const found = {};
+  let rest = text;
+
+  for (;;) {
+    rest = rest.replace(OPTION_SEPARATOR, '');
+    if (CLAUSE_END.test(rest)) return found;
+
+    const phrase = Object.entries(patterns)
+      .map(([name, pattern]) => [name, new RegExp(`^(?:${pattern.source})`, 'i').exec(rest)])
+      .find(([, match]) => match);
+    if (!phrase) return null;
+
+    const [name, match] = phrase;
+    found[name] = match;
+    rest = rest.slice(match[0].length);
+  }
+}
+
+/**
+ * Extract inline pull request options
+ *
+ * The text must start with the options, e.g. the rest of a command after
+ * its issue reference, and hold nothing else up to the end of the sentence;
+ * otherwise no options are read.
+ * @param {string} text - Text following the command
+ * @returns {Object} - `draft`, `baseBranch`, `labels` and `dryRun` when given
+ */
+function extractOptions(text) {
+  return toOptions(readClause(text, OPTION_PATTERNS) || {});
+}
+
+/**
+ * Turn matched option phrases into options
+ * @private
+ * @param {Object} found - Matches by option name
+ * @returns {Object} - Options
+ */
+function toOptions(found) {
+  const options = {};
+  if (found.draft) options.draft = found.draft[1].toLowerCase() === 'draft';
+  if (found.baseBranch) options.baseBranch = found.baseBranch[1];
+  if (found.labels) options.labels = found.labels[1].split(/\s*,\s*/);
+  if (found.dryRun) options.dryRun = true;
+  return options;
+}
+
 /**
  * Detect triggers from user input
- * @param {Object|string} input - User input from Claude Desktop
+ * @param {Object|string} input - User input from Claude Desktop, optionally with `defaultRepo`
+ * @param {Object} [context] - Detection context
+ * @param {string} [context.defaultRepo] - owner/repo used for bare #N references
  * @returns {Object|null} - Trigger data or null if no trigger detected
  */
-function detectTrigger(input) {
+function detectTrigger(input, context = {}) {
   try {
     // Extract the text content from the input
-    const text = typeof input === 'string' ? input : (input.text || '');
-    
+    const text = typeof input === 'string' ? input : ((input && input.text) || '');
+
     if (!text) {
       logger.debug('No text content in input');
       return null;
     }
 
-    // Extract potential GitHub issue URL
-    const urlRegex = /https?:\/\/github\.com\/([^\/]+)\/([^\/]+)\/issues\/(\d+)/g;
-    const matches = [...text.matchAll(urlRegex)];
-    
-    if (matches.length > 0) {
-      // Single issue
-      const [url, owner, repo, issueNumber] = matches[0];
-      logger.info(`Detected GitHub issue: ${owner}/${repo}#${issueNumber}`);
-      return {
-        issueUrl: url,
-        owner,
-        repo,
-        issueNumber: parseInt(issueNumber, 10),
-        isBatch: false
-      };
-    }
-    
-    // Check for batch resolution request
-    const batchRegex = /resolve\s+issues?\s+from\s+(.*)/i;
-    const batchMatch = text.match(batchRegex);
-    
-    if (batchMatch) {
-      // Extract issue URLs or references
-      const issueList = extractIssueList(batchMatch[1]);
-      
-      if (issueList.length > 0) {
-        logger.info(`Detected batch resolution request with ${issueList.length} issues`);
-        return {
-          isBatch: true,
-          issueList
-        };
-      }
-    }
-    
     // Check for repository-wide request
-    const repoRegex = /resolve\s+issues?\s+in\s+([^\/]+)\/([^\/\s]+)/i;
-    const repoMatch = text.match(repoRegex);
-    
+    const repoMatch = text.match(REPO_PATTERN);
+
     if (repoMatch) {
-      const [, owner, repo] = repoMatch;
+      const [, owner, repo, rest] = repoMatch;
       logger.info(`Detected repository-wide resolution request: ${owner}/${repo}`);
+      // Filters may sit between the options of the command clause
+      const clause = readClause(rest, { ...FILTER_PATTERNS, ...OPTION_PATTERNS }) || {};
       return {
         isRepoWide: true,
         owner,
         repo,
+        filters: extractRepoFilters(rest),
+        options: toOptions(clause),
         isBatch: false
       };
     }
 
-    logger.debug('No resolution trigger detected in input');
-    return null;
+    const defaultRepo = parseRepo(context.defaultRepo || (typeof input === 'object' && input && input.defaultRepo));
+    const { references, problems, commandEnd } = extractReferences(text, defaultRepo);
+    const options = extractOptions(text.slice(commandEnd));
+
+    if (references.length === 0 && problems.length === 0) {
+      logger.debug('No resolution trigger detected in input');
+      return null;
+    }
+
+    const addressReview = REVIEW_COMMAND.test(text);
+    const issueList = references.map(reference => ({
+      ...(addressReview && !reference.isPullRequest
+        ? buildReference(reference.host, reference.owner, reference.repo, reference.issueNumber, true)
+        : reference),
+      options
+    }));
+
+    if (issueList.length === 1 && problems.length === 0) {
+      const [issue] = issueList;
+      logger.info(`Detected GitHub ${issue.isPullRequest ? 'pull request' : 'issue'}: ${issue.owner}/${issue.repo}#${issue.issueNumber}`);
+      return { ...issue, isBatch: false };
+    }
+
+    logger.info(`Detected batch resolution request with ${issueList.length} issues`);
+    return {
+      isBatch: true,
+      issueList,
+      options,
+      problems
+    };
   } catch (error) {
     logger.error('Error in trigger detection:', error);
     return null;
@@ -78,51 +314,101 @@ function detectTrigger(input) {
 }
 
 /**
- * Extract a list of issue references from text
+ * Extract issue filters from the text following a repository-wide request
+ *
+ * Understands "labeled bug,docs", "assigned to alice", "unassigned",
+ * "milestone v1.1", "older than 7 days", "newer than 30 days" and "limit 5".
+ * @private
+ * @param {string} text - Text after owner/repo
+ * @returns {Object} - Filters for the repository selection module
+ */
+function extractRepoFilters(text) {
+  const filters = {};
+  const find = name => text.match(new RegExp(`\\b(?:${FILTER_PATTERNS[name].source})`, 'i'));
+  const labels = find('labeled');
+  const assignee = find('assignedTo');
+  const milestone = find('milestone');
+  const olderThan = find('olderThan');
+  const newerThan = find('newerThan');
+  const limit = find('limit');
+
+  if (labels) filters.labels = labels[1].split(/\s*,\s*/);
+  if (assignee) filters.assignee = assignee[1];
+  if (find('unassigned')) filters.assignee = 'none';
+  if (milestone) filters.milestone = milestone[1].replace(/^"|"$/g, '');
+  if (olderThan) filters.minAgeDays = parseInt(olderThan[1], 10);
+  if (newerThan) filters.maxAgeDays = parseInt(newerThan[1], 10);
+  if (limit) filters.limit = parseInt(limit[1], 10);
+
+  return filters;
+}
+
+/**
+ * Check a single issue reference
  * @private
- * @param {string} text - Text to extract issues from
- * @returns {Array} - List of issue objects
+ * @param {Object} issue - Issue reference
+ * @returns {Array<string>} - Problems with the reference
  */
-function extractIssueList(text) {
-  const urlRegex = /https?:\/\/github\.com\/([^\/]+)\/([^\/]+)\/issues\/(\d+)/g;
-  const matches = [...text.matchAll(urlRegex)];
-  
-  return matches.map(match => ({
-    issueUrl: match[0],
-    owner: match[1],
-    repo: match[2],
-    issueNumber: parseInt(match[3], 10)
-  }));
+function checkReference(issue) {
+  const label = (issue && issue.issueUrl) || 'Issue reference';
+  if (!issue || !issue.owner || !issue.repo) {
+    return [`${label} is missing its repository`];
+  }
+  if (!Number.isInteger(issue.issueNumber) || issue.issueNumber < 1) {
+    return [`${label} has no valid issue number`];
+  }
+  return [];
+}
+
+/**
+ * Check inline options
+ * @private
+ * @param {Object} [options] - Options from the trigger
+ * @returns {Array<string>} - Problems with the options
+ */
+function checkOptions(options = {}) {
+  const reasons = [];
+  if (options.baseBranch !== undefined && !/^[\w./-]+$/.test(options.baseBranch)) {
+    reasons.push(`Invalid base branch: ${options.baseBranch}`);
+  }
+  if (options.labels !== undefined && (!Array.isArray(options.labels) || options.labels.some(label => !label))) {
+    reasons.push('Labels must be a list of non-empty names');
+  }
+  return reasons;
 }
 
 /**
  * Validate that a trigger contains all necessary information
  * @param {Object} triggerData - Data returned from detectTrigger
- * @returns {boolean} - Whether the trigger is valid
+ * @returns {Object} - `valid` and the `reasons` the trigger was rejected
  */
 function validateTrigger(triggerData) {
-  if (!triggerData) return false;
-  
-  if (triggerData.isBatch) {
-    return Array.isArray(triggerData.issueList) && 
-           triggerData.issueList.length > 0 &&
-           triggerData.issueList.every(issue => 
-             issue.owner && issue.repo && issue.issueNumber
-           );
+  if (!triggerData) {
+    return { valid: false, reasons: ['No resolution trigger detected'] };
   }
-  
-  if (triggerData.isRepoWide) {
-    return Boolean(triggerData.owner && triggerData.repo);
+
+  const reasons = [...(triggerData.problems || []), ...checkOptions(triggerData.options)];
+
+  if (triggerData.isBatch) {
+    if (!Array.isArray(triggerData.issueList) || triggerData.issueList.length === 0) {
+      if (reasons.length === 0) reasons.push('Batch request does not reference any issues');
+    } else {
+      triggerData.issueList.forEach(issue => reasons.push(...checkReference(issue)));
+    }
+  } else if (triggerData.isRepoWide) {
+    if (!triggerData.owner || !triggerData.repo) {
+      reasons.push('Repository-wide request is missing owner/repo');
+    }
+  } else {
+    reasons.push(...checkReference(triggerData));
   }
-  
-  return Boolean(
-    triggerData.owner && 
-    triggerData.repo && 
-    triggerData.issueNumber
-  );
+
+  return { valid: reasons.length === 0, reasons };
 }
 
 module.exports = {
+  REVIEW_COMMAND,
   detectTrigger,
+  extractOptions,
   validateTrigger
-};
\ No newline at end of file
+};
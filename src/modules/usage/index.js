@@ -0,0 +1,364 @@
+/**
+ * Usage Module
+ *
+ * Accounts for the tokens and estimated cost of every model call and
+ * enforces the `usage` budgets per issue, per batch and per rolling day
+ *
+ * Issue and batch accounts are bound to the async context of the run they
+ * belong to, so concurrent resolutions are accounted separately. Calls are
+ * also appended to a JSONL ledger from which the usage of the last 24 hours
+ * is rebuilt after a restart. A budget is checked before each call, so the
+ * call that crosses it completes and the next one is refused.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const configModule = require('../configuration');
+const cassetteModule = require('../cassette');
+const logger = require('../../utils/logger');
+
+// Length of the rolling window of the daily budget
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accounts of the run in the current async context, outermost first
+const accounts = new AsyncLocalStorage();
+
+// Ledger entries of the last 24 hours, oldest first
+let ledger = null;
+
+// Path of the ledger file
+let ledgerPath = null;
+
+// Pending appends, chained so that entries are written in order
+let writeQueue = Promise.resolve();
+
+// Calls made by this process
+const processTotals = createTotals();
+
+/**
+ * Create empty usage totals
+ *
+ * @private
+ * @returns {Object} - Zeroed counters
+ */
+function createTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedModels: [] };
+}
+
+/**
+ * Add a call to usage totals
+ *
+ * @private
+ * @param {Object} totals - Totals to update
+ * @param {Object} entry - Ledger entry
+ */
+function addToTotals(totals, entry) {
+  totals.calls += 1;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.costUsd += entry.costUsd;
+  if (!entry.priced && !totals.unpricedModels.includes(entry.model)) {
+    totals.unpricedModels.push(entry.model);
+  }
+}
+
+/**
+ * Initialize the usage ledger, keeping the entries of the last 24 hours
+ *
+ * @param {Object} [options] - Ledger options
+ * @param {string} [options.path] - Ledger file, overrides `usage.ledgerPath`
+ * @returns {Promise<boolean>} - Success status
+ */
+async function initialize(options = {}) {
+  const settings = configModule.getConfigSection('usage') || {};
+  ledgerPath = options.path || settings.ledgerPath || path.join(os.homedir(), '.openhands-resolver', 'usage.jsonl');
+  ledger = [];
+
+  let content = '';
+  try {
+    content = await fs.readFile(ledgerPath, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const since = Date.now() - DAY_MS;
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (Date.parse(entry.at) >= since) ledger.push(entry);
+    } catch (error) {
+      logger.warn(`Ignoring unreadable line ${index + 1} of usage ledger ${ledgerPath}`);
+    }
+  });
+
+  logger.debug(`Usage ledger ${ledgerPath} loaded with ${ledger.length} call(s) from the last 24 hours`);
+  return true;
+}
+
+/**
+ * Get the ledger entries of the last 24 hours, loading the ledger on first use
+ *
+ * @private
+ * @returns {Promise<Array>} - Entries, oldest first
+ */
+async function getRecentEntries() {
+  if (!ledger) {
+    await initialize();
+  }
+  const since = Date.now() - DAY_MS;
+  while (ledger.length > 0 && Date.parse(ledger[0].at) < since) {
+    ledger.shift();
+  }
+  return ledger;
+}
+
+/**
+ * Estimate the cost of a call from the configured price table
+ *
+ * @param {string} model - Model that answered
+ * @param {Object} usage - `inputTokens` and `outputTokens`
+ * @returns {Object} - `costUsd` and whether the model was `priced`
+ */
+function priceCall(model, usage) {
+  const { inputPrices = {}, outputPrices = {} } = configModule.getConfigSection('usage') || {};
+  const lookup = (prices) => {
+    const prefix = Object.keys(prices)
+      .filter(key => (model || '').startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix === undefined ? null : prices[prefix];
+  };
+
+  const inputPrice = lookup(inputPrices);
+  const outputPrice = lookup(outputPrices);
+  if (inputPrice === null && outputPrice === null) {
+    return { costUsd: 0, priced: false };
+  }
+  return {
+    costUsd: ((usage.inputTokens || 0) * (inputPrice || 0) + (usage.outputTokens || 0) * (outputPrice || 0)) / 1e6,
+    priced: true
+  };
+}
+
+/**
+ * Create an account collecting the usage of an issue or a batch
+ *
+ * @param {string} scope - 'issue' or 'batch'
+ * @param {string} label - What the account is for, e.g. owner/repo#number
+ * @returns {Object} - Account to run work in with `run`
+ */
+function createAccount(scope, label) {
+  return { scope, label, ...createTotals() };
+}
+
+/**
+ * Run a function with an account added to those of the current context
+ *
+ * @param {Object} account - Account from `createAccount`
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of the function
+ */
+function run(account, fn) {
+  return accounts.run([...(accounts.getStore() || []), account], fn);
+}
+
+/**
+ * Get the limits of a budget scope
+ *
+ * @private
+ * @param {string} scope - 'issue', 'batch' or 'day'
+ * @returns {Object} - `maxTokens` and `maxCostUsd`, 0 when unlimited
+ */
+function getLimits(scope) {
+  const settings = configModule.getConfigSection('usage') || {};
+  const names = { issue: 'Issue', batch: 'Batch', day: 'Daily' };
+  return {
+    maxTokens: settings[`max${names[scope]}Tokens`] || 0,
+    maxCostUsd: settings[`max${names[scope]}CostUsd`] || 0
+  };
+}
+
+/**
+ * Check totals against the limits of their scope
+ *
+ * @private
+ * @param {string} scope - 'issue', 'batch' or 'day'
+ * @param {string} label - What the totals are for
+ * @param {Object} totals - Usage totals
+ * @returns {Error|null} - Error with `budgetExceeded`, null when within budget
+ */
+function checkLimits(scope, label, totals) {
+  const { maxTokens, maxCostUsd } = getLimits(scope);
+  const tokens = totals.inputTokens + totals.outputTokens;
+  let exceeded = null;
+
+  if (maxTokens > 0 && tokens >= maxTokens) {
+    exceeded = { scope, label, unit: 'tokens', limit: maxTokens, used: tokens };
+  } else if (maxCostUsd > 0 && totals.costUsd >= maxCostUsd) {
+    exceeded = { scope, label, unit: 'USD', limit: maxCostUsd, used: roundCost(totals.costUsd) };
+  }
+  if (!exceeded) return null;
+
+  const name = scope === 'day' ? 'Daily' : `${scope[0].toUpperCase()}${scope.slice(1)} ${label}`;
+  const error = new Error(`${name} budget of ${exceeded.limit} ${exceeded.unit} is used up (${exceeded.used} ${exceeded.unit})`);
+  error.budgetExceeded = exceeded;
+  return error;
+}
+
+/**
+ * Find a budget of the current context that is used up
+ *
+ * The daily budget is not applied while a cassette is replayed, as no model
+ * is called.
+ *
+ * @returns {Promise<Error|null>} - Error with `budgetExceeded` for the first used-up budget, null when there is none
+ */
+async function findExceededBudget() {
+  for (const account of accounts.getStore() || []) {
+    const error = checkLimits(account.scope, account.label, account);
+    if (error) return error;
+  }
+  if (cassetteModule.isReplaying()) return null;
+
+  const day = createTotals();
+  (await getRecentEntries()).forEach(entry => addToTotals(day, entry));
+  return checkLimits('day', 'day', day);
+}
+
+/**
+ * Record a model call in the accounts of the current context and the ledger
+ *
+ * Replayed calls are accounted to their issue and batch but not written to
+ * the ledger.
+ *
+ * @param {string} provider - Provider name
+ * @param {Object} response - Provider response with `model` and `usage`
+ * @returns {Promise<Object>} - Ledger entry of the call
+ */
+async function recordCall(provider, response) {
+  const usage = response.usage || {};
+  const stack = accounts.getStore() || [];
+  const entry = {
+    at: new Date().toISOString(),
+    provider,
+    model: response.model,
+    inputTokens: usage.inputTokens || 0,
+    outputTokens: usage.outputTokens || 0,
+    ...priceCall(response.model, usage),
+    accounts: stack.map(account => `${account.scope}:${account.label}`)
+  };
+
+  stack.forEach(account => addToTotals(account, entry));
+  addToTotals(processTotals, entry);
+  if (cassetteModule.isReplaying()) return entry;
+
+  (await getRecentEntries()).push(entry);
+  const line = `${JSON.stringify(entry)}\n`;
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+      await fs.appendFile(ledgerPath, line, 'utf-8');
+    })
+    .catch((error) => {
+      logger.error(`Failed to write usage ledger ${ledgerPath}:`, error);
+    });
+  await writeQueue;
+  return entry;
+}
+
+/**
+ * Wrap a provider so that its calls are budgeted and accounted
+ *
+ * @param {Object} provider - Provider with `complete`
+ * @returns {Object} - Provider refusing calls once a budget is used up
+ */
+function meter(provider) {
+  return {
+    ...provider,
+    async complete(request) {
+      const exceeded = await findExceededBudget();
+      if (exceeded) throw exceeded;
+
+      const response = await provider.complete(request);
+      await recordCall(provider.name, response);
+      return response;
+    }
+  };
+}
+
+/**
+ * Round a cost to a millionth of a dollar
+ *
+ * @private
+ * @param {number} costUsd - Cost in USD
+ * @returns {number} - Cost rounded to 6 decimals
+ */
+function roundCost(costUsd) {
+  return Math.round(costUsd * 1e6) / 1e6;
+}
+
+/**
+ * Summarize usage totals for a result
+ *
+ * @param {Object} totals - Account or totals
+ * @param {string} [scope] - Scope whose budget to include, the account's own by default
+ * @returns {Object} - `calls`, `inputTokens`, `outputTokens`, `totalTokens`, `costUsd`, `unpricedModels` and the `budget`
+ */
+function summarize(totals, scope = totals.scope) {
+  return {
+    calls: totals.calls,
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    totalTokens: totals.inputTokens + totals.outputTokens,
+    costUsd: roundCost(totals.costUsd),
+    unpricedModels: [...totals.unpricedModels],
+    ...(scope ? { budget: getLimits(scope) } : {})
+  };
+}
+
+/**
+ * Report usage of the last 24 hours and of this process
+ *
+ * @returns {Promise<Object>} - `day` totals with a breakdown `byModel`, `process` totals and the configured `budgets`
+ */
+async function getUsage() {
+  const entries = await getRecentEntries();
+  const day = createTotals();
+  const byModel = {};
+
+  for (const entry of entries) {
+    addToTotals(day, entry);
+    const key = `${entry.provider}/${entry.model}`;
+    byModel[key] = byModel[key] || createTotals();
+    addToTotals(byModel[key], entry);
+  }
+
+  return {
+    ledger: ledgerPath,
+    day: {
+      since: new Date(Date.now() - DAY_MS).toISOString(),
+      ...summarize(day, 'day'),
+      byModel: Object.fromEntries(Object.entries(byModel).map(([key, totals]) => [key, summarize(totals, null)]))
+    },
+    process: summarize(processTotals, null),
+    budgets: {
+      issue: getLimits('issue'),
+      batch: getLimits('batch'),
+      day: getLimits('day')
+    }
+  };
+}
+
+module.exports = {
+  initialize,
+  priceCall,
+  createAccount,
+  run,
+  findExceededBudget,
+  recordCall,
+  meter,
+  summarize,
+  getUsage
+};
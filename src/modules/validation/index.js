@@ -0,0 +1,231 @@
+/**
+ * Validation Module
+ *
+ * Applies generated changes in a scratch worktree and runs the repository's
+ * own checks against them: per-language syntax parsing, the lint command and
+ * the test command
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const configModule = require('../configuration');
+const { createWorktree, writeChanges, releaseSnapshot } = require('./worktree');
+const { checkSyntax } = require('./syntax');
+const { runCommand } = require('./sandbox');
+const logger = require('../../utils/logger');
+
+// Placeholder test script npm writes into new package.json files
+const NPM_PLACEHOLDER_TEST = /no test specified/;
+
+// Output kept per failed check in model feedback
+const MAX_FEEDBACK_OUTPUT = 4000;
+
+// Why project checks are not run in a worktree without dependencies
+const MISSING_DEPENDENCIES = 'Dependencies are not installed in the worktree, set validation.installCommand to install them';
+
+/**
+ * Read a file from the worktree if it exists
+ *
+ * @private
+ * @param {string} file - Absolute path
+ * @returns {Promise<string|null>} - Content or null
+ */
+async function readOptional(file) {
+  try {
+    return await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out the project's lint and test commands
+ *
+ * Configured commands win; otherwise they are detected from package.json,
+ * Python project files or go.mod.
+ *
+ * @param {string} dir - Worktree root
+ * @param {Object} settings - The `validation` configuration section
+ * @returns {Promise<Object>} - `lint` and `test` commands, null when none
+ */
+async function detectProjectCommands(dir, settings) {
+  const commands = { lint: settings.lintCommand || null, test: settings.testCommand || null };
+  if (commands.lint && commands.test) return commands;
+
+  const packageJson = await readOptional(path.join(dir, 'package.json'));
+  if (packageJson) {
+    try {
+      const scripts = JSON.parse(packageJson).scripts || {};
+      if (!commands.lint && scripts.lint) commands.lint = 'npm run lint --silent';
+      if (!commands.test && scripts.test && !NPM_PLACEHOLDER_TEST.test(scripts.test)) commands.test = 'npm test --silent';
+    } catch (error) {
+      logger.warn(`Could not parse package.json for validation commands: ${error.message}`);
+    }
+    return commands;
+  }
+
+  const pyproject = await readOptional(path.join(dir, 'pyproject.toml'));
+  if (pyproject !== null || await readOptional(path.join(dir, 'setup.py')) !== null) {
+    if (!commands.lint && pyproject && pyproject.includes('[tool.ruff')) commands.lint = 'ruff check .';
+    if (!commands.test) commands.test = 'python3 -m pytest -q';
+    return commands;
+  }
+
+  if (await readOptional(path.join(dir, 'go.mod')) !== null) {
+    if (!commands.lint) commands.lint = 'go vet ./...';
+    if (!commands.test) commands.test = 'go test ./...';
+  }
+
+  return commands;
+}
+
+/**
+ * Check whether a worktree lacks the dependencies its package.json declares
+ *
+ * Without them the test command fails with and without the changes, which
+ * would pass as a preexisting failure.
+ *
+ * @private
+ * @param {string} dir - Worktree root
+ * @returns {Promise<boolean>} - Whether dependencies are declared but not installed
+ */
+async function lacksDependencies(dir) {
+  const packageJson = await readOptional(path.join(dir, 'package.json'));
+  if (!packageJson) return false;
+
+  let declared = false;
+  try {
+    const manifest = JSON.parse(packageJson);
+    declared = Object.keys({ ...manifest.dependencies, ...manifest.devDependencies }).length > 0;
+  } catch (error) {
+    return false;
+  }
+  if (!declared) return false;
+  return fs.stat(path.join(dir, 'node_modules')).then(() => false, () => true);
+}
+
+/**
+ * Run a project command, checking the unmodified tree when it fails
+ *
+ * A check that already fails without the changes is reported as
+ * 'preexisting' and does not block the changes.
+ *
+ * @private
+ * @param {string} type - 'lint' or 'test'
+ * @param {string} command - Shell command
+ * @param {string} dir - Worktree root
+ * @param {Array} codeChanges - Applied changes
+ * @param {Object} sandboxOptions - Timeout and memory limit
+ * @returns {Promise<Object>} - Check result
+ */
+async function runProjectCheck(type, command, dir, codeChanges, sandboxOptions) {
+  logger.debug(`Running ${type} check: ${command}`);
+  const result = await runCommand(command, { cwd: dir, ...sandboxOptions });
+  const check = {
+    type,
+    name: command,
+    status: result.exitCode === 0 ? 'passed' : 'failed',
+    output: `${result.stdout}${result.stderr}`.trim(),
+    timedOut: result.timedOut,
+    durationMs: result.durationMs
+  };
+
+  if (check.status === 'failed' && !result.timedOut) {
+    await writeChanges(dir, codeChanges, 'originalContent');
+    const baseline = await runCommand(command, { cwd: dir, ...sandboxOptions });
+    await writeChanges(dir, codeChanges, 'newContent');
+
+    if (baseline.exitCode !== 0) {
+      check.status = 'preexisting';
+    }
+  }
+
+  return check;
+}
+
+/**
+ * Validate code changes in a scratch worktree
+ *
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @param {Array} codeChanges - Changes from the code generation module
+ * @returns {Promise<Object>} - `passed`, `skipped` and the individual `checks`
+ */
+async function validateChanges(taskConfig, codeChanges) {
+  const security = configModule.getConfigSection('security');
+  if (!security.validateCodeBeforeCommit) {
+    return { passed: true, skipped: true, checks: [] };
+  }
+
+  const settings = configModule.getConfigSection('validation');
+  const sandboxOptions = { timeout: settings.timeout, maxMemoryMb: settings.maxMemoryMb };
+  const worktree = await createWorktree(taskConfig.source, {
+    workspaceDir: configModule.getConfigSection('task').workspaceDir,
+    maxFiles: settings.maxWorktreeFiles,
+    installCommand: settings.installCommand,
+    sandboxOptions
+  });
+
+  try {
+    await writeChanges(worktree.dir, codeChanges);
+
+    const checks = [];
+    for (const change of codeChanges) {
+      const syntax = await checkSyntax(worktree.dir, change, sandboxOptions);
+      checks.push({ type: 'syntax', name: syntax.path, status: syntax.status, output: syntax.message });
+    }
+
+    const syntaxFailed = checks.some(check => check.status === 'failed');
+    if (!syntaxFailed && settings.runProjectChecks && worktree.complete) {
+      const commands = await detectProjectCommands(worktree.dir, settings);
+      const notRun = !worktree.installed && await lacksDependencies(worktree.dir);
+      for (const type of ['lint', 'test']) {
+        if (commands[type] && notRun) {
+          checks.push({ type, name: commands[type], status: 'not_run', output: MISSING_DEPENDENCIES });
+        } else if (commands[type]) {
+          checks.push(await runProjectCheck(type, commands[type], worktree.dir, codeChanges, sandboxOptions));
+        }
+      }
+    } else if (!worktree.complete) {
+      checks.push({ type: 'project', name: 'lint and test', status: 'skipped', output: 'Repository too large to materialize' });
+    }
+
+    const passed = checks.every(check => check.status !== 'failed');
+    logger.info(`Validation ${passed ? 'passed' : 'failed'} (${checks.length} checks)`);
+    return { passed, skipped: false, checks };
+  } finally {
+    await worktree.dispose();
+  }
+}
+
+/**
+ * Release what validation keeps between the attempts of a task
+ *
+ * @param {Object} taskConfig - Task configuration from the task setup module
+ * @returns {Promise<void>}
+ */
+async function release(taskConfig) {
+  await releaseSnapshot(taskConfig.source);
+}
+
+/**
+ * Describe failed checks as feedback for the model
+ *
+ * @param {Object} validation - Result of `validateChanges`
+ * @returns {Array<string>} - One entry per failed check
+ */
+function formatFeedback(validation) {
+  return validation.checks
+    .filter(check => check.status === 'failed')
+    .map((check) => {
+      const label = check.type === 'syntax' ? `Syntax error in ${check.name}` : `The ${check.type} command \`${check.name}\` failed`;
+      const output = check.timedOut ? 'The command timed out.' : (check.output || '').slice(-MAX_FEEDBACK_OUTPUT);
+      return `${label}:\n\`\`\`\n${output}\n\`\`\``;
+    });
+}
+
+module.exports = {
+  validateChanges,
+  release,
+  detectProjectCommands,
+  formatFeedback
+};
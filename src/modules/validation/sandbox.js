@@ -0,0 +1,100 @@
+/**
+ * Command Sandbox
+ *
+ * Runs validation commands in a scratch worktree with a timeout, a memory
+ * limit, capped output and an environment stripped of credentials
+ */
+
+const { spawn } = require('child_process');
+
+// Environment variables passed through to sandboxed commands
+const PASSTHROUGH_ENV = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TMPDIR', 'TERM', 'SHELL', 'USER'];
+
+// Output kept per stream, from the end
+const MAX_OUTPUT = 64 * 1024;
+
+/**
+ * Quote a value for a POSIX shell
+ *
+ * @private
+ * @param {string} value - Value to quote
+ * @returns {string} - Quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Run a command in the sandbox
+ *
+ * @param {string|Array<string>} command - Shell command, or program and arguments
+ * @param {Object} options - Run options
+ * @param {string} options.cwd - Working directory
+ * @param {number} options.timeout - Time limit in milliseconds
+ * @param {number} [options.maxMemoryMb] - Virtual memory limit in megabytes
+ * @returns {Promise<Object>} - `exitCode`, `stdout`, `stderr`, `timedOut` and `durationMs`
+ */
+function runCommand(command, options) {
+  const script = Array.isArray(command) ? command.map(shellQuote).join(' ') : command;
+  const limit = options.maxMemoryMb ? `ulimit -v ${options.maxMemoryMb * 1024} 2>/dev/null; ` : '';
+
+  const env = { CI: '1' };
+  for (const name of PASSTHROUGH_ENV) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  if (options.maxMemoryMb) {
+    // V8 reserves far more virtual memory than it uses, so cap the heap instead
+    env.NODE_OPTIONS = `--max-old-space-size=${options.maxMemoryMb}`;
+  }
+
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const output = { stdout: '', stderr: '' };
+    let timedOut = false;
+
+    // The script runs in a shell of its own so that compound commands such
+    // as `npm run build && npm test` run, and fail, as a whole
+    const child = spawn('/bin/sh', ['-c', `${limit}exec /bin/sh -c ${shellQuote(script)}`], {
+      cwd: options.cwd,
+      env,
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const capture = stream => (chunk) => {
+      output[stream] = (output[stream] + chunk.toString()).slice(-MAX_OUTPUT);
+    };
+    child.stdout.on('data', capture('stdout'));
+    child.stderr.on('data', capture('stderr'));
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        // Kill the whole process group the command started
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        child.kill('SIGKILL');
+      }
+    }, options.timeout);
+
+    const finish = (exitCode, error) => {
+      clearTimeout(timer);
+      resolve({
+        command: script,
+        exitCode,
+        stdout: output.stdout,
+        stderr: error ? `${output.stderr}${error.message}` : output.stderr,
+        timedOut,
+        durationMs: Date.now() - started
+      });
+    };
+
+    child.on('error', error => finish(null, error));
+    child.on('close', code => finish(timedOut ? null : code));
+  });
+}
+
+module.exports = {
+  runCommand,
+  shellQuote
+};
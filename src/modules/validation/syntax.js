@@ -0,0 +1,70 @@
+/**
+ * Syntax Checks
+ *
+ * Parses changed files with the checker for their language
+ */
+
+const path = require('path');
+const { runCommand } = require('./sandbox');
+
+// Checkers by extension; `command` receives the file path relative to the worktree
+const CHECKERS = {
+  '.js': { command: file => ['node', '--check', file] },
+  '.cjs': { command: file => ['node', '--check', file] },
+  '.mjs': { command: file => ['node', '--check', file] },
+  '.py': { command: file => ['python3', '-m', 'py_compile', file] },
+  '.rb': { command: file => ['ruby', '-c', file] },
+  '.php': { command: file => ['php', '-l', file] },
+  '.go': { command: file => ['gofmt', '-e', '-l', file] },
+  '.json': {
+    check: (content) => {
+      JSON.parse(content);
+    }
+  }
+};
+
+// Exit code the shell reports when the checker is not installed
+const COMMAND_NOT_FOUND = 127;
+
+/**
+ * Check the syntax of a changed file
+ *
+ * @param {string} dir - Worktree the change has been applied to
+ * @param {Object} change - Code change
+ * @param {Object} options - Sandbox options (`timeout`, `maxMemoryMb`)
+ * @returns {Promise<Object>} - `path`, `status` ('passed', 'failed' or 'skipped') and `message`
+ */
+async function checkSyntax(dir, change, options) {
+  if (change.action === 'delete') {
+    return { path: change.path, status: 'skipped', message: 'File deleted' };
+  }
+
+  const checker = CHECKERS[path.extname(change.path).toLowerCase()];
+  if (!checker) {
+    return { path: change.path, status: 'skipped', message: 'No syntax checker for this file type' };
+  }
+
+  if (checker.check) {
+    try {
+      checker.check(change.newContent);
+      return { path: change.path, status: 'passed', message: '' };
+    } catch (error) {
+      return { path: change.path, status: 'failed', message: error.message };
+    }
+  }
+
+  const result = await runCommand(checker.command(change.path), { cwd: dir, ...options });
+  if (result.exitCode === COMMAND_NOT_FOUND) {
+    return { path: change.path, status: 'skipped', message: `Checker not available: ${result.command}` };
+  }
+
+  return {
+    path: change.path,
+    status: result.exitCode === 0 ? 'passed' : 'failed',
+    message: result.timedOut ? 'Syntax check timed out' : `${result.stdout}${result.stderr}`.trim()
+  };
+}
+
+module.exports = {
+  checkSyntax
+};
@@ -0,0 +1,244 @@
+/**
+ * Scratch Worktrees
+ *
+ * Creates a disposable copy of the target repository that generated changes
+ * can be applied to without touching the original checkout
+ *
+ * Repositories read through the API are downloaded once per task as a
+ * tarball into a snapshot directory, which every worktree of the task is then
+ * copied from, until the snapshot is released.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const githubModule = require('../github_api');
+const { openRepository } = require('../task_setup/repository');
+const { runCommand } = require('./sandbox');
+const { extractTarball } = require('../../utils/tar');
+const logger = require('../../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Snapshots of API sources, keyed by the task's source descriptor
+const snapshots = new Map();
+
+/**
+ * Check whether a path exists
+ *
+ * @private
+ * @param {string} target - Path to check
+ * @returns {Promise<boolean>} - Whether it exists
+ */
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a repository path inside a worktree, refusing paths that escape it
+ *
+ * @param {string} dir - Worktree root
+ * @param {string} filePath - Repository-relative path
+ * @returns {string} - Absolute path
+ */
+function resolveInside(dir, filePath) {
+  const resolved = path.resolve(dir, filePath);
+  if (!resolved.startsWith(path.resolve(dir) + path.sep)) {
+    throw new Error(`Path escapes the repository: ${filePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Populate a worktree from a local checkout
+ *
+ * Git checkouts get a detached `git worktree`; other directories are copied.
+ * Installed dependencies are linked rather than copied.
+ *
+ * @private
+ * @param {string} sourceDir - Local checkout
+ * @param {string} dir - Worktree directory
+ * @returns {Promise<Function>} - Extra cleanup to run on disposal
+ */
+async function populateFromLocal(sourceDir, dir) {
+  let cleanup = async () => {};
+
+  if (await exists(path.join(sourceDir, '.git'))) {
+    await execFileAsync('git', ['worktree', 'add', '--detach', dir, 'HEAD'], { cwd: sourceDir });
+    cleanup = async () => {
+      await execFileAsync('git', ['worktree', 'remove', '--force', dir], { cwd: sourceDir }).catch(() => {});
+    };
+  } else {
+    await fs.cp(sourceDir, dir, {
+      recursive: true,
+      filter: source => !['node_modules', '.git'].includes(path.basename(source))
+    });
+  }
+
+  if (await exists(path.join(sourceDir, 'node_modules'))) {
+    await fs.symlink(path.join(sourceDir, 'node_modules'), path.join(dir, 'node_modules'), 'dir').catch(() => {});
+  }
+
+  return cleanup;
+}
+
+/**
+ * Download an API source into a snapshot directory
+ *
+ * Symbolic links and submodules are left out. The install command, when
+ * given, runs once in the snapshot so that worktrees share its dependencies.
+ *
+ * @private
+ * @param {Object} source - API source descriptor
+ * @param {Object} options - Worktree options, see `createWorktree`
+ * @returns {Promise<Object>} - `dir`, null when the repository has too many files, and `installed`
+ */
+async function createSnapshot(source, options) {
+  const files = await openRepository(source).listFiles();
+  if (files.length > options.maxFiles) {
+    logger.warn(`Repository has ${files.length} files, more than validation.maxWorktreeFiles (${options.maxFiles})`);
+    return { dir: null, installed: false };
+  }
+
+  const dir = await fs.mkdtemp(path.join(options.workspaceDir, 'snapshot-'));
+  try {
+    const tarball = await githubModule.fetchTarball(source.owner, source.repo, source.ref);
+    const { files: extracted, skipped } = await extractTarball(tarball, dir, { strip: 1 });
+    if (skipped.length > 0) {
+      logger.debug(`Left ${skipped.length} link(s) out of the snapshot: ${skipped.join(', ')}`);
+    }
+    logger.debug(`Downloaded ${source.owner}/${source.repo}@${source.ref} (${extracted} files) to ${dir}`);
+
+    let installed = false;
+    if (options.installCommand) {
+      const result = await runCommand(options.installCommand, { cwd: dir, ...options.sandboxOptions });
+      installed = result.exitCode === 0;
+      if (!installed) {
+        logger.warn(`Install command \`${options.installCommand}\` failed${result.timedOut ? ' (timed out)' : ''}: ${`${result.stdout}${result.stderr}`.trim().slice(-500)}`);
+      }
+    }
+    return { dir, installed };
+  } catch (error) {
+    await fs.rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Get the snapshot of an API source, downloading it on first use
+ *
+ * @private
+ * @param {Object} source - API source descriptor
+ * @param {Object} options - Worktree options, see `createWorktree`
+ * @returns {Promise<Object>} - Snapshot from `createSnapshot`
+ */
+function getSnapshot(source, options) {
+  if (!snapshots.has(source)) {
+    const pending = createSnapshot(source, options);
+    // A failed download is retried by the next worktree
+    pending.catch(() => snapshots.delete(source));
+    snapshots.set(source, pending);
+  }
+  return snapshots.get(source);
+}
+
+/**
+ * Delete the snapshot of a task's source, once no more worktrees are needed
+ *
+ * @param {Object} source - Repository source descriptor from the task configuration
+ * @returns {Promise<void>}
+ */
+async function releaseSnapshot(source) {
+  const pending = snapshots.get(source);
+  if (!pending) return;
+  snapshots.delete(source);
+
+  const snapshot = await pending.catch(() => null);
+  if (snapshot && snapshot.dir) {
+    await fs.rm(snapshot.dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Create a scratch worktree for a task's repository
+ *
+ * @param {Object} source - Repository source descriptor from the task configuration
+ * @param {Object} options - Worktree options
+ * @param {string} options.workspaceDir - Parent directory for worktrees
+ * @param {number} options.maxFiles - Most files to download for API sources
+ * @param {string} [options.installCommand] - Installs dependencies into the snapshot of API sources
+ * @param {Object} [options.sandboxOptions] - Timeout and memory limit of the install command
+ * @returns {Promise<Object>} - `dir`, `complete` flag, whether dependencies were `installed`, and `dispose()`
+ */
+async function createWorktree(source, options) {
+  await fs.mkdir(options.workspaceDir, { recursive: true });
+  const dir = await fs.mkdtemp(path.join(options.workspaceDir, 'validate-'));
+  let extraCleanup = async () => {};
+  let complete = true;
+  let installed = false;
+
+  try {
+    if (source.type === 'local') {
+      // git worktree add wants to create the directory itself
+      await fs.rmdir(dir);
+      extraCleanup = await populateFromLocal(source.dir, dir);
+    } else {
+      const snapshot = await getSnapshot(source, options);
+      complete = snapshot.dir !== null;
+      installed = snapshot.installed;
+      if (complete) {
+        await fs.rmdir(dir);
+        await populateFromLocal(snapshot.dir, dir);
+      }
+    }
+  } catch (error) {
+    await fs.rm(dir, { recursive: true, force: true });
+    throw new Error(`Failed to create validation worktree: ${error.message}`);
+  }
+
+  logger.debug(`Created validation worktree at ${dir}`);
+  return {
+    dir,
+    complete,
+    installed,
+    async dispose() {
+      await extraCleanup();
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Write code changes into a worktree
+ *
+ * @param {string} dir - Worktree root
+ * @param {Array} codeChanges - Changes to write
+ * @param {string} [side] - 'newContent' to apply, 'originalContent' to revert
+ * @returns {Promise<void>}
+ */
+async function writeChanges(dir, codeChanges, side = 'newContent') {
+  for (const change of codeChanges) {
+    const target = resolveInside(dir, change.path);
+    const content = change[side];
+
+    if (content === null) {
+      await fs.rm(target, { force: true });
+    } else {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, content, 'utf-8');
+    }
+  }
+}
+
+module.exports = {
+  createWorktree,
+  releaseSnapshot,
+  writeChanges,
+  resolveInside
+};
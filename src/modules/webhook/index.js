@@ -0,0 +1,346 @@
+/**
+ * Webhook Module
+ *
+ * HTTP listener for GitHub webhook deliveries: checks the
+ * `X-Hub-Signature-256` HMAC, maps `issues.labeled`, `issue_comment.created`
+ * and `pull_request_review.submitted` events onto trigger data and submits
+ * each trigger as a background job, answering 202 with the job ID
+ *
+ * Redeliveries carry the same `X-GitHub-Delivery` ID and get the first
+ * answer again without starting another job. Deliveries are handled by
+ * `handle` without any network, so recorded payloads can be replayed
+ * through it directly.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const configModule = require('../configuration');
+const triggerModule = require('../trigger_detection');
+const jobRunnerModule = require('../job_runner');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the webhook settings in effect
+ *
+ * @private
+ * @returns {Object} - Webhook section with defaults for missing entries
+ */
+function getSettings() {
+  return {
+    path: '/webhook',
+    triggerLabel: 'fix-me',
+    resolveCommand: '@openhands resolve',
+    reviewStates: ['changes_requested'],
+    allowedAssociations: ['OWNER', 'MEMBER', 'COLLABORATOR'],
+    maxBodyBytes: 5242880,
+    rememberedDeliveries: 1000,
+    ...configModule.getConfigSection('webhook')
+  };
+}
+
+/**
+ * Compute the signature GitHub sends for a payload
+ *
+ * @param {string} secret - Webhook secret
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} - `sha256=` followed by the hex HMAC
+ */
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check the `X-Hub-Signature-256` header of a delivery
+ *
+ * @param {string} secret - Webhook secret
+ * @param {Buffer|string} body - Raw request body, exactly as received
+ * @param {string} [signature] - Header value
+ * @returns {boolean} - Whether the signature matches
+ */
+function verifySignature(secret, body, signature) {
+  if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(secret, body));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Turn the URL of an issue or pull request into trigger data
+ *
+ * Going through trigger detection keeps webhooks to the configured hosts.
+ *
+ * @private
+ * @param {string} htmlUrl - Issue or pull request URL from the payload
+ * @param {Object} options - Options for the resolution
+ * @returns {Object} - `trigger`, or `ignored` with the reason
+ */
+function buildTrigger(htmlUrl, options) {
+  const trigger = triggerModule.detectTrigger(htmlUrl || '');
+  const validation = triggerModule.validateTrigger(trigger);
+  if (!validation.valid || trigger.isBatch || trigger.isRepoWide) {
+    return { ignored: `No single issue in ${htmlUrl}: ${validation.reasons.join('; ') || 'not an issue URL'}` };
+  }
+  return { trigger: { ...trigger, options } };
+}
+
+/**
+ * Check who wrote a comment or review
+ *
+ * @private
+ * @param {Object} author - `user` of the comment or review
+ * @param {string} association - `author_association` of the comment or review
+ * @param {Object} settings - Webhook settings
+ * @returns {string|null} - Reason to ignore the event, null when the author may trigger
+ */
+function checkAuthor(author, association, settings) {
+  if (author && author.type === 'Bot') {
+    return `${author.login} is a bot`;
+  }
+  if (!settings.allowedAssociations.includes(association)) {
+    return `${author ? author.login : 'The author'} is ${association || 'not associated with the repository'}, not one of ${settings.allowedAssociations.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Map a webhook event onto trigger data
+ *
+ * An issue labeled with `webhook.triggerLabel` or commented on with
+ * `webhook.resolveCommand` is resolved. The same command, or
+ * "/openhands address review", on a pull request and a submitted review in
+ * one of `webhook.reviewStates` address the pull request's review comments.
+ *
+ * @param {string} event - `X-GitHub-Event` header
+ * @param {Object} payload - Parsed payload
+ * @returns {Object} - `trigger` and `description`, or `ignored` with the reason
+ */
+function mapEvent(event, payload) {
+  const settings = getSettings();
+  const name = `${event}.${payload.action}`;
+
+  switch (name) {
+    case 'issues.labeled': {
+      if (!payload.label || payload.label.name !== settings.triggerLabel) {
+        return { ignored: `Label ${payload.label ? payload.label.name : '(none)'} is not ${settings.triggerLabel}` };
+      }
+      const built = buildTrigger(payload.issue.html_url, {});
+      return built.ignored ? built : { ...built, description: `Resolve ${built.trigger.issueUrl} (labeled ${settings.triggerLabel})` };
+    }
+
+    case 'issue_comment.created': {
+      const { comment, issue } = payload;
+      const body = comment.body || '';
+      const isPullRequest = Boolean(issue.pull_request);
+      const resolve = body.toLowerCase().includes(settings.resolveCommand.toLowerCase());
+      const review = isPullRequest && triggerModule.REVIEW_COMMAND.test(body);
+      if (!resolve && !review) {
+        return { ignored: 'Comment has no resolver command' };
+      }
+      const refused = checkAuthor(comment.user, comment.author_association, settings);
+      if (refused) return { ignored: refused };
+
+      // Options are read from the rest of the command only
+      const command = resolve
+        ? body.toLowerCase().indexOf(settings.resolveCommand.toLowerCase()) + settings.resolveCommand.length
+        : body.search(triggerModule.REVIEW_COMMAND) + body.match(triggerModule.REVIEW_COMMAND)[0].length;
+      const built = buildTrigger(issue.html_url, triggerModule.extractOptions(body.slice(command)));
+      return built.ignored ? built : {
+        ...built,
+        description: `${isPullRequest ? 'Address review comments on' : 'Resolve'} ${built.trigger.issueUrl} (comment by ${comment.user.login})`
+      };
+    }
+
+    case 'pull_request_review.submitted': {
+      const { review, pull_request: pull } = payload;
+      const state = String(review.state || '').toLowerCase();
+      if (!settings.reviewStates.includes(state)) {
+        return { ignored: `Review state ${state} is not one of ${settings.reviewStates.join(', ')}` };
+      }
+      const refused = checkAuthor(review.user, review.author_association, settings);
+      if (refused) return { ignored: refused };
+
+      const built = buildTrigger(pull.html_url, {});
+      return built.ignored ? built : { ...built, description: `Address review comments on ${built.trigger.issueUrl} (review by ${review.user.login})` };
+    }
+
+    default:
+      return { ignored: event === 'ping' ? 'Ping received' : `${name} events are not handled` };
+  }
+}
+
+/**
+ * Create the handler for webhook deliveries
+ *
+ * @param {Object} options - Handler options
+ * @param {string} options.secret - Webhook secret
+ * @param {Function} options.resolve - Runs a trigger, called with the trigger data and the job context
+ * @returns {Function} - Takes `{ method, path, headers, body }` with lower-cased headers and the raw body, returns `{ status, body }`
+ */
+function createWebhookHandler(options) {
+  // Answers keyed by delivery ID, oldest first
+  const deliveries = new Map();
+
+  const remember = (delivery, response) => {
+    deliveries.set(delivery, response);
+    const { rememberedDeliveries } = getSettings();
+    for (const key of deliveries.keys()) {
+      if (deliveries.size <= rememberedDeliveries) break;
+      deliveries.delete(key);
+    }
+    return response;
+  };
+
+  return function handle(req) {
+    const settings = getSettings();
+    const headers = req.headers || {};
+    const body = req.body || '';
+
+    if (req.path !== settings.path) {
+      return { status: 404, body: { error: 'Not Found' } };
+    }
+    if (req.method !== 'POST') {
+      return { status: 405, body: { error: 'Deliveries must be POSTed' } };
+    }
+    if (Buffer.byteLength(body) > settings.maxBodyBytes) {
+      return { status: 413, body: { error: `Delivery is larger than ${settings.maxBodyBytes} bytes` } };
+    }
+    if (!verifySignature(options.secret, body, headers['x-hub-signature-256'])) {
+      logger.warn(`Rejected webhook delivery ${headers['x-github-delivery'] || '(no ID)'} with an invalid signature`);
+      return { status: 401, body: { error: 'Invalid signature' } };
+    }
+
+    const event = headers['x-github-event'];
+    const delivery = headers['x-github-delivery'];
+    if (!event || !delivery) {
+      return { status: 400, body: { error: 'Missing X-GitHub-Event or X-GitHub-Delivery header' } };
+    }
+    if (deliveries.has(delivery)) {
+      logger.info(`Webhook delivery ${delivery} was already handled`);
+      const previous = deliveries.get(delivery);
+      return { status: previous.status, body: { ...previous.body, duplicate: true } };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.isBuffer(body) ? body.toString('utf-8') : body);
+    } catch (error) {
+      return { status: 400, body: { error: `Payload is not JSON: ${error.message}` } };
+    }
+
+    const mapped = mapEvent(event, payload);
+    if (mapped.ignored) {
+      logger.debug(`Ignoring webhook delivery ${delivery}: ${mapped.ignored}`);
+      return remember(delivery, { status: 200, body: { accepted: false, delivery, reason: mapped.ignored } });
+    }
+
+    const job = jobRunnerModule.submit('webhook', mapped.description, context => options.resolve(mapped.trigger, context));
+    logger.info(`Webhook delivery ${delivery} started job ${job.id}: ${mapped.description}`);
+    return remember(delivery, {
+      status: 202,
+      body: {
+        accepted: true,
+        delivery,
+        event: `${event}.${payload.action}`,
+        issueUrl: mapped.trigger.issueUrl,
+        jobId: job.id
+      }
+    });
+  };
+}
+
+/**
+ * Create the HTTP server receiving webhook deliveries
+ *
+ * @param {Object} options - See `createWebhookHandler`
+ * @returns {Object} - Server controller with `start`, `stop` and `handle`
+ */
+function createWebhookServer(options) {
+  const handle = createWebhookHandler(options);
+  let server = null;
+
+  /**
+   * Read a request and answer it
+   * @param {http.IncomingMessage} incoming - Request
+   * @param {http.ServerResponse} outgoing - Response
+   */
+  function serve(incoming, outgoing) {
+    const { maxBodyBytes } = getSettings();
+    const chunks = [];
+    let size = 0;
+
+    const respond = (response) => {
+      outgoing.writeHead(response.status, { 'Content-Type': 'application/json' });
+      outgoing.end(JSON.stringify(response.body));
+    };
+
+    incoming.on('data', (chunk) => {
+      size += chunk.length;
+      // Stop buffering an oversized body, it is refused once fully read
+      if (size <= maxBodyBytes) chunks.push(chunk);
+    });
+    incoming.on('end', () => {
+      if (size > maxBodyBytes) {
+        respond({ status: 413, body: { error: `Delivery is larger than ${maxBodyBytes} bytes` } });
+        return;
+      }
+
+      let response;
+      try {
+        response = handle({
+          method: incoming.method,
+          path: new URL(incoming.url, 'http://localhost').pathname,
+          headers: incoming.headers,
+          body: Buffer.concat(chunks)
+        });
+      } catch (error) {
+        logger.error('Failed to handle webhook delivery:', error);
+        response = { status: 500, body: { error: 'Internal error' } };
+      }
+      respond(response);
+    });
+  }
+
+  return {
+    handle,
+
+    /**
+     * Start listening
+     * @param {number} [port] - Port, 0 picks a free one
+     * @param {string} [host] - Address to bind to
+     * @returns {Promise<string>} - Base URL of the server
+     */
+    start(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(serve);
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const address = server.address();
+          resolve(`http://${host}:${address.port}`);
+        });
+      });
+    },
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server.closeAllConnections();
+        server = null;
+      });
+    }
+  };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  mapEvent,
+  createWebhookHandler,
+  createWebhookServer
+};
@@ -0,0 +1,508 @@
+#!/usr/bin/env node
+/**
+ * OpenHands Resolver MCP - Server Entry Point
+ *
+ * Registers the resolver with the Model Context Protocol SDK and serves it
+ * over stdio so that MCP clients such as Claude Desktop can call it as tools.
+ */
+
+// stdout carries the protocol stream, keep console logging off it
+process.env.MCP_TRANSPORT = process.env.MCP_TRANSPORT || 'stdio';
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+
+const resolver = require('./index');
+const configModule = require('./modules/configuration');
+const { startWebhookServer } = require('./webhook');
+const triggerModule = require('./modules/trigger_detection');
+const jobStoreModule = require('./modules/job_store');
+const jobRunnerModule = require('./modules/job_runner');
+const { redact } = require('./utils/redact');
+const logger = require('./utils/logger');
+
+// Argument shared by the resolve tools
+const DRY_RUN_ARGUMENT = {
+  type: 'boolean',
+  description: 'Stop before writing to GitHub and return the proposed patch and pull request instead'
+};
+
+// Argument letting a resolve tool redo issues resolved in an earlier run
+const FORCE_ARGUMENT = {
+  type: 'boolean',
+  description: 'Start over even if the job store shows the issue already resolved or partly done'
+};
+
+// Argument making a resolve tool block until done instead of running in the background
+const WAIT_ARGUMENT = {
+  type: 'boolean',
+  description: 'Wait for the resolution to finish instead of returning a background job ID'
+};
+
+// Argument layering configuration over the global and repository settings for one call
+const CONFIG_ARGUMENT = {
+  type: 'object',
+  description: 'Configuration overrides for this call, e.g. { "pullRequest": { "defaultAsDraft": false } }'
+};
+
+// Tools that run as background jobs unless called with `wait`
+const BACKGROUND_TOOLS = ['resolve_issue', 'resolve_batch', 'resolve_repo', 'address_review', 'replay_cassette'];
+
+// Tool definitions exposed to MCP clients
+const tools = [
+  {
+    name: 'resolve_issue',
+    description: 'Resolve a single GitHub issue by generating a fix and opening a pull request',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueUrl: {
+          type: 'string',
+          description: 'Issue or pull request URL, e.g. https://github.com/owner/repo/issues/1, or an owner/repo#1 reference'
+        },
+        dryRun: DRY_RUN_ARGUMENT,
+        force: FORCE_ARGUMENT,
+        config: CONFIG_ARGUMENT,
+        wait: WAIT_ARGUMENT
+      },
+      required: ['issueUrl']
+    }
+  },
+  {
+    name: 'resolve_batch',
+    description: 'Resolve several GitHub issues in one batch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issueUrls: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          description: 'Full URLs of the GitHub issues to resolve'
+        },
+        dryRun: DRY_RUN_ARGUMENT,
+        force: FORCE_ARGUMENT,
+        config: CONFIG_ARGUMENT,
+        wait: WAIT_ARGUMENT
+      },
+      required: ['issueUrls']
+    }
+  },
+  {
+    name: 'resolve_repo',
+    description: 'Resolve open issues across a GitHub repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Repository owner or organization' },
+        repo: { type: 'string', description: 'Repository name' },
+        labels: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only issues carrying all of these labels'
+        },
+        assignee: { type: 'string', description: "Only issues assigned to this login, '*' for any or 'none'" },
+        milestone: { type: 'string', description: "Milestone title or number, '*' for any or 'none'" },
+        minAgeDays: { type: 'number', description: 'Only issues opened at least this many days ago' },
+        maxAgeDays: { type: 'number', description: 'Only issues opened at most this many days ago' },
+        limit: { type: 'number', description: 'Maximum number of issues to resolve, capped by batch.maxRepoIssues' },
+        dryRun: DRY_RUN_ARGUMENT,
+        config: CONFIG_ARGUMENT,
+        wait: WAIT_ARGUMENT
+      },
+      required: ['owner', 'repo']
+    }
+  },
+  {
+    name: 'address_review',
+    description: "Address the unresolved review comments on one of the resolver's pull requests by pushing new commits to its branch",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pullRequestUrl: {
+          type: 'string',
+          description: 'Pull request URL, e.g. https://github.com/owner/repo/pull/7, or an owner/repo#7 reference'
+        },
+        dryRun: DRY_RUN_ARGUMENT,
+        config: CONFIG_ARGUMENT,
+        wait: WAIT_ARGUMENT
+      },
+      required: ['pullRequestUrl']
+    }
+  },
+  {
+    name: 'list_jobs',
+    description: 'List the resolution history recorded per issue, most recently updated first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', description: 'running, interrupted, succeeded or failed' },
+        repo: { type: 'string', description: 'Only jobs for this owner/repo' },
+        limit: { type: 'number', description: 'Maximum number of jobs to return' }
+      }
+    }
+  },
+  {
+    name: 'get_job',
+    description: "Get the recorded stage history, inputs and outputs of an issue's resolution",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        issue: { type: 'string', description: 'Issue URL or owner/repo#N reference' }
+      },
+      required: ['issue']
+    }
+  },
+  {
+    name: 'get_job_status',
+    description: 'Get the status and stage progress of a background job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID returned by a resolve tool' }
+      },
+      required: ['jobId']
+    }
+  },
+  {
+    name: 'get_job_result',
+    description: 'Get the result of a background job once it has finished',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID returned by a resolve tool' }
+      },
+      required: ['jobId']
+    }
+  },
+  {
+    name: 'cancel_job',
+    description: 'Cancel a running background job; it stops at the next stage',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        jobId: { type: 'string', description: 'Job ID returned by a resolve tool' }
+      },
+      required: ['jobId']
+    }
+  },
+  {
+    name: 'get_effective_config',
+    description: 'Show the configuration a resolution would use and which layer set each value',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repo: { type: 'string', description: 'owner/repo whose .openhands/resolver.yml to include' },
+        config: CONFIG_ARGUMENT
+      }
+    }
+  },
+  {
+    name: 'get_usage',
+    description: 'Show the model tokens and estimated cost used over the last 24 hours, by model, and the configured budgets',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'replay_cassette',
+    description: 'Run a resolution again from a cassette recorded with debug.saveResponses, without network access',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Path of the cassette file' },
+        wait: WAIT_ARGUMENT
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'get_info',
+    description: 'Get information about the OpenHands Resolver MCP',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  }
+];
+
+// Tool handlers, each mapping its arguments onto the resolver; resolve
+// handlers also receive the background job context
+const toolHandlers = {
+  resolve_issue: ({ issueUrl, ...options }, context) =>
+    resolver.handleMcpInvocation(`resolve ${issueUrl}`, options, context),
+  resolve_batch: async ({ issueUrls, ...options }, context) => {
+    if (!await resolver.initialize()) {
+      return { success: false, message: 'Failed to initialize OpenHands Resolver MCP' };
+    }
+    // Unrecognised URLs stay in the list so the batch report marks them skipped
+    const issueList = issueUrls.map((issueUrl) => {
+      const issue = triggerModule.detectTrigger(issueUrl) || { issueUrl };
+      return { ...issue, options: { ...issue.options, ...options } };
+    });
+    return { success: true, isBatch: true, ...await resolver.resolveBatch(issueList, context) };
+  },
+  resolve_repo: async ({ owner, repo, dryRun, config, ...filters }, context) => {
+    if (!await resolver.initialize()) {
+      return { success: false, message: 'Failed to initialize OpenHands Resolver MCP' };
+    }
+    const options = {
+      ...(dryRun === undefined ? {} : { dryRun }),
+      ...(config === undefined ? {} : { config })
+    };
+    return { success: true, isRepoWide: true, ...await resolver.resolveRepo({ owner, repo, filters, options }, context) };
+  },
+  address_review: ({ pullRequestUrl, ...options }, context) =>
+    resolver.handleMcpInvocation(`/openhands address review ${pullRequestUrl}`, options, context),
+  list_jobs: async (filters) => {
+    if (!await resolver.initialize()) {
+      return { success: false, message: 'Failed to initialize OpenHands Resolver MCP' };
+    }
+    return { success: true, jobs: await jobStoreModule.listJobs(filters) };
+  },
+  get_job: async ({ issue }) => {
+    if (!await resolver.initialize()) {
+      return { success: false, message: 'Failed to initialize OpenHands Resolver MCP' };
+    }
+    const trigger = triggerModule.detectTrigger(issue);
+    if (!trigger || trigger.isBatch || trigger.isRepoWide) {
+      return { success: false, message: `Not a single issue reference: ${issue}` };
+    }
+    const job = await jobStoreModule.getJob(jobStoreModule.jobKey(trigger.owner, trigger.repo, trigger.issueNumber));
+    return job ? { success: true, job } : { success: false, message: `No job recorded for ${issue}` };
+  },
+  get_job_status: async ({ jobId }) => {
+    const job = jobRunnerModule.getStatus(jobId);
+    return job ? { success: true, job } : { success: false, message: `Unknown job: ${jobId}` };
+  },
+  get_job_result: async ({ jobId }) => {
+    const job = jobRunnerModule.getResult(jobId);
+    if (!job) {
+      return { success: false, message: `Unknown job: ${jobId}` };
+    }
+    const { result, progress, ...status } = job;
+    return status.finishedAt
+      ? { success: true, finished: true, job: status, result }
+      : { success: true, finished: false, job: status, message: `Job is still ${status.status} (${status.stage})` };
+  },
+  cancel_job: async ({ jobId }) => {
+    const job = jobRunnerModule.cancel(jobId);
+    return job ? { success: true, job } : { success: false, message: `Unknown job: ${jobId}` };
+  },
+  get_effective_config: async ({ repo, config }) => {
+    if (!await resolver.initialize()) {
+      return { success: false, message: 'Failed to initialize OpenHands Resolver MCP' };
+    }
+    const [owner, name] = repo ? repo.split('/') : [];
+    if (repo && (!owner || !name)) {
+      return { success: false, message: `Expected owner/repo, got: ${repo}` };
+    }
+    return { success: true, ...await resolver.getEffectiveConfig({ owner, repo: name, config }) };
+  },
+  get_usage: async () => ({ success: true, ...await resolver.getUsage() }),
+  replay_cassette: async ({ path }, context) => resolver.replayCassette(path, context),
+  get_info: async () => ({ success: true, ...resolver.getMcpInfo() })
+};
+
+/**
+ * Describe a resolve tool call for the job list
+ * @private
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @returns {string} - Summary of the call
+ */
+function describeCall(name, args) {
+  if (name === 'resolve_batch') return `Resolve ${args.issueUrls.length} issue(s)`;
+  if (name === 'resolve_repo') return `Resolve issues in ${args.owner}/${args.repo}`;
+  if (name === 'address_review') return `Address review comments on ${args.pullRequestUrl}`;
+  if (name === 'replay_cassette') return `Replay cassette ${args.path}`;
+  return `Resolve ${args.issueUrl}`;
+}
+
+/**
+ * Build a job context sending MCP progress notifications for a waiting call
+ * @private
+ * @param {Object} extra - Request details from the MCP server
+ * @returns {Object} - Context with `onProgress`, empty when the client sent no progress token
+ */
+function progressContext(extra) {
+  if (extra.progressToken === undefined || !extra.sendNotification) return {};
+
+  let progress = 0;
+  return {
+    onProgress: (event) => {
+      progress += 1;
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken: extra.progressToken, progress, message: `${event.issueUrl ? `${event.issueUrl}: ` : ''}${event.message || event.stage}` }
+      }).catch(error => logger.warn(`Failed to send progress notification: ${error.message}`));
+    }
+  };
+}
+
+/**
+ * Check tool arguments against the tool's input schema
+ * @private
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Arguments supplied by the client
+ * @returns {Array<string>} - Validation errors, empty when valid
+ */
+function validateArguments(tool, args) {
+  const errors = [];
+  const { properties = {}, required = [] } = tool.inputSchema;
+
+  for (const name of required) {
+    if (args[name] === undefined || args[name] === null || args[name] === '') {
+      errors.push(`Missing required argument: ${name}`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(args)) {
+    const schema = properties[name];
+    if (!schema) {
+      errors.push(`Unknown argument: ${name}`);
+      continue;
+    }
+
+    if (schema.type === 'array') {
+      if (!Array.isArray(value)) {
+        errors.push(`Argument ${name} must be an array`);
+      } else if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`Argument ${name} must contain at least ${schema.minItems} item(s)`);
+      } else if (schema.items && value.some(item => typeof item !== schema.items.type)) {
+        errors.push(`Argument ${name} must only contain ${schema.items.type} values`);
+      }
+    } else if (schema.type === 'object') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`Argument ${name} must be an object`);
+      }
+    } else if (typeof value !== schema.type) {
+      errors.push(`Argument ${name} must be a ${schema.type}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Wrap a resolver result as an MCP tool result with any secrets masked
+ * @private
+ * @param {Object} result - Result returned by the resolver
+ * @returns {Object} - MCP tool result
+ */
+function toToolResult(result) {
+  // Masking inside a patch would leave it unable to apply
+  const safe = redact(result, { except: ['patch'] });
+  return {
+    content: [{ type: 'text', text: JSON.stringify(safe, null, 2) }],
+    structuredContent: safe,
+    isError: result.success === false
+  };
+}
+
+/**
+ * Invoke a tool by name
+ *
+ * Resolve tools are submitted as background jobs and return a job ID unless
+ * called with `wait`.
+ * @param {string} name - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @param {Object} [extra] - Request details: `progressToken` and `sendNotification`
+ * @returns {Promise<Object>} - MCP tool result
+ */
+async function callTool(name, args = {}, extra = {}) {
+  const tool = tools.find(t => t.name === name);
+  if (!tool) {
+    return toToolResult({ success: false, message: `Unknown tool: ${name}` });
+  }
+
+  const errors = validateArguments(tool, args);
+  if (errors.length > 0) {
+    return toToolResult({ success: false, message: 'Invalid arguments', errors });
+  }
+
+  try {
+    logger.info(`Handling MCP tool call: ${name}`);
+    const { wait, ...toolArgs } = args;
+
+    if (BACKGROUND_TOOLS.includes(name) && !wait) {
+      const job = jobRunnerModule.submit(name, describeCall(name, toolArgs), context => toolHandlers[name](toolArgs, context));
+      return toToolResult({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        message: `Submitted as background job ${job.id}; poll get_job_status or get_job_result`
+      });
+    }
+
+    return toToolResult(await toolHandlers[name](toolArgs, progressContext(extra)));
+  } catch (error) {
+    logger.error(`MCP tool ${name} failed:`, error);
+    return toToolResult({ success: false, message: `Error: ${error.message}` });
+  }
+}
+
+/**
+ * Create the MCP server with all resolver tools registered
+ * @returns {Server} - Configured MCP server
+ */
+function createServer() {
+  const info = resolver.getMcpInfo();
+  const server = new Server(
+    { name: 'openhands-resolver', version: info.version },
+    { capabilities: { tools: {}, logging: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) =>
+    callTool(request.params.name, request.params.arguments, {
+      progressToken: request.params._meta && request.params._meta.progressToken,
+      sendNotification: extra.sendNotification
+    })
+  );
+
+  // Log lines go to the client as logging notifications when `logging.mcpNotifications` is on
+  logger.setMcpSink(params => server.sendLoggingMessage(params));
+
+  // Background job progress goes to the client as logging messages
+  jobRunnerModule.onProgress((event) => {
+    server.sendLoggingMessage({ level: 'info', logger: 'openhands-resolver', data: event })
+      .catch(error => logger.debug(`Failed to send progress message: ${error.message}`));
+  });
+
+  return server;
+}
+
+/**
+ * Start the MCP server on stdio, and the webhook listener when `webhook.enabled` is set
+ * @returns {Promise<Server>} - Connected MCP server
+ */
+async function main() {
+  const server = createServer();
+  await server.connect(new StdioServerTransport());
+  logger.info('OpenHands Resolver MCP server listening on stdio');
+
+  if (await resolver.initialize() && configModule.getConfigSection('webhook').enabled) {
+    await startWebhookServer();
+  }
+  return server;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error('Failed to start OpenHands Resolver MCP server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  tools,
+  callTool,
+  createServer,
+  main
+};
@@ -0,0 +1,230 @@
+/**
+ * Diff utility for the OpenHands Resolver MCP
+ * Computes line diffs between file versions
+ */
+
+// Most changed lines, old and new together, searched for a minimal diff;
+// larger changes are shown as the old lines replaced by the new ones
+const MAX_DIFF_LINES = 10000;
+
+/**
+ * Split content into lines, treating null as an absent file
+ *
+ * @private
+ * @param {string|null} content - File content
+ * @returns {Array<string>} - Lines without a trailing empty entry
+ */
+function toLines(content) {
+  if (content === null || content === undefined || content === '') return [];
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Find the middle snake of the shortest edit script between two line ranges
+ *
+ * Walks forward from the start and backward from the end at once, keeping
+ * only the furthest reaching path per diagonal, until the paths overlap.
+ *
+ * @private
+ * @param {Array<string>} a - Old lines
+ * @param {number} aLo - Start of the old range
+ * @param {number} aHi - End of the old range, exclusive
+ * @param {Array<string>} b - New lines
+ * @param {number} bLo - Start of the new range
+ * @param {number} bHi - End of the new range, exclusive
+ * @returns {Array<number>} - Start and end of the snake, `[x, y, u, v]` relative to the ranges
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      const x0 = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      const y0 = x0 - k;
+      let x = x0;
+      let y = y0;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const opposite = delta - k;
+      if (odd && opposite >= -(d - 1) && opposite <= d - 1 && x + backward[offset + opposite] >= n) {
+        return [x0, y0, x, y];
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      const x0 = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      const y0 = x0 - k;
+      let x = x0;
+      let y = y0;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      const opposite = delta - k;
+      if (!odd && opposite >= -d && opposite <= d && x + forward[offset + opposite] >= n) {
+        return [n - x, m - y, n - x0, m - y0];
+      }
+    }
+  }
+
+  // The paths always meet after at most (n + m) / 2 steps each
+  throw new Error('Diff search ended without the paths meeting');
+}
+
+/**
+ * Diff two line ranges into an operation list
+ *
+ * @private
+ * @param {Array<string>} a - Old lines
+ * @param {number} aLo - Start of the old range
+ * @param {number} aHi - End of the old range, exclusive
+ * @param {Array<string>} b - New lines
+ * @param {number} bLo - Start of the new range
+ * @param {number} bHi - End of the new range, exclusive
+ * @param {Array} ops - Operations, appended to
+ */
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops) {
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+    ops.push({ type: 'equal', line: a[aLo] });
+    aLo++;
+    bLo++;
+  }
+  let suffix = 0;
+  while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) {
+    aHi--;
+    bHi--;
+    suffix++;
+  }
+
+  if (aLo === aHi || bLo === bHi || (aHi - aLo) + (bHi - bLo) > MAX_DIFF_LINES) {
+    // Pure inserts and deletes need no search, and ranges too large to
+    // search are replaced as a whole
+    for (let i = aLo; i < aHi; i++) ops.push({ type: 'delete', line: a[i] });
+    for (let i = bLo; i < bHi; i++) ops.push({ type: 'insert', line: b[i] });
+  } else {
+    const [x, y, u, v] = middleSnake(a, aLo, aHi, b, bLo, bHi);
+    diffRange(a, aLo, aLo + x, b, bLo, bLo + y, ops);
+    for (let i = aLo + x; i < aLo + u; i++) ops.push({ type: 'equal', line: a[i] });
+    diffRange(a, aLo + u, aHi, b, bLo + v, bHi, ops);
+  }
+
+  for (let i = aHi; i < aHi + suffix; i++) ops.push({ type: 'equal', line: a[i] });
+}
+
+/**
+ * Compute a line diff with the linear-space variant of the Myers algorithm
+ *
+ * @param {string|null} before - Original content
+ * @param {string|null} after - New content
+ * @returns {Array} - Operations `{ type: 'equal'|'delete'|'insert', line }` in order
+ */
+function diffLines(before, after) {
+  const a = toLines(before);
+  const b = toLines(after);
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops);
+  return ops;
+}
+
+/**
+ * Count added and removed lines between two versions
+ *
+ * @param {string|null} before - Original content
+ * @param {string|null} after - New content
+ * @returns {Object} - `additions` and `deletions`
+ */
+function diffStat(before, after) {
+  const stat = { additions: 0, deletions: 0 };
+  for (const op of diffLines(before, after)) {
+    if (op.type === 'insert') stat.additions++;
+    if (op.type === 'delete') stat.deletions++;
+  }
+  return stat;
+}
+
+/**
+ * Render a file change as a git-style unified diff
+ *
+ * @param {string} filePath - Path of the file in the repository
+ * @param {string|null} before - Original content, null when the file is created
+ * @param {string|null} after - New content, null when the file is deleted
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.context] - Unchanged lines shown around each change
+ * @returns {string} - Unified diff, empty when the versions are equal
+ */
+function unifiedDiff(filePath, before, after, options = {}) {
+  const context = options.context === undefined ? 3 : options.context;
+  const ops = diffLines(before, after);
+  if (!ops.some(op => op.type !== 'equal')) return '';
+
+  // Position of each operation in the old and new file
+  let oldLine = 0;
+  let newLine = 0;
+  const positioned = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== 'insert') oldLine++;
+    if (op.type !== 'delete') newLine++;
+    return entry;
+  });
+
+  // Group changes whose context overlaps into hunks
+  const hunks = [];
+  positioned.forEach((op, index) => {
+    if (op.type === 'equal') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(positioned.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const lines = [
+    `diff --git a/${filePath} b/${filePath}`,
+    ...(before === null ? ['new file mode 100644'] : []),
+    ...(after === null ? ['deleted file mode 100644'] : []),
+    `--- ${before === null ? '/dev/null' : `a/${filePath}`}`,
+    `+++ ${after === null ? '/dev/null' : `b/${filePath}`}`
+  ];
+
+  for (const { start, end } of hunks) {
+    const slice = positioned.slice(start, end);
+    const oldCount = slice.filter(op => op.type !== 'insert').length;
+    const newCount = slice.filter(op => op.type !== 'delete').length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine : slice[0].oldLine + 1;
+    const newStart = newCount === 0 ? slice[0].newLine : slice[0].newLine + 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const op of slice) {
+      const prefix = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+      lines.push(`${prefix}${op.line}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  diffLines,
+  diffStat,
+  unifiedDiff
+};
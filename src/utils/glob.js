@@ -0,0 +1,66 @@
+/**
+ * Glob utility for the OpenHands Resolver MCP
+ * Matches repository paths against gitignore-style patterns
+ */
+
+// Compiled patterns, reused across calls
+const cache = new Map();
+
+/**
+ * Compile a glob pattern to a regular expression
+ *
+ * `**` matches across directories, `*` and `?` within one path segment.
+ * Patterns without a slash match the file name at any depth, like
+ * `CODEOWNERS` or `*.pem`; a trailing slash matches everything below a directory.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  let glob = pattern.replace(/^\.\//, '');
+  if (glob.endsWith('/')) glob += '**';
+  const anchored = glob.includes('/');
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(anchored ? `^${source.replace(/^\//, '')}$` : `(?:^|/)${source}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Find the first pattern a path matches
+ *
+ * @param {string} filePath - Repository-relative path with forward slashes
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {string|null} - Matching pattern, null when none matches
+ */
+function matchGlob(filePath, patterns = []) {
+  return patterns.find(pattern => globToRegExp(pattern).test(filePath)) || null;
+}
+
+module.exports = {
+  globToRegExp,
+  matchGlob
+};
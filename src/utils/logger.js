@@ -1,45 +1,179 @@
 /**
  * Logger utility for the OpenHands Resolver MCP
  * Provides consistent logging across all modules
+ *
+ * Lines logged while a resolution runs carry its correlation ID, set with
+ * `logger.withContext`. Sinks are the console, a plain file, a size-rotated
+ * file and MCP logging notifications, chosen with `logger.configureSinks`.
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const winston = require('winston');
+const { redact } = require('./redact');
 
 // Get log level from environment or default to 'info'
 const logLevel = process.env.LOG_LEVEL || 'info';
 
+// Fields attached to every line logged in the current async context
+const context = new AsyncLocalStorage();
+
+// MCP severity for each winston level
+const MCP_LEVELS = {
+  error: 'error',
+  warn: 'warning',
+  info: 'info',
+  http: 'debug',
+  verbose: 'debug',
+  debug: 'debug',
+  silly: 'debug'
+};
+
+// Function sending MCP logging notifications, set once a server is running
+let mcpSink = null;
+
+// Add the fields of the current context, e.g. the correlation ID, without
+// replacing fields passed with the line itself
+const contextFormat = winston.format((info) => {
+  for (const [key, value] of Object.entries(context.getStore() || {})) {
+    if (!(key in info)) info[key] = value;
+  }
+  return info;
+});
+
+// Mask tokens and keys in the message and every metadata field
+const redactFormat = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    info[key] = redact(info[key]);
+  }
+  return info;
+});
+
 // Define custom format
 const customFormat = winston.format.combine(
   winston.format.timestamp(),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
+  contextFormat(),
+  redactFormat(),
   winston.format.json()
 );
 
+/**
+ * Winston transport forwarding log lines as MCP logging notifications
+ */
+class McpTransport extends winston.Transport {
+  log(info, callback) {
+    if (mcpSink) {
+      const { level, message, timestamp, service, ...fields } = info;
+      // Never log failures here, that would feed back into this transport
+      Promise.resolve()
+        .then(() => mcpSink({ level: MCP_LEVELS[level] || 'info', logger: service, data: { message, ...fields } }))
+        .catch(() => {});
+    }
+    callback();
+  }
+}
+
+/**
+ * Create the console transport
+ *
+ * @private
+ * @param {string} format - 'text' or 'json'
+ * @returns {Object} - Winston transport
+ */
+function createConsoleTransport(format = 'text') {
+  // stdout carries the MCP stream when serving over stdio
+  const toStderr = process.env.MCP_TRANSPORT === 'stdio';
+  const stream = toStderr ? process.stderr : process.stdout;
+  return new winston.transports.Console({
+    ...(toStderr ? { stderrLevels: Object.keys(winston.config.npm.levels) } : {}),
+    format: format === 'json'
+      ? winston.format.json()
+      : winston.format.combine(
+        ...(stream.isTTY ? [winston.format.colorize()] : []),
+        winston.format.simple()
+      )
+  });
+}
+
 // Create logger instance
 const logger = winston.createLogger({
   level: logLevel,
   format: customFormat,
   defaultMeta: { service: 'openhands-resolver' },
-  transports: [
-    // Write to console
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    }),
-    // Write to file (only in production)
-    ...(process.env.NODE_ENV === 'production' ? [
-      new winston.transports.File({ filename: 'error.log', level: 'error' }),
-      new winston.transports.File({ filename: 'combined.log' })
-    ] : [])
-  ]
+  transports: [createConsoleTransport()]
 });
 
-// Log format for development environment
-if (process.env.NODE_ENV !== 'production') {
-  logger.debug('Logging initialized in development mode');
+/**
+ * Replace the sinks and level from the `logging` configuration section
+ *
+ * @param {Object} settings - Logging settings
+ * @param {string} [settings.level] - Minimum level
+ * @param {boolean} [settings.console] - Log to the console, stderr when serving over stdio
+ * @param {string} [settings.consoleFormat] - 'text' or 'json'
+ * @param {string} [settings.file] - JSON lines file, none when empty
+ * @param {string} [settings.rotateFile] - JSON lines file rotated by size, none when empty
+ * @param {number} [settings.rotateMaxBytes] - Size at which the rotated file is rolled over
+ * @param {number} [settings.rotateMaxFiles] - Rotated files kept
+ * @param {boolean} [settings.mcpNotifications] - Send lines as MCP logging notifications
+ * @param {string} [settings.mcpLevel] - Minimum level of MCP notifications
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.verbose] - Log at debug level whatever `level` says
+ */
+function configureSinks(settings = {}, options = {}) {
+  const transports = [];
+  if (settings.console !== false) {
+    transports.push(createConsoleTransport(settings.consoleFormat));
+  }
+  if (settings.file) {
+    transports.push(new winston.transports.File({ filename: settings.file }));
+  }
+  if (settings.rotateFile) {
+    transports.push(new winston.transports.File({
+      filename: settings.rotateFile,
+      maxsize: settings.rotateMaxBytes,
+      maxFiles: settings.rotateMaxFiles,
+      tailable: true
+    }));
+  }
+  if (settings.mcpNotifications) {
+    transports.push(new McpTransport({ level: settings.mcpLevel }));
+  }
+
+  logger.clear();
+  transports.forEach(transport => logger.add(transport));
+  logger.level = options.verbose ? 'debug' : settings.level || logLevel;
 }
 
-module.exports = logger;
\ No newline at end of file
+/**
+ * Set the function sending MCP logging notifications
+ *
+ * @param {Function|null} send - Called with `{ level, logger, data }`, null to stop
+ */
+function setMcpSink(send) {
+  mcpSink = send;
+}
+
+/**
+ * Run a function with fields attached to every line it logs, across awaits
+ *
+ * @param {Object} fields - Fields such as `correlationId`
+ * @param {Function} fn - Function to run
+ * @returns {*} - Result of the function
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Get the fields attached in the current async context
+ *
+ * @returns {Object} - Fields, empty outside `withContext`
+ */
+function getContext() {
+  return { ...context.getStore() };
+}
+
+Object.assign(logger, { configureSinks, setMcpSink, withContext, getContext });
+
+module.exports = logger;
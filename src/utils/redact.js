@@ -0,0 +1,82 @@
+/**
+ * Redaction utility for the OpenHands Resolver MCP
+ * Masks tokens and keys before they reach logs, saved files or tool results
+ */
+
+// Placeholder written in place of a secret
+const MASK = '[REDACTED]';
+
+// Secret values seen at runtime, e.g. tokens read from the environment
+const secrets = new Set();
+
+// Secrets recognisable by their shape alone
+const PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  /\bgh[pousr]_[A-Za-z0-9]{20,}/g,
+  /\bgithub_pat_[A-Za-z0-9_]{20,}/g,
+  /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]+/g
+];
+
+// Credentials following an authorization scheme, keeping the scheme itself
+const AUTHORIZATION_PATTERN = /\b(Bearer|Basic)(\s+)[A-Za-z0-9+/=._~-]{8,}/g;
+
+/**
+ * Remember a secret so it is masked wherever it appears
+ *
+ * @param {string} value - Secret value; short values are ignored as they would mask ordinary text
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 8) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Mask secrets in a string
+ *
+ * @private
+ * @param {string} text - Text to clean
+ * @returns {string} - Text with secrets replaced by the mask
+ */
+function redactString(text) {
+  let result = text;
+  for (const secret of secrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(MASK);
+    }
+  }
+  for (const pattern of PATTERNS) {
+    result = result.replace(pattern, MASK);
+  }
+  return result.replace(AUTHORIZATION_PATTERN, `$1$2${MASK}`);
+}
+
+/**
+ * Mask secrets in a value
+ *
+ * Strings are cleaned and arrays and plain objects are copied with their
+ * contents cleaned; other values are returned unchanged.
+ *
+ * @param {*} value - Value to clean
+ * @param {Object} [options] - Redaction options
+ * @param {Array<string>} [options.except] - Properties copied unchanged at any depth,
+ *   e.g. patches whose file content must stay applicable
+ * @returns {*} - Cleaned copy
+ */
+function redact(value, options = {}) {
+  if (typeof value === 'string') return redactString(value);
+  if (Array.isArray(value)) return value.map(item => redact(item, options));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const except = options.except || [];
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+      [key, except.includes(key) ? item : redact(item, options)]
+    ));
+  }
+  return value;
+}
+
+module.exports = {
+  MASK,
+  registerSecret,
+  redact
+};
@@ -0,0 +1,214 @@
+/**
+ * Tarball utility for the OpenHands Resolver MCP
+ * Reads and writes the gzipped tar archives GitHub serves for repositories
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+
+// Size of a tar header and of the blocks file contents are padded to
+const BLOCK_SIZE = 512;
+
+/**
+ * Read a NUL-terminated string field of a header
+ *
+ * @private
+ * @param {Buffer} header - Header block
+ * @param {number} start - Field offset
+ * @param {number} length - Field length
+ * @returns {string} - Field value
+ */
+function readString(header, start, length) {
+  const field = header.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf-8');
+}
+
+/**
+ * Read an octal number field of a header
+ *
+ * @private
+ * @param {Buffer} header - Header block
+ * @param {number} start - Field offset
+ * @param {number} length - Field length
+ * @returns {number} - Field value
+ */
+function readOctal(header, start, length) {
+  return parseInt(readString(header, start, length).trim() || '0', 8);
+}
+
+/**
+ * Parse the records of a pax extended header
+ *
+ * @private
+ * @param {Buffer} data - Header content, `<length> <key>=<value>\n` records
+ * @returns {Object} - Values keyed by name
+ */
+function parsePax(data) {
+  const values = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.subarray(offset, space).toString('utf-8'), 10);
+    if (!length) break;
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf-8');
+    const equals = record.indexOf('=');
+    values[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return values;
+}
+
+/**
+ * Extract a gzipped tarball into a directory
+ *
+ * Only regular files and directories are extracted, byte for byte; symbolic
+ * links, hard links and other entries are skipped, as are paths that would
+ * land outside the directory.
+ *
+ * @param {Buffer} tarball - Gzipped tar archive
+ * @param {string} dir - Directory to extract into
+ * @param {Object} [options] - Extraction options
+ * @param {number} [options.strip] - Leading path components to drop, 1 for GitHub's `owner-repo-sha/` prefix
+ * @returns {Promise<Object>} - `files` extracted and the `skipped` entry paths
+ */
+async function extractTarball(tarball, dir, options = {}) {
+  const archive = zlib.gunzipSync(tarball);
+  const root = path.resolve(dir);
+  const strip = options.strip || 0;
+  const result = { files: 0, skipped: [] };
+  let pax = {};
+  let longName = null;
+
+  for (let offset = 0; offset + BLOCK_SIZE <= archive.length; ) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const data = archive.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === 'x') {
+      pax = parsePax(data);
+      continue;
+    }
+    if (type === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = readString(header, 345, 155);
+    const name = pax.path || longName || (prefix ? `${prefix}/${readString(header, 0, 100)}` : readString(header, 0, 100));
+    pax = {};
+    longName = null;
+
+    const relative = name.split('/').filter(Boolean).slice(strip).join('/');
+    if (!relative) continue;
+    const target = path.resolve(root, relative);
+    if (!target.startsWith(root + path.sep) || !['0', '5'].includes(type)) {
+      result.skipped.push(relative);
+      continue;
+    }
+
+    if (type === '5') {
+      await fs.mkdir(target, { recursive: true });
+    } else {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // Keep the executable bit, the only permission Git tracks
+      await fs.writeFile(target, data, { mode: readOctal(header, 100, 8) & 0o111 ? 0o755 : 0o644 });
+      result.files++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Write a numeric field of a header as zero-padded octal
+ *
+ * @private
+ * @param {Buffer} header - Header block
+ * @param {number} start - Field offset
+ * @param {number} length - Field length, including the terminating NUL
+ * @param {number} value - Value to write
+ */
+function writeOctal(header, start, length, value) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, start, length, 'ascii');
+}
+
+/**
+ * Create a gzipped tarball of files below a common directory
+ *
+ * @param {string} prefix - Directory every entry is placed in, e.g. owner-repo-sha
+ * @param {Array} entries - `{ path, content, mode }` per entry; mode '120000' makes `content` a symlink target
+ * @returns {Buffer} - Gzipped tar archive
+ */
+function createTarball(prefix, entries) {
+  const blocks = [];
+
+  for (const entry of entries) {
+    const name = `${prefix}/${entry.path}`;
+    const symlink = entry.mode === '120000';
+    const content = symlink ? Buffer.alloc(0) : Buffer.from(entry.content);
+    const header = Buffer.alloc(BLOCK_SIZE);
+
+    if (Buffer.byteLength(name) > 100) {
+      const longName = Buffer.from(`${name}\0`);
+      const longHeader = Buffer.alloc(BLOCK_SIZE);
+      longHeader.write('././@LongLink', 0, 100, 'utf-8');
+      writeOctal(longHeader, 100, 8, 0o644);
+      writeOctal(longHeader, 124, 12, longName.length);
+      longHeader.write('L', 156, 1, 'ascii');
+      blocks.push(sealHeader(longHeader), pad(longName));
+    }
+
+    header.write(name.slice(0, 100), 0, 100, 'utf-8');
+    writeOctal(header, 100, 8, entry.mode === '100755' ? 0o755 : 0o644);
+    writeOctal(header, 108, 8, 0);
+    writeOctal(header, 116, 8, 0);
+    writeOctal(header, 124, 12, content.length);
+    writeOctal(header, 136, 12, 0);
+    header.write(symlink ? '2' : '0', 156, 1, 'ascii');
+    if (symlink) header.write(String(entry.content), 157, 100, 'utf-8');
+    blocks.push(sealHeader(header), pad(content));
+  }
+
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+/**
+ * Mark a header as ustar and fill in its checksum
+ *
+ * @private
+ * @param {Buffer} header - Header block
+ * @returns {Buffer} - The same header
+ */
+function sealHeader(header) {
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Pad content to a whole number of blocks
+ *
+ * @private
+ * @param {Buffer} content - Entry content
+ * @returns {Buffer} - Padded content
+ */
+function pad(content) {
+  const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+  return Buffer.concat([content, Buffer.alloc(padding)]);
+}
+
+module.exports = {
+  extractTarball,
+  createTarball
+};
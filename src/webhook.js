@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * OpenHands Resolver MCP - Webhook Entry Point
+ *
+ * Serves the webhook listener so that labeling an issue or commenting the
+ * resolve command on it starts a resolution without an MCP client. The MCP
+ * server starts the same listener when `webhook.enabled` is set.
+ */
+
+const resolver = require('./index');
+const configModule = require('./modules/configuration');
+const { createWebhookServer } = require('./modules/webhook');
+const { registerSecret } = require('./utils/redact');
+const logger = require('./utils/logger');
+
+/**
+ * Start the webhook listener on the configured address
+ *
+ * @returns {Promise<Object>} - Webhook server controller
+ */
+async function startWebhookServer() {
+  if (!await resolver.initialize()) {
+    throw new Error('Failed to initialize OpenHands Resolver MCP');
+  }
+
+  const settings = configModule.getConfigSection('webhook');
+  const secret = process.env[settings.secretEnvName];
+  if (!secret) {
+    throw new Error(`Webhook secret not set, export it as ${settings.secretEnvName}`);
+  }
+  registerSecret(secret);
+
+  const server = createWebhookServer({
+    secret,
+    resolve: (triggerData, context) => resolver.resolveIssue(triggerData, context)
+  });
+  const url = await server.start(settings.port, settings.host);
+  logger.info(`Listening for GitHub webhooks on ${url}${settings.path}`);
+  return server;
+}
+
+if (require.main === module) {
+  startWebhookServer().catch((error) => {
+    logger.error('Failed to start the webhook listener:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  startWebhookServer
+};
@@ -0,0 +1,68 @@
+/**
+ * Replays the cassette in src/modules/cassette/fixtures, recorded with
+ * `debug.saveResponses` while resolving acme/widgets#1 against the mock
+ * GitHub server with the scripted provider. Re-record it the same way when
+ * the exchanges of a resolution change on purpose.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CASSETTE = path.join(__dirname, '../../src/modules/cassette/fixtures/acme-widgets-1.json');
+
+describe('cassette replay', () => {
+  let dir;
+  let resolver;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhands-cassette-test-'));
+    // Nothing may be reached: GitHub points at a closed port and the real
+    // model provider has no key
+    process.env.GITHUB_TOKEN = 'test-token';
+    process.env.GITHUB_API_URL = 'http://127.0.0.1:9';
+    process.env.AI_PROVIDER = 'anthropic';
+    process.env.JOB_STORE_PATH = path.join(dir, 'jobs.jsonl');
+    process.env.OPENHANDS_USAGE_LEDGER_PATH = path.join(dir, 'usage.jsonl');
+    resolver = require('../../src/index');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('repeats the recorded resolution without network access', async () => {
+    const cassette = JSON.parse(fs.readFileSync(CASSETTE, 'utf-8'));
+    const result = await resolver.replayCassette(CASSETTE);
+
+    expect(result.error).toBeUndefined();
+    for (const key of ['success', 'pullRequestUrl', 'pullRequestNumber', 'branch', 'changedFiles', 'triage', 'visualization']) {
+      expect(result[key]).toEqual(cassette.result[key]);
+    }
+    expect(result.replay).toEqual({
+      cassette: CASSETTE,
+      interactions: cassette.interactions.length,
+      unused: [],
+      mismatches: []
+    });
+  });
+
+  test('fails instead of reaching out when the cassette runs short', async () => {
+    const cassette = JSON.parse(fs.readFileSync(CASSETTE, 'utf-8'));
+    cassette.interactions = cassette.interactions.filter(interaction => interaction.kind !== 'model');
+    const truncated = path.join(dir, 'without-model-calls.json');
+    fs.writeFileSync(truncated, JSON.stringify(cassette));
+
+    const result = await resolver.replayCassette(truncated);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Cassette has no recorded model call left/);
+  });
+
+  test('refuses files that are not cassettes', async () => {
+    const notCassette = path.join(dir, 'not-a-cassette.json');
+    fs.writeFileSync(notCassette, '{"hello":"world"}');
+
+    await expect(resolver.replayCassette(notCassette)).rejects.toThrow();
+  });
+});
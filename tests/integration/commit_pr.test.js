@@ -0,0 +1,116 @@
+const configModule = require('../../src/modules/configuration');
+const githubModule = require('../../src/modules/github_api');
+const { createMockServer } = require('../../src/modules/github_api/mock_server');
+const { createPullRequest, pushChanges } = require('../../src/modules/commit_pr');
+
+/**
+ * Build a generation result changing one file
+ *
+ * @param {string} filePath - Changed file
+ * @param {string} newContent - Content after the change
+ * @returns {Object} - Generation as returned by code generation
+ */
+function generation(filePath, newContent) {
+  return {
+    explanation: 'Throw on a zero divisor.',
+    codeChanges: [{ path: filePath, action: 'modify', originalContent: '', newContent }],
+    validation: { passed: true, skipped: true, checks: [] }
+  };
+}
+
+describe('pull request creation', () => {
+  let mock;
+  let repo;
+  let issueData;
+
+  /**
+   * Get the commit a branch of the mock repository points at
+   *
+   * @param {string} branch - Branch name
+   * @returns {Object} - Commit with `message`, `tree` and `parents`
+   */
+  const headOf = branch => repo.git.commits[repo.git.refs[`heads/${branch}`]];
+
+  beforeEach(async () => {
+    configModule.resetToDefaults();
+    mock = createMockServer();
+    githubModule.initialize({ baseUrl: await mock.start(), token: 'test-token' });
+    repo = mock.state.repositories['acme/widgets'];
+    issueData = await githubModule.fetchIssueData('https://github.com/acme/widgets/issues/1');
+  });
+
+  afterEach(async () => {
+    await mock.stop();
+  });
+
+  test('opens a draft pull request from a new branch with the fix commit', async () => {
+    const result = await createPullRequest(generation('src/math.js', 'fixed\n'), issueData);
+
+    expect(result).toMatchObject({ pullRequestNumber: 6, branch: 'openhands/issue-1', baseBranch: 'main', draft: true, updated: false });
+    const head = headOf('openhands/issue-1');
+    expect(head.parents).toEqual([repo.git.refs['heads/main']]);
+    expect(head.message).toMatch(/\n\nFixes #1\n\nResolver-Issue: acme\/widgets#1$/);
+    expect(repo.git.trees[head.tree]['src/math.js']).toBe('fixed\n');
+
+    const labelled = mock.requests.find(request => request.path === '/repos/acme/widgets/issues/6/labels');
+    expect(labelled.body).toEqual({ labels: ['ai-assisted'] });
+  });
+
+  test('rebuilds its own branch from the base and updates the open pull request', async () => {
+    await createPullRequest(generation('src/math.js', 'first\n'), issueData);
+    const first = repo.git.refs['heads/openhands/issue-1'];
+
+    // The issue was renamed in between; the fix commit is still recognised
+    issueData.title = 'Division by zero';
+    const result = await createPullRequest(generation('README.md', 'second\n'), issueData);
+
+    expect(result).toMatchObject({ pullRequestNumber: 6, updated: true });
+    const head = headOf('openhands/issue-1');
+    expect(head.parents).toEqual([first]);
+    // Only the latest changes remain on top of the base
+    const baseTree = repo.git.trees[repo.git.commits[repo.git.refs['heads/main']].tree];
+    expect(repo.git.trees[head.tree]).toEqual({ ...baseTree, 'README.md': 'second\n' });
+    expect(mock.requests.filter(request => request.method === 'POST' && request.path === '/repos/acme/widgets/pulls')).toHaveLength(1);
+  });
+
+  test('refuses to rebuild a branch that has commits on top of the fix', async () => {
+    await createPullRequest(generation('src/math.js', 'first\n'), issueData);
+    await pushChanges('acme', 'widgets', 'openhands/issue-1', [{ path: 'NOTES.md', newContent: 'notes\n' }], 'Add notes');
+    const pushed = repo.git.refs['heads/openhands/issue-1'];
+
+    await expect(createPullRequest(generation('src/math.js', 'second\n'), issueData))
+      .rejects.toThrow('Branch openhands/issue-1 has commits on top of the resolver\'s fix');
+    expect(repo.git.refs['heads/openhands/issue-1']).toBe(pushed);
+  });
+
+  test('commits on top of the base branch the trigger asks for', async () => {
+    repo.git.refs['heads/release'] = repo.git.refs['heads/main'];
+    const release = await pushChanges('acme', 'widgets', 'release', [{ path: 'CHANGELOG.md', newContent: '1.0\n' }], 'Release 1.0');
+
+    const result = await createPullRequest(generation('src/math.js', 'fixed\n'), issueData, { baseBranch: 'release', draft: false, labels: ['urgent'] });
+
+    expect(result).toMatchObject({ baseBranch: 'release', draft: false });
+    const head = headOf('openhands/issue-1');
+    expect(head.parents).toEqual([release]);
+    expect(repo.git.trees[head.tree]).toMatchObject({ 'CHANGELOG.md': '1.0\n', 'src/math.js': 'fixed\n' });
+    const opened = mock.requests.find(request => request.method === 'POST' && request.path === '/repos/acme/widgets/pulls');
+    expect(opened.body).toMatchObject({ base: 'release', head: 'openhands/issue-1', draft: false });
+    const labelled = mock.requests.find(request => request.path === '/repos/acme/widgets/issues/6/labels');
+    expect(labelled.body).toEqual({ labels: ['ai-assisted', 'urgent'] });
+
+    await expect(createPullRequest(generation('src/math.js', 'fixed\n'), issueData, { baseBranch: 'gone' }))
+      .rejects.toThrow('Base branch gone not found in acme/widgets');
+  });
+
+  test('pushes follow-up commits only onto the head they were generated against', async () => {
+    await createPullRequest(generation('src/math.js', 'first\n'), issueData);
+    const head = repo.git.refs['heads/openhands/issue-1'];
+
+    await expect(pushChanges('acme', 'widgets', 'openhands/issue-1', [{ path: 'NOTES.md', newContent: 'notes\n' }], 'Notes', 'abcdef1234'))
+      .rejects.toThrow('Branch openhands/issue-1 moved from abcdef1 to');
+
+    const sha = await pushChanges('acme', 'widgets', 'openhands/issue-1', [{ path: 'NOTES.md', newContent: 'notes\n' }], 'Notes', head);
+    expect(repo.git.commits[sha].parents).toEqual([head]);
+    expect(repo.git.trees[repo.git.commits[sha].tree]).toMatchObject({ 'src/math.js': 'first\n', 'NOTES.md': 'notes\n' });
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockServer } = require('../../src/modules/github_api/mock_server');
+const { extractTarball } = require('../../src/utils/tar');
+
+describe('mock GitHub server', () => {
+  let mock;
+  let baseUrl;
+
+  const call = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  beforeEach(async () => {
+    mock = createMockServer();
+    baseUrl = await mock.start();
+  });
+
+  afterEach(async () => {
+    await mock.stop();
+  });
+
+  test('serves issues from the fixtures and filters the listing', async () => {
+    const issue = await call('GET', '/repos/acme/widgets/issues/1');
+    expect(issue.status).toBe(200);
+    expect(issue.body.title).toBe('divide() returns Infinity instead of throwing on zero');
+
+    const bugs = await call('GET', '/repos/acme/widgets/issues?labels=bug');
+    expect(bugs.body.every(item => item.labels.some(label => label.name === 'bug'))).toBe(true);
+    expect(bugs.body.map(item => item.number)).toContain(1);
+    expect(bugs.body.map(item => item.number)).not.toContain(3);
+
+    expect((await call('GET', '/repos/acme/widgets/issues/99')).status).toBe(404);
+    expect((await call('GET', '/repos/acme/elsewhere/issues/1')).status).toBe(404);
+  });
+
+  test('adds and edits issue comments', async () => {
+    const created = await call('POST', '/repos/acme/widgets/issues/1/comments', { body: 'Working on it' });
+    expect(created.status).toBe(201);
+
+    const edited = await call('PATCH', `/repos/acme/widgets/issues/comments/${created.body.id}`, { body: 'Done' });
+    expect(edited.status).toBe(200);
+
+    const comments = await call('GET', '/repos/acme/widgets/issues/1/comments');
+    expect(comments.body.find(comment => comment.id === created.body.id).body).toBe('Done');
+    expect((await call('POST', '/repos/acme/widgets/issues/99/comments', { body: 'x' })).status).toBe(404);
+  });
+
+  test('builds commits from trees and moves branches only forward unless forced', async () => {
+    const main = await call('GET', '/repos/acme/widgets/git/ref/heads/main');
+    const base = await call('GET', `/repos/acme/widgets/git/commits/${main.body.object.sha}`);
+
+    const tree = await call('POST', '/repos/acme/widgets/git/trees', {
+      base_tree: base.body.tree.sha,
+      tree: [
+        { path: 'NOTES.md', mode: '100644', type: 'blob', content: 'notes\n' },
+        { path: 'README.md', mode: '100644', type: 'blob', sha: null }
+      ]
+    });
+    const commit = await call('POST', '/repos/acme/widgets/git/commits', {
+      tree: tree.body.sha,
+      parents: [main.body.object.sha],
+      message: 'Add notes'
+    });
+    expect(commit.status).toBe(201);
+
+    const listing = await call('GET', `/repos/acme/widgets/git/trees/${tree.body.sha}`);
+    const paths = listing.body.tree.map(entry => entry.path);
+    expect(paths).toContain('NOTES.md');
+    expect(paths).not.toContain('README.md');
+
+    expect((await call('POST', '/repos/acme/widgets/git/refs', { ref: 'refs/heads/topic', sha: main.body.object.sha })).status).toBe(201);
+    expect((await call('POST', '/repos/acme/widgets/git/refs', { ref: 'refs/heads/topic', sha: main.body.object.sha })).status).toBe(422);
+    expect((await call('PATCH', '/repos/acme/widgets/git/refs/heads/topic', { sha: commit.body.sha })).status).toBe(200);
+
+    // Going back to the parent is not a fast forward
+    expect((await call('PATCH', '/repos/acme/widgets/git/refs/heads/topic', { sha: main.body.object.sha })).status).toBe(422);
+    expect((await call('PATCH', '/repos/acme/widgets/git/refs/heads/topic', { sha: main.body.object.sha, force: true })).status).toBe(200);
+    expect(mock.state.repositories['acme/widgets'].git.refs['heads/topic']).toBe(main.body.object.sha);
+  });
+
+  test('opens pull requests for existing branches once', async () => {
+    const main = await call('GET', '/repos/acme/widgets/git/ref/heads/main');
+    await call('POST', '/repos/acme/widgets/git/refs', { ref: 'refs/heads/fix', sha: main.body.object.sha });
+
+    const missing = await call('POST', '/repos/acme/widgets/pulls', { title: 'Fix', head: 'nope', base: 'main' });
+    expect(missing.status).toBe(422);
+
+    const opened = await call('POST', '/repos/acme/widgets/pulls', { title: 'Fix', head: 'fix', base: 'main', draft: true });
+    expect(opened.status).toBe(201);
+    expect(opened.body).toMatchObject({ number: 6, draft: true, head: { ref: 'fix', sha: main.body.object.sha } });
+    expect((await call('POST', '/repos/acme/widgets/pulls', { title: 'Again', head: 'fix', base: 'main' })).status).toBe(422);
+
+    const listed = await call('GET', '/repos/acme/widgets/pulls?head=acme:fix');
+    expect(listed.body.map(pull => pull.number)).toEqual([6]);
+  });
+
+  test('serves a tarball of a branch', async () => {
+    const response = await fetch(`${baseUrl}/repos/acme/widgets/tarball/main`);
+    expect(response.status).toBe(200);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhands-mock-tarball-'));
+    try {
+      await extractTarball(Buffer.from(await response.arrayBuffer()), dir, { strip: 1 });
+      expect(fs.readFileSync(path.join(dir, 'src/math.js'), 'utf-8')).toContain('function divide(a, b)');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('answers unknown routes with 404 and logs every request', async () => {
+    const unknown = await call('GET', '/nowhere');
+    expect(unknown).toEqual({ status: 404, body: { message: 'No mock route for GET /nowhere' } });
+
+    await call('POST', '/repos/acme/widgets/issues/1/labels', { labels: ['openhands'] });
+    expect(mock.requests.map(request => [request.method, request.path, request.status])).toEqual([
+      ['GET', '/nowhere', 404],
+      ['POST', '/repos/acme/widgets/issues/1/labels', 200]
+    ]);
+    expect(mock.requests[1].body).toEqual({ labels: ['openhands'] });
+  });
+});
@@ -0,0 +1,39 @@
+const configModule = require('../../src/modules/configuration');
+const githubModule = require('../../src/modules/github_api');
+const repoSelectionModule = require('../../src/modules/repo_selection');
+const { createMockServer } = require('../../src/modules/github_api/mock_server');
+
+describe('repository-wide issue selection', () => {
+  let mock;
+
+  beforeEach(async () => {
+    configModule.resetToDefaults();
+    mock = createMockServer();
+    await githubModule.initialize({ baseUrl: await mock.start(), token: 'test-token' });
+  });
+
+  afterEach(async () => {
+    await mock.stop();
+  });
+
+  test('selects only issues triage finds feasible enough to resolve unattended', async () => {
+    const { selected, skipped, candidates } = await repoSelectionModule.selectRepoIssues({ owner: 'acme', repo: 'widgets' });
+
+    expect(candidates).toBe(4);
+    expect(selected.map(issue => issue.issueNumber)).toEqual([1]);
+    expect(selected[0].triage).toEqual({ category: 'bug', score: 1 });
+    const reasons = Object.fromEntries(skipped.map(issue => [issue.issueNumber, issue.reason]));
+    expect(reasons[3]).toMatch(/^Not selected by triage: Feasibility score 0\.\d+ is below 0\.8$/);
+    expect(reasons[4]).toMatch(/^Not selected by triage: Feasibility score 0\.\d+ is below 0\.8$/);
+    expect(reasons[5]).toMatch(/^Not selected by triage: /);
+  });
+
+  test('leaves selection to the filters when triage is disabled', async () => {
+    configModule.updateConfig('triage.enabled', false);
+    const { selected, skipped } = await repoSelectionModule.selectRepoIssues({ owner: 'acme', repo: 'widgets' });
+
+    expect(selected.map(issue => issue.issueNumber)).toEqual([1, 3, 4]);
+    expect(selected.every(issue => issue.triage === undefined)).toBe(true);
+    expect(skipped).toEqual([{ issueUrl: 'https://github.com/acme/widgets/issues/5', issueNumber: 5, reason: 'Already linked to pull request #2' }]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Resolves acme/widgets#1 end to end against the mock GitHub server with a
+ * scripted model whose first answer cannot be applied, so the change only
+ * lands after the repair loop fed the problem back.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockServer } = require('../../src/modules/github_api/mock_server');
+
+// First answer searches for text the file does not contain
+const BROKEN_EDIT = [
+  'Fix.',
+  '',
+  'src/math.js',
+  '<<<<<<< SEARCH',
+  'function divide(x, y) {',
+  '  return x / y;',
+  '}',
+  '=======',
+  'function divide(x, y) {',
+  '  if (y === 0) throw new RangeError(\'Cannot divide by zero\');',
+  '  return x / y;',
+  '}',
+  '>>>>>>> REPLACE',
+  ''
+].join('\n');
+
+// Second answer, only given once the failure was reported back
+const REPAIRED_EDIT = [
+  'Fix.',
+  '',
+  'src/math.js',
+  '<<<<<<< SEARCH',
+  'function divide(a, b) {',
+  '  return a / b;',
+  '}',
+  '=======',
+  'function divide(a, b) {',
+  '  if (b === 0) {',
+  '    throw new RangeError(\'Cannot divide by zero\');',
+  '  }',
+  '  return a / b;',
+  '}',
+  '>>>>>>> REPLACE',
+  ''
+].join('\n');
+
+describe('issue resolution', () => {
+  let dir;
+  let mock;
+  let resolver;
+  let githubModule;
+  let triggerModule;
+  let commitPrModule;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhands-resolution-test-'));
+    const scriptPath = path.join(dir, 'script.json');
+    fs.writeFileSync(scriptPath, JSON.stringify({
+      responses: [
+        { match: 'acme/widgets#1\\b', text: BROKEN_EDIT },
+        { match: 'Your edits could not be applied: SEARCH section not found in src/math.js', text: REPAIRED_EDIT }
+      ]
+    }));
+
+    mock = createMockServer();
+    process.env.GITHUB_TOKEN = 'test-token';
+    process.env.GITHUB_API_URL = await mock.start();
+    process.env.AI_PROVIDER = 'scripted';
+    process.env.AI_SCRIPT_PATH = scriptPath;
+    process.env.JOB_STORE_PATH = path.join(dir, 'jobs.jsonl');
+    process.env.OPENHANDS_USAGE_LEDGER_PATH = path.join(dir, 'usage.jsonl');
+
+    resolver = require('../../src/index');
+    githubModule = require('../../src/modules/github_api');
+    triggerModule = require('../../src/modules/trigger_detection');
+    commitPrModule = require('../../src/modules/commit_pr');
+    await resolver.initialize();
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('repairs an edit that does not apply and opens a pull request', async () => {
+    // The mock lists every file as 100644; pretend the changed one is executable
+    const fetchTree = githubModule.fetchTree;
+    const spy = jest.spyOn(githubModule, 'fetchTree').mockImplementation(async (...args) =>
+      (await fetchTree(...args)).map(entry => (entry.path === 'src/math.js' ? { ...entry, mode: '100755' } : entry))
+    );
+
+    let result;
+    try {
+      result = await resolver.resolveIssue(triggerModule.detectTrigger('https://github.com/acme/widgets/issues/1'));
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(result.error).toBeUndefined();
+    expect(result).toMatchObject({ success: true, pullRequestNumber: 6, branch: 'openhands/issue-1', changedFiles: 1 });
+    expect(result.usage.calls).toBe(2);
+
+    const repo = mock.state.repositories['acme/widgets'];
+    const head = repo.git.commits[repo.git.refs['heads/openhands/issue-1']];
+    expect(repo.git.trees[head.tree]['src/math.js']).toContain('throw new RangeError(\'Cannot divide by zero\');');
+
+    const treePost = mock.requests.find(request => request.method === 'POST' && request.path === '/repos/acme/widgets/git/trees');
+    expect(treePost.body.tree).toEqual([
+      expect.objectContaining({ path: 'src/math.js', mode: '100755', type: 'blob' })
+    ]);
+  });
+
+  test('generates the change against the base branch the trigger names', async () => {
+    // On the release branch divide() still has the parameter names the first answer expects
+    const repo = mock.state.repositories['acme/widgets'];
+    repo.git.refs['heads/release'] = repo.git.refs['heads/main'];
+    const math = repo.git.trees[repo.git.commits[repo.git.refs['heads/main']].tree]['src/math.js'];
+    await commitPrModule.pushChanges('acme', 'widgets', 'release', [{
+      path: 'src/math.js',
+      newContent: math.replace('function divide(a, b) {\n  return a / b;\n}', 'function divide(x, y) {\n  return x / y;\n}')
+    }], 'Rename parameters');
+
+    const result = await resolver.resolveIssue(triggerModule.detectTrigger('https://github.com/acme/widgets/issues/1 onto branch release, dry run'));
+
+    expect(result.error).toBeUndefined();
+    expect(result).toMatchObject({ success: true, dryRun: true });
+    expect(result.usage.calls).toBe(1);
+    expect(result.patch).toContain('+  if (y === 0) throw new RangeError(\'Cannot divide by zero\');');
+  });
+});
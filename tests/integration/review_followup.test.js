@@ -0,0 +1,135 @@
+const configModule = require('../../src/modules/configuration');
+const githubModule = require('../../src/modules/github_api');
+const { createMockServer } = require('../../src/modules/github_api/mock_server');
+const reviewModule = require('../../src/modules/review_followup');
+const logger = require('../../src/utils/logger');
+
+// Generation result the replies describe
+const GENERATION = {
+  codeChanges: [{ path: 'src/math.js', content: '' }, { path: 'tests/math.test.js', content: '' }],
+  explanation: 'Guarded divide against a zero divisor.'
+};
+
+/**
+ * Build a review thread as stored by the mock server
+ *
+ * @param {string} id - Thread node ID
+ * @param {number} commentId - ID of the first comment
+ * @param {Object} [fields] - Thread fields to set
+ * @returns {Object} - Review thread
+ */
+function thread(id, commentId, fields = {}) {
+  return {
+    id,
+    path: 'src/math.js',
+    line: 3,
+    comments: [{ id: commentId, body: 'Please handle zero', user: { login: 'octocat' } }],
+    ...fields
+  };
+}
+
+describe('review follow-up', () => {
+  let mock;
+  let repo;
+
+  beforeEach(async () => {
+    configModule.resetToDefaults();
+    mock = createMockServer();
+    githubModule.initialize({ baseUrl: await mock.start(), token: 'test-token' });
+    repo = mock.state.repositories['acme/widgets'];
+    repo.pulls.push({
+      number: 6,
+      title: 'OpenHands: Fix divide by zero',
+      body: 'Automated changes.',
+      state: 'open',
+      labels: [],
+      head: { ref: 'openhands/issue-1', sha: 'abcdef1234567', repo: { full_name: 'acme/widgets' } },
+      base: { ref: 'main' },
+      html_url: 'https://github.com/acme/widgets/pull/6'
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await mock.stop();
+  });
+
+  test('only acts on open pull requests from resolver branches or with the review label', async () => {
+    const pull = await githubModule.fetchPullRequest('acme', 'widgets', 6);
+    expect(reviewModule.checkEligibility(pull)).toEqual([]);
+
+    const other = await githubModule.fetchPullRequest('acme', 'widgets', 2);
+    expect(reviewModule.checkEligibility(other)).toEqual([
+      '#2 has no ai-assisted label and its branch fix-import is not a resolver branch'
+    ]);
+    expect(reviewModule.checkEligibility({ ...other, labels: ['ai-assisted'] })).toEqual([]);
+
+    expect(reviewModule.checkEligibility({ ...pull, state: 'closed', headRepository: 'mallory/widgets' })).toEqual([
+      '#6 is closed',
+      '#6 comes from the fork mallory/widgets'
+    ]);
+  });
+
+  test('finds the fixed issue in the body or the branch name', async () => {
+    const pull = await githubModule.fetchPullRequest('acme', 'widgets', 6);
+
+    expect(reviewModule.findIssueNumber({ ...pull, body: 'Some text\n\nCloses #12' })).toBe(12);
+    expect(reviewModule.findIssueNumber(pull)).toBe(1);
+    expect(reviewModule.findIssueNumber({ ...pull, headRef: 'feature/issue-3' })).toBeNull();
+  });
+
+  test('leaves resolved, outdated and empty threads alone', async () => {
+    repo.reviewThreads[6] = [
+      thread('T1', 900),
+      thread('T2', 901, { isResolved: true }),
+      thread('T3', 902, { isOutdated: true }),
+      thread('T4', 903, { comments: [] })
+    ];
+    const pull = await githubModule.fetchPullRequest('acme', 'widgets', 6);
+
+    expect((await reviewModule.fetchOpenThreads(pull)).map(open => open.id)).toEqual(['T1']);
+
+    configModule.updateConfig('review.includeOutdated', true);
+    expect((await reviewModule.fetchOpenThreads(pull)).map(open => open.id)).toEqual(['T1', 'T3']);
+  });
+
+  test('replies on each thread and reports the replies that failed', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    repo.reviewThreads[6] = [thread('T1', 900), thread('T2', 901, { path: 'README.md' })];
+    const pull = await githubModule.fetchPullRequest('acme', 'widgets', 6);
+    const threads = await reviewModule.fetchOpenThreads(pull);
+    repo.reviewThreads[6].pop();
+
+    const replies = await reviewModule.replyToThreads(pull, threads, GENERATION, 'f00dfacecafe');
+
+    expect(replies).toEqual([
+      { threadId: 'T1', url: expect.stringContaining('https://github.com/acme/widgets/pull/6#discussion_r') },
+      { threadId: 'T2', error: expect.stringContaining('404') }
+    ]);
+    const reply = repo.reviewThreads[6][0].comments[1];
+    expect(reply.in_reply_to_id).toBe(900);
+    expect(reply.body).toBe([
+      'Addressed in f00dfac, which changes `src/math.js` and 1 other file(s).',
+      '',
+      'Guarded divide against a zero divisor.',
+      '',
+      '_Reply generated by OpenHands Resolver._'
+    ].join('\n'));
+  });
+
+  test('says when the commented file was not changed, and stays quiet when replies are off', async () => {
+    const pull = await githubModule.fetchPullRequest('acme', 'widgets', 6);
+
+    expect(reviewModule.buildReply(thread('T2', 901, { path: 'README.md' }), { codeChanges: GENERATION.codeChanges }, 'f00dfacecafe')).toBe([
+      'Pushed f00dfac changing `src/math.js`, `tests/math.test.js`.',
+      '`README.md` itself was not changed, please check whether this comment is addressed.',
+      '',
+      '_Reply generated by OpenHands Resolver._'
+    ].join('\n'));
+
+    repo.reviewThreads[6] = [thread('T1', 900)];
+    configModule.updateConfig('review.replyToThreads', false);
+    expect(await reviewModule.replyToThreads(pull, repo.reviewThreads[6], GENERATION, 'f00dfacecafe')).toEqual([]);
+    expect(repo.reviewThreads[6][0].comments).toHaveLength(1);
+  });
+});
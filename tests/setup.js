@@ -0,0 +1,7 @@
+/**
+ * Test setup
+ *
+ * Keeps the logger quiet unless a test run asks for its output with LOG_LEVEL.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
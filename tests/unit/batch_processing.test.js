@@ -0,0 +1,116 @@
+const configModule = require('../../src/modules/configuration');
+const logger = require('../../src/utils/logger');
+const { processBatch } = require('../../src/modules/batch_processing');
+
+/**
+ * Build an issue reference as the trigger detection module returns it
+ *
+ * @param {number} issueNumber - Issue number
+ * @returns {Object} - Issue reference
+ */
+function issue(issueNumber) {
+  return {
+    issueUrl: `https://github.com/acme/widgets/issues/${issueNumber}`,
+    owner: 'acme',
+    repo: 'widgets',
+    issueNumber
+  };
+}
+
+describe('batch processing', () => {
+  beforeEach(() => {
+    configModule.resetToDefaults();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('never runs more issues at once than allowed and keeps results in order', async () => {
+    configModule.updateConfig('batch.maxConcurrent', 2);
+    let running = 0;
+    let peak = 0;
+
+    const report = await processBatch([1, 2, 3, 4, 5].map(issue), async (ref) => {
+      running++;
+      peak = Math.max(peak, running);
+      // Later issues finish first
+      await new Promise(resolve => setTimeout(resolve, (6 - ref.issueNumber) * 5));
+      running--;
+      return { success: true, issueUrl: ref.issueUrl };
+    });
+
+    expect(peak).toBe(2);
+    expect(report).toMatchObject({ total: 5, succeeded: 5, failed: 0, skipped: 0, chunks: 1 });
+    expect(report.results.map(result => result.issueUrl)).toEqual([1, 2, 3, 4, 5].map(number => issue(number).issueUrl));
+  });
+
+  test('keeps going when single issues fail or throw', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const report = await processBatch([1, 2, 3].map(issue), async (ref) => {
+      if (ref.issueNumber === 1) throw new Error('GitHub is down');
+      return { success: ref.issueNumber === 3, issueUrl: ref.issueUrl };
+    });
+
+    expect(report).toMatchObject({ total: 3, succeeded: 1, failed: 2 });
+    expect(report.results[0]).toMatchObject({
+      status: 'failed',
+      result: { success: false, issueUrl: issue(1).issueUrl, error: 'GitHub is down' }
+    });
+    expect(report.results[1].status).toBe('failed');
+    expect(report.results[2].status).toBe('succeeded');
+  });
+
+  test('skips duplicate and incomplete entries without resolving them', async () => {
+    const resolveIssue = jest.fn(async ref => ({ success: true, issueUrl: ref.issueUrl }));
+
+    const report = await processBatch([issue(1), { ...issue(1), owner: 'ACME' }, { issueUrl: 'https://github.com/acme' }], resolveIssue);
+
+    expect(resolveIssue).toHaveBeenCalledTimes(1);
+    expect(report.results.map(result => [result.status, result.reason])).toEqual([
+      ['succeeded', undefined],
+      ['skipped', 'Duplicate of an earlier entry'],
+      ['skipped', 'Incomplete issue reference']
+    ]);
+  });
+
+  test('works through long lists in chunks, one after another', async () => {
+    configModule.updateConfig('batch.maxIssuesPerBatch', 2);
+    configModule.updateConfig('batch.maxConcurrent', 5);
+    const started = [];
+    const pending = [];
+
+    const batch = processBatch([1, 2, 3].map(issue), ref => new Promise((resolve) => {
+      started.push(ref.issueNumber);
+      pending.push(() => resolve({ success: true, issueUrl: ref.issueUrl }));
+    }));
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(started).toEqual([1, 2]);
+    pending.splice(0).forEach(finish => finish());
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(started).toEqual([1, 2, 3]);
+    pending.splice(0).forEach(finish => finish());
+
+    expect(await batch).toMatchObject({ succeeded: 3, chunks: 2 });
+  });
+
+  test('reports issues resolved earlier, skipped by triage or not started before cancelling as skipped', async () => {
+    configModule.updateConfig('batch.maxConcurrent', 1);
+    const controller = new AbortController();
+
+    const report = await processBatch([1, 2, 3].map(issue), async (ref) => {
+      if (ref.issueNumber === 1) return { success: true, alreadyResolved: true };
+      controller.abort();
+      return { success: false, skipped: true, reason: 'Not enough information' };
+    }, { signal: controller.signal });
+
+    expect(report.results.map(result => [result.status, result.reason])).toEqual([
+      ['skipped', 'Already resolved in an earlier run'],
+      ['skipped', 'Not enough information'],
+      ['skipped', 'Batch was cancelled']
+    ]);
+  });
+});
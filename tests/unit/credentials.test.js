@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const configModule = require('../../src/modules/configuration');
+const credentials = require('../../src/modules/credentials');
+const logger = require('../../src/utils/logger');
+
+// Key pair standing in for the GitHub App's
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+/**
+ * Build an error as the GitHub request helper throws it
+ *
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with `status`
+ */
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { status });
+}
+
+describe('credentials', () => {
+  let clock;
+  let installed;
+  let request;
+
+  beforeEach(() => {
+    configModule.resetToDefaults();
+    credentials.reset();
+    clock = Date.parse('2026-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    process.env.GITHUB_TOKEN = 'default-token-value';
+    process.env.ACME_TOKEN = 'acme-token-value';
+    process.env.TEST_APP_PRIVATE_KEY = privateKey.replace(/\n/g, '\\n');
+
+    installed = { acme: 7 };
+    let issued = 0;
+    request = jest.fn(async (method, url) => {
+      const owner = (url.match(/^\/users\/([^/]+)\/installation$/) || [])[1];
+      if (owner) {
+        if (!installed[owner]) throw httpError(404);
+        return { id: installed[owner] };
+      }
+      issued++;
+      return { token: `ghs_installation${issued}`, expires_at: new Date(clock + 60 * 60 * 1000).toISOString() };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.ACME_TOKEN;
+    delete process.env.TEST_APP_PRIVATE_KEY;
+  });
+
+  /**
+   * Configure the GitHub App
+   */
+  const useApp = () => {
+    configModule.updateConfig('credentials.appId', '123');
+    configModule.updateConfig('credentials.appPrivateKeyEnvName', 'TEST_APP_PRIVATE_KEY');
+  };
+
+  test('uses an owner\'s own token before the default one', async () => {
+    configModule.updateConfig('credentials.ownerTokens', { Acme: 'ACME_TOKEN', gadgets: 'GADGETS_TOKEN' });
+
+    expect(await credentials.getToken('acme', { request })).toEqual({ token: 'acme-token-value', type: 'owner' });
+    expect(await credentials.getToken('gadgets', { request })).toEqual({ token: 'default-token-value', type: 'default' });
+    expect(await credentials.getToken(null, { request })).toEqual({ token: 'default-token-value', type: 'default' });
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('signs app JWTs that GitHub can verify', () => {
+    const jwt = credentials.createAppJwt('123', privateKey, clock);
+    const [header, payload, signature] = jwt.split('.');
+
+    expect(JSON.parse(Buffer.from(header, 'base64url'))).toEqual({ alg: 'RS256', typ: 'JWT' });
+    expect(JSON.parse(Buffer.from(payload, 'base64url'))).toEqual({ iss: 123, iat: clock / 1000 - 60, exp: clock / 1000 + 540 });
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'))).toBe(true);
+  });
+
+  test('shares one installation token between callers until shortly before it expires', async () => {
+    useApp();
+
+    const tokens = await Promise.all([credentials.getToken('acme', { request }), credentials.getToken('ACME', { request })]);
+    expect(tokens).toEqual([{ token: 'ghs_installation1', type: 'app' }, { token: 'ghs_installation1', type: 'app' }]);
+    expect(request.mock.calls.map(([method, url]) => `${method} ${url}`)).toEqual([
+      'get /users/acme/installation',
+      'post /app/installations/7/access_tokens'
+    ]);
+
+    clock += 50 * 60 * 1000;
+    expect((await credentials.getToken('acme', { request })).token).toBe('ghs_installation1');
+
+    clock += 6 * 60 * 1000;
+    expect((await credentials.getToken('acme', { request })).token).toBe('ghs_installation2');
+
+    expect(credentials.invalidateToken('ghs_installation2')).toBe(true);
+    expect((await credentials.getToken('acme', { request })).token).toBe('ghs_installation3');
+    expect(request.mock.calls.filter(([method]) => method === 'get')).toHaveLength(1);
+  });
+
+  test('skips the installation lookup for configured installations', async () => {
+    useApp();
+    configModule.updateConfig('credentials.appInstallations', { gadgets: 9 });
+
+    expect(await credentials.getToken('Gadgets', { request })).toEqual({ token: 'ghs_installation1', type: 'app' });
+    expect(request).toHaveBeenCalledTimes(1);
+    expect(request.mock.calls[0][1]).toBe('/app/installations/9/access_tokens');
+  });
+
+  test('falls back to other tokens where the app is not installed and looks again later', async () => {
+    useApp();
+    configModule.updateConfig('credentials.ownerTokens', { gadgets: 'ACME_TOKEN' });
+
+    expect(await credentials.getToken('gadgets', { request })).toEqual({ token: 'acme-token-value', type: 'owner' });
+    clock += 30 * 1000;
+    expect((await credentials.getToken('gadgets', { request })).type).toBe('owner');
+    expect(request).toHaveBeenCalledTimes(1);
+
+    // Installed meanwhile; picked up once the negative answer has expired
+    installed.gadgets = 8;
+    clock += 31 * 1000;
+    expect(await credentials.getToken('gadgets', { request })).toEqual({ token: 'ghs_installation1', type: 'app' });
+  });
+
+  test('does not remember failed lookups', async () => {
+    useApp();
+    request.mockRejectedValueOnce(httpError(500));
+
+    await expect(credentials.getToken('acme', { request })).rejects.toThrow('Request failed with status code 500');
+    expect((await credentials.getToken('acme', { request })).type).toBe('app');
+  });
+
+  test('describes the configured credentials without their values', () => {
+    useApp();
+    configModule.updateConfig('credentials.ownerTokens', { acme: 'ACME_TOKEN', gadgets: 'GADGETS_TOKEN' });
+
+    const described = credentials.describeCredentials();
+
+    expect(described).toEqual({
+      defaultToken: { envName: 'GITHUB_TOKEN', present: true },
+      ownerTokens: [
+        { owner: 'acme', envName: 'ACME_TOKEN', present: true },
+        { owner: 'gadgets', envName: 'GADGETS_TOKEN', present: false }
+      ],
+      app: { appId: '123', installations: {}, cachedTokens: 0 }
+    });
+    expect(JSON.stringify(described)).not.toContain('token-value');
+  });
+});
@@ -0,0 +1,110 @@
+const { diffLines, diffStat, unifiedDiff } = require('../../src/utils/diff');
+
+/**
+ * Count the edits in a diff
+ *
+ * @param {Array} ops - Operations from `diffLines`
+ * @returns {number} - Inserted and deleted lines
+ */
+function editCount(ops) {
+  return ops.filter(op => op.type !== 'equal').length;
+}
+
+/**
+ * Rebuild both versions from a diff
+ *
+ * @param {Array} ops - Operations from `diffLines`
+ * @returns {Object} - `before` and `after` lines
+ */
+function replay(ops) {
+  return {
+    before: ops.filter(op => op.type !== 'insert').map(op => op.line),
+    after: ops.filter(op => op.type !== 'delete').map(op => op.line)
+  };
+}
+
+describe('line diff', () => {
+  test('finds a shortest edit script', () => {
+    const ops = diffLines('a\nb\nc\na\nb\nb\na\n', 'c\nb\na\nb\na\nc\n');
+
+    expect(editCount(ops)).toBe(5);
+    expect(replay(ops)).toEqual({ before: ['a', 'b', 'c', 'a', 'b', 'b', 'a'], after: ['c', 'b', 'a', 'b', 'a', 'c'] });
+  });
+
+  test('keeps unchanged lines around a change in place', () => {
+    expect(diffLines('one\ntwo\nthree\n', 'one\n2\nthree\n')).toEqual([
+      { type: 'equal', line: 'one' },
+      { type: 'delete', line: 'two' },
+      { type: 'insert', line: '2' },
+      { type: 'equal', line: 'three' }
+    ]);
+  });
+
+  test('treats null as a missing file', () => {
+    expect(diffStat(null, 'a\nb\n')).toEqual({ additions: 2, deletions: 0 });
+    expect(diffStat('a\nb\nc\n', null)).toEqual({ additions: 0, deletions: 3 });
+    expect(diffStat('same\n', 'same\n')).toEqual({ additions: 0, deletions: 0 });
+  });
+
+  test('matches the edit count of an exhaustive search on random inputs', () => {
+    // Edit distance by dynamic programming, fine for short inputs
+    const distance = (a, b) => {
+      let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+      for (let i = 1; i <= a.length; i++) {
+        const next = [i];
+        for (let j = 1; j <= b.length; j++) {
+          next[j] = a[i - 1] === b[j - 1] ? row[j - 1] : 1 + Math.min(row[j], next[j - 1]);
+        }
+        row = next;
+      }
+      return row[b.length];
+    };
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const lines = () => Array.from({ length: Math.floor(random() * 12) }, () => 'abc'[Math.floor(random() * 3)]);
+
+    for (let run = 0; run < 300; run++) {
+      const a = lines();
+      const b = lines();
+      const ops = diffLines(a.length ? `${a.join('\n')}\n` : '', b.length ? `${b.join('\n')}\n` : '');
+      expect(replay(ops)).toEqual({ before: a, after: b });
+      expect(editCount(ops)).toBe(distance(a, b));
+    }
+  });
+
+  test('handles new, deleted and very large files without a search', () => {
+    const big = Array.from({ length: 50000 }, (_, index) => `line ${index}`).join('\n');
+
+    expect(diffStat(null, big)).toEqual({ additions: 50000, deletions: 0 });
+    expect(diffStat(big, null)).toEqual({ additions: 0, deletions: 50000 });
+
+    // Past the size limit the changed middle is shown replaced as a whole
+    const changed = big.split('\n').map(line => (line.endsWith('0') ? `${line}!` : line)).join('\n');
+    expect(diffStat(big, changed)).toEqual({ additions: 49991, deletions: 49991 });
+  });
+
+  test('renders a unified diff with context and hunk headers', () => {
+    const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', ''].join('\n');
+    const after = ['1', 'two', '3', '4', '5', '6', '7', '8', '9', '10', '11', ''].join('\n');
+
+    expect(unifiedDiff('src/n.txt', before, after, { context: 1 })).toBe([
+      'diff --git a/src/n.txt b/src/n.txt',
+      '--- a/src/n.txt',
+      '+++ b/src/n.txt',
+      '@@ -1,3 +1,3 @@',
+      ' 1',
+      '-2',
+      '+two',
+      ' 3',
+      '@@ -10,1 +10,2 @@',
+      ' 10',
+      '+11',
+      ''
+    ].join('\n'));
+    expect(unifiedDiff('NEW.md', null, 'hello\n')).toBe('diff --git a/NEW.md b/NEW.md\nnew file mode 100644\n--- /dev/null\n+++ b/NEW.md\n@@ -0,0 +1,1 @@\n+hello\n');
+    expect(unifiedDiff('same.md', 'x\n', 'x\n')).toBe('');
+  });
+});
@@ -0,0 +1,75 @@
+const { readEnvironment, listEnvironmentVariables } = require('../../src/modules/configuration/environment');
+
+describe('configuration environment variables', () => {
+  test('coerces values to the type of their setting', () => {
+    const { values, sources, errors } = readEnvironment({
+      OPENHANDS_BATCH_MAX_CONCURRENT: ' 4 ',
+      OPENHANDS_AI_TEMPERATURE: '0.5',
+      OPENHANDS_PULL_REQUEST_DEFAULT_AS_DRAFT: 'No',
+      OPENHANDS_PULL_REQUEST_ADD_LABELS: 'ai-assisted, needs-review,',
+      OPENHANDS_USAGE_INPUT_PRICES: 'claude-3=3, gpt-4o=2.5',
+      OPENHANDS_PULL_REQUEST_TITLE_PREFIX: ' Bot: '
+    });
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      batch: { maxConcurrent: 4 },
+      ai: { temperature: 0.5 },
+      pullRequest: { defaultAsDraft: false, addLabels: ['ai-assisted', 'needs-review'], titlePrefix: ' Bot: ' },
+      usage: { inputPrices: { 'claude-3': 3, 'gpt-4o': 2.5 } }
+    });
+    expect(sources['batch.maxConcurrent']).toBe('OPENHANDS_BATCH_MAX_CONCURRENT');
+  });
+
+  test('reads the older names but lets the systematic ones win', () => {
+    const { values, sources } = readEnvironment({
+      PR_AS_DRAFT: 'false',
+      OPENHANDS_PULL_REQUEST_DEFAULT_AS_DRAFT: 'true',
+      AI_MODEL: 'claude-3-haiku',
+      DEBUG_MODE: 'on'
+    });
+
+    expect(values.pullRequest.defaultAsDraft).toBe(true);
+    expect(sources['pullRequest.defaultAsDraft']).toBe('OPENHANDS_PULL_REQUEST_DEFAULT_AS_DRAFT');
+    expect(values.ai.model).toBe('claude-3-haiku');
+    expect(values.debug).toEqual({ enabled: true, verboseLogging: true });
+  });
+
+  test('names the variable behind every invalid value', () => {
+    const { values, errors } = readEnvironment({
+      OPENHANDS_BATCH_MAX_CONCURRENT: 'three',
+      OPENHANDS_AI_TEMPERATURE: '5',
+      OPENHANDS_PULL_REQUEST_DEFAULT_AS_DRAFT: 'maybe',
+      OPENHANDS_USAGE_INPUT_PRICES: 'claude-3'
+    });
+
+    expect(values).toEqual({});
+    expect(errors).toEqual(expect.arrayContaining([
+      'OPENHANDS_BATCH_MAX_CONCURRENT="three" must be an integer',
+      'OPENHANDS_AI_TEMPERATURE="5" must be <= 1',
+      'OPENHANDS_PULL_REQUEST_DEFAULT_AS_DRAFT="maybe" must be one of true, 1, yes, on, false, 0, no, off',
+      'OPENHANDS_USAGE_INPUT_PRICES="claude-3" must be key=value pairs, got "claude-3"'
+    ]));
+  });
+
+  test('warns about prefixed variables that are not settings', () => {
+    const { values, warnings } = readEnvironment({ OPENHANDS_BATCH_MAX_CONCURENT: '2', PATH: '/usr/bin' });
+
+    expect(values).toEqual({});
+    expect(warnings).toEqual(['OPENHANDS_BATCH_MAX_CONCURENT is not a known setting and was ignored']);
+  });
+
+  test('lists every setting with its variable, type, aliases and default', () => {
+    const variables = listEnvironmentVariables({ pullRequest: { defaultAsDraft: true } });
+
+    expect(variables.find(variable => variable.key === 'pullRequest.defaultAsDraft')).toEqual({
+      name: 'OPENHANDS_PULL_REQUEST_DEFAULT_AS_DRAFT',
+      key: 'pullRequest.defaultAsDraft',
+      type: 'boolean',
+      description: expect.any(String),
+      aliases: ['PR_AS_DRAFT'],
+      default: true
+    });
+    expect(new Set(variables.map(variable => variable.name)).size).toBe(variables.length);
+  });
+});
@@ -0,0 +1,112 @@
+const jobRunnerModule = require('../../src/modules/job_runner');
+const logger = require('../../src/utils/logger');
+
+/**
+ * Wait until a job has finished
+ *
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} - Job snapshot with its result
+ */
+async function finished(id) {
+  while (!jobRunnerModule.getStatus(id).finishedAt) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return jobRunnerModule.getResult(id);
+}
+
+describe('job runner', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs tasks in the background and records their progress and result', async () => {
+    const job = jobRunnerModule.submit('resolve_issue', 'Resolve acme/widgets#1', async ({ onProgress }) => {
+      onProgress({ stage: 'analysing', issueUrl: 'https://github.com/acme/widgets/issues/1' });
+      return { success: true, pullRequestNumber: 6 };
+    });
+
+    expect(job).toMatchObject({ kind: 'resolve_issue', status: 'running', stage: 'submitted' });
+    expect(job.result).toBeUndefined();
+
+    const done = await finished(job.id);
+    expect(done).toMatchObject({ status: 'succeeded', stage: 'succeeded', result: { success: true, pullRequestNumber: 6 } });
+    expect(done.progress.map(entry => entry.stage)).toEqual(['analysing', 'succeeded']);
+    expect(jobRunnerModule.getStatus(job.id).result).toBeUndefined();
+  });
+
+  test('passes progress of every job to listeners until they stop listening', async () => {
+    const events = [];
+    const stop = jobRunnerModule.onProgress(event => events.push(event));
+    const stopBroken = jobRunnerModule.onProgress(() => {
+      throw new Error('listener broke');
+    });
+
+    const job = jobRunnerModule.submit('resolve_issue', 'Resolve acme/widgets#1', async ({ onProgress }) => {
+      onProgress({ stage: 'generating', message: 'Asking the model' });
+      return { success: true };
+    });
+    await finished(job.id);
+    stop();
+    stopBroken();
+
+    expect(events.map(event => [event.jobId, event.stage])).toEqual([[job.id, 'generating'], [job.id, 'succeeded']]);
+    expect(events[0]).toMatchObject({ kind: 'resolve_issue', message: 'Asking the model' });
+  });
+
+  test('marks tasks that throw or report failure as failed', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const thrown = jobRunnerModule.submit('resolve_issue', 'Resolve acme/widgets#1', async () => {
+      throw new Error('GitHub is down');
+    });
+    const reported = jobRunnerModule.submit('resolve_issue', 'Resolve acme/widgets#2', async () => ({ success: false, error: 'No changes' }));
+
+    expect(await finished(thrown.id)).toMatchObject({ status: 'failed', error: 'GitHub is down' });
+    expect(await finished(reported.id)).toMatchObject({ status: 'failed', result: { success: false, error: 'No changes' } });
+  });
+
+  test('cancels a running task at its next check', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    let proceed;
+    const gate = new Promise((resolve) => {
+      proceed = resolve;
+    });
+    const reached = [];
+
+    const job = jobRunnerModule.submit('resolve_batch', 'Resolve 2 issues', async ({ signal }) => {
+      reached.push('first');
+      await gate;
+      jobRunnerModule.throwIfCancelled(signal);
+      reached.push('second');
+      return { success: true };
+    });
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(jobRunnerModule.cancel(job.id)).toMatchObject({ status: 'cancelling' });
+    proceed();
+
+    const done = await finished(job.id);
+    expect(done).toMatchObject({ status: 'cancelled', error: 'Job was cancelled' });
+    expect(reached).toEqual(['first']);
+
+    // Cancelling again, or a finished job, changes nothing
+    expect(jobRunnerModule.cancel(job.id)).toMatchObject({ status: 'cancelled' });
+  });
+
+  test('keeps the result of a task that finished despite being cancelled', async () => {
+    const job = jobRunnerModule.submit('resolve_issue', 'Resolve acme/widgets#1', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return { success: true, cancelled: true };
+    });
+    jobRunnerModule.cancel(job.id);
+
+    expect(await finished(job.id)).toMatchObject({ status: 'cancelled', result: { success: true, cancelled: true } });
+  });
+
+  test('answers unknown job IDs with null', () => {
+    expect(jobRunnerModule.getStatus('job-nope')).toBeNull();
+    expect(jobRunnerModule.getResult('job-nope')).toBeNull();
+    expect(jobRunnerModule.cancel('job-nope')).toBeNull();
+    expect(() => jobRunnerModule.throwIfCancelled(AbortSignal.abort())).toThrow(expect.objectContaining({ cancelled: true }));
+  });
+});
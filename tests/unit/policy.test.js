@@ -0,0 +1,95 @@
+const configModule = require('../../src/modules/configuration');
+const policyModule = require('../../src/modules/policy');
+
+/**
+ * Build a code change
+ *
+ * @param {string} path - Repository path
+ * @param {string|null} originalContent - Content before the change, null for new files
+ * @param {string|null} newContent - Content after the change, null for deletions
+ * @returns {Object} - Code change
+ */
+function change(path, originalContent, newContent) {
+  return { path, originalContent, newContent };
+}
+
+describe('safety policy', () => {
+  beforeEach(() => {
+    configModule.resetToDefaults();
+  });
+
+  test('allows an ordinary source change', () => {
+    const result = policyModule.evaluateChanges([change('src/math.js', 'a\nb\n', 'a\nc\n')]);
+
+    expect(result).toEqual({ allowed: true, violations: [], stats: { filesChanged: 1, linesChanged: 2 } });
+  });
+
+  test('keeps changes inside the repository', () => {
+    for (const filePath of ['../etc/passwd', '/etc/passwd', 'src/./math.js', 'C:/x.js', 'src\\math.js', '.git/config', '']) {
+      expect(policyModule.checkPath(filePath).map(item => item.rule)).toEqual(['outside_repository']);
+    }
+  });
+
+  test('applies the deny, protected and allow lists', () => {
+    expect(policyModule.checkPath('config/.env.production')[0]).toMatchObject({ rule: 'denied_path' });
+    expect(policyModule.checkPath('.github/workflows/ci.yml')[0]).toEqual({
+      path: '.github/workflows/ci.yml',
+      rule: 'protected_path',
+      reason: '.github/workflows/ci.yml is protected by .github/workflows/ in policy.protectedPaths and must be changed by a person'
+    });
+
+    configModule.updateConfig('policy.allowPaths', ['src/']);
+    expect(policyModule.checkPath('src/math.js')).toEqual([]);
+    expect(policyModule.checkPath('README.md').map(item => item.rule)).toEqual(['not_allowed_path']);
+  });
+
+  test('refuses file types outside security.allowedFileTypes', () => {
+    expect(policyModule.checkPath('scripts/deploy.sh').map(item => item.rule)).toEqual(['file_type']);
+  });
+
+  test('refuses symbolic links and binary files', () => {
+    const result = policyModule.evaluateChanges(
+      [change('docs/link.md', 'target.md', 'other.md'), change('assets/data.json', '{}', '\u0000\u0001')],
+      { files: [{ path: 'docs/link.md', mode: '120000' }] }
+    );
+
+    expect(result.violations.map(item => `${item.path}:${item.rule}`)).toEqual(['docs/link.md:symlink', 'assets/data.json:binary']);
+  });
+
+  test('finds secrets in added lines without repeating them', () => {
+    const token = `ghp_${'a'.repeat(36)}`;
+    const result = policyModule.evaluateChanges([change('src/config.js', 'module.exports = {};\n', `const token = '${token}';\nmodule.exports = {};\n`)]);
+
+    expect(result.violations).toEqual([{ path: 'src/config.js', rule: 'secret', reason: 'src/config.js:1 adds what looks like a GitHub token' }]);
+    expect(policyModule.formatViolations(result.violations)).not.toContain(token);
+  });
+
+  test('ignores secrets that were already there', () => {
+    const existing = "const password = 'hunter2hunter2';\n";
+    expect(policyModule.evaluateChanges([change('src/db.js', existing, `${existing}// more\n`)]).allowed).toBe(true);
+  });
+
+  test('limits the size of a change', () => {
+    configModule.updateConfig('policy.maxFilesChanged', 1);
+    configModule.updateConfig('policy.maxLinesChanged', 2);
+    const result = policyModule.evaluateChanges([change('src/a.js', null, 'a\nb\n'), change('src/b.js', null, 'c\n')]);
+
+    expect(result.violations.map(item => item.reason)).toEqual([
+      '2 files changed, more than policy.maxFilesChanged (1)',
+      '3 lines changed, more than policy.maxLinesChanged (2)'
+    ]);
+  });
+
+  test('throws with every violation when enforced', () => {
+    let thrown;
+    try {
+      policyModule.enforce([change('certs/server.pem', null, 'A=1\n'), change('src/ok.js', 'a\n', 'b\n')]);
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toBe('Changes rejected by the safety policy: certs/server.pem matches *.pem in policy.denyPaths; certs/server.pem has file type .pem, which is not in security.allowedFileTypes');
+    expect(thrown.policyViolations.map(item => item.rule)).toEqual(['denied_path', 'file_type']);
+    expect(policyModule.enforce([change('src/ok.js', 'a\n', 'b\n')]).allowed).toBe(true);
+  });
+});
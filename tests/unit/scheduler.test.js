@@ -0,0 +1,141 @@
+const { createScheduler, getRateLimitDelay } = require('../../src/modules/github_api/scheduler');
+
+/**
+ * Build an axios-like error
+ *
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @param {string} [message] - Body message
+ * @returns {Error} - Error with `response`
+ */
+function httpError(status, headers = {}, message = '') {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: { message } };
+  return error;
+}
+
+describe('GitHub request scheduler', () => {
+  let clock;
+  let sleeps;
+  const sleep = async (ms) => {
+    sleeps.push(ms);
+    clock += ms;
+  };
+
+  beforeEach(() => {
+    clock = 1700000000000;
+    sleeps = [];
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads the wait from Retry-After or the rate-limit reset', () => {
+    expect(getRateLimitDelay({ headers: { 'retry-after': '30' } }, clock)).toBe(30000);
+    expect(getRateLimitDelay({ headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(clock / 1000 + 90) } }, clock)).toBe(90000);
+    expect(getRateLimitDelay({ headers: { 'x-ratelimit-remaining': '12', 'x-ratelimit-reset': String(clock / 1000 + 90) } }, clock)).toBe(0);
+    expect(getRateLimitDelay(undefined, clock)).toBe(0);
+  });
+
+  test('caps the requests in flight', async () => {
+    const scheduler = createScheduler({ maxConcurrent: 2, sleep });
+    const releases = [];
+    let running = 0;
+    let peak = 0;
+    const task = () => new Promise((resolve) => {
+      running++;
+      peak = Math.max(peak, running);
+      releases.push(() => {
+        running--;
+        resolve({ status: 200, headers: {} });
+      });
+    });
+
+    const pending = [1, 2, 3, 4].map(() => scheduler.schedule(task));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(scheduler.getStatus()).toMatchObject({ active: 2, queued: 2 });
+
+    while (releases.length > 0) {
+      releases.shift()();
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    await Promise.all(pending);
+    expect(peak).toBe(2);
+  });
+
+  test('retries server errors of requests safe to repeat with backoff', async () => {
+    const scheduler = createScheduler({ maxRetries: 3, retryBaseDelay: 100, random: () => 0.5, sleep });
+    const task = jest.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue({ status: 200, headers: {} });
+
+    await expect(scheduler.schedule(task, { retry: true })).resolves.toMatchObject({ status: 200 });
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(sleeps).toEqual([50, 100]);
+  });
+
+  test('gives up once the retries are used', async () => {
+    const scheduler = createScheduler({ maxRetries: 2, retryBaseDelay: 1, sleep });
+    const task = jest.fn().mockRejectedValue(httpError(500));
+
+    await expect(scheduler.schedule(task, { retry: true })).rejects.toThrow('status code 500');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not repeat requests that are not safe to repeat', async () => {
+    const scheduler = createScheduler({ maxRetries: 3, sleep });
+    const task = jest.fn().mockRejectedValue(httpError(502));
+
+    await expect(scheduler.schedule(task)).rejects.toThrow('status code 502');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry client errors', async () => {
+    const scheduler = createScheduler({ maxRetries: 3, sleep });
+    const task = jest.fn().mockRejectedValue(httpError(404));
+
+    await expect(scheduler.schedule(task, { retry: true })).rejects.toThrow('status code 404');
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits out a rate limit and then repeats any request', async () => {
+    const scheduler = createScheduler({ sleep });
+    const task = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '5' }))
+      .mockResolvedValue({ status: 201, headers: {} });
+
+    await expect(scheduler.schedule(task)).resolves.toMatchObject({ status: 201 });
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(sleeps).toEqual([5000]);
+  });
+
+  test('stops waiting out rate limits after maxRateLimitRetries', async () => {
+    const scheduler = createScheduler({ maxRateLimitRetries: 2, sleep });
+    const task = jest.fn().mockRejectedValue(httpError(403, { 'retry-after': '1' }, 'API rate limit exceeded'));
+
+    await expect(scheduler.schedule(task)).rejects.toThrow('status code 403');
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  test('fails at once when the rate limit resets later than maxRateLimitWait', async () => {
+    const scheduler = createScheduler({ maxRateLimitWait: 60000, sleep });
+    const task = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+
+    await expect(scheduler.schedule(task)).rejects.toThrow('status code 429');
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(sleeps).toEqual([]);
+  });
+
+  test('pauses queued requests when a response uses up the rate limit', async () => {
+    const scheduler = createScheduler({ sleep });
+    const exhausted = { status: 200, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(clock / 1000 + 10) } };
+
+    await scheduler.schedule(async () => exhausted);
+    expect(scheduler.getStatus().pausedUntil).toBe(new Date(clock + 10000).toISOString());
+    await scheduler.schedule(async () => ({ status: 200, headers: {} }));
+    expect(sleeps).toEqual([10000]);
+  });
+});
@@ -0,0 +1,24 @@
+const { createScriptedProvider } = require('../../src/modules/code_generation/providers/scripted');
+
+describe('scripted provider', () => {
+  const request = content => ({ system: 'system', messages: [{ role: 'user', content }], model: 'scripted-model' });
+
+  test('answers from the script in order, honouring match patterns', async () => {
+    const provider = createScriptedProvider({
+      responses: [{ match: 'acme/widgets#3\\b', text: 'three' }, 'first', 'second']
+    });
+
+    expect((await provider.complete(request('Fix acme/widgets#1'))).text).toBe('first');
+    expect((await provider.complete(request('Fix acme/widgets#3'))).text).toBe('three');
+    const last = await provider.complete(request('Fix acme/widgets#1 again'));
+    expect(last).toEqual({ text: 'second', model: 'scripted-model', usage: { inputTokens: 8, outputTokens: 2 } });
+    await expect(provider.complete(request('more'))).rejects.toThrow('Scripted provider has no response left for this prompt');
+  });
+
+  test('reads the bundled script by default', async () => {
+    const provider = createScriptedProvider();
+    const response = await provider.complete(request('# Issue acme/widgets#1'));
+
+    expect(response.text).toContain('<<<<<<< SEARCH');
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractTarball, createTarball } = require('../../src/utils/tar');
+
+describe('tarballs', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhands-tar-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('extracts files below the stripped prefix byte for byte', async () => {
+    const binary = Buffer.from([0, 1, 2, 255, 254, 0x89, 0x50, 0x4e, 0x47]);
+    const tarball = createTarball('acme-widgets-abc123', [
+      { path: 'src/math.js', content: 'module.exports = 1;\n', mode: '100644' },
+      { path: 'assets/logo.png', content: binary, mode: '100644' }
+    ]);
+
+    const result = await extractTarball(tarball, dir, { strip: 1 });
+
+    expect(result).toEqual({ files: 2, skipped: [] });
+    expect(fs.readFileSync(path.join(dir, 'src/math.js'), 'utf-8')).toBe('module.exports = 1;\n');
+    expect(fs.readFileSync(path.join(dir, 'assets/logo.png'))).toEqual(binary);
+  });
+
+  test('keeps the executable bit', async () => {
+    const tarball = createTarball('repo', [
+      { path: 'bin/run.sh', content: '#!/bin/sh\n', mode: '100755' },
+      { path: 'README.md', content: '# readme\n', mode: '100644' }
+    ]);
+
+    await extractTarball(tarball, dir, { strip: 1 });
+
+    expect(fs.statSync(path.join(dir, 'bin/run.sh')).mode & 0o111).not.toBe(0);
+    expect(fs.statSync(path.join(dir, 'README.md')).mode & 0o111).toBe(0);
+  });
+
+  test('reads names longer than a header holds', async () => {
+    const longPath = `${'nested/'.repeat(20)}file.js`;
+    const tarball = createTarball('repo', [{ path: longPath, content: 'deep\n', mode: '100644' }]);
+
+    await extractTarball(tarball, dir, { strip: 1 });
+
+    expect(fs.readFileSync(path.join(dir, longPath), 'utf-8')).toBe('deep\n');
+  });
+
+  test('skips symbolic links', async () => {
+    const tarball = createTarball('repo', [
+      { path: 'link', content: '/etc/passwd', mode: '120000' },
+      { path: 'file.txt', content: 'x', mode: '100644' }
+    ]);
+
+    expect(await extractTarball(tarball, dir, { strip: 1 })).toEqual({ files: 1, skipped: ['link'] });
+    expect(fs.existsSync(path.join(dir, 'link'))).toBe(false);
+  });
+
+  test('skips entries that would land outside the directory', async () => {
+    const tarball = createTarball('repo', [{ path: '../../escaped.txt', content: 'x', mode: '100644' }]);
+
+    expect(await extractTarball(tarball, dir, { strip: 1 })).toEqual({ files: 0, skipped: ['../../escaped.txt'] });
+    expect(fs.existsSync(path.join(dir, '../../escaped.txt'))).toBe(false);
+  });
+
+  test('reads pax headers such as those of git archive', async () => {
+    const header = (name, size, type) => {
+      const block = Buffer.alloc(512);
+      block.write(name, 0, 100, 'utf-8');
+      block.write('0000644\0', 100, 8, 'ascii');
+      block.write(`${size.toString(8).padStart(11, '0')}\0`, 124, 12, 'ascii');
+      block.write(type, 156, 1, 'ascii');
+      return block;
+    };
+    const pad = content => Buffer.concat([content, Buffer.alloc((512 - (content.length % 512)) % 512)]);
+    const name = 'repo/a-name-given-only-in-the-pax-header.js';
+    const record = ` path=${name}\n`;
+    const pax = Buffer.from(`${record.length + String(record.length + 2).length}${record}`);
+    const content = Buffer.from('pax\n');
+    const tarball = zlib.gzipSync(Buffer.concat([
+      header('pax_global_header', 0, 'g'),
+      header('PaxHeader', pax.length, 'x'), pad(pax),
+      header('truncated', content.length, '0'), pad(content),
+      Buffer.alloc(1024)
+    ]));
+
+    await extractTarball(tarball, dir, { strip: 1 });
+
+    expect(fs.readFileSync(path.join(dir, 'a-name-given-only-in-the-pax-header.js'), 'utf-8')).toBe('pax\n');
+  });
+});
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const configModule = require('../../src/modules/configuration');
+const githubModule = require('../../src/modules/github_api');
+const { setupTask, releaseTask, rankFiles, buildContext } = require('../../src/modules/task_setup');
+
+// Settings the ranking tests start from
+const SETTINGS = {
+  maxContextSnippets: 10,
+  maxFileSize: 100000,
+  maxContextSize: 400000,
+  prioritizeErrorContext: true
+};
+
+/**
+ * Build issue data as the GitHub API module returns it
+ *
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} - Issue data
+ */
+function issue(fields = {}) {
+  return {
+    owner: 'acme',
+    repo: 'widgets',
+    number: 1,
+    url: 'https://github.com/acme/widgets/issues/1',
+    title: 'divide() returns Infinity instead of throwing on zero',
+    body: '',
+    labels: ['bug'],
+    comments: [],
+    repository: { owner: 'acme', name: 'widgets', fullName: 'acme/widgets', defaultBranch: 'main' },
+    ...fields
+  };
+}
+
+/**
+ * Write files below a directory
+ *
+ * @param {string} dir - Root directory
+ * @param {Object} files - Content keyed by relative path
+ */
+function writeFiles(dir, files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, filePath)), { recursive: true });
+    fs.writeFileSync(path.join(dir, filePath), content);
+  }
+}
+
+describe('task setup', () => {
+  let dir;
+
+  beforeEach(() => {
+    configModule.resetToDefaults();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhands-task-setup-test-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('ranks stack frames above mentioned paths, names and tests of referenced files', () => {
+    const files = [
+      { path: 'src/math.js', size: 100 },
+      { path: 'src/format.js', size: 100 },
+      { path: 'lib/calculator/index.js', size: 100 },
+      { path: 'tests/math.test.js', size: 100 },
+      { path: 'README.md', size: 100 },
+      { path: 'src/math.png', size: 100 },
+      { path: 'src/link.js', size: 0, mode: '120000' }
+    ];
+    const references = {
+      stackFrames: [{ file: '/home/ci/widgets/src/math.js', line: 3 }],
+      mentionedPaths: ['format.js', 'src/link.js'],
+      keywords: ['calculator']
+    };
+
+    const ranked = rankFiles(files, references, SETTINGS);
+
+    expect(ranked.map(candidate => candidate.path)).toEqual([
+      'src/math.js',
+      'src/format.js',
+      'tests/math.test.js',
+      'lib/calculator/index.js'
+    ]);
+    expect(ranked[0]).toMatchObject({ score: 13, reasons: ['top stack frame'] });
+    expect(ranked[1]).toMatchObject({ score: 8, reasons: ['mentioned in issue'] });
+    expect(ranked[2].reasons).toEqual(['tests a referenced file']);
+    expect(ranked[3].reasons).toEqual(['directory matches "calculator"']);
+  });
+
+  test('weighs stack frames less when error context is not prioritised', () => {
+    const files = [{ path: 'src/math.js', size: 100 }, { path: 'src/format.js', size: 100 }];
+    const references = { stackFrames: [{ file: 'src/format.js', line: 1 }], mentionedPaths: ['src/math.js'], keywords: [] };
+
+    const ranked = rankFiles(files, references, { ...SETTINGS, prioritizeErrorContext: false });
+
+    expect(ranked.map(candidate => [candidate.path, candidate.score])).toEqual([['src/math.js', 8], ['src/format.js', 7]]);
+  });
+
+  test('keeps context within the snippet and size limits and excerpts around frames', async () => {
+    const long = Array.from({ length: 400 }, (_, index) => `line ${index + 1}`).join('\n');
+    const reader = {
+      readFile: async (filePath) => {
+        if (filePath === 'missing.js') throw new Error('not found');
+        return filePath === 'big.js' ? long : `// ${filePath}\n`;
+      }
+    };
+    const candidates = ['big.js', 'missing.js', 'a.js', 'b.js'].map(filePath => ({ path: filePath, score: 1, reasons: [] }));
+
+    const context = await buildContext(reader, candidates, [{ file: 'big.js', line: 200 }], {
+      ...SETTINGS,
+      maxContextSnippets: 2,
+      maxFileSize: 1000
+    });
+
+    expect(context.snippets.map(snippet => snippet.path)).toEqual(['big.js', 'a.js']);
+    expect(context.snippets[0]).toMatchObject({ startLine: 170, truncated: true });
+    expect(context.snippets[0].content.startsWith('line 170\n')).toBe(true);
+    expect(context.snippets[0].endLine).toBeLessThanOrEqual(230);
+    expect(context.omitted).toEqual(['missing.js', 'b.js']);
+    expect(context.totalSize).toBe(context.snippets.reduce((total, snippet) => total + Buffer.byteLength(snippet.content), 0));
+  });
+
+  test('reads a local checkout and picks the files the issue points at', async () => {
+    writeFiles(dir, {
+      'src/math.js': 'function divide(a, b) {\n  return a / b;\n}\n',
+      'src/strings.js': 'module.exports = {};\n',
+      'node_modules/dep/math.js': 'module.exports = {};\n'
+    });
+    configModule.updateConfig('task.repoSource', 'local');
+    configModule.updateConfig('task.localRepoPath', dir);
+
+    const task = await setupTask(issue({
+      body: 'Stack trace:\n    at divide (src/math.js:2:10)'
+    }));
+
+    expect(task.source).toMatchObject({ type: 'local', dir, ref: 'main' });
+    expect(task.fileTree).toEqual(expect.arrayContaining(['src/math.js', 'src/strings.js']));
+    expect(task.fileTree).not.toContain('node_modules/dep/math.js');
+    expect(task.context.snippets[0]).toMatchObject({ path: 'src/math.js', truncated: false });
+    expect(task.references.stackFrames).toEqual([expect.objectContaining({ file: 'src/math.js', line: 2 })]);
+
+    // A checkout the task did not make stays where it is
+    await releaseTask(task);
+    expect(fs.existsSync(path.join(dir, 'src/math.js'))).toBe(true);
+  });
+
+  test('clones the branch it is asked for and deletes the clone once released', async () => {
+    const origin = path.join(dir, 'origin');
+    writeFiles(origin, { 'src/math.js': 'function divide(a, b) {\n  return a / b;\n}\n' });
+    const git = (...args) => execFileSync('git', ['-C', origin, ...args], { stdio: 'ignore' });
+    git('init', '--quiet', '--initial-branch', 'main');
+    git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '--allow-empty', '-m', 'Empty');
+    git('checkout', '--quiet', '-b', 'release');
+    git('add', '.');
+    git('-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-m', 'Add math');
+
+    jest.spyOn(githubModule, 'getToken').mockResolvedValue(null);
+    configModule.updateConfig('task.repoSource', 'clone');
+    configModule.updateConfig('task.workspaceDir', path.join(dir, 'workspace'));
+    const repository = { owner: 'acme', name: 'widgets', fullName: 'acme/widgets', defaultBranch: 'main', cloneUrl: `file://${origin}` };
+
+    const task = await setupTask(issue({ repository, body: 'See `src/math.js`' }), { ref: 'release' });
+
+    expect(task.source).toMatchObject({ type: 'local', ref: 'release', scratch: true });
+    expect(task.context.snippets.map(snippet => snippet.path)).toEqual(['src/math.js']);
+
+    await releaseTask(task);
+    expect(fs.existsSync(task.source.dir)).toBe(false);
+
+    await expect(setupTask(issue({ repository }), { ref: 'no-such-branch' })).rejects.toThrow();
+    expect(fs.readdirSync(path.join(dir, 'workspace'))).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+const triageModule = require('../../src/modules/triage');
+
+describe('triage', () => {
+  const bug = {
+    title: 'divide() returns Infinity instead of throwing on zero',
+    body: 'Calling `divide(1, 0)` in `src/math.js` returns `Infinity`.\n\n```\nTypeError: expected RangeError\n    at divide (src/math.js:2:10)\n```',
+    labels: ['bug']
+  };
+
+  test('scores a bug with a stack trace and files as fully feasible', () => {
+    const triage = triageModule.triageIssue(bug);
+    expect(triage).toMatchObject({ category: 'bug', score: 1, skip: false, reason: null });
+    expect(triage.files).toContain('src/math.js');
+  });
+
+  test('classifies from labels before wording', () => {
+    expect(triageModule.classifyIssue({ title: 'Crash on start', labels: ['question'] }).category).toBe('question');
+    expect(triageModule.classifyIssue({ title: 'Duplicate', body: 'Duplicate of #12' })).toEqual({ category: 'duplicate', duplicateOf: 12 });
+  });
+
+  test('skips categories listed in triage.skipCategories', () => {
+    const triage = triageModule.triageIssue({ title: 'How do I configure the parser?', body: 'See `src/parser.js`.' });
+    expect(triage.category).toBe('question');
+    expect(triage.skip).toBe(true);
+    expect(triage.reason).toBe('Classified as question');
+  });
+
+  test('skips vague reports below triage.minScore and lists what is missing', () => {
+    const triage = triageModule.triageIssue({ title: 'Crash when importing the package', body: 'Fixed upstream, see linked PR.', labels: ['bug'] });
+    expect(triage.skip).toBe(true);
+    expect(triage.reason).toMatch(/^Feasibility score 0\.\d+ is below 0\.5$/);
+    expect(triage.missing).toContain('Steps to reproduce, or the error message and stack trace');
+  });
+
+  test('rates wishes lower than settled feature requests', () => {
+    const settled = triageModule.triageIssue({
+      title: 'multiply() should accept more than two numbers',
+      body: '`multiply` in `src/math.js` should accept any number of arguments.',
+      labels: ['enhancement']
+    });
+    const wish = triageModule.triageIssue({
+      title: 'multiply() should accept more than two numbers',
+      body: 'It would be nice if `multiply` in `src/math.js` accepted any number of arguments.',
+      labels: ['enhancement']
+    });
+    expect(wish.factors.reproduction).toBe(0);
+    expect(wish.score).toBeLessThan(settled.score);
+    expect(wish.missing).toContain('The exact behaviour you expect after the change');
+  });
+
+  test('holds unattended issues to triage.minRepoScore', () => {
+    const docs = { title: 'README is missing usage examples', body: '`README.md` should show how to call `divide`.', labels: ['docs'] };
+    expect(triageModule.triageIssue(docs).skip).toBe(false);
+    const unattended = triageModule.triageIssue(docs, { unattended: true });
+    expect(unattended.skip).toBe(true);
+    expect(unattended.reason).toMatch(/is below 0\.8$/);
+    expect(triageModule.triageIssue(bug, { unattended: true }).skip).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+const configModule = require('../../src/modules/configuration');
+const triggerModule = require('../../src/modules/trigger_detection');
+
+describe('trigger detection', () => {
+  beforeEach(() => {
+    configModule.resetToDefaults();
+  });
+
+  test('detects an issue URL', () => {
+    expect(triggerModule.detectTrigger('Please fix https://github.com/acme/widgets/issues/1')).toEqual({
+      issueUrl: 'https://github.com/acme/widgets/issues/1',
+      host: 'github.com',
+      owner: 'acme',
+      repo: 'widgets',
+      issueNumber: 1,
+      isPullRequest: false,
+      options: {},
+      isBatch: false
+    });
+  });
+
+  test('detects pull requests and the address review command', () => {
+    expect(triggerModule.detectTrigger('https://github.com/acme/widgets/pull/6').isPullRequest).toBe(true);
+
+    const review = triggerModule.detectTrigger('/openhands address review acme/widgets#6');
+    expect(review).toMatchObject({ issueUrl: 'https://github.com/acme/widgets/pull/6', isPullRequest: true });
+  });
+
+  test('expands ranges and resolves bare references against the last repository', () => {
+    const trigger = triggerModule.detectTrigger('Fix acme/widgets#3-#5 and #9, then other/lib#2');
+
+    expect(trigger.isBatch).toBe(true);
+    expect(trigger.issueList.map(issue => `${issue.owner}/${issue.repo}#${issue.issueNumber}`))
+      .toEqual(['acme/widgets#3', 'acme/widgets#4', 'acme/widgets#5', 'acme/widgets#9', 'other/lib#2']);
+  });
+
+  test('uses the default repository for bare references', () => {
+    expect(triggerModule.detectTrigger('#7', { defaultRepo: 'acme/widgets' })).toMatchObject({ owner: 'acme', repo: 'widgets', issueNumber: 7 });
+    expect(triggerModule.detectTrigger({ text: 'fix #7', defaultRepo: 'acme/widgets' }).issueNumber).toBe(7);
+  });
+
+  test('reports references it cannot use', () => {
+    const trigger = triggerModule.detectTrigger('Fix #3 and acme/widgets#9-#2 and https://gitlab.com/acme/widgets/issues/1');
+
+    expect(trigger.isBatch).toBe(true);
+    expect(trigger.problems).toEqual([
+      '#3 has no repository; write owner/repo#N or set a default repository',
+      'acme/widgets#9-#2 is an empty range',
+      'https://gitlab.com/acme/widgets/issues/1 is not on a known GitHub host (github.com)'
+    ]);
+    expect(triggerModule.validateTrigger(trigger).valid).toBe(false);
+  });
+
+  test('refuses ranges over the size limit', () => {
+    expect(triggerModule.detectTrigger('acme/widgets#1-#100').problems).toEqual(['acme/widgets#1-#100 spans more than 50 issues']);
+  });
+
+  test('accepts URLs on configured enterprise hosts', () => {
+    configModule.updateConfig('github.apiUrl', 'https://github.example.com/api/v3');
+
+    expect(triggerModule.detectTrigger('https://github.example.com/acme/widgets/issues/4')).toMatchObject({ host: 'github.example.com', issueNumber: 4 });
+  });
+
+  test('reads inline options', () => {
+    expect(triggerModule.extractOptions('as draft on branch develop with labels bug, needs-review dry run')).toEqual({
+      draft: true,
+      baseBranch: 'develop',
+      labels: ['bug', 'needs-review'],
+      dryRun: true
+    });
+    expect(triggerModule.extractOptions('as ready for review').draft).toBe(false);
+    expect(triggerModule.extractOptions('just fix it')).toEqual({});
+  });
+
+  test('reads options from the command clause after the references', () => {
+    expect(triggerModule.detectTrigger('Fix acme/widgets#1, #2 and #4 as draft on branch develop. The base branch is old').options)
+      .toEqual({ draft: true, baseBranch: 'develop' });
+    expect(triggerModule.detectTrigger('/openhands address review acme/widgets#6 as a dry run').options).toEqual({ dryRun: true });
+    expect(triggerModule.detectTrigger('Resolve all open issues in acme/widgets labeled bug as draft limit 3').options).toEqual({ draft: true });
+  });
+
+  test('does not read options from prose', () => {
+    for (const text of [
+      'resolve acme/api#3, the base URL is wrong',
+      'resolve acme/api#3 base develop',
+      'resolve acme/api#3 with labels containing spaces',
+      'resolve acme/api#3 in a dry run? no, for real',
+      'As draft as it is, acme/api#3 needs a fix on branch develop'
+    ]) {
+      expect(triggerModule.detectTrigger(text).options).toEqual({});
+    }
+    expect(triggerModule.detectTrigger('Resolve all issues in acme/widgets labeled bug that mention a dry run').options).toEqual({});
+  });
+
+  test('detects repository-wide requests with their filters', () => {
+    expect(triggerModule.detectTrigger('Resolve all open issues in acme/widgets labeled bug,docs unassigned older than 7 days limit 3')).toEqual({
+      isRepoWide: true,
+      owner: 'acme',
+      repo: 'widgets',
+      filters: { labels: ['bug', 'docs'], assignee: 'none', minAgeDays: 7, limit: 3 },
+      options: {},
+      isBatch: false
+    });
+  });
+
+  test('returns null without a reference', () => {
+    expect(triggerModule.detectTrigger('Hello there')).toBeNull();
+    expect(triggerModule.detectTrigger('')).toBeNull();
+    expect(triggerModule.validateTrigger(null)).toEqual({ valid: false, reasons: ['No resolution trigger detected'] });
+  });
+
+  test('rejects invalid inline options', () => {
+    const trigger = { ...triggerModule.detectTrigger('acme/widgets#1'), options: { baseBranch: 'main;rm -rf', labels: [''] } };
+
+    expect(triggerModule.validateTrigger(trigger).reasons).toEqual([
+      'Invalid base branch: main;rm -rf',
+      'Labels must be a list of non-empty names'
+    ]);
+  });
+});
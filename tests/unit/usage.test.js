@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configModule = require('../../src/modules/configuration');
+const usageModule = require('../../src/modules/usage');
+
+/**
+ * Create a provider answering every call with a fixed token count
+ *
+ * @param {number} inputTokens - Input tokens reported per call
+ * @param {number} outputTokens - Output tokens reported per call
+ * @returns {Object} - Metered provider
+ */
+function fixedProvider(inputTokens, outputTokens) {
+  return usageModule.meter({
+    name: 'fixed',
+    complete: jest.fn(async request => ({ text: 'ok', model: request.model, usage: { inputTokens, outputTokens } }))
+  });
+}
+
+// Request sent in every test call
+const REQUEST = { system: 'system', messages: [{ role: 'user', content: 'Fix it' }], model: 'claude-3-opus-20240229' };
+
+describe('usage budgets', () => {
+  let dir;
+
+  beforeEach(async () => {
+    configModule.resetToDefaults();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhands-usage-test-'));
+    await usageModule.initialize({ path: path.join(dir, 'usage.jsonl') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('prices calls by the longest matching model prefix', () => {
+    expect(usageModule.priceCall('claude-3-opus-20240229', { inputTokens: 1e6, outputTokens: 1e6 })).toEqual({ costUsd: 90, priced: true });
+    expect(usageModule.priceCall('gpt-4o-mini-2024', { inputTokens: 1e6, outputTokens: 0 }).costUsd).toBeLessThan(1);
+    expect(usageModule.priceCall('mystery-model', { inputTokens: 10, outputTokens: 10 })).toEqual({ costUsd: 0, priced: false });
+  });
+
+  test('accounts calls to every account of the context and the ledger', async () => {
+    const batch = usageModule.createAccount('batch', 'of 2 issue(s)');
+    const issue = usageModule.createAccount('issue', 'acme/widgets#1');
+    const provider = fixedProvider(100, 20);
+
+    await usageModule.run(batch, () => usageModule.run(issue, () => provider.complete(REQUEST)));
+
+    expect(usageModule.summarize(issue)).toEqual({
+      calls: 1,
+      inputTokens: 100,
+      outputTokens: 20,
+      totalTokens: 120,
+      costUsd: 0.003,
+      unpricedModels: [],
+      budget: { maxTokens: 0, maxCostUsd: 0 }
+    });
+    expect(usageModule.summarize(batch).totalTokens).toBe(120);
+
+    const [line] = fs.readFileSync(path.join(dir, 'usage.jsonl'), 'utf-8').trim().split('\n');
+    expect(JSON.parse(line)).toMatchObject({ provider: 'fixed', inputTokens: 100, accounts: ['batch:of 2 issue(s)', 'issue:acme/widgets#1'] });
+  });
+
+  test('lets the call crossing an issue budget finish and refuses the next', async () => {
+    configModule.updateConfig('usage.maxIssueTokens', 150);
+    const issue = usageModule.createAccount('issue', 'acme/widgets#1');
+    const provider = fixedProvider(100, 20);
+
+    await usageModule.run(issue, async () => {
+      await provider.complete(REQUEST);
+      await provider.complete(REQUEST);
+      await expect(provider.complete(REQUEST)).rejects.toMatchObject({
+        message: 'Issue acme/widgets#1 budget of 150 tokens is used up (240 tokens)',
+        budgetExceeded: { scope: 'issue', label: 'acme/widgets#1', unit: 'tokens', limit: 150, used: 240 }
+      });
+    });
+    expect(issue.calls).toBe(2);
+  });
+
+  test('enforces cost budgets per batch', async () => {
+    configModule.updateConfig('usage.maxBatchCostUsd', 0.001);
+    const batch = usageModule.createAccount('batch', 'of 3 issue(s)');
+    const provider = fixedProvider(100, 20);
+
+    await usageModule.run(batch, async () => {
+      await provider.complete(REQUEST);
+      await expect(provider.complete(REQUEST)).rejects.toMatchObject({ budgetExceeded: { scope: 'batch', unit: 'USD', used: 0.003 } });
+    });
+  });
+
+  test('keeps the daily budget across restarts through the ledger', async () => {
+    configModule.updateConfig('usage.maxDailyTokens', 100);
+    await fixedProvider(100, 20).complete(REQUEST);
+
+    await usageModule.initialize({ path: path.join(dir, 'usage.jsonl') });
+    const exceeded = await usageModule.findExceededBudget();
+    expect(exceeded.message).toBe('Daily budget of 100 tokens is used up (120 tokens)');
+    expect((await usageModule.getUsage()).day).toMatchObject({ calls: 1, totalTokens: 120 });
+  });
+
+  test('forgets ledger entries older than a day', async () => {
+    configModule.updateConfig('usage.maxDailyTokens', 100);
+    const old = { at: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString(), provider: 'fixed', model: 'm', inputTokens: 500, outputTokens: 0, costUsd: 0, priced: false, accounts: [] };
+    fs.writeFileSync(path.join(dir, 'usage.jsonl'), `${JSON.stringify(old)}\nnot json\n`);
+
+    await usageModule.initialize({ path: path.join(dir, 'usage.jsonl') });
+    expect(await usageModule.findExceededBudget()).toBeNull();
+  });
+});
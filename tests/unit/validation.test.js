@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configModule = require('../../src/modules/configuration');
+const githubModule = require('../../src/modules/github_api');
+const { createMockServer } = require('../../src/modules/github_api/mock_server');
+const { validateChanges, release, detectProjectCommands, formatFeedback } = require('../../src/modules/validation');
+const { createWorktree, writeChanges } = require('../../src/modules/validation/worktree');
+const { runCommand } = require('../../src/modules/validation/sandbox');
+
+// Original content of the file the changes touch
+const MATH = 'function divide(a, b) {\n  return a / b;\n}\n\nmodule.exports = { divide };\n';
+
+/**
+ * Build a change to src/math.js
+ *
+ * @param {string} newContent - Content after the change
+ * @returns {Object} - Code change
+ */
+function mathChange(newContent) {
+  return { path: 'src/math.js', action: 'modify', originalContent: MATH, newContent };
+}
+
+describe('validation', () => {
+  let dir;
+  let repoDir;
+
+  beforeEach(() => {
+    configModule.resetToDefaults();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openhands-validation-test-'));
+    repoDir = path.join(dir, 'repo');
+    fs.mkdirSync(path.join(repoDir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(repoDir, 'src/math.js'), MATH);
+    // Fails once divide() stops returning Infinity for a zero divisor
+    fs.writeFileSync(path.join(repoDir, 'check.js'), [
+      'const { divide } = require(\'./src/math\');',
+      'process.exit(divide(1, 0) === Infinity ? 0 : 1);',
+      ''
+    ].join('\n'));
+    configModule.updateConfig('task.workspaceDir', path.join(dir, 'workspace'));
+    configModule.updateConfig('validation.timeout', 20000);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('runs commands with a clean environment and reports their exit code', async () => {
+    process.env.OPENHANDS_TEST_SECRET = 'not-for-the-sandbox';
+    try {
+      const result = await runCommand('echo "$OPENHANDS_TEST_SECRET$CI"; echo oops >&2; exit 3', { cwd: dir, timeout: 10000 });
+      expect(result).toMatchObject({ exitCode: 3, stdout: '1\n', stderr: 'oops\n', timedOut: false });
+    } finally {
+      delete process.env.OPENHANDS_TEST_SECRET;
+    }
+
+    const quoted = await runCommand(['node', '-e', 'console.log(process.argv[1])', 'two words'], { cwd: dir, timeout: 10000 });
+    expect(quoted.stdout).toBe('two words\n');
+  });
+
+  test('fails a compound command when a later part fails', async () => {
+    expect((await runCommand('true && false', { cwd: dir, timeout: 10000 })).exitCode).toBe(1);
+    expect((await runCommand('cd src && ls', { cwd: dir, timeout: 10000, maxMemoryMb: 512 })).exitCode).not.toBe(0);
+    expect((await runCommand('mkdir src && cd src && pwd', { cwd: dir, timeout: 10000, maxMemoryMb: 512 })).stdout.trim()).toBe(fs.realpathSync(path.join(dir, 'src')));
+  });
+
+  test('kills commands that run past the time limit', async () => {
+    const result = await runCommand('sleep 5', { cwd: dir, timeout: 200 });
+
+    expect(result.timedOut).toBe(true);
+    expect(result.exitCode).toBeNull();
+    expect(result.durationMs).toBeLessThan(5000);
+  });
+
+  test('copies a local checkout into a worktree and keeps writes inside it', async () => {
+    const worktree = await createWorktree({ type: 'local', dir: repoDir }, { workspaceDir: path.join(dir, 'workspace') });
+    try {
+      expect(worktree.complete).toBe(true);
+      await writeChanges(worktree.dir, [mathChange('changed\n'), { path: 'src/new.js', newContent: 'new\n' }]);
+      expect(fs.readFileSync(path.join(worktree.dir, 'src/math.js'), 'utf-8')).toBe('changed\n');
+      expect(fs.readFileSync(path.join(repoDir, 'src/math.js'), 'utf-8')).toBe(MATH);
+
+      await expect(writeChanges(worktree.dir, [{ path: '../escape.js', newContent: 'x' }])).rejects.toThrow();
+      expect(fs.existsSync(path.join(dir, 'workspace', 'escape.js'))).toBe(false);
+    } finally {
+      await worktree.dispose();
+    }
+    expect(fs.existsSync(worktree.dir)).toBe(false);
+  });
+
+  test('fails changes that break the syntax or a compound test command', async () => {
+    const source = { type: 'local', dir: repoDir };
+    configModule.updateConfig('validation.testCommand', 'node --version && node check.js');
+
+    const fixed = MATH.replace('return a / b;', 'if (b === 0) throw new RangeError(\'zero\');\n  return a / b;');
+    const failing = await validateChanges({ source }, [mathChange(fixed)]);
+    expect(failing.passed).toBe(false);
+    expect(failing.checks).toEqual([
+      expect.objectContaining({ type: 'syntax', name: 'src/math.js', status: 'passed' }),
+      expect.objectContaining({ type: 'test', name: 'node --version && node check.js', status: 'failed' })
+    ]);
+    expect(formatFeedback(failing)).toEqual([
+      expect.stringContaining('The test command `node --version && node check.js` failed')
+    ]);
+
+    const broken = await validateChanges({ source }, [mathChange('function divide(a, b) {\n')]);
+    expect(broken.passed).toBe(false);
+    expect(broken.checks.map(check => [check.type, check.status])).toEqual([['syntax', 'failed']]);
+
+    const harmless = await validateChanges({ source }, [mathChange(`// Divides numbers\n${MATH}`)]);
+    expect(harmless.passed).toBe(true);
+    expect(fs.readFileSync(path.join(repoDir, 'src/math.js'), 'utf-8')).toBe(MATH);
+  });
+
+  test('lets a test command that already failed before the changes pass', async () => {
+    configModule.updateConfig('validation.testCommand', 'node -e "process.exit(1)"');
+
+    const result = await validateChanges({ source: { type: 'local', dir: repoDir } }, [mathChange(`// Divides numbers\n${MATH}`)]);
+
+    expect(result.passed).toBe(true);
+    expect(result.checks[1]).toMatchObject({ type: 'test', status: 'preexisting' });
+  });
+
+  test('detects lint and test commands from package.json', async () => {
+    fs.writeFileSync(path.join(repoDir, 'package.json'), JSON.stringify({ scripts: { lint: 'eslint .', test: 'echo "Error: no test specified" && exit 1' } }));
+    expect(await detectProjectCommands(repoDir, { lintCommand: '', testCommand: '' })).toEqual({ lint: 'npm run lint --silent', test: null });
+    expect(await detectProjectCommands(repoDir, { lintCommand: '', testCommand: 'make test' })).toEqual({ lint: 'npm run lint --silent', test: 'make test' });
+  });
+
+  test('validates repositories read through the API in a downloaded snapshot', async () => {
+    const mock = createMockServer();
+    githubModule.initialize({ baseUrl: await mock.start(), token: 'test-token' });
+    const source = { type: 'api', owner: 'acme', repo: 'widgets', ref: 'main' };
+    try {
+      const result = await validateChanges({ source }, [mathChange('function divide(a, b) {\n')]);
+      expect(result.checks).toEqual([expect.objectContaining({ type: 'syntax', name: 'src/math.js', status: 'failed' })]);
+    } finally {
+      await release({ source });
+      await mock.stop();
+    }
+    expect(fs.readdirSync(path.join(dir, 'workspace'))).toEqual([]);
+  });
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const configModule = require('../../src/modules/configuration');
+const jobRunnerModule = require('../../src/modules/job_runner');
+const webhookModule = require('../../src/modules/webhook');
+
+const FIXTURES = path.join(__dirname, '../../src/modules/webhook/fixtures');
+const SECRET = 'webhook-test-secret';
+
+/**
+ * Build a signed delivery from a recorded fixture
+ *
+ * @param {string} name - Fixture name without extension
+ * @param {Object} [changes] - `headers` to override and a `payload` transform
+ * @returns {Object} - Request for the handler
+ */
+function delivery(name, changes = {}) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf-8'));
+  const payload = changes.payload ? changes.payload(fixture.payload) : fixture.payload;
+  const body = Buffer.from(JSON.stringify(payload));
+  return {
+    method: 'POST',
+    path: '/webhook',
+    headers: { ...fixture.headers, 'x-hub-signature-256': webhookModule.signPayload(SECRET, body), ...changes.headers },
+    body
+  };
+}
+
+/**
+ * Wait for a background job to finish
+ *
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} - Job snapshot with its result
+ */
+async function finished(id) {
+  for (;;) {
+    const job = jobRunnerModule.getResult(id);
+    if (job.status !== 'running') return job;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+describe('webhook signatures', () => {
+  test('accepts the signature GitHub computes and nothing else', () => {
+    const body = '{"zen":"Keep it logically awesome."}';
+    const signature = webhookModule.signPayload(SECRET, body);
+
+    expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(webhookModule.verifySignature(SECRET, body, signature)).toBe(true);
+    expect(webhookModule.verifySignature(SECRET, `${body} `, signature)).toBe(false);
+    expect(webhookModule.verifySignature('other-secret', body, signature)).toBe(false);
+    expect(webhookModule.verifySignature(SECRET, body, undefined)).toBe(false);
+    expect(webhookModule.verifySignature(SECRET, body, 'sha256=abc')).toBe(false);
+  });
+});
+
+describe('webhook event mapping', () => {
+  const payloadOf = name => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf-8')).payload;
+
+  test('resolves an issue labeled with the trigger label', () => {
+    const mapped = webhookModule.mapEvent('issues', payloadOf('issues.labeled'));
+    expect(mapped.trigger).toMatchObject({ issueUrl: 'https://github.com/acme/widgets/issues/1', options: {} });
+    expect(mapped.description).toBe('Resolve https://github.com/acme/widgets/issues/1 (labeled fix-me)');
+  });
+
+  test('ignores other labels', () => {
+    const payload = { ...payloadOf('issues.labeled'), label: { name: 'bug' } };
+    expect(webhookModule.mapEvent('issues', payload)).toEqual({ ignored: 'Label bug is not fix-me' });
+  });
+
+  test('takes options from the resolve command of a member', () => {
+    const mapped = webhookModule.mapEvent('issue_comment', payloadOf('issue_comment.created'));
+    expect(mapped.trigger.issueUrl).toBe('https://github.com/acme/widgets/issues/3');
+    expect(mapped.trigger.options).toMatchObject({ draft: true });
+  });
+
+  test('ignores commands from outside contributors and bots', () => {
+    const payload = payloadOf('issue_comment.created');
+    const outsider = { ...payload, comment: { ...payload.comment, author_association: 'NONE' } };
+    const bot = { ...payload, comment: { ...payload.comment, user: { login: 'helper[bot]', type: 'Bot' } } };
+
+    expect(webhookModule.mapEvent('issue_comment', outsider).ignored).toMatch(/^octocat is NONE, not one of /);
+    expect(webhookModule.mapEvent('issue_comment', bot)).toEqual({ ignored: 'helper[bot] is a bot' });
+  });
+
+  test('addresses reviews requesting changes only', () => {
+    const payload = payloadOf('pull_request_review.submitted');
+    const mapped = webhookModule.mapEvent('pull_request_review', payload);
+    expect(mapped.trigger.issueUrl).toBe('https://github.com/acme/widgets/pull/6');
+    expect(mapped.description).toBe('Address review comments on https://github.com/acme/widgets/pull/6 (review by octocat)');
+
+    const approved = { ...payload, review: { ...payload.review, state: 'approved' } };
+    expect(webhookModule.mapEvent('pull_request_review', approved).ignored).toBe('Review state approved is not one of changes_requested');
+  });
+
+  test('ignores unhandled events', () => {
+    expect(webhookModule.mapEvent('ping', {})).toEqual({ ignored: 'Ping received' });
+    expect(webhookModule.mapEvent('issues', { action: 'closed' })).toEqual({ ignored: 'issues.closed events are not handled' });
+  });
+});
+
+describe('webhook handler', () => {
+  let resolve;
+  let handle;
+
+  beforeEach(() => {
+    configModule.resetToDefaults();
+    resolve = jest.fn(async triggerData => ({ success: true, issueUrl: triggerData.issueUrl }));
+    handle = webhookModule.createWebhookHandler({ secret: SECRET, resolve });
+  });
+
+  test('starts a job for a mapped delivery and answers 202 with its ID', async () => {
+    const response = handle(delivery('issues.labeled'));
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({
+      accepted: true,
+      delivery: '7a1e5c10-0f3b-11ef-8a4b-2f6d3c9e1a01',
+      event: 'issues.labeled',
+      issueUrl: 'https://github.com/acme/widgets/issues/1'
+    });
+    const job = await finished(response.body.jobId);
+    expect(job.kind).toBe('webhook');
+    expect(job.status).toBe('succeeded');
+    expect(resolve).toHaveBeenCalledTimes(1);
+    expect(resolve.mock.calls[0][0].issueUrl).toBe('https://github.com/acme/widgets/issues/1');
+  });
+
+  test('answers a redelivery with the first answer without starting another job', async () => {
+    const first = handle(delivery('pull_request_review.submitted'));
+    const second = handle(delivery('pull_request_review.submitted'));
+
+    expect(second).toEqual({ status: 202, body: { ...first.body, duplicate: true } });
+    await finished(first.body.jobId);
+    expect(resolve).toHaveBeenCalledTimes(1);
+  });
+
+  test('remembers ignored deliveries too', () => {
+    const unlabeled = delivery('issues.labeled', { payload: payload => ({ ...payload, label: { name: 'bug' } }) });
+
+    expect(handle(unlabeled)).toEqual({
+      status: 200,
+      body: { accepted: false, delivery: '7a1e5c10-0f3b-11ef-8a4b-2f6d3c9e1a01', reason: 'Label bug is not fix-me' }
+    });
+    expect(handle(unlabeled).body.duplicate).toBe(true);
+    expect(resolve).not.toHaveBeenCalled();
+  });
+
+  test('refuses a delivery with a bad signature with 401', () => {
+    const forged = delivery('issues.labeled', { headers: { 'x-hub-signature-256': webhookModule.signPayload('guess', '{}') } });
+
+    expect(handle(forged)).toEqual({ status: 401, body: { error: 'Invalid signature' } });
+    expect(handle({ ...delivery('issues.labeled'), body: Buffer.from('{"action":"labeled"}') }).status).toBe(401);
+    expect(resolve).not.toHaveBeenCalled();
+  });
+
+  test('refuses a body over webhook.maxBodyBytes with 413 before checking it', () => {
+    configModule.updateConfig('webhook.maxBodyBytes', 1024);
+    const oversized = delivery('issues.labeled', { payload: payload => ({ ...payload, padding: 'x'.repeat(2048) }) });
+
+    expect(handle(oversized)).toEqual({ status: 413, body: { error: 'Delivery is larger than 1024 bytes' } });
+    expect(resolve).not.toHaveBeenCalled();
+  });
+
+  test('refuses other paths, methods and deliveries without event headers', () => {
+    expect(handle({ ...delivery('issues.labeled'), path: '/other' }).status).toBe(404);
+    expect(handle({ ...delivery('issues.labeled'), method: 'GET' }).status).toBe(405);
+    const anonymous = delivery('issues.labeled');
+    delete anonymous.headers['x-github-delivery'];
+    expect(handle(anonymous).status).toBe(400);
+  });
+});
+
+describe('webhook server', () => {
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    configModule.resetToDefaults();
+    server = webhookModule.createWebhookServer({ secret: SECRET, resolve: async () => ({ success: true }) });
+    url = await server.start(0);
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('answers deliveries over HTTP', async () => {
+    const { headers, body } = delivery('issue_comment.created');
+    const response = await fetch(`${url}/webhook`, { method: 'POST', headers, body });
+
+    expect(response.status).toBe(202);
+    expect((await response.json()).jobId).toMatch(/^job-/);
+  });
+
+  test('refuses an oversized body with 413', async () => {
+    configModule.updateConfig('webhook.maxBodyBytes', 1024);
+    const { headers, body } = delivery('issue_comment.created', { payload: payload => ({ ...payload, padding: 'x'.repeat(4096) }) });
+    const response = await fetch(`${url}/webhook`, { method: 'POST', headers, body });
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toEqual({ error: 'Delivery is larger than 1024 bytes' });
+  });
+});